@@ -0,0 +1,18 @@
+/**
+ * Seed reference data (`npm run seed`). Safe to re-run: rows that already
+ * exist are left alone.
+ */
+const benefitCatalog = require('../src/services/benefitCatalog');
+const logger = require('../src/utils/logger');
+
+async function main() {
+  const created = await benefitCatalog.seedDefaults();
+  logger.info(`Card benefit catalog: ${created} new entries`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(err => {
+    logger.error('Seed failed:', err);
+    process.exit(1);
+  });
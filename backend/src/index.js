@@ -11,9 +11,11 @@ const claimRoutes = require('./routes/claims');
 const cardRoutes = require('./routes/cards');
 const subscriptionRoutes = require('./routes/subscription');
 const webhookRoutes = require('./routes/webhooks');
+const gmailWebhookRoutes = require('./routes/gmailWebhook');
 const emailRoutes = require('./routes/email');
 const notificationRoutes = require('./routes/notifications');
 const adminRoutes = require('./routes/admin');
+const extensionRoutes = require('./routes/extension');
 
 const { errorHandler } = require('./middleware/errorHandler');
 const { setupCronJobs } = require('./workers/cron');
@@ -26,11 +28,17 @@ app.set('trust proxy', 1);
 
 // Security middleware
 app.use(helmet());
+// The browser extension calls the API from its own origin (chrome-extension://<id>)
+const extensionOrigins = (process.env.EXTENSION_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean);
 app.use(cors({
-  origin: process.env.FRONTEND_URL || 'http://localhost:3000',
+  origin: [process.env.FRONTEND_URL || 'http://localhost:3000', ...extensionOrigins],
   credentials: true
 }));
 
+// Gmail push notifications: one per inbox change, from Google's servers, so
+// outside the per-IP rate limit (requests are verified by their OIDC token)
+app.use('/api/webhooks/gmail', gmailWebhookRoutes);
+
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -58,6 +66,7 @@ app.use('/api/subscription', subscriptionRoutes);
 app.use('/api/email', emailRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/extension', extensionRoutes);
 
 // Health check
 app.get('/health', (req, res) => {
@@ -77,8 +86,9 @@ const PORT = process.env.PORT || 3001;
 app.listen(PORT, () => {
   logger.info(`Server running on port ${PORT}`);
 
-  // Start background jobs
-  if (process.env.NODE_ENV !== 'test') {
+  // Start background jobs in-process only when there's no Redis; otherwise the
+  // worker (npm run worker) schedules and runs them from Bull queues
+  if (process.env.NODE_ENV !== 'test' && !process.env.REDIS_URL) {
     setupCronJobs();
   }
 });
@@ -1,6 +1,7 @@
 const jwt = require('jsonwebtoken');
 const { PrismaClient } = require('@prisma/client');
 const { AppError } = require('./errorHandler');
+const apiTokens = require('../services/apiTokens');
 
 const prisma = new PrismaClient();
 
@@ -44,6 +45,49 @@ const authenticate = async (req, res, next) => {
   }
 };
 
+// Authenticate with an API token (browser extension) that has the given scope.
+// Session JWTs are not accepted here, and API tokens are not accepted by authenticate.
+const authenticateApiToken = (scope) => async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization;
+    const token = authHeader && authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] : null;
+
+    if (!apiTokens.looksLikeToken(token)) {
+      throw new AppError('API token required', 401, 'API_TOKEN_REQUIRED');
+    }
+
+    const { apiToken, reason } = await apiTokens.verify(token);
+    if (!apiToken) {
+      throw new AppError(reason, 401, 'INVALID_API_TOKEN');
+    }
+    if (scope && !apiToken.scopes.includes(scope)) {
+      throw new AppError(`API token is missing the ${scope} scope`, 403, 'INSUFFICIENT_SCOPE');
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: apiToken.userId },
+      select: {
+        id: true,
+        email: true,
+        name: true,
+        subscriptionStatus: true,
+        gmailConnected: true,
+        autoFileClaimsEnabled: true
+      }
+    });
+
+    if (!user) {
+      throw new AppError('User not found', 401);
+    }
+
+    req.user = user;
+    req.apiToken = apiToken;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Check if user has active subscription
 const requireSubscription = (req, res, next) => {
   if (req.user.subscriptionStatus !== 'ACTIVE') {
@@ -58,4 +102,4 @@ const optionalSubscription = (req, res, next) => {
   next();
 };
 
-module.exports = { authenticate, requireSubscription, optionalSubscription };
+module.exports = { authenticate, authenticateApiToken, requireSubscription, optionalSubscription };
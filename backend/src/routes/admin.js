@@ -3,12 +3,20 @@
  * Protected by a simple secret key (ADMIN_SECRET env var or fallback).
  */
 const express = require('express');
-const { PrismaClient } = require('@prisma/client');
+const { PrismaClient, Prisma } = require('@prisma/client');
 const { google } = require('googleapis');
 const { simpleParser } = require('mailparser');
 const logger = require('../utils/logger');
 const autoClaimFiler = require('../services/autoClaimFiler');
+const claimFilingLock = require('../services/claimFilingLock');
 const emailParser = require('../services/emailParser');
+const mailboxes = require('../services/mailboxes');
+const retailerAdapters = require('../services/retailerAdapters');
+const benefitCatalog = require('../services/benefitCatalog');
+const retailerAdjustments = require('../services/retailerAdjustments');
+const returnAdvisor = require('../services/returnAdvisor');
+const priceMonitor = require('../services/priceMonitor');
+const queues = require('../workers/queues');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -201,7 +209,13 @@ router.post('/fix-and-file/:claimId', adminAuth, async (req, res, next) => {
       logger.info(`[Admin] Updated card ${claim.creditCardId}: ${JSON.stringify(cardUpdateData)}`);
     }
 
-    // Step 2: Reset claim status so autoFileClaim can run
+    // Step 2: Start a new filing generation so the filing lock allows a deliberate
+    // re-send, then reset claim status so autoFileClaim can run
+    const superseded = await claimFilingLock.supersede(claimId);
+    if (superseded.busy) {
+      return res.status(409).json({ error: 'Claim is being filed right now; try again in a few minutes' });
+    }
+
     await prisma.claim.update({
       where: { id: claimId },
       data: {
@@ -240,6 +254,14 @@ router.post('/refile/:claimId', adminAuth, async (req, res, next) => {
   try {
     const { claimId } = req.params;
 
+    const superseded = await claimFilingLock.supersede(claimId);
+    if (!superseded) {
+      return res.status(404).json({ error: 'Claim not found' });
+    }
+    if (superseded.busy) {
+      return res.status(409).json({ error: 'Claim is being filed right now; try again in a few minutes' });
+    }
+
     // Reset status
     await prisma.claim.update({
       where: { id: claimId },
@@ -258,7 +280,7 @@ router.post('/refile/:claimId', adminAuth, async (req, res, next) => {
 });
 
 // ── GET /api/admin/read-email/:purchaseId ───────────────────────────────────
-// Fetch the actual Gmail message for a purchase and re-detect the card
+// Fetch the actual email for a purchase and re-detect the card
 router.get('/read-email/:purchaseId', adminAuth, async (req, res, next) => {
   try {
     const purchase = await prisma.purchase.findUnique({
@@ -272,40 +294,8 @@ router.get('/read-email/:purchaseId', adminAuth, async (req, res, next) => {
       return res.json({ error: 'No source email ID for this purchase' });
     }
 
-    // Get Gmail client using user's OAuth tokens
-    const user = await prisma.user.findUnique({
-      where: { id: purchase.userId },
-      select: { gmailAccessToken: true, gmailRefreshToken: true }
-    });
-
-    const oauth2Client = new google.auth.OAuth2(
-      process.env.GOOGLE_CLIENT_ID,
-      process.env.GOOGLE_CLIENT_SECRET,
-      process.env.GOOGLE_REDIRECT_URI
-    );
-    oauth2Client.setCredentials({
-      access_token: user.gmailAccessToken,
-      refresh_token: user.gmailRefreshToken
-    });
-    oauth2Client.on('tokens', async (tokens) => {
-      if (tokens.access_token) {
-        await prisma.user.update({
-          where: { id: purchase.userId },
-          data: { gmailAccessToken: tokens.access_token }
-        });
-      }
-    });
-
-    const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
-
-    // Fetch the email
-    const fullMessage = await gmail.users.messages.get({
-      userId: 'me',
-      id: purchase.sourceEmailId,
-      format: 'raw'
-    });
-
-    const rawEmail = Buffer.from(fullMessage.data.raw, 'base64').toString('utf-8');
+    // Fetch the email from whichever mailbox it came from
+    const rawEmail = await mailboxes.fetchRaw(purchase.userId, purchase.sourceEmailId);
     const parsed = await simpleParser(rawEmail);
 
     const body = parsed.text || parsed.html || '';
@@ -363,40 +353,8 @@ router.post('/rescan-and-fix/:purchaseId', adminAuth, async (req, res, next) =>
       return res.json({ error: 'No source email ID for this purchase' });
     }
 
-    // Get Gmail client
-    const user = await prisma.user.findUnique({
-      where: { id: purchase.userId },
-      select: { id: true, gmailAccessToken: true, gmailRefreshToken: true }
-    });
-
-    const oauth2Client = new google.auth.OAuth2(
-      process.env.GOOGLE_CLIENT_ID,
-      process.env.GOOGLE_CLIENT_SECRET,
-      process.env.GOOGLE_REDIRECT_URI
-    );
-    oauth2Client.setCredentials({
-      access_token: user.gmailAccessToken,
-      refresh_token: user.gmailRefreshToken
-    });
-    oauth2Client.on('tokens', async (tokens) => {
-      if (tokens.access_token) {
-        await prisma.user.update({
-          where: { id: purchase.userId },
-          data: { gmailAccessToken: tokens.access_token }
-        });
-      }
-    });
-
-    const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
-
-    // Fetch the email
-    const fullMessage = await gmail.users.messages.get({
-      userId: 'me',
-      id: purchase.sourceEmailId,
-      format: 'raw'
-    });
-
-    const rawEmail = Buffer.from(fullMessage.data.raw, 'base64').toString('utf-8');
+    // Fetch the email from whichever mailbox it came from
+    const rawEmail = await mailboxes.fetchRaw(purchase.userId, purchase.sourceEmailId);
     const parsed = await simpleParser(rawEmail);
 
     const body = parsed.text || parsed.html || '';
@@ -410,7 +368,7 @@ router.post('/rescan-and-fix/:purchaseId', adminAuth, async (req, res, next) =>
     logger.info(`[Admin] Re-detected: last4=${cardInfo.last4}, networkHint=${cardInfo.networkHint}, detectedNetwork=${detectedNetwork}`);
 
     // Try to match to user's existing cards
-    const matchedCard = await emailParser.matchCardToUser(user.id, cardInfo.last4, fullText, cardInfo.networkHint);
+    const matchedCard = await emailParser.matchCardToUser(purchase.userId, cardInfo.last4, fullText, cardInfo.networkHint);
 
     const actions = [];
 
@@ -553,4 +511,301 @@ router.get('/reauth-gmail', adminAuth, async (req, res, next) => {
   }
 });
 
+// ── GET /api/admin/price-checks/last-run ────────────────────────────────────
+// Throughput and per-domain error rates from this process's last price check cycle.
+router.get('/price-checks/last-run', adminAuth, async (req, res) => {
+  res.json({ lastRun: priceMonitor.lastRun });
+});
+
+// ── GET /api/admin/jobs ─────────────────────────────────────────────────────
+// Queue counts, repeatable schedules and the dead-letter queue.
+router.get('/jobs', adminAuth, async (req, res, next) => {
+  try {
+    if (!queues.isEnabled()) {
+      return res.json({ enabled: false, message: 'REDIS_URL not set - jobs run on the in-process cron schedule' });
+    }
+
+    const result = {};
+    for (const [name, queue] of Object.entries(queues.getQueues())) {
+      result[name] = {
+        counts: await queue.getJobCounts(),
+        schedules: (await queue.getRepeatableJobs()).map(r => ({ name: r.name, cron: r.cron, next: new Date(r.next) }))
+      };
+    }
+
+    const deadJobs = await queues.getDeadLetterQueue().getJobs(['waiting', 'delayed', 'paused'], 0, 99);
+    res.json({
+      enabled: true,
+      queues: result,
+      deadLetter: deadJobs.map(job => ({ id: job.id, ...job.data }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ── POST /api/admin/jobs/dead-letter/:id/retry ──────────────────────────────
+// Re-enqueue a dead-lettered job with fresh attempts.
+router.post('/jobs/dead-letter/:id/retry', adminAuth, async (req, res, next) => {
+  try {
+    if (!queues.isEnabled()) {
+      return res.status(400).json({ error: 'Job queues are not enabled' });
+    }
+    const job = await queues.retryDeadLetter(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Dead-letter job not found' });
+    }
+    res.json({ retried: true, jobId: job.id, name: job.name });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ── DELETE /api/admin/jobs/dead-letter/:id ──────────────────────────────────
+router.delete('/jobs/dead-letter/:id', adminAuth, async (req, res, next) => {
+  try {
+    if (!queues.isEnabled()) {
+      return res.status(400).json({ error: 'Job queues are not enabled' });
+    }
+    const job = await queues.getDeadLetterQueue().getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Dead-letter job not found' });
+    }
+    await job.remove();
+    res.json({ removed: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ── GET /api/admin/claims/filing-in-doubt ───────────────────────────────────
+// Claim emails that were handed to the mail provider but never confirmed sent.
+// These are never re-sent automatically; check the sender's Sent folder and resolve.
+router.get('/claims/filing-in-doubt', adminAuth, async (req, res, next) => {
+  try {
+    res.json({ attempts: await claimFilingLock.listInDoubt() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ── POST /api/admin/claims/filing-attempts/:id/resolve ──────────────────────
+// Body: { sent: boolean, messageId? }. sent=true records the claim as filed;
+// sent=false lets the retry job send it again.
+router.post('/claims/filing-attempts/:id/resolve', adminAuth, async (req, res, next) => {
+  try {
+    const { sent, messageId } = req.body;
+    if (typeof sent !== 'boolean') {
+      return res.status(400).json({ error: 'sent must be true or false' });
+    }
+
+    const resolved = await claimFilingLock.resolveInDoubt(req.params.id, { sent, messageId });
+    if (!resolved) {
+      return res.status(404).json({ error: 'No in-doubt filing attempt with that id' });
+    }
+
+    const attempt = await prisma.claimFilingAttempt.findUnique({ where: { id: req.params.id } });
+    if (!sent) {
+      await prisma.claim.update({ where: { id: attempt.claimId }, data: { status: 'READY_TO_FILE' } });
+      return res.json({ resolved: true, sent });
+    }
+
+    // Let the filer bring the claim up to date from the SENT attempt
+    const result = await autoClaimFiler.autoFileClaim(attempt.claimId);
+    res.json({ resolved: true, sent, claim: result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ── GET /api/admin/retailers ────────────────────────────────────────────────
+// List active retailer adapters (code + RetailerConfig overrides).
+router.get('/retailers', adminAuth, async (req, res, next) => {
+  try {
+    const adapters = await retailerAdapters.reload();
+    res.json({ adapters });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ── PUT /api/admin/retailers/:name ──────────────────────────────────────────
+// Create or update the RetailerConfig override for a retailer, then reload.
+router.put('/retailers/:name', adminAuth, async (req, res, next) => {
+  try {
+    const { name } = req.params;
+    const fields = [
+      'domain', 'domains', 'priceCheckEnabled', 'priceSelector', 'priceSelectors',
+      'extractors', 'apiEndpoint', 'apiPricePath', 'productIdPattern',
+      'canonicalUrlTemplate', 'urlKeepParams', 'fixtures', 'maxConcurrency', 'minIntervalMs', 'logoUrl',
+      'emailFromPatterns', 'emailSubjectPatterns', 'priceAdjustment', 'returnPolicy'
+    ];
+    const data = {};
+    for (const field of fields) {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    }
+
+    if (data.productIdPattern) {
+      try {
+        new RegExp(data.productIdPattern);
+      } catch (e) {
+        return res.status(400).json({ error: `Invalid productIdPattern: ${e.message}` });
+      }
+    }
+
+    // Price adjustment and return policies: null removes the override and restores the built-in one
+    const policyErrors = [
+      ...retailerAdjustments.validatePolicy(data.priceAdjustment),
+      ...returnAdvisor.validatePolicy(data.returnPolicy)
+    ];
+    if (policyErrors.length) {
+      return res.status(400).json({ error: 'Invalid retailer policy', details: policyErrors });
+    }
+    for (const field of ['priceAdjustment', 'returnPolicy']) {
+      if (data[field] === null) data[field] = Prisma.DbNull;
+    }
+
+    const existing = await prisma.retailerConfig.findUnique({ where: { name } });
+    const codeAdapter = retailerAdapters.getByName(name);
+    const domain = data.domain || existing?.domain || codeAdapter?.domains[0];
+    if (!domain) {
+      return res.status(400).json({ error: 'domain is required for a new retailer' });
+    }
+
+    const config = await prisma.retailerConfig.upsert({
+      where: { name },
+      update: data,
+      create: {
+        name,
+        emailFromPatterns: [],
+        emailSubjectPatterns: [],
+        ...data,
+        domain
+      }
+    });
+
+    await retailerAdapters.reload();
+    const adapter = retailerAdapters.getByName(name) || retailerAdapters.getForDomain(domain);
+    const fixtureResults = adapter ? retailerAdapters.runFixtures(adapter) : [];
+
+    logger.info(`[Admin] Retailer config ${name} saved`);
+    res.json({ config, fixtureResults });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ── POST /api/admin/retailers/:name/test ────────────────────────────────────
+// Run an adapter against its fixtures, or against fixtures in the body
+// ({ fixtures: [{ name, url, html, expectedPrice }] }).
+router.post('/retailers/:name/test', adminAuth, async (req, res, next) => {
+  try {
+    await retailerAdapters.reload();
+    const adapter = retailerAdapters.getByName(req.params.name);
+    if (!adapter) {
+      return res.status(404).json({ error: 'Retailer adapter not found' });
+    }
+
+    const fixtures = Array.isArray(req.body?.fixtures) ? req.body.fixtures : adapter.fixtures;
+    const results = retailerAdapters.runFixtures(adapter, fixtures);
+
+    res.json({
+      adapter: adapter.name,
+      source: adapter.source,
+      passed: results.every(r => r.passed),
+      results
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ── GET /api/admin/benefits ─────────────────────────────────────────────────
+// Current version of every card benefit catalog entry, retired ones included.
+router.get('/benefits', adminAuth, async (req, res, next) => {
+  try {
+    const entries = await benefitCatalog.reload();
+    res.json({ entries });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ── GET /api/admin/benefits/:issuerKey/history ──────────────────────────────
+// Every version of an issuer's terms (?product=sapphire-reserve for a product).
+router.get('/benefits/:issuerKey/history', adminAuth, async (req, res, next) => {
+  try {
+    const versions = await benefitCatalog.history(
+      benefitCatalog.normalizeIssuer(req.params.issuerKey),
+      req.query.product
+    );
+    if (!versions.length) {
+      return res.status(404).json({ error: 'No catalog entry for that issuer/product' });
+    }
+    res.json({ versions });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ── PUT /api/admin/benefits/:issuerKey ──────────────────────────────────────
+// Publish a new version of an issuer's (or, with body.product, a card
+// product's) terms. Omitted fields carry over; { active: false } retires it.
+// exclusionRules replaces the rule list checked before claims (null = standard rules).
+// claimPolicy sets how claim amounts are worked out (null = standard policy).
+router.put('/benefits/:issuerKey', adminAuth, async (req, res, next) => {
+  try {
+    const { product, notes, changedBy, ...changes } = req.body;
+    const entry = await benefitCatalog.publish(req.params.issuerKey, product, changes, {
+      changedBy: changedBy || 'admin',
+      notes
+    });
+
+    logger.info(`[Admin] Benefit catalog ${entry.issuerKey}${entry.productKey ? `/${entry.productKey}` : ''} v${entry.version} published`);
+    res.json({ entry });
+  } catch (error) {
+    if (error.validationErrors) {
+      return res.status(400).json({ error: error.message, details: error.validationErrors });
+    }
+    next(error);
+  }
+});
+
+// ── PUT /api/admin/benefits/:issuerKey/products/:productKey ─────────────────
+// Create or update a card product ({ name, network, aliases, active }). Its
+// terms are published with PUT /benefits/:issuerKey and body.product.
+router.put('/benefits/:issuerKey/products/:productKey', adminAuth, async (req, res, next) => {
+  try {
+    const product = await benefitCatalog.upsertProduct(req.params.issuerKey, req.params.productKey, req.body);
+    logger.info(`[Admin] Card product ${product.issuerKey}/${product.productKey} saved`);
+    res.json({ product });
+  } catch (error) {
+    if (error.validationErrors) {
+      return res.status(400).json({ error: error.message, details: error.validationErrors });
+    }
+    next(error);
+  }
+});
+
+// ── POST /api/admin/benefits/:issuerKey/rollback ────────────────────────────
+// Body: { version, product? }. Re-publishes an earlier version as the newest.
+router.post('/benefits/:issuerKey/rollback', adminAuth, async (req, res, next) => {
+  try {
+    const version = parseInt(req.body.version);
+    if (!version) {
+      return res.status(400).json({ error: 'version is required' });
+    }
+
+    const entry = await benefitCatalog.rollback(req.params.issuerKey, req.body.product, version, {
+      changedBy: req.body.changedBy || 'admin'
+    });
+    if (!entry) {
+      return res.status(404).json({ error: 'No such catalog version' });
+    }
+    res.json({ entry });
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router;
@@ -6,6 +6,8 @@ const { PrismaClient } = require('@prisma/client');
 const { body, validationResult } = require('express-validator');
 const { AppError } = require('../middleware/errorHandler');
 const { authenticate } = require('../middleware/auth');
+const mailboxes = require('../services/mailboxes');
+const emailParser = require('../services/emailParser');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -130,12 +132,23 @@ router.get('/google', (req, res) => {
 // Google OAuth - Callback
 router.get('/google/callback', async (req, res, next) => {
   try {
-    const { code } = req.query;
+    const { code, state } = req.query;
 
     if (!code) {
       throw new AppError('No authorization code provided', 400);
     }
 
+    // Connecting another Gmail account as a mailbox, not signing in
+    if (state) {
+      const userId = mailboxes.verifyState(state, 'GMAIL');
+      if (!userId) {
+        throw new AppError('Invalid or expired mailbox connection request', 400);
+      }
+      const mailbox = await mailboxes.connectOAuth(userId, 'GMAIL', code);
+      emailParser.backfillMailbox(mailbox);
+      return res.redirect(`${process.env.FRONTEND_URL}/settings?mailbox=connected`);
+    }
+
     const oauth2Client = new OAuth2Client(
       process.env.GOOGLE_CLIENT_ID,
       process.env.GOOGLE_CLIENT_SECRET,
@@ -165,13 +178,13 @@ router.get('/google/callback', async (req, res, next) => {
     });
 
     if (user) {
-      // Update existing user with Google credentials
+      // Tokens saved on the user before mailboxes existed keep the refresh token
+      // Google won't send again
+      await mailboxes.importLegacyGmail(user.id);
       user = await prisma.user.update({
         where: { id: user.id },
         data: {
           googleId,
-          gmailAccessToken: tokens.access_token,
-          gmailRefreshToken: tokens.refresh_token || user.gmailRefreshToken,
           gmailConnected: true
         }
       });
@@ -182,14 +195,21 @@ router.get('/google/callback', async (req, res, next) => {
           email,
           name,
           googleId,
-          gmailAccessToken: tokens.access_token,
-          gmailRefreshToken: tokens.refresh_token,
           gmailConnected: true,
           notificationEmail: email
         }
       });
     }
 
+    // The account signed in with is the primary mailbox
+    const mailbox = await mailboxes.connectGmail(user.id, {
+      address: email,
+      accessToken: tokens.access_token,
+      refreshToken: tokens.refresh_token,
+      isPrimary: true
+    });
+    emailParser.backfillMailbox(mailbox);
+
     const token = generateToken(user.id);
 
     // Redirect to frontend with token
@@ -219,7 +239,8 @@ router.get('/me', authenticate, async (req, res, next) => {
           select: {
             purchases: true,
             claims: true,
-            creditCards: true
+            creditCards: true,
+            mailboxes: true
           }
         }
       }
@@ -280,6 +301,12 @@ router.post('/gmail/disconnect', authenticate, async (req, res, next) => {
         gmailConnected: false
       }
     });
+    const primary = await prisma.mailbox.findFirst({
+      where: { userId: req.user.id, provider: 'GMAIL', isPrimary: true }
+    });
+    if (primary) {
+      await mailboxes.disconnect(req.user.id, primary.id);
+    }
 
     res.json({ message: 'Gmail disconnected successfully' });
   } catch (error) {
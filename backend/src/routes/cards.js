@@ -3,17 +3,26 @@ const { PrismaClient } = require('@prisma/client');
 const { body, validationResult } = require('express-validator');
 const { authenticate } = require('../middleware/auth');
 const { AppError } = require('../middleware/errorHandler');
-const { detectCardIssuer, getPriceProtectionInfo } = require('../utils/cardUtils');
+const { detectCardIssuer } = require('../utils/cardUtils');
+const benefitCatalog = require('../services/benefitCatalog');
+const benefitLedger = require('../services/benefitLedger');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+// Issuer display name for a product, e.g. "Chase" for Chase Sapphire Reserve
+async function issuerNameFor(product) {
+  const entry = await benefitCatalog.resolve(product.issuerKey);
+  return entry?.matchedBy === 'issuer' ? entry.name : product.issuerKey;
+}
+
 // Get all credit cards for user
 router.get('/', authenticate, async (req, res, next) => {
   try {
     const cards = await prisma.creditCard.findMany({
       where: { userId: req.user.id },
       include: {
+        product: true,
         _count: {
           select: { purchases: true, claims: true }
         }
@@ -21,18 +30,25 @@ router.get('/', authenticate, async (req, res, next) => {
       orderBy: { createdAt: 'desc' }
     });
 
+    // Claim limit usage for the current cap year, shown with each card
+    for (const card of cards) {
+      card.ledger = await benefitLedger.forCard(card);
+    }
+
     res.json(cards);
   } catch (error) {
     next(error);
   }
 });
 
-// Get card issuer configurations (public)
+// Get card issuer benefit terms from the catalog (public)
 router.get('/issuers', async (req, res, next) => {
   try {
-    const issuers = await prisma.cardIssuerConfig.findMany({
-      orderBy: { name: 'asc' }
-    });
+    const entries = await benefitCatalog.listActive();
+    const issuers = entries
+      .filter(entry => !entry.productKey)
+      .map(({ id, notes, changedBy, ...entry }) => entry)
+      .sort((a, b) => a.name.localeCompare(b.name));
 
     res.json(issuers);
   } catch (error) {
@@ -40,6 +56,16 @@ router.get('/issuers', async (req, res, next) => {
   }
 });
 
+// Card products for the product picker, with the terms each one gets (public)
+router.get('/products', async (req, res, next) => {
+  try {
+    const products = await benefitCatalog.listProducts({ issuer: req.query.issuer });
+    res.json(products);
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Detect card issuer from card number
 router.post('/detect', authenticate, [
   body('cardNumber').trim().notEmpty()
@@ -57,7 +83,8 @@ router.post('/detect', authenticate, [
       throw new AppError(result.error, 400);
     }
 
-    res.json(result);
+    const benefit = await benefitCatalog.resolve(result.issuer, { network: result.issuerKey });
+    res.json({ ...result, priceProtection: benefitCatalog.cardDefaults(benefit) });
   } catch (error) {
     next(error);
   }
@@ -93,8 +120,7 @@ router.post('/quick-add', authenticate, [
       throw new AppError('A card with these details already exists', 409);
     }
 
-    // Get price protection info
-    const protection = detected.priceProtection || getPriceProtectionInfo(detected.issuer);
+    const benefit = await benefitCatalog.resolve(detected.issuer, { network: detected.issuerKey });
 
     const card = await prisma.creditCard.create({
       data: {
@@ -104,12 +130,7 @@ router.post('/quick-add', authenticate, [
         lastFour: detected.lastFour,
         cardType: detected.cardType || 'OTHER',
         network: detected.issuerKey || null,
-        protectionDays: protection?.protectionDays || 60,
-        maxClaimAmount: protection?.maxClaimAmount || 500,
-        claimMethod: protection?.claimMethod || 'EMAIL',
-        claimPortalUrl: protection?.claimPortalUrl || null,
-        claimPhoneNumber: protection?.claimPhone || null,
-        claimEmail: protection?.claimEmail || null,
+        ...benefitCatalog.cardDefaults(benefit),
         autoClaimEnabled: false
       }
     });
@@ -123,12 +144,16 @@ router.post('/quick-add', authenticate, [
 // Add credit card
 router.post('/', authenticate, [
   body('nickname').trim().notEmpty(),
-  body('issuer').trim().notEmpty(),
+  body('productId').optional({ nullable: true }).isString(),
+  body('issuer').if(body('productId').not().exists({ checkFalsy: true })).trim().notEmpty(),
   body('lastFour').isLength({ min: 4, max: 4 }).isNumeric(),
   body('cardType').isIn(['VISA', 'MASTERCARD', 'AMEX', 'DISCOVER', 'OTHER']),
-  body('protectionDays').optional().isInt({ min: 1, max: 365 }),
+  body('protectionDays').optional().isInt({ min: 0, max: 365 }),
   body('maxClaimAmount').optional().isFloat({ min: 0 }),
   body('maxAnnualClaims').optional().isFloat({ min: 0 }),
+  body('maxAccountClaims').optional({ nullable: true }).isFloat({ min: 0 }),
+  body('capPeriod').optional().isIn(['CALENDAR_YEAR', 'CARD_MEMBER_YEAR']),
+  body('memberSince').optional({ nullable: true }).isISO8601(),
   body('claimMethod').isIn(['ONLINE_PORTAL', 'PHONE', 'EMAIL', 'MAIL']),
   body('claimPortalUrl').optional().isURL(),
   body('claimPhoneNumber').optional().trim(),
@@ -142,18 +167,27 @@ router.post('/', authenticate, [
 
     const {
       nickname,
-      issuer,
+      productId,
       lastFour,
       cardType,
-      protectionDays = 60,
-      maxClaimAmount = 500,
+      protectionDays,
+      maxClaimAmount,
       maxAnnualClaims,
+      maxAccountClaims,
+      capPeriod,
+      memberSince,
       claimMethod,
       claimPortalUrl,
       claimPhoneNumber,
       claimEmail
     } = req.body;
 
+    const product = productId ? await benefitCatalog.getProduct(productId) : null;
+    if (productId && !product) {
+      throw new AppError('Card product not found', 400);
+    }
+    const issuer = product ? await issuerNameFor(product) : req.body.issuer;
+
     // Check for duplicate
     const existing = await prisma.creditCard.findFirst({
       where: {
@@ -166,6 +200,11 @@ router.post('/', authenticate, [
       throw new AppError('A card with these details already exists', 409);
     }
 
+    // Terms the user didn't enter come from the benefit catalog
+    const defaults = benefitCatalog.cardDefaults(
+      await benefitCatalog.resolve(issuer, { network: product?.network || cardType, product: product?.productKey })
+    );
+
     const card = await prisma.creditCard.create({
       data: {
         userId: req.user.id,
@@ -173,14 +212,20 @@ router.post('/', authenticate, [
         issuer,
         lastFour,
         cardType,
-        protectionDays,
-        maxClaimAmount,
-        maxAnnualClaims,
+        protectionDays: protectionDays ?? defaults.protectionDays,
+        maxClaimAmount: maxClaimAmount ?? defaults.maxClaimAmount,
+        maxAnnualClaims: maxAnnualClaims ?? defaults.maxAnnualClaims,
+        maxAccountClaims: maxAccountClaims ?? defaults.maxAccountClaims,
+        capPeriod: capPeriod ?? defaults.capPeriod,
+        memberSince: memberSince ? new Date(memberSince) : null,
         claimMethod,
         claimPortalUrl,
         claimPhoneNumber,
-        claimEmail
-      }
+        claimEmail,
+        productId: product?.id || null,
+        productConfirmed: Boolean(product)
+      },
+      include: { product: true }
     });
 
     res.status(201).json(card);
@@ -192,13 +237,17 @@ router.post('/', authenticate, [
 // Update credit card
 router.patch('/:id', authenticate, [
   body('nickname').optional().trim().notEmpty(),
-  body('protectionDays').optional().isInt({ min: 1, max: 365 }),
+  body('protectionDays').optional().isInt({ min: 0, max: 365 }),
   body('maxClaimAmount').optional().isFloat({ min: 0 }),
-  body('maxAnnualClaims').optional().isFloat({ min: 0 }),
+  body('maxAnnualClaims').optional({ nullable: true }).isFloat({ min: 0 }),
+  body('maxAccountClaims').optional({ nullable: true }).isFloat({ min: 0 }),
+  body('capPeriod').optional().isIn(['CALENDAR_YEAR', 'CARD_MEMBER_YEAR']),
+  body('memberSince').optional({ nullable: true }).isISO8601(),
   body('claimMethod').optional().isIn(['ONLINE_PORTAL', 'PHONE', 'EMAIL', 'MAIL']),
   body('claimPortalUrl').optional().isURL(),
   body('claimPhoneNumber').optional().trim(),
-  body('claimEmail').optional().isEmail()
+  body('claimEmail').optional().isEmail(),
+  body('productId').optional({ nullable: true }).isString()
 ], async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -214,9 +263,34 @@ router.patch('/:id', authenticate, [
       throw new AppError('Credit card not found', 404);
     }
 
+    const { productId, ...data } = req.body;
+    if (data.memberSince) data.memberSince = new Date(data.memberSince);
+
+    // Setting productId (or null for "not listed") confirms the card product.
+    // The product's terms replace the card's unless the request sets them too.
+    if (productId !== undefined) {
+      const product = productId ? await benefitCatalog.getProduct(productId) : null;
+      if (productId && !product) {
+        throw new AppError('Card product not found', 400);
+      }
+      data.productId = product?.id || null;
+      data.productConfirmed = true;
+
+      if (product) {
+        const benefit = await benefitCatalog.resolve(product.issuerKey, { network: product.network, product: product.productKey });
+        const terms = benefitCatalog.cardDefaults(benefit);
+        for (const field of ['protectionDays', 'maxClaimAmount', 'maxAnnualClaims', 'maxAccountClaims']) {
+          if (data[field] === undefined) data[field] = terms[field] ?? null;
+        }
+        if (!benefit.offersPriceProtection) data.autoClaimEnabled = false;
+        data.issuer = data.issuer || await issuerNameFor(product);
+      }
+    }
+
     const card = await prisma.creditCard.update({
       where: { id: req.params.id },
-      data: req.body
+      data,
+      include: { product: true }
     });
 
     res.json(card);
@@ -261,15 +335,11 @@ router.get('/:id/stats', authenticate, async (req, res, next) => {
       throw new AppError('Credit card not found', 404);
     }
 
-    const yearStart = new Date();
-    yearStart.setMonth(0, 1);
-    yearStart.setHours(0, 0, 0, 0);
-
     const [
       totalPurchases,
       activePurchases,
       totalClaims,
-      approvedThisYear
+      ledger
     ] = await Promise.all([
       prisma.purchase.count({ where: { creditCardId: req.params.id } }),
       prisma.purchase.count({
@@ -280,28 +350,18 @@ router.get('/:id/stats', authenticate, async (req, res, next) => {
         }
       }),
       prisma.claim.count({ where: { creditCardId: req.params.id } }),
-      prisma.claim.aggregate({
-        where: {
-          creditCardId: req.params.id,
-          status: 'APPROVED',
-          resolvedAt: { gte: yearStart }
-        },
-        _sum: { approvedAmount: true }
-      })
+      benefitLedger.forCard(card)
     ]);
 
-    const remainingAnnualLimit = card.maxAnnualClaims
-      ? card.maxAnnualClaims - (approvedThisYear._sum.approvedAmount || 0)
-      : null;
-
     res.json({
       totalPurchases,
       activePurchases,
       totalClaims,
-      approvedThisYear: approvedThisYear._sum.approvedAmount || 0,
-      remainingAnnualLimit,
+      approvedThisYear: ledger.totals.approved + ledger.totals.paid,
+      remainingAnnualLimit: ledger.remaining.year,
       protectionDays: card.protectionDays,
-      maxClaimAmount: card.maxClaimAmount
+      maxClaimAmount: card.maxClaimAmount,
+      ledger
     });
   } catch (error) {
     next(error);
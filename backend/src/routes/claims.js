@@ -5,6 +5,13 @@ const { authenticate, requireSubscription } = require('../middleware/auth');
 const { AppError } = require('../middleware/errorHandler');
 const claimService = require('../services/claimService');
 const autoClaimFiler = require('../services/autoClaimFiler');
+const claimFilingLock = require('../services/claimFilingLock');
+const priceMonitor = require('../services/priceMonitor');
+const claimEligibility = require('../services/claimEligibility');
+const claimAmount = require('../services/claimAmount');
+const retailerAdjustments = require('../services/retailerAdjustments');
+const benefitCatalog = require('../services/benefitCatalog');
+const receiptImport = require('../services/receiptImport');
 const path = require('path');
 const fs = require('fs').promises;
 
@@ -14,13 +21,16 @@ const prisma = new PrismaClient();
 // Get all claims
 router.get('/', authenticate, async (req, res, next) => {
   try {
-    const { status, page = 1, limit = 20 } = req.query;
+    const { status, type, page = 1, limit = 20 } = req.query;
     const skip = (page - 1) * limit;
 
     const where = { userId: req.user.id };
     if (status) {
       where.status = status;
     }
+    if (type) {
+      where.type = type;
+    }
 
     const [claims, total] = await Promise.all([
       prisma.claim.findMany({
@@ -76,7 +86,10 @@ router.get('/:id', authenticate, async (req, res, next) => {
             }
           }
         },
-        creditCard: true
+        creditCard: true,
+        replies: {
+          orderBy: { receivedAt: 'asc' }
+        }
       }
     });
 
@@ -90,9 +103,83 @@ router.get('/:id', authenticate, async (req, res, next) => {
   }
 });
 
+// The purchase's open claim blocks another one for the same drop
+function alreadyClaimedError(existing) {
+  if (existing?.type === 'RETAILER_ADJUSTMENT') {
+    return new AppError('A retailer price adjustment is already open for this purchase; deny or delete it to claim from the card issuer', 409, 'ALREADY_CLAIMED');
+  }
+  return new AppError('A claim already exists for this purchase', 409, 'ALREADY_CLAIMED');
+}
+
+// Ask the retailer to refund the drop itself (type: RETAILER_ADJUSTMENT)
+async function createRetailerAdjustment(req, res, purchase) {
+  const { identicalItemConfirmed } = req.body;
+  const lowerPrice = purchase.lowestPrice ?? purchase.currentPrice;
+
+  if (!lowerPrice || purchase.purchasePrice - lowerPrice <= 0) {
+    throw new AppError('No price drop detected', 400);
+  }
+
+  // Retailers only match the identical item too
+  const identicalReading = await priceMonitor.findIdenticalItemReading(purchase.id, lowerPrice);
+  if (!identicalReading && identicalItemConfirmed !== true) {
+    throw new AppError(
+      'The lower price has not been verified for the exact item you bought (same size, color, storage and condition)',
+      422,
+      'VARIANT_UNVERIFIED'
+    );
+  }
+
+  const adjustment = await retailerAdjustments.evaluate(purchase, {
+    price: lowerPrice,
+    ...(identicalReading && { reading: identicalReading })
+  });
+  await prisma.purchase.update({ where: { id: purchase.id }, data: { retailerAdjustment: adjustment } });
+
+  if (adjustment.status === 'NOT_OFFERED') {
+    throw new AppError(`${purchase.retailer} has no price adjustment policy on file`, 400, 'RETAILER_ADJUSTMENT_UNAVAILABLE');
+  }
+  if (adjustment.status === 'WINDOW_CLOSED') {
+    throw new AppError(`${adjustment.retailer}'s ${adjustment.windowDays}-day price adjustment window has closed`, 400, 'RETAILER_WINDOW_CLOSED');
+  }
+  if (adjustment.status === 'EXCLUDED') {
+    throw new AppError(
+      `${adjustment.retailer} does not adjust this price: ${adjustment.reasons.map(r => r.reason).join('; ')}`,
+      422,
+      'RETAILER_ADJUSTMENT_EXCLUDED'
+    );
+  }
+
+  const { claim, created } = await retailerAdjustments.draft(purchase, adjustment, {
+    userId: req.user.id,
+    include: {
+      purchase: {
+        select: { productName: true, retailer: true, imageUrl: true }
+      }
+    }
+  });
+
+  if (!created) {
+    throw alreadyClaimedError(claim);
+  }
+
+  await prisma.purchase.update({
+    where: { id: purchase.id },
+    data: { status: 'CLAIM_ELIGIBLE' }
+  });
+
+  res.status(201).json(claim);
+}
+
 // Create claim from eligible purchase
+// type: ISSUER (default) claims from the card's price protection,
+// RETAILER_ADJUSTMENT drafts a price adjustment request to the retailer
 router.post('/', authenticate, [
-  body('purchaseId').isUUID()
+  body('purchaseId').isUUID(),
+  body('type').optional().isIn(['ISSUER', 'RETAILER_ADJUSTMENT']),
+  body('identicalItemConfirmed').optional().isBoolean(),
+  body('exclusionsReviewed').optional().isBoolean(),
+  body('retailerDeclined').optional().isBoolean()
 ], async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -100,7 +187,7 @@ router.post('/', authenticate, [
       throw new AppError('Validation failed', 400);
     }
 
-    const { purchaseId } = req.body;
+    const { purchaseId, type = 'ISSUER', identicalItemConfirmed, exclusionsReviewed, retailerDeclined } = req.body;
 
     // Verify purchase ownership and eligibility
     const purchase = await prisma.purchase.findFirst({
@@ -115,14 +202,18 @@ router.post('/', authenticate, [
       throw new AppError('Purchase not found', 404);
     }
 
-    if (!purchase.creditCardId) {
-      throw new AppError('Purchase must be linked to a credit card', 400);
-    }
-
     if (!['PRICE_DROP_DETECTED', 'CLAIM_ELIGIBLE'].includes(purchase.status)) {
       throw new AppError('Purchase is not eligible for a claim', 400);
     }
 
+    if (type === 'RETAILER_ADJUSTMENT') {
+      return await createRetailerAdjustment(req, res, purchase);
+    }
+
+    if (!purchase.creditCardId) {
+      throw new AppError('Purchase must be linked to a credit card', 400);
+    }
+
     if (purchase.protectionEnds && purchase.protectionEnds < new Date()) {
       throw new AppError('Price protection period has expired', 400);
     }
@@ -133,34 +224,86 @@ router.post('/', authenticate, [
       throw new AppError('No price drop detected', 400);
     }
 
-    // Check max claim amount
-    if (priceDifference > purchase.creditCard.maxClaimAmount) {
-      // Still create claim but cap at max
+    // Issuers deny claims unless the lower price was for the identical item.
+    // Without a verified reading the user has to vouch for it.
+    const identicalReading = await priceMonitor.findIdenticalItemReading(purchaseId, purchase.lowestPrice);
+    if (!identicalReading && identicalItemConfirmed !== true) {
+      throw new AppError(
+        'The lower price has not been verified for the exact item you bought (same size, color, storage and condition)',
+        422,
+        'VARIANT_UNVERIFIED'
+      );
     }
 
-    // Check if claim already exists for this purchase
-    const existingClaim = await prisma.claim.findFirst({
-      where: {
-        purchaseId,
-        status: { notIn: ['DENIED', 'EXPIRED'] }
-      }
+    // Benefit exclusions: an excluded claim is refused, a possible one needs the user's review
+    const eligibility = await claimEligibility.evaluate(purchase, {
+      price: purchase.lowestPrice,
+      ...(identicalReading && { reading: identicalReading })
     });
+    if (eligibility.status !== 'ELIGIBLE') {
+      await prisma.purchase.update({ where: { id: purchaseId }, data: { eligibility } });
+    }
+    if (eligibility.status === 'EXCLUDED') {
+      throw new AppError(
+        `This purchase is excluded from price protection: ${claimEligibility.describe(eligibility)}`,
+        422,
+        'BENEFIT_EXCLUDED'
+      );
+    }
+    if (eligibility.status === 'NEEDS_REVIEW' && exclusionsReviewed !== true) {
+      throw new AppError(
+        `This claim may fall under an exclusion: ${claimEligibility.describe(eligibility)}`,
+        422,
+        'BENEFIT_REVIEW_REQUIRED'
+      );
+    }
 
-    if (existingClaim) {
-      throw new AppError('A claim already exists for this purchase', 409);
+    // Some cards only pay once the retailer has been asked. A retailer that declined
+    // outside the app (retailerDeclined) counts as asked.
+    const benefit = await benefitCatalog.forCard(purchase.creditCard);
+    if (benefit?.requiresRetailerFirst && retailerDeclined !== true) {
+      const adjustment = await retailerAdjustments.evaluate(purchase, {
+        price: purchase.lowestPrice,
+        ...(identicalReading && { reading: identicalReading })
+      });
+      if (retailerAdjustments.holdsIssuerClaim(adjustment, benefit)) {
+        throw new AppError(
+          `${benefit.name} requires asking ${adjustment.retailer} for a price adjustment first (until ${new Date(adjustment.windowEnds).toLocaleDateString('en-US')})`,
+          422,
+          'RETAILER_FIRST'
+        );
+      }
     }
 
-    // Create the claim
-    const claim = await prisma.claim.create({
-      data: {
-        userId: req.user.id,
-        purchaseId,
-        creditCardId: purchase.creditCardId,
-        originalPrice: purchase.purchasePrice,
-        newPrice: purchase.lowestPrice,
-        priceDifference: Math.min(priceDifference, purchase.creditCard.maxClaimAmount),
-        status: 'DRAFT'
-      },
+    // Quantity, tax, shipping and coupons as the card's benefit policy counts them
+    const breakdown = await claimAmount.calculate(purchase, purchase.lowestPrice);
+
+    // Create the claim unless one is already open (or being created by a background job)
+    const { claim, created } = await claimFilingLock.createClaimOnce(purchaseId, {
+      userId: req.user.id,
+      creditCardId: purchase.creditCardId,
+      originalPrice: breakdown.originalPrice,
+      newPrice: purchase.lowestPrice,
+      priceDifference: breakdown.amount,
+      amountBreakdown: breakdown,
+      status: 'DRAFT',
+      eligibility: { ...eligibility, reviewedByUser: eligibility.status === 'NEEDS_REVIEW' },
+      statusHistory: [{
+        status: 'DRAFT',
+        timestamp: new Date().toISOString(),
+        notes: identicalReading
+          ? `Identical item verified (${identicalReading.variantMatch} match)`
+          : 'User confirmed the lower price is for the identical item'
+      }, ...(retailerDeclined === true ? [{
+        status: 'DRAFT',
+        timestamp: new Date().toISOString(),
+        notes: 'User reports the retailer declined a price adjustment'
+      }] : []), ...(eligibility.status === 'NEEDS_REVIEW' ? [{
+        status: 'DRAFT',
+        timestamp: new Date().toISOString(),
+        notes: `User reviewed possible exclusions: ${claimEligibility.describe(eligibility)}`
+      }] : [])]
+    }, {
       include: {
         purchase: {
           select: { productName: true, retailer: true, imageUrl: true }
@@ -171,6 +314,10 @@ router.post('/', authenticate, [
       }
     });
 
+    if (!created) {
+      throw alreadyClaimedError(claim);
+    }
+
     // Update purchase status
     await prisma.purchase.update({
       where: { id: purchaseId },
@@ -201,6 +348,10 @@ router.post('/:id/generate-docs', authenticate, async (req, res, next) => {
       throw new AppError('Claim not found', 404);
     }
 
+    if (claim.type === 'RETAILER_ADJUSTMENT') {
+      throw new AppError('Retailer price adjustments are requested directly; see the claim\'s instructions', 400, 'RETAILER_ADJUSTMENT');
+    }
+
     // Generate documentation
     const docUrl = await claimService.generateClaimDocumentation(claim);
 
@@ -262,8 +413,10 @@ router.post('/:id/file', authenticate, [
       data: {
         userId: req.user.id,
         type: 'CLAIM_STATUS_UPDATE',
-        title: 'Claim Filed Successfully',
-        message: `Your claim for ${claim.purchase?.productName || 'item'} has been filed.`,
+        title: claim.type === 'RETAILER_ADJUSTMENT' ? 'Price Adjustment Requested' : 'Claim Filed Successfully',
+        message: claim.type === 'RETAILER_ADJUSTMENT'
+          ? `Your price adjustment request for ${claim.purchase?.productName || 'item'} has been sent to the retailer.`
+          : `Your claim for ${claim.purchase?.productName || 'item'} has been filed.`,
         data: { claimId: claim.id }
       }
     });
@@ -320,10 +473,10 @@ router.patch('/:id/status', authenticate, [
     if (status === 'DENIED') {
       updateData.resolvedAt = new Date();
 
-      // Update purchase status
+      // Update purchase status; a declined retailer adjustment leaves the issuer claim open
       await prisma.purchase.update({
         where: { id: claim.purchaseId },
-        data: { status: 'CLAIM_DENIED' }
+        data: { status: claim.type === 'RETAILER_ADJUSTMENT' ? 'CLAIM_ELIGIBLE' : 'CLAIM_DENIED' }
       });
     }
 
@@ -406,7 +559,9 @@ router.get('/:id/instructions', authenticate, async (req, res, next) => {
       throw new AppError('Claim not found', 404);
     }
 
-    const instructions = claimService.getFilingInstructions(claim);
+    const instructions = claim.type === 'RETAILER_ADJUSTMENT'
+      ? retailerAdjustments.instructionsFor(claim)
+      : await claimService.getFilingInstructions(claim);
 
     res.json(instructions);
   } catch (error) {
@@ -415,7 +570,10 @@ router.get('/:id/instructions', authenticate, async (req, res, next) => {
 });
 
 // AUTO-FILE: Fully automated claim submission
-router.post('/:id/auto-file', authenticate, async (req, res, next) => {
+// Pass exclusionsReviewed: true to file a claim whose possible exclusions the user has reviewed
+router.post('/:id/auto-file', authenticate, [
+  body('exclusionsReviewed').optional().isBoolean()
+], async (req, res, next) => {
   try {
     const claim = await prisma.claim.findFirst({
       where: {
@@ -428,12 +586,38 @@ router.post('/:id/auto-file', authenticate, async (req, res, next) => {
       throw new AppError('Claim not found', 404);
     }
 
+    if (claim.type === 'RETAILER_ADJUSTMENT') {
+      throw new AppError('Retailer price adjustments are requested through the retailer; mark the request as filed once sent', 400, 'RETAILER_ADJUSTMENT');
+    }
+
     if (!['DRAFT', 'READY_TO_FILE', 'PENDING'].includes(claim.status)) {
       throw new AppError('Claim has already been filed or processed', 400);
     }
 
     // Trigger fully automated filing (tries portal first, falls back to email)
-    const result = await autoClaimFiler.autoFileClaim(claim.id);
+    let result = await autoClaimFiler.autoFileClaim(claim.id);
+
+    if (result.ineligible && result.eligibility.status === 'NEEDS_REVIEW' && req.body.exclusionsReviewed === true) {
+      await prisma.claim.update({
+        where: { id: claim.id },
+        data: { eligibility: { ...result.eligibility, reviewedByUser: true } }
+      });
+      result = await autoClaimFiler.autoFileClaim(claim.id);
+    }
+    if (result.ineligible) {
+      throw new AppError(
+        result.error,
+        422,
+        result.eligibility.status === 'EXCLUDED' ? 'BENEFIT_EXCLUDED' : 'BENEFIT_REVIEW_REQUIRED'
+      );
+    }
+
+    if (result.inProgress) {
+      throw new AppError(result.message, 409, 'FILING_IN_PROGRESS');
+    }
+    if (result.needsReview) {
+      throw new AppError(result.message, 409, 'FILING_NEEDS_REVIEW');
+    }
 
     res.json(result);
   } catch (error) {
@@ -452,7 +636,7 @@ router.get('/:id/proof', authenticate, async (req, res, next) => {
         userId: req.user.id
       },
       include: {
-        purchase: { select: { productName: true, retailer: true, productUrl: true } },
+        purchase: { select: { productName: true, retailer: true, productUrl: true, receiptId: true } },
         creditCard: { select: { nickname: true, issuer: true, lastFour: true } }
       }
     });
@@ -476,6 +660,7 @@ router.get('/:id/proof', authenticate, async (req, res, next) => {
       hasClaimPdf:       !!claim.proofDocumentUrl,
       hasPriceScreenshot: !!claim.priceScreenshotUrl,
       hasEmailProof:     !!claim.claimEmailScreenshot,
+      hasReceipt:        !!claim.purchase?.receiptId,
       // Metadata
       responseNotes:    claim.responseNotes,
       statusHistory:    claim.statusHistory,
@@ -487,7 +672,7 @@ router.get('/:id/proof', authenticate, async (req, res, next) => {
   }
 });
 
-// Serve a specific proof file (pdf, price-screenshot, or email-screenshot)
+// Serve a specific proof file (pdf, price-screenshot, email-screenshot, or receipt)
 router.get('/:id/proof/:type', authenticate, async (req, res, next) => {
   try {
     const { type } = req.params;
@@ -503,6 +688,19 @@ router.get('/:id/proof/:type', authenticate, async (req, res, next) => {
       throw new AppError('Claim not found', 404);
     }
 
+    // The uploaded receipt is stored with the purchase rather than on disk
+    if (type === 'receipt') {
+      const purchase = await prisma.purchase.findUnique({
+        where: { id: claim.purchaseId },
+        include: { receipt: true }
+      });
+      if (!purchase?.receipt) {
+        throw new AppError('No receipt was uploaded for this purchase', 404);
+      }
+      res.set(receiptImport.downloadHeaders(purchase.receipt));
+      return res.send(Buffer.from(purchase.receipt.content));
+    }
+
     let fileName = null;
     let contentType = 'application/octet-stream';
 
@@ -520,7 +718,7 @@ router.get('/:id/proof/:type', authenticate, async (req, res, next) => {
         contentType = 'image/png';
         break;
       default:
-        throw new AppError('Invalid proof type. Use: pdf, price-screenshot, or email-screenshot', 400);
+        throw new AppError('Invalid proof type. Use: pdf, price-screenshot, email-screenshot, or receipt', 400);
     }
 
     if (!fileName) {
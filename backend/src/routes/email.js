@@ -1,14 +1,23 @@
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
+const { body, validationResult } = require('express-validator');
 const { authenticate, requireSubscription } = require('../middleware/auth');
 const { AppError } = require('../middleware/errorHandler');
 const emailParser = require('../services/emailParser');
+const mailboxes = require('../services/mailboxes');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
-// Get Gmail connection status
+function checkValidation(req) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Validation failed: ' + errors.array().map(e => e.msg).join(', '), 400);
+  }
+}
+
+// Get mailbox connection status
 router.get('/status', authenticate, async (req, res, next) => {
   try {
     const user = await prisma.user.findUnique({
@@ -18,6 +27,7 @@ router.get('/status', authenticate, async (req, res, next) => {
         email: true
       }
     });
+    const connected = await mailboxes.list(req.user.id);
 
     // Get last sync info
     const lastSync = await prisma.emailSyncLog.findFirst({
@@ -26,13 +36,17 @@ router.get('/status', authenticate, async (req, res, next) => {
     });
 
     res.json({
-      connected: user.gmailConnected,
+      connected: connected.length > 0,
+      gmailConnected: user.gmailConnected,
       email: user.email,
+      mailboxes: connected.map(mailbox => mailboxes.present(mailbox)),
       lastSync: lastSync ? {
         status: lastSync.status,
+        mailboxId: lastSync.mailboxId,
         date: lastSync.completedAt || lastSync.startedAt,
         emailsProcessed: lastSync.emailsProcessed,
-        purchasesFound: lastSync.purchasesFound
+        purchasesFound: lastSync.purchasesFound,
+        claimRepliesFound: lastSync.claimRepliesFound
       } : null
     });
   } catch (error) {
@@ -40,16 +54,12 @@ router.get('/status', authenticate, async (req, res, next) => {
   }
 });
 
-// Trigger email sync (available to all users including FREE tier)
-router.post('/sync', authenticate, async (req, res, next) => {
+// Trigger email sync of every mailbox, or just one (available to all users including FREE tier)
+router.post('/sync', authenticate, [
+  body('mailboxId').optional().isUUID().withMessage('mailboxId must be a mailbox id')
+], async (req, res, next) => {
   try {
-    const user = await prisma.user.findUnique({
-      where: { id: req.user.id }
-    });
-
-    if (!user.gmailConnected) {
-      throw new AppError('Gmail not connected', 400);
-    }
+    checkValidation(req);
 
     // Check for existing sync in progress
     const existingSync = await prisma.emailSyncLog.findFirst({
@@ -63,27 +73,150 @@ router.post('/sync', authenticate, async (req, res, next) => {
       throw new AppError('Sync already in progress', 409);
     }
 
-    // Create sync log
-    const syncLog = await prisma.emailSyncLog.create({
-      data: {
-        userId: req.user.id,
-        status: 'IN_PROGRESS'
-      }
-    });
+    // One sync log per mailbox
+    const runs = await emailParser.startSync(req.user.id, { mailboxId: req.body.mailboxId });
+
+    if (runs.length === 0) {
+      throw req.body.mailboxId
+        ? new AppError('Mailbox not found', 404)
+        : new AppError('No mailbox connected', 400, 'NO_MAILBOX');
+    }
 
     // Start async sync (don't wait)
-    emailParser.syncEmails(user.id, syncLog.id)
+    emailParser.runSync(runs)
       .catch(err => logger.error('Email sync failed', err));
 
     res.json({
       message: 'Email sync started',
-      syncId: syncLog.id
+      syncId: runs[0].syncLog.id,
+      syncIds: runs.map(run => run.syncLog.id)
     });
   } catch (error) {
     next(error);
   }
 });
 
+// List connected mailboxes, and the providers that can be connected
+router.get('/mailboxes', authenticate, async (req, res, next) => {
+  try {
+    const connected = await mailboxes.list(req.user.id);
+    res.json({
+      mailboxes: connected.map(mailbox => mailboxes.present(mailbox)),
+      providers: mailboxes.providers()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Connect an IMAP mailbox with an app password
+router.post('/mailboxes/imap', authenticate, [
+  body('address').isEmail().withMessage('A valid email address is required'),
+  body('host').trim().matches(/^[a-z0-9]([a-z0-9.-]*[a-z0-9])?$/i).withMessage('A valid IMAP host is required'),
+  body('port').optional({ nullable: true }).isInt({ min: 1, max: 65535 }).withMessage('Port must be between 1 and 65535'),
+  body('security').optional().isIn(['tls', 'starttls', 'none']).withMessage('Security must be tls, starttls or none'),
+  body('username').optional().trim(),
+  body('password').notEmpty().withMessage('The app password is required'),
+  body('folder').optional().trim().notEmpty()
+], async (req, res, next) => {
+  try {
+    checkValidation(req);
+
+    const { address, host, port, security = 'tls', username, password, folder } = req.body;
+    let mailbox;
+    try {
+      mailbox = await mailboxes.connectImap(req.user.id, {
+        address,
+        host,
+        port: port ? parseInt(port) : null,
+        security,
+        username,
+        password,
+        folder
+      });
+    } catch (error) {
+      if (['INSECURE_IMAP', 'IMAP_HOST_NOT_ALLOWED'].includes(error.code)) throw new AppError(error.message, 400, error.code);
+      if (error.code === 'IMAP_LOGIN_FAILED') throw new AppError(error.message, 422, error.code);
+      throw error;
+    }
+
+    emailParser.backfillMailbox(mailbox);
+
+    res.status(201).json({ mailbox: mailboxes.present(mailbox) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Where to send the user to connect a Gmail or Microsoft mailbox
+router.get('/mailboxes/:provider/connect', authenticate, async (req, res, next) => {
+  try {
+    const provider = { gmail: 'GMAIL', microsoft: 'MICROSOFT' }[req.params.provider];
+    if (!provider) {
+      throw new AppError('Unknown mailbox provider', 404);
+    }
+    if (!mailboxes.providers().includes(provider)) {
+      throw new AppError(`${req.params.provider} mailboxes are not configured on this server`, 400, 'PROVIDER_NOT_CONFIGURED');
+    }
+
+    res.json({ url: mailboxes.authUrl(req.user.id, provider) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Microsoft OAuth - Callback (Gmail's goes through /api/auth/google/callback)
+router.get('/mailboxes/microsoft/callback', async (req, res, next) => {
+  try {
+    const { code, state, error_description: denied } = req.query;
+    const userId = state ? mailboxes.verifyState(state, 'MICROSOFT') : null;
+
+    if (!userId) {
+      throw new AppError('Invalid or expired mailbox connection request', 400);
+    }
+
+    if (denied || !code) {
+      logger.warn(`Microsoft mailbox connection not completed for user ${userId}: ${denied || 'no code'}`);
+      return res.redirect(`${process.env.FRONTEND_URL}/settings?mailbox=error`);
+    }
+
+    const mailbox = await mailboxes.connectOAuth(userId, 'MICROSOFT', code);
+    emailParser.backfillMailbox(mailbox);
+
+    res.redirect(`${process.env.FRONTEND_URL}/settings?mailbox=connected`);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Disconnect a mailbox; its purchases stay
+router.delete('/mailboxes/:id', authenticate, async (req, res, next) => {
+  try {
+    const mailbox = await mailboxes.get(req.user.id, req.params.id);
+    if (!mailbox) {
+      throw new AppError('Mailbox not found', 404);
+    }
+
+    await mailboxes.disconnect(req.user.id, mailbox.id);
+
+    // The primary Gmail account is the one claims are sent from
+    if (mailbox.provider === 'GMAIL' && mailbox.isPrimary) {
+      await prisma.user.update({
+        where: { id: req.user.id },
+        data: {
+          gmailAccessToken: null,
+          gmailRefreshToken: null,
+          gmailConnected: false
+        }
+      });
+    }
+
+    res.json({ message: 'Mailbox disconnected' });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Get sync status
 router.get('/sync/:syncId', authenticate, async (req, res, next) => {
   try {
@@ -122,14 +255,6 @@ router.get('/sync-history', authenticate, async (req, res, next) => {
 // Re-scan existing purchases to detect and link cards
 router.post('/rescan-cards', authenticate, async (req, res, next) => {
   try {
-    const user = await prisma.user.findUnique({
-      where: { id: req.user.id }
-    });
-
-    if (!user.gmailConnected) {
-      throw new AppError('Gmail not connected', 400);
-    }
-
     // Get purchases without a linked card that have a sourceEmailId
     const purchasesWithoutCards = await prisma.purchase.findMany({
       where: {
@@ -157,7 +282,7 @@ router.post('/rescan-cards', authenticate, async (req, res, next) => {
     }
 
     // Start async rescan (don't wait)
-    emailParser.rescanPurchasesForCards(user.id, purchasesWithoutCards)
+    emailParser.rescanPurchasesForCards(req.user.id, purchasesWithoutCards)
       .catch(err => logger.error('Card rescan failed', err));
 
     res.json({
@@ -0,0 +1,165 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { body, query, validationResult } = require('express-validator');
+const { authenticate, authenticateApiToken } = require('../middleware/auth');
+const { AppError } = require('../middleware/errorHandler');
+const apiTokens = require('../services/apiTokens');
+const extensionIngest = require('../services/extensionIngest');
+const priceCheckQueue = require('../services/priceCheckQueue');
+const retailerAdapters = require('../services/retailerAdapters');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+const DEFAULT_SCOPES = ['purchases:write', 'purchases:read'];
+
+// A checkout page's HTML can be large; the JSON body limit is 10 MB
+const MAX_PAGE_HTML = 5 * 1024 * 1024;
+
+function checkValidation(req) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Validation failed: ' + errors.array().map(e => e.msg).join(', '), 400);
+  }
+}
+
+// List the user's extension tokens
+router.get('/tokens', authenticate, async (req, res, next) => {
+  try {
+    res.json({ tokens: await apiTokens.list(req.user.id), scopes: apiTokens.scopes });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create a token; the secret is only ever returned here
+router.post('/tokens', authenticate, [
+  body('name').trim().notEmpty().isLength({ max: 100 }),
+  body('scopes').optional().isArray({ min: 1 }),
+  body('scopes.*').isIn(Object.keys(apiTokens.scopes)),
+  body('expiresInDays').optional({ nullable: true }).isInt({ min: 1, max: 365 })
+], async (req, res, next) => {
+  try {
+    checkValidation(req);
+
+    const { name, scopes = DEFAULT_SCOPES, expiresInDays } = req.body;
+    const { token, apiToken } = await apiTokens.create(req.user.id, {
+      name,
+      scopes,
+      expiresInDays: expiresInDays ? parseInt(expiresInDays) : null
+    });
+
+    res.status(201).json({
+      token,
+      apiToken,
+      message: 'Copy this token into the extension now; it will not be shown again'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Revoke a token
+router.delete('/tokens/:id', authenticate, async (req, res, next) => {
+  try {
+    if (!await apiTokens.revoke(req.user.id, req.params.id)) {
+      throw new AppError('API token not found', 404);
+    }
+    res.json({ message: 'API token revoked' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Which account a token belongs to, for the extension's connection check
+router.get('/me', authenticateApiToken(), async (req, res) => {
+  res.json({
+    user: { email: req.user.email, name: req.user.name },
+    token: { name: req.apiToken.name, scopes: req.apiToken.scopes, expiresAt: req.apiToken.expiresAt }
+  });
+});
+
+// Capture a purchase from an order-confirmation page: the items the extension
+// read, or the page's HTML to extract them from
+router.post('/purchases', authenticateApiToken('purchases:write'), [
+  body('pageUrl').isURL({ require_protocol: true, protocols: ['http', 'https'] }),
+  body('title').optional().isString(),
+  body('html').optional().isString().isLength({ max: MAX_PAGE_HTML }),
+  body('retailer').optional().trim(),
+  body('orderId').optional().trim().isLength({ max: 64 }),
+  body('orderDate').optional().isISO8601(),
+  body(['subtotal', 'tax', 'shipping', 'discount', 'total']).optional({ nullable: true }).isFloat({ min: 0 }),
+  body('cardLast4').optional().matches(/^\d{4}$/),
+  body('items').optional().isArray({ max: 100 }),
+  body('items.*.productName').optional().isString().trim(),
+  body('items.*.price').isFloat({ gt: 0 }),
+  body('items.*.quantity').optional().isInt({ min: 1, max: 999 }),
+  body('items.*.productUrl').optional({ nullable: true }).isString(),
+  body('items.*.variant').optional({ nullable: true }).custom(value => typeof value === 'string' || typeof value === 'object'),
+  body().custom(value => value.items?.length || value.html).withMessage('Send the items or the page html')
+], async (req, res, next) => {
+  try {
+    checkValidation(req);
+
+    const { items, orderDate, subtotal, tax, shipping, discount, total } = req.body;
+    const amount = (value) => (value == null ? null : parseFloat(value));
+
+    const result = await extensionIngest.ingest(req.user.id, {
+      ...req.body,
+      orderDate: orderDate ? new Date(orderDate) : null,
+      subtotal: amount(subtotal),
+      tax: amount(tax),
+      shipping: amount(shipping),
+      discount: amount(discount),
+      total: amount(total),
+      items: (items || []).map(item => ({
+        ...item,
+        price: parseFloat(item.price),
+        quantity: item.quantity ? parseInt(item.quantity) : 1
+      }))
+    });
+
+    if (result.status === 'NO_ORDER') {
+      throw new AppError(result.reason, 422, 'EXTENSION_NO_ORDER');
+    }
+
+    // Start monitoring right away rather than at the next scheduled check
+    if (result.status === 'CREATED') {
+      await priceCheckQueue.schedule(result.purchases.filter(p => p.productUrl).map(p => p.id));
+    }
+
+    res.status(result.status === 'CREATED' ? 201 : 200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Whether a product page is one the user already tracks
+router.get('/purchases/lookup', authenticateApiToken('purchases:read'), [
+  query('url').isURL({ require_protocol: true, protocols: ['http', 'https'] })
+], async (req, res, next) => {
+  try {
+    checkValidation(req);
+
+    const productUrl = await retailerAdapters.normalizeUrl(req.query.url);
+    const purchases = await prisma.purchase.findMany({
+      where: { userId: req.user.id, productUrl },
+      select: {
+        id: true,
+        productName: true,
+        purchasePrice: true,
+        currentPrice: true,
+        purchaseDate: true,
+        protectionEnds: true,
+        status: true
+      },
+      orderBy: { purchaseDate: 'desc' }
+    });
+
+    res.json({ tracked: purchases.length > 0, purchases });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
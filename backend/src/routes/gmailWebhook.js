@@ -0,0 +1,37 @@
+const express = require('express');
+const gmailPush = require('../services/gmailPush');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Gmail push notification, delivered by a Pub/Sub push subscription.
+// Any 2xx acknowledges the message; anything else makes Pub/Sub redeliver it.
+router.post('/', express.json(), async (req, res) => {
+  try {
+    await gmailPush.verify(req.headers.authorization);
+  } catch (err) {
+    if (err.code === 'PUSH_NOT_CONFIGURED') {
+      return res.status(503).json({ error: err.message });
+    }
+    logger.warn(`Gmail push rejected: ${err.message}`);
+    return res.status(401).json({ error: 'Push token verification failed' });
+  }
+
+  const notification = gmailPush.decode(req.body);
+  if (!notification) {
+    // Redelivering a malformed message won't fix it
+    logger.warn('Gmail push with no notification in it; acknowledged');
+    return res.status(204).end();
+  }
+
+  try {
+    const result = await gmailPush.handle(notification);
+    logger.info(`Gmail push ${notification.messageId} for ${notification.emailAddress} (history ${notification.historyId}): ${result.queued} of ${result.mailboxes} mailboxes queued`);
+    res.json(result);
+  } catch (err) {
+    logger.error('Gmail push handling failed', err);
+    res.status(500).json({ error: 'Push handling failed' });
+  }
+});
+
+module.exports = router;
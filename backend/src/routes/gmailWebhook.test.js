@@ -0,0 +1,144 @@
+jest.mock('@prisma/client', () => require('../../test/prismaMock'));
+jest.mock('../services/mailboxes', () => ({ findWatched: jest.fn() }));
+
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const mailboxes = require('../services/mailboxes');
+const gmailPush = require('../services/gmailPush');
+const gmailWebhookRoutes = require('./gmailWebhook');
+
+const AUDIENCE = 'https://api.example.com/api/webhooks/gmail';
+const SERVICE_ACCOUNT = 'gmail-push@example-project.iam.gserviceaccount.com';
+const KEY_ID = 'test-key';
+
+// Stands in for Google's signing key; the webhook is given its public half
+const signer = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const otherSigner = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+function pemOf(keyPair) {
+  return {
+    privateKey: keyPair.privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    publicKey: keyPair.publicKey.export({ type: 'spki', format: 'pem' })
+  };
+}
+
+function pushToken({ audience = AUDIENCE, keyPair = signer, email = SERVICE_ACCOUNT } = {}) {
+  return jwt.sign(
+    { email, email_verified: true, sub: '1234567890' },
+    pemOf(keyPair).privateKey,
+    { algorithm: 'RS256', keyid: KEY_ID, audience, issuer: 'https://accounts.google.com', expiresIn: '1h' }
+  );
+}
+
+function pushBody(notification = { emailAddress: 'Sam@example.com', historyId: 4242 }) {
+  return {
+    message: {
+      data: Buffer.from(JSON.stringify(notification)).toString('base64'),
+      messageId: 'pubsub-1',
+      publishTime: new Date().toISOString()
+    },
+    subscription: 'projects/example-project/subscriptions/gmail-push'
+  };
+}
+
+describe('POST /api/webhooks/gmail', () => {
+  const app = express();
+  app.use('/api/webhooks/gmail', gmailWebhookRoutes);
+  const env = { ...process.env };
+
+  beforeAll(() => {
+    gmailPush.useCertificates({ [KEY_ID]: pemOf(signer).publicKey });
+  });
+
+  afterAll(() => {
+    gmailPush.useCertificates(null);
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.GMAIL_PUSH_AUDIENCE = AUDIENCE;
+    process.env.GMAIL_PUSH_SERVICE_ACCOUNT = SERVICE_ACCOUNT;
+    mailboxes.findWatched.mockResolvedValue([
+      { id: 'mailbox-1', userId: 'user-1', syncCursor: { historyId: '4000' } },
+      { id: 'mailbox-2', userId: 'user-2', syncCursor: { historyId: '5000' } }
+    ]);
+    jest.spyOn(gmailPush, 'scheduleSync').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    process.env = { ...env };
+  });
+
+  it('queues a sync for a notification with a valid token', async () => {
+    const res = await request(app)
+      .post('/api/webhooks/gmail')
+      .set('Authorization', `Bearer ${pushToken()}`)
+      .send(pushBody());
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ mailboxes: 2, queued: 1 });
+    expect(mailboxes.findWatched).toHaveBeenCalledWith('sam@example.com');
+    // mailbox-2 already synced past history 4242
+    expect(gmailPush.scheduleSync).toHaveBeenCalledTimes(1);
+    expect(gmailPush.scheduleSync).toHaveBeenCalledWith(expect.objectContaining({ id: 'mailbox-1' }));
+  });
+
+  it('rejects a token for another audience', async () => {
+    const res = await request(app)
+      .post('/api/webhooks/gmail')
+      .set('Authorization', `Bearer ${pushToken({ audience: 'https://attacker.example.com/push' })}`)
+      .send(pushBody());
+
+    expect(res.status).toBe(401);
+    expect(gmailPush.scheduleSync).not.toHaveBeenCalled();
+  });
+
+  it('rejects a token signed by another key', async () => {
+    const res = await request(app)
+      .post('/api/webhooks/gmail')
+      .set('Authorization', `Bearer ${pushToken({ keyPair: otherSigner })}`)
+      .send(pushBody());
+
+    expect(res.status).toBe(401);
+    expect(gmailPush.scheduleSync).not.toHaveBeenCalled();
+  });
+
+  it('rejects a token issued to another service account', async () => {
+    const res = await request(app)
+      .post('/api/webhooks/gmail')
+      .set('Authorization', `Bearer ${pushToken({ email: 'someone@other-project.iam.gserviceaccount.com' })}`)
+      .send(pushBody());
+
+    expect(res.status).toBe(401);
+  });
+
+  it('rejects a request without a token', async () => {
+    const res = await request(app).post('/api/webhooks/gmail').send(pushBody());
+
+    expect(res.status).toBe(401);
+  });
+
+  it('acknowledges a message with no notification in it', async () => {
+    const res = await request(app)
+      .post('/api/webhooks/gmail')
+      .set('Authorization', `Bearer ${pushToken()}`)
+      .send({ message: { data: 'bm90IGpzb24=' } });
+
+    expect(res.status).toBe(204);
+    expect(mailboxes.findWatched).not.toHaveBeenCalled();
+  });
+
+  it('is unavailable until an audience is configured', async () => {
+    delete process.env.GMAIL_PUSH_AUDIENCE;
+
+    const res = await request(app)
+      .post('/api/webhooks/gmail')
+      .set('Authorization', `Bearer ${pushToken()}`)
+      .send(pushBody());
+
+    expect(res.status).toBe(503);
+  });
+});
@@ -1,13 +1,119 @@
 const express = require('express');
+const multer = require('multer');
 const { PrismaClient } = require('@prisma/client');
 const { body, query, validationResult } = require('express-validator');
 const { authenticate, optionalSubscription } = require('../middleware/auth');
 const { AppError } = require('../middleware/errorHandler');
 const priceMonitorService = require('../services/priceMonitor');
+const priceCheckQueue = require('../services/priceCheckQueue');
+const claimEligibility = require('../services/claimEligibility');
+const retailerAdjustments = require('../services/retailerAdjustments');
+const returnAdvisor = require('../services/returnAdvisor');
+const receiptImport = require('../services/receiptImport');
+const purchaseImport = require('../services/purchaseImport');
+const { normalizeVariant, extractVariantFromText } = require('../utils/variantUtils');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+/**
+ * One uploaded file, read into memory, in `field`; multer's own errors
+ * (file too large, wrong field) become AppErrors.
+ * @param {Object} options - { maxMb, accepts(file), unsupported: [message, code], tooLarge: [message, code] }
+ */
+function singleUpload(field, { maxMb, accepts, unsupported, tooLarge }) {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxMb * 1024 * 1024, files: 1 },
+    fileFilter: (req, file, cb) => {
+      if (accepts(file)) return cb(null, true);
+      cb(new AppError(unsupported[0], 400, unsupported[1]));
+    }
+  });
+
+  return (req, res, next) => {
+    upload.single(field)(req, res, (error) => {
+      if (error instanceof multer.MulterError) {
+        return next(error.code === 'LIMIT_FILE_SIZE'
+          ? new AppError(tooLarge[0], 413, tooLarge[1])
+          : new AppError(`Upload one file in the "${field}" field (${error.message})`, 400));
+      }
+      next(error);
+    });
+  };
+}
+
+// Receipts are stored with the purchases (see services/receiptImport.js)
+const receiptUpload = singleUpload('receipt', {
+  maxMb: 10,
+  accepts: file => Boolean(receiptImport.kindOf(file)),
+  unsupported: ['Upload a PDF invoice or a receipt email saved as .eml or .html', 'UNSUPPORTED_RECEIPT'],
+  tooLarge: ['Receipts can be up to 10 MB', 'RECEIPT_TOO_LARGE']
+});
+
+// Statements and order-history exports are only read (see services/purchaseImport.js)
+const statementUpload = singleUpload('file', {
+  maxMb: 5,
+  accepts: file => Boolean(purchaseImport.formatOf(file)),
+  unsupported: ['Upload a CSV file or an OFX/QFX statement', 'UNSUPPORTED_IMPORT'],
+  tooLarge: ['Import files can be up to 5 MB', 'IMPORT_TOO_LARGE']
+});
+
+// Import outcomes that don't create anything
+const RECEIPT_ERRORS = {
+  UNSUPPORTED: [400, 'UNSUPPORTED_RECEIPT'],
+  DUPLICATE: [409, 'DUPLICATE_RECEIPT'],
+  UNREADABLE: [422, 'RECEIPT_UNREADABLE'],
+  NO_ORDER: [422, 'RECEIPT_NO_ORDER']
+};
+
+const IMPORT_ERRORS = {
+  UNSUPPORTED: [400, 'UNSUPPORTED_IMPORT'],
+  TOO_MANY_ROWS: [413, 'IMPORT_TOO_MANY_ROWS']
+};
+
+const importValidators = [
+  body('mapping').optional({ checkFalsy: true }).isJSON(),
+  body('dateOrder').optional({ checkFalsy: true }).isIn(['MDY', 'DMY']),
+  body('amountSign').optional({ checkFalsy: true }).isIn(['auto', 'positive', 'negative']),
+  body('creditCardId').optional({ checkFalsy: true }).isUUID(),
+  body('retailer').optional({ checkFalsy: true }).trim(),
+  body('lines').optional({ checkFalsy: true }).isJSON()
+];
+
+// The import options from a multipart form (JSON fields arrive as strings)
+async function importOptions(req) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Validation failed: ' + errors.array().map(e => e.msg).join(', '), 400);
+  }
+  if (!req.file) {
+    throw new AppError('Choose a CSV or OFX file to import', 400);
+  }
+
+  const { mapping, dateOrder, amountSign, creditCardId, retailer, lines } = req.body;
+
+  let creditCard = null;
+  if (creditCardId) {
+    creditCard = await prisma.creditCard.findFirst({
+      where: { id: creditCardId, userId: req.user.id },
+      select: { id: true, nickname: true, issuer: true, lastFour: true, protectionDays: true }
+    });
+    if (!creditCard) {
+      throw new AppError('Credit card not found', 404);
+    }
+  }
+
+  return {
+    mapping: mapping ? JSON.parse(mapping) : undefined,
+    dateOrder: dateOrder || 'MDY',
+    amountSign: amountSign || 'auto',
+    creditCard,
+    retailer: retailer || null,
+    lines: lines ? JSON.parse(lines) : undefined
+  };
+}
+
 // Get all purchases
 router.get('/', authenticate, optionalSubscription, async (req, res, next) => {
   try {
@@ -26,6 +132,9 @@ router.get('/', authenticate, optionalSubscription, async (req, res, next) => {
           creditCard: {
             select: { nickname: true, issuer: true, lastFour: true }
           },
+          order: {
+            select: { id: true, retailerOrderId: true, total: true, _count: { select: { purchases: true } } }
+          },
           priceHistory: {
             orderBy: { checkedAt: 'desc' },
             take: 5
@@ -65,6 +174,28 @@ router.get('/:id', authenticate, async (req, res, next) => {
       },
       include: {
         creditCard: true,
+        // The order it came from, with the other line items
+        order: {
+          include: {
+            purchases: {
+              select: {
+                id: true,
+                productName: true,
+                quantity: true,
+                unitPrice: true,
+                discountShare: true,
+                purchasePrice: true,
+                status: true
+              },
+              orderBy: { lineIndex: 'asc' }
+            },
+            // Shipping, cancellation, return and refund emails about it
+            events: {
+              select: { id: true, type: true, amount: true, items: true, occurredAt: true },
+              orderBy: { occurredAt: 'asc' }
+            }
+          }
+        },
         priceHistory: {
           orderBy: { checkedAt: 'desc' }
         },
@@ -89,12 +220,14 @@ router.post('/', authenticate, [
   body('productName').trim().notEmpty(),
   body('retailer').trim().notEmpty(),
   body('purchasePrice').isFloat({ min: 0.01 }),
+  body('quantity').optional().isInt({ min: 1 }),
   body('purchaseDate').isISO8601(),
   body('productUrl').optional().isURL(),
   body('creditCardId').optional().isUUID(),
   body('retailerOrderId').optional().trim(),
   body('category').optional().trim(),
-  body('imageUrl').optional().isURL()
+  body('imageUrl').optional().isURL(),
+  body('variant').optional().isObject()
 ], async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -106,14 +239,18 @@ router.post('/', authenticate, [
       productName,
       retailer,
       purchasePrice,
+      quantity,
       purchaseDate,
       productUrl,
       creditCardId,
       retailerOrderId,
       category,
-      imageUrl
+      imageUrl,
+      variant
     } = req.body;
 
+    const normalizedVariant = normalizeVariant(variant) || extractVariantFromText('', productName);
+
     // Verify credit card belongs to user if provided
     if (creditCardId) {
       const card = await prisma.creditCard.findFirst({
@@ -132,22 +269,28 @@ router.post('/', authenticate, [
       protectionEnds.setDate(protectionEnds.getDate() + card.protectionDays);
     }
 
+    // ...and the retailer's return window
+    const returnWindowEnds = await returnAdvisor.windowEndsFor({ retailer, productUrl, category, purchaseDate });
+
     const purchase = await prisma.purchase.create({
       data: {
         userId: req.user.id,
         productName,
         retailer,
         purchasePrice,
+        ...(quantity && { quantity: parseInt(quantity) }),
         currentPrice: purchasePrice,
         lowestPrice: purchasePrice,
         lowestPriceDate: new Date(purchaseDate),
         purchaseDate: new Date(purchaseDate),
         protectionEnds,
+        returnWindowEnds,
         productUrl,
         creditCardId,
         retailerOrderId,
         category,
         imageUrl,
+        ...(normalizedVariant && { variant: normalizedVariant }),
         sourceType: 'MANUAL',
         status: 'MONITORING'
       },
@@ -178,13 +321,131 @@ router.post('/', authenticate, [
   }
 });
 
+// Create purchases from an uploaded PDF invoice or .eml/.html receipt
+router.post('/receipts', authenticate, receiptUpload, [
+  body('retailer').optional({ checkFalsy: true }).trim(),
+  body('purchaseDate').optional({ checkFalsy: true }).isISO8601(),
+  body('creditCardId').optional({ checkFalsy: true }).isUUID()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new AppError('Validation failed: ' + errors.array().map(e => e.msg).join(', '), 400);
+    }
+    if (!req.file) {
+      throw new AppError('Choose a receipt file to upload', 400);
+    }
+
+    const { retailer, purchaseDate, creditCardId } = req.body;
+
+    // The card that paid, when the user picked one; otherwise it is matched from the receipt
+    let creditCard = null;
+    if (creditCardId) {
+      creditCard = await prisma.creditCard.findFirst({
+        where: { id: creditCardId, userId: req.user.id }
+      });
+      if (!creditCard) {
+        throw new AppError('Credit card not found', 404);
+      }
+    }
+
+    const result = await receiptImport.import(req.user.id, req.file, {
+      retailer: retailer || null,
+      purchaseDate: purchaseDate ? new Date(purchaseDate) : null,
+      creditCard
+    });
+
+    if (RECEIPT_ERRORS[result.status]) {
+      const [statusCode, code] = RECEIPT_ERRORS[result.status];
+      throw new AppError(result.reason, statusCode, code);
+    }
+
+    // Start monitoring the new items that have a link
+    if (result.status === 'CREATED') {
+      await priceCheckQueue.schedule(result.purchases.filter(p => p.productUrl).map(p => p.id));
+    }
+
+    const { id, fileName, contentType, size, createdAt } = result.receipt;
+    res.status(result.status === 'CREATED' ? 201 : 200).json({
+      status: result.status,
+      receipt: { id, fileName, contentType, size, createdAt },
+      order: result.order,
+      purchases: result.purchases
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Dry run of a CSV/OFX import: the column mapping and what each row would become
+router.post('/import/preview', authenticate, statementUpload, importValidators, async (req, res, next) => {
+  try {
+    const result = await purchaseImport.preview(req.user.id, req.file, await importOptions(req));
+
+    if (IMPORT_ERRORS[result.status]) {
+      const [statusCode, code] = IMPORT_ERRORS[result.status];
+      throw new AppError(result.reason, statusCode, code);
+    }
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Import a CSV/OFX file's new rows as purchases (the same file and options as the preview)
+router.post('/import', authenticate, statementUpload, importValidators, async (req, res, next) => {
+  try {
+    const result = await purchaseImport.import(req.user.id, req.file, await importOptions(req));
+
+    if (IMPORT_ERRORS[result.status]) {
+      const [statusCode, code] = IMPORT_ERRORS[result.status];
+      throw new AppError(result.reason, statusCode, code);
+    }
+    if (result.status === 'NEEDS_MAPPING') {
+      throw new AppError(`Invalid column mapping: ${result.mappingErrors.join('; ')}`, 400, 'INVALID_MAPPING');
+    }
+
+    // Start monitoring the new items that have a link
+    await priceCheckQueue.schedule(result.purchases.filter(p => p.productUrl).map(p => p.id));
+
+    res.status(result.purchases.length ? 201 : 200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Download the receipt uploaded for a purchase
+router.get('/:id/receipt', authenticate, async (req, res, next) => {
+  try {
+    const purchase = await prisma.purchase.findFirst({
+      where: { id: req.params.id, userId: req.user.id },
+      include: { receipt: true }
+    });
+
+    if (!purchase) {
+      throw new AppError('Purchase not found', 404);
+    }
+    if (!purchase.receipt) {
+      throw new AppError('No receipt was uploaded for this purchase', 404);
+    }
+
+    const { receipt } = purchase;
+    res.set(receiptImport.downloadHeaders(receipt));
+    res.send(Buffer.from(receipt.content));
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Update purchase
 router.patch('/:id', authenticate, [
   body('productName').optional().trim().notEmpty(),
   body('productUrl').optional().isURL(),
   body('creditCardId').optional().isUUID(),
   body('category').optional().trim(),
-  body('paymentCardLast4').optional().isLength({ min: 4, max: 4 })
+  body('paymentCardLast4').optional().isLength({ min: 4, max: 4 }),
+  body('variant').optional().isObject()
 ], async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -200,7 +461,8 @@ router.patch('/:id', authenticate, [
       throw new AppError('Purchase not found', 404);
     }
 
-    const { productName, productUrl, creditCardId, category, paymentCardLast4 } = req.body;
+    const { productName, productUrl, creditCardId, category, paymentCardLast4, variant } = req.body;
+    const normalizedVariant = variant ? normalizeVariant(variant) : null;
 
     // Recalculate protection end if credit card changes
     let protectionEnds = existing.protectionEnds;
@@ -215,6 +477,12 @@ router.patch('/:id', authenticate, [
       protectionEnds.setDate(protectionEnds.getDate() + card.protectionDays);
     }
 
+    // The return window can depend on the category
+    let returnWindowEnds = existing.returnWindowEnds;
+    if ((category && category !== existing.category) || (productUrl && productUrl !== existing.productUrl)) {
+      returnWindowEnds = await returnAdvisor.windowEndsFor({ ...existing, ...(category && { category }), ...(productUrl && { productUrl }) });
+    }
+
     const purchase = await prisma.purchase.update({
       where: { id: req.params.id },
       data: {
@@ -222,7 +490,9 @@ router.patch('/:id', authenticate, [
         ...(productUrl && { productUrl }),
         ...(creditCardId && { creditCardId, protectionEnds }),
         ...(category && { category }),
-        ...(paymentCardLast4 && { paymentCardLast4 })
+        ...(paymentCardLast4 && { paymentCardLast4 }),
+        ...(normalizedVariant && { variant: normalizedVariant }),
+        returnWindowEnds
       },
       include: {
         creditCard: {
@@ -231,6 +501,11 @@ router.patch('/:id', authenticate, [
       }
     });
 
+    // A stored exclusion verdict depends on the item, its category and the card
+    if (existing.eligibility && (productName || creditCardId || category || normalizedVariant)) {
+      purchase.eligibility = await claimEligibility.refresh(purchase.id);
+    }
+
     res.json(purchase);
   } catch (error) {
     next(error);
@@ -277,6 +552,37 @@ router.post('/:id/check-price', authenticate, async (req, res, next) => {
   }
 });
 
+// Confirm or reject a price reading held for low confidence
+router.post('/:id/confirm-price', authenticate, async (req, res, next) => {
+  try {
+    const { accept } = req.body;
+
+    if (typeof accept !== 'boolean') {
+      throw new AppError('accept (boolean) is required', 400);
+    }
+
+    const purchase = await prisma.purchase.findFirst({
+      where: { id: req.params.id, userId: req.user.id }
+    });
+    if (!purchase) {
+      throw new AppError('Purchase not found', 404);
+    }
+
+    if (purchase.status !== 'PRICE_NEEDS_CONFIRMATION') {
+      throw new AppError('This purchase has no price awaiting confirmation', 400);
+    }
+
+    const result = await priceMonitorService.resolveHeldReading(purchase.id, accept);
+    if (!result.success) {
+      throw new AppError(result.error, 400);
+    }
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Get price history for purchase
 router.get('/:id/price-history', authenticate, async (req, res, next) => {
   try {
@@ -298,78 +604,165 @@ router.get('/:id/price-history', authenticate, async (req, res, next) => {
   }
 });
 
-// DEV ONLY: Manually set price for testing (simulate price drop)
-router.post('/:id/simulate-price-drop', authenticate, async (req, res, next) => {
+// Check the purchase and its lowest price against the card's benefit exclusions
+router.get('/:id/eligibility', authenticate, async (req, res, next) => {
   try {
-    const { newPrice } = req.body;
+    const purchase = await prisma.purchase.findFirst({
+      where: { id: req.params.id, userId: req.user.id }
+    });
+    if (!purchase) {
+      throw new AppError('Purchase not found', 404);
+    }
+
+    const eligibility = await claimEligibility.refresh(purchase.id);
+
+    res.json(eligibility);
+  } catch (error) {
+    next(error);
+  }
+});
 
-    if (!newPrice || newPrice <= 0) {
-      throw new AppError('Valid newPrice is required', 400);
+// Whether the retailer would refund the lowest price itself, and how to ask
+router.get('/:id/retailer-adjustment', authenticate, async (req, res, next) => {
+  try {
+    const purchase = await prisma.purchase.findFirst({
+      where: { id: req.params.id, userId: req.user.id }
+    });
+    if (!purchase) {
+      throw new AppError('Purchase not found', 404);
     }
 
+    const adjustment = await retailerAdjustments.evaluate(purchase);
+    await prisma.purchase.update({ where: { id: purchase.id }, data: { retailerAdjustment: adjustment } });
+
+    res.json(adjustment);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Compare a claim, a retailer price adjustment and a return and rebuy at the lowest price
+router.get('/:id/recommendation', authenticate, async (req, res, next) => {
+  try {
     const purchase = await prisma.purchase.findFirst({
       where: { id: req.params.id, userId: req.user.id },
-      include: { user: true }
+      include: { creditCard: true }
     });
-
     if (!purchase) {
       throw new AppError('Purchase not found', 404);
     }
 
-    const priceDrop = purchase.purchasePrice - newPrice;
-    const priceDropPercent = (priceDrop / purchase.purchasePrice) * 100;
-    const meetsThreshold = priceDrop >= (purchase.user?.priceDropThreshold || 5);
+    const price = purchase.lowestPrice ?? purchase.currentPrice;
+    if (price == null) {
+      throw new AppError('No price has been read for this purchase yet', 400);
+    }
 
-    // Update purchase with new price
-    const updated = await prisma.purchase.update({
-      where: { id: req.params.id },
-      data: {
-        currentPrice: newPrice,
-        lowestPrice: newPrice,
-        lowestPriceDate: new Date(),
-        status: meetsThreshold ? 'PRICE_DROP_DETECTED' : 'MONITORING'
-      }
+    const identicalReading = await priceMonitorService.findIdenticalItemReading(purchase.id, price);
+    const options = { price, ...(identicalReading && { reading: identicalReading }) };
+    const [eligibility, adjustment] = await Promise.all([
+      claimEligibility.evaluate(purchase, options),
+      retailerAdjustments.evaluate(purchase, options)
+    ]);
+    const recommendation = await returnAdvisor.recommend(purchase, {
+      price,
+      eligibility,
+      adjustment,
+      identicalItem: Boolean(identicalReading)
     });
 
-    // Create price history entry
-    await prisma.priceHistory.create({
+    await prisma.purchase.update({
+      where: { id: purchase.id },
       data: {
-        purchaseId: purchase.id,
-        price: newPrice,
-        source: 'manual_simulation'
+        eligibility,
+        retailerAdjustment: adjustment,
+        returnRecommendation: recommendation,
+        ...(!purchase.returnWindowEnds && recommendation.returnWindowEnds && { returnWindowEnds: new Date(recommendation.returnWindowEnds) })
       }
     });
 
-    // Create notification if significant drop
-    if (meetsThreshold) {
-      await prisma.notification.create({
+    res.json(recommendation);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DEV ONLY: Manually set price for testing (simulate price drop). Not served in production.
+if (process.env.NODE_ENV !== 'production') {
+  router.post('/:id/simulate-price-drop', authenticate, async (req, res, next) => {
+    try {
+      const { newPrice } = req.body;
+
+      if (!newPrice || newPrice <= 0) {
+        throw new AppError('Valid newPrice is required', 400);
+      }
+
+      const purchase = await prisma.purchase.findFirst({
+        where: { id: req.params.id, userId: req.user.id },
+        include: { user: true }
+      });
+
+      if (!purchase) {
+        throw new AppError('Purchase not found', 404);
+      }
+
+      const priceDrop = purchase.purchasePrice - newPrice;
+      const priceDropPercent = (priceDrop / purchase.purchasePrice) * 100;
+      const meetsThreshold = priceDrop >= (purchase.user?.priceDropThreshold || 5);
+
+      // Update purchase with new price
+      const updated = await prisma.purchase.update({
+        where: { id: req.params.id },
         data: {
-          userId: purchase.userId,
-          type: 'PRICE_DROP',
-          title: 'Price Drop Detected! 💰',
-          message: `${purchase.productName} dropped by $${priceDrop.toFixed(2)} (${priceDropPercent.toFixed(1)}%)`,
+          currentPrice: newPrice,
+          lowestPrice: newPrice,
+          lowestPriceDate: new Date(),
+          status: meetsThreshold ? 'PRICE_DROP_DETECTED' : 'MONITORING'
+        }
+      });
+
+      // Create price history entry
+      await prisma.priceHistory.create({
+        data: {
+          purchaseId: purchase.id,
+          price: newPrice,
+          source: 'manual_simulation',
+          // Never evidence for a claim: the price was typed in, not read
+          variantMatch: null,
+          status: 'REJECTED'
+        }
+      });
+
+      // Create notification if significant drop
+      if (meetsThreshold) {
+        await prisma.notification.create({
           data: {
-            purchaseId: purchase.id,
-            priceDrop,
-            priceDropPercent,
-            newPrice
+            userId: purchase.userId,
+            type: 'PRICE_DROP',
+            title: 'Price Drop Detected! 💰',
+            message: `${purchase.productName} dropped by $${priceDrop.toFixed(2)} (${priceDropPercent.toFixed(1)}%)`,
+            data: {
+              purchaseId: purchase.id,
+              priceDrop,
+              priceDropPercent,
+              newPrice
+            }
           }
-        }
+        });
+      }
+
+      res.json({
+        success: true,
+        purchasePrice: purchase.purchasePrice,
+        currentPrice: newPrice,
+        priceDrop: priceDrop.toFixed(2),
+        priceDropPercent: priceDropPercent.toFixed(1),
+        status: updated.status
       });
+    } catch (error) {
+      next(error);
     }
-
-    res.json({
-      success: true,
-      purchasePrice: purchase.purchasePrice,
-      currentPrice: newPrice,
-      priceDrop: priceDrop.toFixed(2),
-      priceDropPercent: priceDropPercent.toFixed(1),
-      status: updated.status
-    });
-  } catch (error) {
-    next(error);
-  }
-});
+  });
+}
 
 // Get dashboard stats
 router.get('/stats/dashboard', authenticate, async (req, res, next) => {
@@ -419,11 +812,12 @@ router.get('/stats/dashboard', authenticate, async (req, res, next) => {
         userId,
         status: { in: ['PRICE_DROP_DETECTED', 'CLAIM_ELIGIBLE'] }
       },
-      select: { purchasePrice: true, lowestPrice: true }
+      select: { purchasePrice: true, lowestPrice: true, quantity: true }
     });
 
+    // Prices are per unit
     const totalPotentialSavings = currentPrices.reduce((sum, p) => {
-      return sum + (p.purchasePrice - (p.lowestPrice || p.purchasePrice));
+      return sum + (p.purchasePrice - (p.lowestPrice || p.purchasePrice)) * p.quantity;
     }, 0);
 
     res.json({
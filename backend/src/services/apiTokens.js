@@ -0,0 +1,102 @@
+/**
+ * API Tokens
+ *
+ * Long-lived tokens for the browser extension. Unlike the session JWT they
+ * carry scopes, can be revoked one at a time, and are stored only as a
+ * SHA-256 hash: the token itself is shown once, when it is created.
+ */
+
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+const TOKEN_PREFIX = 'ppb_';
+
+// What a token can be allowed to do
+const SCOPES = {
+  'purchases:write': 'Add purchases captured at checkout',
+  'purchases:read': 'Check whether a product is already tracked'
+};
+
+// lastUsedAt is only written this often, not on every request
+const TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// What the API returns for a token (never the hash)
+function present(apiToken) {
+  const { tokenHash, ...rest } = apiToken;
+  return { ...rest, active: !apiToken.revokedAt && !(apiToken.expiresAt && apiToken.expiresAt < new Date()) };
+}
+
+class ApiTokenService {
+  get scopes() {
+    return SCOPES;
+  }
+
+  looksLikeToken(value) {
+    return typeof value === 'string' && value.startsWith(TOKEN_PREFIX);
+  }
+
+  /**
+   * Create a token.
+   * @returns {Promise<{ token: string, apiToken: Object }>} token is the secret, returned only here
+   */
+  async create(userId, { name, scopes, expiresInDays = null }) {
+    const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+    const apiToken = await prisma.apiToken.create({
+      data: {
+        userId,
+        name,
+        tokenHash: hashToken(token),
+        prefix: token.slice(0, TOKEN_PREFIX.length + 6),
+        scopes: [...new Set(scopes)],
+        expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null
+      }
+    });
+    return { token, apiToken: present(apiToken) };
+  }
+
+  async list(userId) {
+    const tokens = await prisma.apiToken.findMany({
+      where: { userId },
+      orderBy: { createdAt: 'desc' }
+    });
+    return tokens.map(present);
+  }
+
+  // Returns false when the user has no such token
+  async revoke(userId, id) {
+    const { count } = await prisma.apiToken.updateMany({
+      where: { id, userId, revokedAt: null },
+      data: { revokedAt: new Date() }
+    });
+    if (count) return true;
+    return Boolean(await prisma.apiToken.findFirst({ where: { id, userId } }));
+  }
+
+  /**
+   * Look up a presented token.
+   * @returns {Promise<{ apiToken?: Object, reason?: string }>} reason is set when it can't be used
+   */
+  async verify(token) {
+    const apiToken = await prisma.apiToken.findUnique({ where: { tokenHash: hashToken(token) } });
+    if (!apiToken) return { reason: 'Invalid API token' };
+    if (apiToken.revokedAt) return { reason: 'API token has been revoked' };
+    if (apiToken.expiresAt && apiToken.expiresAt < new Date()) return { reason: 'API token expired' };
+
+    if (!apiToken.lastUsedAt || Date.now() - apiToken.lastUsedAt.getTime() > TOUCH_INTERVAL_MS) {
+      prisma.apiToken.update({
+        where: { id: apiToken.id },
+        data: { lastUsedAt: new Date() }
+      }).catch(() => {});
+    }
+
+    return { apiToken };
+  }
+}
+
+module.exports = new ApiTokenService();
@@ -1,60 +1,37 @@
 /**
  * Auto Claim Filer Service
- * Files price protection claims via email using Gmail API (OAuth2).
- * Falls back to SendGrid if Gmail is unavailable.
+ * Files price protection claims via email through services/mailTransport
+ * (the user's Gmail by default, falling back to SendGrid).
  * Generates proof: PDF documentation, price screenshot, email proof screenshot.
  *
  * Flow:
+ *   0. Re-check the benefit exclusions (services/claimEligibility.js) and the
+ *      card's claim limits (services/benefitLedger.js), then record a filing
+ *      attempt (services/claimFilingLock.js) so the email is sent at most once
  *   1. Generate claim PDF
  *   2. Capture price screenshot (if product URL exists)
- *   3. Send claim email to card issuer via Gmail API (or SendGrid fallback)
+ *   3. Send claim email to card issuer via the claims mail transport
  *   4. Capture email proof screenshot (rendered HTML of the sent email)
  *   5. Update claim record with all proof data
  *   6. Notify user
  */
 
-const { google } = require('googleapis');
 const puppeteer = require('puppeteer');
 const { PrismaClient } = require('@prisma/client');
 const { v4: uuidv4 } = require('uuid');
-const fs = require('fs').promises;
 const path = require('path');
 const logger = require('../utils/logger');
 const claimService = require('./claimService');
+const claimFilingLock = require('./claimFilingLock');
+const mailTransport = require('./mailTransport');
+const benefitCatalog = require('./benefitCatalog');
+const claimEligibility = require('./claimEligibility');
+const benefitLedger = require('./benefitLedger');
+const claimAmount = require('./claimAmount');
+const receiptImport = require('./receiptImport');
 
 const prisma = new PrismaClient();
 
-// SendGrid is optional fallback
-let sgMail = null;
-try {
-  sgMail = require('@sendgrid/mail');
-  if (process.env.SENDGRID_API_KEY) {
-    sgMail.setApiKey(process.env.SENDGRID_API_KEY);
-  }
-} catch (e) {
-  logger.info('SendGrid not available, using Gmail API only');
-}
-
-// ── Issuer claim email addresses ─────────────────────────────────────────────
-// These are the benefit-services addresses that handle price protection claims.
-const ISSUER_CLAIM_EMAILS = {
-  'american express': 'purchaseprotection@aexp.com',
-  'amex':             'purchaseprotection@aexp.com',
-  'chase':            'cardbenefitservices@eclaimsline.com',
-  'citi':             'citibenefit@aon.com',
-  'citibank':         'citibenefit@aon.com',
-  'discover':         'discover@cardbenefitservices.com',
-  'visa':             'visabenefits@cardbenefitservices.com',
-  'mastercard':       'mastercardbenefits@cardbenefitservices.com',
-  'capital one':      'priceprotection@capitalone.com',
-  'capitalone':       'priceprotection@capitalone.com',
-  'wells fargo':      'priceprotection@wellsfargo.com',
-  'wellsfargo':       'priceprotection@wellsfargo.com',
-  'barclays':         'benefits@barclaysus.com',
-  'usbank':           'cardmemberservice@usbank.com',
-  'us bank':          'cardmemberservice@usbank.com',
-};
-
 // ── Issuer-specific email templates ──────────────────────────────────────────
 const EMAIL_TEMPLATES = {
   amex: {
@@ -81,22 +58,6 @@ const EMAIL_TEMPLATES = {
 
 // ── Helpers ──────────────────────────────────────────────────────────────────
 
-function getClaimEmail(issuer, card) {
-  // 1. Check if the credit-card record has a custom claim email
-  if (card?.claimEmail) return card.claimEmail;
-
-  // 2. Look up from our map (case-insensitive)
-  const key = (issuer || '').toLowerCase().trim();
-  if (ISSUER_CLAIM_EMAILS[key]) return ISSUER_CLAIM_EMAILS[key];
-
-  // 3. Also check the card's network (visa/mastercard) as fallback
-  const network = (card?.network || '').toLowerCase().trim();
-  if (ISSUER_CLAIM_EMAILS[network]) return ISSUER_CLAIM_EMAILS[network];
-
-  // 4. Fall back to a generic email (better than nothing)
-  return 'cardbenefitservices@eclaimsline.com';
-}
-
 function getTemplate(issuer) {
   const key = (issuer || '').toLowerCase().trim();
   if (key.includes('amex') || key.includes('american express')) return EMAIL_TEMPLATES.amex;
@@ -115,7 +76,7 @@ function buildEmailBody(claim) {
   const purchase = claim.purchase;
   const user = claim.user;
   const template = getTemplate(card.issuer);
-  const claimAmount = Math.min(claim.priceDifference, card.maxClaimAmount);
+  const breakdown = claim.amountBreakdown;
 
   const data = {
     productName: purchase.productName,
@@ -140,18 +101,20 @@ PURCHASE DETAILS:
 - Retailer: ${purchase.retailer}
 - Order ID: ${purchase.retailerOrderId || 'See attached receipt'}
 - Purchase Date: ${new Date(purchase.purchaseDate).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })}
-- Original Purchase Price: $${claim.originalPrice.toFixed(2)}
+- Original Purchase Price: $${claim.originalPrice.toFixed(2)}${breakdown.quantity > 1 ? ` per unit\n- Quantity: ${breakdown.quantity}` : ''}
 
 PRICE DROP INFORMATION:
 - Current Lower Price: $${claim.newPrice.toFixed(2)}
-- Price Difference: $${claim.priceDifference.toFixed(2)}
 - Date Lower Price Found: ${purchase.lowestPriceDate ? new Date(purchase.lowestPriceDate).toLocaleDateString('en-US') : new Date().toLocaleDateString('en-US')}${purchase.productUrl ? `\n- Price Source URL: ${purchase.productUrl}` : ''}
 
-CLAIM AMOUNT REQUESTED: $${claimAmount.toFixed(2)}
+CLAIM AMOUNT BREAKDOWN:
+${claimAmount.describe(breakdown)}
+
+CLAIM AMOUNT REQUESTED: $${breakdown.amount.toFixed(2)}
 
 I have attached the following documentation:
 1. Claim summary document (PDF) with full details
-2. Screenshot of the current lower price (if available)
+2. Screenshot of the current lower price (if available)${claim.receiptAttached ? '\n3. Itemized receipt for the purchase' : ''}
 
 Please process this claim at your earliest convenience. I understand the claim is subject to the standard terms and conditions of my card's price protection benefit.
 
@@ -167,167 +130,6 @@ Submitted automatically via PriceDropped`;
   return { subject, body };
 }
 
-// ── Helper: Get Gmail client for a user ──────────────────────────────────────
-
-async function getGmailClient(userId) {
-  const user = await prisma.user.findUnique({
-    where: { id: userId },
-    select: {
-      gmailAccessToken: true,
-      gmailRefreshToken: true,
-    }
-  });
-
-  if (!user?.gmailAccessToken) {
-    throw new Error('Gmail not connected for this user');
-  }
-
-  const oauth2Client = new google.auth.OAuth2(
-    process.env.GOOGLE_CLIENT_ID,
-    process.env.GOOGLE_CLIENT_SECRET,
-    process.env.GOOGLE_REDIRECT_URI
-  );
-
-  oauth2Client.setCredentials({
-    access_token: user.gmailAccessToken,
-    refresh_token: user.gmailRefreshToken,
-  });
-
-  // Handle token refresh
-  oauth2Client.on('tokens', async (tokens) => {
-    if (tokens.access_token) {
-      await prisma.user.update({
-        where: { id: userId },
-        data: { gmailAccessToken: tokens.access_token }
-      });
-    }
-  });
-
-  return google.gmail({ version: 'v1', auth: oauth2Client });
-}
-
-// ── Core: Send claim email via Gmail API ─────────────────────────────────────
-
-async function sendClaimEmailViaGmail(userId, fromEmail, toEmail, subject, body, attachments) {
-  const gmail = await getGmailClient(userId);
-
-  // Build MIME message with attachments
-  const boundary = `boundary_${uuidv4().replace(/-/g, '')}`;
-  const htmlBody = body.replace(/\n/g, '<br>');
-
-  let mimeMessage = [
-    `From: ${fromEmail}`,
-    `To: ${toEmail}`,
-    `Subject: ${subject}`,
-    `MIME-Version: 1.0`,
-    `Content-Type: multipart/mixed; boundary="${boundary}"`,
-    ``,
-    `--${boundary}`,
-    `Content-Type: multipart/alternative; boundary="alt_${boundary}"`,
-    ``,
-    `--alt_${boundary}`,
-    `Content-Type: text/plain; charset=UTF-8`,
-    ``,
-    body,
-    ``,
-    `--alt_${boundary}`,
-    `Content-Type: text/html; charset=UTF-8`,
-    ``,
-    htmlBody,
-    ``,
-    `--alt_${boundary}--`,
-  ].join('\r\n');
-
-  // Add attachments
-  for (const att of attachments) {
-    try {
-      const fileContent = await fs.readFile(att.filePath);
-      const base64Content = fileContent.toString('base64');
-      const filename = att.displayName || path.basename(att.filePath);
-      const mimeType = att.mimeType || 'application/octet-stream';
-
-      mimeMessage += [
-        ``,
-        `--${boundary}`,
-        `Content-Type: ${mimeType}; name="${filename}"`,
-        `Content-Disposition: attachment; filename="${filename}"`,
-        `Content-Transfer-Encoding: base64`,
-        ``,
-        base64Content,
-      ].join('\r\n');
-    } catch (err) {
-      logger.warn(`Could not attach file ${att.filePath}: ${err.message}`);
-    }
-  }
-
-  mimeMessage += `\r\n--${boundary}--`;
-
-  // Encode to base64url
-  const encodedMessage = Buffer.from(mimeMessage)
-    .toString('base64')
-    .replace(/\+/g, '-')
-    .replace(/\//g, '_')
-    .replace(/=+$/, '');
-
-  // Send via Gmail API
-  const response = await gmail.users.messages.send({
-    userId: 'me',
-    requestBody: {
-      raw: encodedMessage,
-    },
-  });
-
-  return {
-    messageId: response.data.id || `gmail-${uuidv4()}`,
-    threadId: response.data.threadId,
-    statusCode: 200,
-  };
-}
-
-// ── Core: Send claim email via SendGrid (fallback) ───────────────────────────
-
-async function sendClaimEmailViaSendGrid(toEmail, subject, body, attachments, replyTo) {
-  if (!process.env.SENDGRID_API_KEY || !sgMail) {
-    throw new Error('SENDGRID_API_KEY is not configured. Cannot send claim email via SendGrid.');
-  }
-
-  const sgAttachments = [];
-
-  for (const att of attachments) {
-    try {
-      const fileContent = await fs.readFile(att.filePath);
-      sgAttachments.push({
-        content:     fileContent.toString('base64'),
-        filename:    att.displayName || path.basename(att.filePath),
-        type:        att.mimeType || 'application/octet-stream',
-        disposition: 'attachment',
-      });
-    } catch (err) {
-      logger.warn(`Could not attach file ${att.filePath}: ${err.message}`);
-    }
-  }
-
-  const msg = {
-    to:      toEmail,
-    from: {
-      email: process.env.CLAIM_FROM_EMAIL || process.env.FROM_EMAIL || 'claims@pricedropped.app',
-      name:  'PriceDropped Claims',
-    },
-    replyTo: replyTo || undefined,
-    subject,
-    text: body,
-    html: body.replace(/\n/g, '<br>'),
-    attachments: sgAttachments.length > 0 ? sgAttachments : undefined,
-  };
-
-  const response = await sgMail.send(msg);
-
-  return {
-    messageId:  response[0]?.headers?.['x-message-id'] || `sg-${uuidv4()}`,
-    statusCode: response[0]?.statusCode,
-  };
-}
-
 // ── Core: Capture email proof screenshot ─────────────────────────────────────
 
 async function captureEmailProofScreenshot(subject, body, toEmail, sentAt) {
@@ -391,6 +193,165 @@ async function captureEmailProofScreenshot(subject, body, toEmail, sentAt) {
 
 // ── Main entry point ─────────────────────────────────────────────────────────
 
+// Statuses a claim can be in before its email has gone out
+const UNFILED_STATUSES = ['DRAFT', 'READY_TO_FILE', 'PENDING'];
+
+/**
+ * Result for a call that found the claim already sent, being prepared elsewhere,
+ * or stuck mid-send. Nothing is sent in any of these cases.
+ */
+async function blockedResult(claim, blocked, attempt) {
+  if (blocked === 'sent') {
+    // The email went out but the claim update didn't land (e.g. a crash right
+    // after sending); bring the claim in line with the attempt record
+    if (attempt?.status === 'SENT' && UNFILED_STATUSES.includes(claim.status)) {
+      const statusHistory = Array.isArray(claim.statusHistory) ? [...claim.statusHistory] : [];
+      statusHistory.push({
+        status:    'EMAIL_SENT',
+        timestamp: new Date().toISOString(),
+        notes:     `Recovered from filing attempt ${attempt.id}${attempt.messageId ? ` (${attempt.messageId})` : ''}`,
+      });
+      await prisma.claim.update({
+        where: { id: claim.id },
+        data: {
+          status:              'EMAIL_SENT',
+          filedAt:             attempt.sendingAt || attempt.finishedAt,
+          claimEmailSentAt:    attempt.sendingAt || attempt.finishedAt,
+          claimEmailMessageId: attempt.messageId,
+          claimEmailTo:        attempt.sentTo,
+          statusHistory,
+        },
+      });
+    }
+
+    logger.info(`[AutoFile] Claim ${claim.id} was already sent — not sending again`);
+    return {
+      success:       true,
+      alreadyFiled:  true,
+      method:        'email',
+      claimId:       claim.id,
+      sentTo:        attempt?.sentTo || claim.claimEmailTo,
+      messageId:     attempt?.messageId || claim.claimEmailMessageId,
+      message:       'This claim has already been sent to the card issuer.',
+    };
+  }
+
+  if (blocked === 'in_doubt') {
+    logger.warn(`[AutoFile] Claim ${claim.id} has a send in progress or with unknown outcome (attempt ${attempt.id}) — needs review`);
+    return {
+      success:     false,
+      needsReview: true,
+      method:      'email',
+      claimId:     claim.id,
+      error:       'A previous send did not finish; it must be reviewed before the claim is sent again',
+      message:     'We may already have sent this claim. It is being reviewed to avoid a duplicate submission.',
+    };
+  }
+
+  logger.info(`[AutoFile] Claim ${claim.id} is already being filed elsewhere — skipping`);
+  return {
+    success:    false,
+    inProgress: true,
+    method:     'email',
+    claimId:    claim.id,
+    error:      'Claim is already being filed',
+    message:    'This claim is being filed right now.',
+  };
+}
+
+// Re-run the exclusion check for the claim's price. A NEEDS_REVIEW verdict only
+// passes when the user already accepted every review reason for this claim.
+async function checkEligibility(claim) {
+  const eligibility = await claimEligibility.evaluate(
+    { ...claim.purchase, creditCard: claim.creditCard },
+    { price: claim.newPrice }
+  );
+
+  const reviewed = claim.eligibility?.reviewedByUser
+    ? new Set((claim.eligibility.reasons || []).map(r => r.rule))
+    : new Set();
+  const unreviewed = eligibility.reasons.filter(r => !reviewed.has(r.rule));
+  const allowed = eligibility.status === 'ELIGIBLE'
+    || (eligibility.status === 'NEEDS_REVIEW' && unreviewed.length === 0);
+
+  return {
+    allowed,
+    eligibility: { ...eligibility, reviewedByUser: Boolean(claim.eligibility?.reviewedByUser) }
+  };
+}
+
+// Add a status history note unless it is already the latest one (the retry
+// job comes back hourly and would otherwise repeat it)
+async function noteOnce(claim, notes, data = {}) {
+  const statusHistory = Array.isArray(claim.statusHistory) ? [...claim.statusHistory] : [];
+  if (statusHistory[statusHistory.length - 1]?.notes !== notes) {
+    statusHistory.push({ status: claim.status, timestamp: new Date().toISOString(), notes });
+  }
+  const updated = await prisma.claim.update({
+    where: { id: claim.id },
+    data:  { ...data, statusHistory },
+  });
+  claim.statusHistory = updated.statusHistory;
+}
+
+async function ineligibleResult(claim, eligibility) {
+  const summary = claimEligibility.describe(eligibility);
+  await noteOnce(claim, `Not filed (${eligibility.status}): ${summary}`, { eligibility });
+
+  logger.info(`[AutoFile] Claim ${claim.id} not filed — ${eligibility.status}: ${summary}`);
+  return {
+    success:    false,
+    ineligible: true,
+    method:     'email',
+    claimId:    claim.id,
+    eligibility,
+    error:      `Claim is ${eligibility.status === 'EXCLUDED' ? 'excluded by the card benefit terms' : 'waiting for review of possible exclusions'}: ${summary}`,
+    message:    eligibility.status === 'EXCLUDED'
+      ? 'This claim falls under an exclusion of your card\'s price protection terms.'
+      : 'This claim may fall under an exclusion. Review it before it is filed.',
+  };
+}
+
+// Keep the claim within the card's remaining annual/account headroom: trim it
+// when only part fits, refuse it when nothing is left
+async function applyCaps(claim) {
+  const ledger = await benefitLedger.forCard(claim.creditCard);
+  if (ledger.headroom == null) return { ledger };
+
+  if (ledger.headroom <= 0) {
+    await noteOnce(claim, `Not filed: the card's ${ledger.remaining.year === 0 ? 'annual' : 'account'} claim limit is used up`);
+    logger.info(`[AutoFile] Claim ${claim.id} not filed — claim limit reached for card ${claim.creditCardId}`);
+    return {
+      ledger,
+      result: {
+        success:    false,
+        capReached: true,
+        method:     'email',
+        claimId:    claim.id,
+        ledger,
+        error:      'The card\'s claim limit for this benefit year is used up',
+        message:    'Your card\'s price protection limit for this year has been reached.',
+      },
+    };
+  }
+
+  if (claim.priceDifference > ledger.headroom) {
+    const amountBreakdown = claimAmount.reduceTo(
+      await claimAmount.breakdownFor(claim),
+      ledger.headroom,
+      'Reduced to the card\'s remaining claim limit'
+    );
+    await noteOnce(
+      claim,
+      `Claim reduced from $${claim.priceDifference.toFixed(2)} to $${ledger.headroom.toFixed(2)}, the card's remaining claim limit`,
+      { priceDifference: ledger.headroom, amountBreakdown }
+    );
+    claim.priceDifference = ledger.headroom;
+    claim.amountBreakdown = amountBreakdown;
+  }
+  return { ledger };
+}
+
 async function autoFileClaim(claimId) {
   const claim = await prisma.claim.findUnique({
     where: { id: claimId },
@@ -402,18 +363,46 @@ async function autoFileClaim(claimId) {
   });
 
   if (!claim)            throw new Error('Claim not found');
+  if (claim.type === 'RETAILER_ADJUSTMENT') throw new Error('Retailer price adjustments are requested through the retailer, not filed with an issuer');
   if (!claim.creditCard) throw new Error('No credit card linked to this claim');
+  if (claim.status === 'SUSPENDED') throw new Error('Claim is suspended: its purchase was cancelled, returned or refunded');
+
+  // Already-sent claims skip the check so a lost update can still be recovered
+  if (UNFILED_STATUSES.includes(claim.status)) {
+    const { allowed, eligibility } = await checkEligibility(claim);
+    if (!allowed) {
+      return ineligibleResult(claim, eligibility);
+    }
+    await prisma.claim.update({ where: { id: claimId }, data: { eligibility } });
+  }
+
+  // Drafts also have to fit in what is left of the card's claim limits
+  if (['DRAFT', 'READY_TO_FILE'].includes(claim.status)) {
+    const { result } = await applyCaps(claim);
+    if (result) return result;
+  }
+
+  // ── Step 0: Take the filing lock (recorded before anything is sent) ──────
+  const lease = await claimFilingLock.begin(claim);
+  if (lease.blocked) {
+    return blockedResult(claim, lease.blocked, lease.attempt);
+  }
+  const { attempt } = lease;
 
   const card    = claim.creditCard;
   const issuer  = card.issuer;
-  const toEmail = getClaimEmail(issuer, card);
+  const toEmail = await benefitCatalog.claimEmailFor(card);
 
-  logger.info(`[AutoFile] Starting auto-file for claim ${claimId} → ${issuer} (${toEmail})`);
+  // The itemized amount for the PDF and email; older claims get one worked out now
+  claim.amountBreakdown = await claimAmount.breakdownFor(claim);
+
+  logger.info(`[AutoFile] Starting auto-file for claim ${claimId} → ${issuer} (${toEmail}), attempt ${attempt.id}`);
 
   const attachments = [];
   let pdfFilePath       = null;
   let screenshotFilePath = null;
   let emailProofPath     = null;
+  let emailResult       = null;
 
   try {
     // ── Step 1: Generate claim PDF ───────────────────────────────────────────
@@ -421,9 +410,9 @@ async function autoFileClaim(claimId) {
     const doc = await claimService.generateClaimDocumentation(claim);
     pdfFilePath = doc.filePath;
     attachments.push({
-      filePath:    doc.filePath,
-      displayName: 'PriceProtection_Claim.pdf',
-      mimeType:    'application/pdf',
+      path:        doc.filePath,
+      filename:    'PriceProtection_Claim.pdf',
+      contentType: 'application/pdf',
     });
     logger.info(`[AutoFile] PDF generated: ${doc.fileName}`);
 
@@ -434,9 +423,9 @@ async function autoFileClaim(claimId) {
       if (screenshot) {
         screenshotFilePath = screenshot.filePath;
         attachments.push({
-          filePath:    screenshot.filePath,
-          displayName: 'Current_Price_Screenshot.png',
-          mimeType:    'image/png',
+          path:        screenshot.filePath,
+          filename:    'Current_Price_Screenshot.png',
+          contentType: 'image/png',
         });
         logger.info(`[AutoFile] Price screenshot captured: ${screenshot.fileName}`);
       }
@@ -444,39 +433,56 @@ async function autoFileClaim(claimId) {
       logger.info('[AutoFile] No product URL — skipping price screenshot');
     }
 
-    // ── Step 3: Build & send claim email (Gmail primary, SendGrid fallback) ─
+    // ── Step 2b: Attach the uploaded receipt, when there is one ─────────────
+    const receipt = await receiptImport.attachmentFor(claim.purchase);
+    if (receipt) {
+      attachments.push(receipt);
+      claim.receiptAttached = true;
+      logger.info(`[AutoFile] Attaching uploaded receipt ${receipt.filename}`);
+    }
+
+    // ── Step 3: Build & send claim email through the claims mail transport ─
+    // (the user's Gmail first, then SendGrid, unless CLAIM_MAIL_TRANSPORT says otherwise)
     const { subject, body } = buildEmailBody(claim);
     const sentAt = new Date();
-    let emailResult;
-    let sendMethod = 'gmail';
+
+    // From here on the attempt is SENDING: if we crash before marking it SENT,
+    // nobody re-sends automatically
+    if (!(await claimFilingLock.markSending(attempt, toEmail))) {
+      return blockedResult(claim, 'in_progress', attempt);
+    }
+    await prisma.claim.update({ where: { id: claimId }, data: { status: 'PENDING' } });
 
     logger.info(`[AutoFile] Sending claim email to ${toEmail}...`);
 
-    // Try Gmail API first (uses user's own email — more legitimate for claims)
     try {
-      emailResult = await sendClaimEmailViaGmail(
-        claim.userId,
-        claim.user?.email || 'noreply@pricedropped.app',
-        toEmail,
-        subject,
-        body,
-        attachments
-      );
-      logger.info(`[AutoFile] Email sent via Gmail! messageId=${emailResult.messageId}`);
-    } catch (gmailError) {
-      logger.warn(`[AutoFile] Gmail send failed: ${gmailError.message}. Trying SendGrid...`);
-
-      // Fallback to SendGrid
-      sendMethod = 'sendgrid';
-      emailResult = await sendClaimEmailViaSendGrid(
-        toEmail,
+      emailResult = await mailTransport.send({
+        userId:  claim.userId,
+        from:    { email: process.env.CLAIM_FROM_EMAIL || process.env.FROM_EMAIL || 'claims@pricedropped.app', name: 'PriceDropped Claims' },
+        replyTo: claim.user?.email,
+        to:      toEmail,
         subject,
-        body,
+        text:    body,
         attachments,
-        claim.user?.email
-      );
-      logger.info(`[AutoFile] Email sent via SendGrid! messageId=${emailResult.messageId}`);
+      }, { channel: 'claims' });
+      logger.info(`[AutoFile] Email sent via ${emailResult.transport}! messageId=${emailResult.messageId}`);
+    } catch (sendError) {
+      if (!mailTransport.wasRejected(sendError)) {
+        // A timeout or dropped connection after the email was handed over: it
+        // may be out. The attempt stays SENDING, so nothing re-sends it until
+        // someone checks (admin in-doubt attempts)
+        logger.error(`[AutoFile] Claim ${claimId} may have been sent (attempt ${attempt.id}):`, sendError);
+        claim.status = 'PENDING';
+        await noteOnce(claim, `Sending to ${toEmail} failed with an unknown outcome (${sendError.message}); waiting for review before sending again`);
+        return blockedResult(claim, 'in_doubt', attempt);
+      }
+      // Every transport refused the email, so it's safe to try again later
+      await claimFilingLock.markFailed(attempt, sendError);
+      throw sendError;
     }
+    const sendMethod = emailResult.transport;
+
+    await claimFilingLock.markSent(attempt, { messageId: emailResult.messageId, sendMethod });
 
     // ── Step 4: Capture email proof screenshot ───────────────────────────────
     logger.info('[AutoFile] Capturing email proof screenshot...');
@@ -502,6 +508,7 @@ async function autoFileClaim(claimId) {
         autoFiled:            true,
         claimEmailSentAt:     sentAt,
         claimEmailMessageId:  emailResult.messageId,
+        claimEmailThreadId:   emailResult.threadId || null,
         claimEmailTo:         toEmail,
         claimEmailSubject:    subject,
         claimEmailBody:       body,
@@ -519,18 +526,18 @@ async function autoFileClaim(claimId) {
     });
 
     // ── Step 7: Notify user ──────────────────────────────────────────────────
-    const claimAmount = Math.min(claim.priceDifference, card.maxClaimAmount);
+    const amount = claim.priceDifference;
     await prisma.notification.create({
       data: {
         userId: claim.userId,
         type:   'CLAIM_FILED',
         title:  'Claim Filed Automatically!',
-        message: `Your $${claimAmount.toFixed(2)} claim for ${claim.purchase.productName} was submitted to ${issuer} (${toEmail}). Check your claim details for proof of filing.`,
+        message: `Your $${amount.toFixed(2)} claim for ${claim.purchase.productName} was submitted to ${issuer} (${toEmail}). Check your claim details for proof of filing.`,
         data: {
           claimId,
           emailMessageId: emailResult.messageId,
           sentTo:         toEmail,
-          amount:         claimAmount,
+          amount,
         },
       },
     });
@@ -545,7 +552,7 @@ async function autoFileClaim(claimId) {
       sentAt:      sentAt.toISOString(),
       messageId:   emailResult.messageId,
       subject,
-      claimAmount,
+      claimAmount: amount,
       proof: {
         pdfFile:           pdfFilePath     ? path.basename(pdfFilePath)     : null,
         priceScreenshot:   screenshotFilePath ? path.basename(screenshotFilePath) : null,
@@ -556,8 +563,26 @@ async function autoFileClaim(claimId) {
     };
 
   } catch (error) {
+    if (emailResult) {
+      // The email is out and the attempt is SENT; only the bookkeeping failed.
+      // The next call recovers the claim from the attempt instead of re-sending.
+      logger.error(`[AutoFile] Claim ${claimId} was sent but updating records failed:`, error);
+      return {
+        success:   true,
+        method:    'email',
+        claimId,
+        sentTo:    toEmail,
+        messageId: emailResult.messageId,
+        message:   `Claim submitted via email to ${issuer} (${toEmail}).`,
+      };
+    }
+
     logger.error(`[AutoFile] Failed for claim ${claimId}:`, error);
 
+    // Failed before the send started (PDF, screenshot, lock bookkeeping) or
+    // every transport refused it
+    await claimFilingLock.markFailed(attempt, error);
+
     // Mark as ready-to-file manually so user can still proceed
     const statusHistory = Array.isArray(claim.statusHistory) ? [...claim.statusHistory] : [];
     statusHistory.push({
@@ -584,9 +609,9 @@ async function autoFileClaim(claimId) {
       claimId,
       error:   error.message,
       message: 'Auto-filing failed. Claim is ready for manual filing.',
-      instructions: claimService.getFilingInstructions(claim),
+      instructions: await claimService.getFilingInstructions(claim),
     };
   }
 }
 
-module.exports = { autoFileClaim, getClaimEmail, ISSUER_CLAIM_EMAILS };
+module.exports = { autoFileClaim };
@@ -0,0 +1,178 @@
+jest.mock('@prisma/client', () => require('../../test/prismaMock'));
+jest.mock('puppeteer', () => ({ launch: jest.fn(async () => { throw new Error('No browser in tests'); }) }));
+jest.mock('./claimService', () => ({
+  generateClaimDocumentation: jest.fn(),
+  capturePriceScreenshot: jest.fn(async () => null),
+  getFilingInstructions: jest.fn(async () => ({ steps: [] }))
+}));
+jest.mock('./claimEligibility', () => ({
+  evaluate: jest.fn(async () => ({ status: 'ELIGIBLE', reasons: [] })),
+  describe: jest.fn(() => '')
+}));
+jest.mock('./benefitLedger', () => ({ forCard: jest.fn(async () => ({ headroom: null })) }));
+jest.mock('./benefitCatalog', () => ({ claimEmailFor: jest.fn(async () => 'claims@issuer.example') }));
+jest.mock('./claimAmount', () => ({
+  breakdownFor: jest.fn(async () => ({ amount: 50, quantity: 1 })),
+  describe: jest.fn(() => '- Price difference: $50.00')
+}));
+jest.mock('./receiptImport', () => ({ attachmentFor: jest.fn(async () => null) }));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { simpleParser } = require('mailparser');
+const { prisma, resetPrisma } = require('@prisma/client');
+const claimService = require('./claimService');
+const mailTransport = require('./mailTransport');
+const { autoFileClaim } = require('./autoClaimFiler');
+
+function claimRow(overrides = {}) {
+  return {
+    id: 'claim-1',
+    userId: 'user-1',
+    purchaseId: 'purchase-1',
+    creditCardId: 'card-1',
+    type: 'ISSUER',
+    status: 'READY_TO_FILE',
+    filingGeneration: 0,
+    claimEmailSentAt: null,
+    statusHistory: [],
+    originalPrice: 299.99,
+    newPrice: 249.99,
+    priceDifference: 50,
+    purchase: {
+      id: 'purchase-1',
+      productName: 'Noise Cancelling Headphones',
+      retailer: 'Best Buy',
+      retailerOrderId: 'BBY01-123',
+      purchaseDate: new Date('2026-09-01'),
+      productUrl: null
+    },
+    creditCard: { id: 'card-1', issuer: 'chase', lastFour: '4242', autoClaimEnabled: true },
+    user: { id: 'user-1', email: 'sam@example.com', name: 'Sam' },
+    ...overrides
+  };
+}
+
+// Attempts kept in memory, so the filing lock's state machine runs for real
+function trackAttempts() {
+  const attempts = new Map();
+  prisma.claimFilingAttempt.create.mockImplementation(async ({ data }) => {
+    const attempt = { id: `attempt-${attempts.size + 1}`, status: 'PREPARING', attempts: 1, startedAt: new Date(), ...data };
+    attempts.set(attempt.id, attempt);
+    return attempt;
+  });
+  const update = ({ where, data }) => {
+    const attempt = attempts.get(where.id);
+    if (!attempt) return { count: 0 };
+    const allowed = !where.status || (where.status.in ? where.status.in.includes(attempt.status) : where.status === attempt.status);
+    if (!allowed) return { count: 0 };
+    Object.assign(attempt, data);
+    return { count: 1 };
+  };
+  prisma.claimFilingAttempt.updateMany.mockImplementation(async args => update(args));
+  prisma.claimFilingAttempt.update.mockImplementation(async args => {
+    update(args);
+    return attempts.get(args.where.id);
+  });
+  return attempts;
+}
+
+describe('autoFileClaim', () => {
+  let claim;
+  let attempts;
+
+  beforeEach(() => {
+    resetPrisma();
+    claim = claimRow();
+    prisma.claim.findUnique.mockResolvedValue(claim);
+    prisma.claim.update.mockImplementation(async ({ data }) => ({ ...claim, ...data }));
+    attempts = trackAttempts();
+    claimService.generateClaimDocumentation.mockResolvedValue({ filePath: __filename, fileName: 'claim.pdf' });
+  });
+
+  afterEach(() => {
+    mailTransport.send.mockRestore?.();
+  });
+
+  it('marks the attempt FAILED when every transport refused the email', async () => {
+    const refused = Object.assign(new Error('Invalid credentials'), { code: 'EAUTH', responseCode: 535 });
+    jest.spyOn(mailTransport, 'send').mockRejectedValue(refused);
+
+    const result = await autoFileClaim('claim-1');
+
+    expect(result).toMatchObject({ success: false, method: 'manual' });
+    const [attempt] = attempts.values();
+    expect(attempt.status).toBe('FAILED');
+    expect(prisma.claim.update).toHaveBeenLastCalledWith(expect.objectContaining({
+      data: expect.objectContaining({ status: 'READY_TO_FILE' })
+    }));
+  });
+
+  it('leaves the attempt SENDING when the send timed out after it went out', async () => {
+    const timeout = Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+    jest.spyOn(mailTransport, 'send').mockRejectedValue(timeout);
+
+    const result = await autoFileClaim('claim-1');
+
+    expect(result).toMatchObject({ success: false, needsReview: true });
+    const [attempt] = attempts.values();
+    expect(attempt.status).toBe('SENDING');
+    expect(prisma.claim.update).not.toHaveBeenCalledWith(expect.objectContaining({
+      data: expect.objectContaining({ status: 'READY_TO_FILE' })
+    }));
+  });
+
+  it('does not send again while an earlier send is in doubt', async () => {
+    jest.spyOn(mailTransport, 'send').mockRejectedValue(Object.assign(new Error('Timeout'), { code: 'ETIMEDOUT' }));
+    await autoFileClaim('claim-1');
+
+    // The retry job finds the claim again: the attempt row already exists
+    const [existing] = attempts.values();
+    prisma.claimFilingAttempt.create.mockRejectedValue(Object.assign(new Error('Unique constraint'), { code: 'P2002' }));
+    prisma.claimFilingAttempt.findUnique.mockResolvedValue(existing);
+    claim.status = 'PENDING';
+    mailTransport.send.mockClear();
+
+    const result = await autoFileClaim('claim-1');
+
+    expect(result).toMatchObject({ needsReview: true });
+    expect(mailTransport.send).not.toHaveBeenCalled();
+  });
+
+  it('files a claim end to end through the file transport', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'claims-outbox-'));
+    const env = { ...process.env };
+    process.env.CLAIM_MAIL_TRANSPORT = 'file';
+    process.env.MAIL_FILE_DIR = dir;
+
+    try {
+      const result = await autoFileClaim('claim-1');
+
+      expect(result).toMatchObject({ success: true, sentTo: 'claims@issuer.example' });
+      expect(result.messageId).toMatch(/^file-/);
+
+      const [attempt] = attempts.values();
+      expect(attempt).toMatchObject({ status: 'SENT', sendMethod: 'file', messageId: result.messageId });
+
+      const delivered = fs.readdirSync(path.join(dir, 'new'));
+      expect(delivered).toHaveLength(1);
+      const email = await simpleParser(fs.readFileSync(path.join(dir, 'new', delivered[0])));
+      expect(email.to.text).toBe('claims@issuer.example');
+      expect(email.subject).toBe('Chase Price Protection Claim – Card ending 4242');
+      expect(email.text).toContain('Noise Cancelling Headphones');
+      expect(email.attachments.map(attachment => attachment.filename)).toEqual(['PriceProtection_Claim.pdf']);
+
+      expect(prisma.claim.update).toHaveBeenCalledWith(expect.objectContaining({
+        data: expect.objectContaining({ status: 'EMAIL_SENT', claimEmailMessageId: result.messageId })
+      }));
+      expect(prisma.purchase.update).toHaveBeenCalledWith({ where: { id: 'purchase-1' }, data: { status: 'CLAIM_FILED' } });
+      expect(prisma.notification.create).toHaveBeenCalledWith(expect.objectContaining({
+        data: expect.objectContaining({ userId: 'user-1', type: 'CLAIM_FILED' })
+      }));
+    } finally {
+      process.env = env;
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
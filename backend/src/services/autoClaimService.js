@@ -3,22 +3,18 @@
  * Handles automatic filing of price protection claims via email
  */
 
-const sgMail = require('@sendgrid/mail');
 const { PrismaClient } = require('@prisma/client');
 const puppeteer = require('puppeteer');
 const path = require('path');
-const fs = require('fs').promises;
 const { v4: uuidv4 } = require('uuid');
 const logger = require('../utils/logger');
-const { getClaimEmailForIssuer, maskCardNumber } = require('../utils/cardUtils');
+const { maskCardNumber } = require('../utils/cardUtils');
+const benefitCatalog = require('./benefitCatalog');
 const claimService = require('./claimService');
+const mailTransport = require('./mailTransport');
 
 const prisma = new PrismaClient();
 
-if (process.env.SENDGRID_API_KEY) {
-  sgMail.setApiKey(process.env.SENDGRID_API_KEY);
-}
-
 const CLAIM_EMAIL_TEMPLATES = {
   default: {
     subject: 'Price Protection Claim Request - {productName}',
@@ -86,7 +82,7 @@ class AutoClaimService {
     if (!claim) throw new Error('Claim not found');
     if (!claim.creditCard) throw new Error('No credit card linked to this claim');
 
-    const claimEmail = claim.creditCard.claimEmail || getClaimEmailForIssuer(claim.creditCard.issuer);
+    const claimEmail = await benefitCatalog.claimEmailFor(claim.creditCard);
     if (!claimEmail) throw new Error(`No claim email configured for issuer: ${claim.creditCard.issuer}`);
 
     try {
@@ -188,29 +184,19 @@ class AutoClaimService {
   }
 
   async sendClaimEmail(to, subject, body, pdfPath, screenshotPath, replyTo) {
-    if (!process.env.SENDGRID_API_KEY) throw new Error('SendGrid not configured');
     const attachments = [];
     if (pdfPath) {
-      try {
-        const pdfFile = pdfPath.startsWith('/tmp') ? pdfPath : path.join('/tmp', pdfPath.split('/').pop());
-        const pdfContent = await fs.readFile(pdfFile);
-        attachments.push({ content: pdfContent.toString('base64'), filename: 'price_protection_claim.pdf', type: 'application/pdf', disposition: 'attachment' });
-      } catch (err) { logger.warn(`Could not attach PDF: ${err.message}`); }
+      const pdfFile = pdfPath.startsWith('/tmp') ? pdfPath : path.join('/tmp', pdfPath.split('/').pop());
+      attachments.push({ path: pdfFile, filename: 'price_protection_claim.pdf', contentType: 'application/pdf' });
     }
     if (screenshotPath) {
-      try {
-        const screenshotContent = await fs.readFile(screenshotPath);
-        attachments.push({ content: screenshotContent.toString('base64'), filename: 'price_screenshot.png', type: 'image/png', disposition: 'attachment' });
-      } catch (err) { logger.warn(`Could not attach screenshot: ${err.message}`); }
+      attachments.push({ path: screenshotPath, filename: 'price_screenshot.png', contentType: 'image/png' });
     }
-    const msg = {
+    return mailTransport.send({
       to,
       from: { email: process.env.CLAIM_FROM_EMAIL || process.env.FROM_EMAIL || 'claims@priceprotectionbot.com', name: 'PriceProtectionBot Claims' },
-      replyTo, subject, text: body, html: body.replace(/\n/g, '<br>'),
-      attachments: attachments.length > 0 ? attachments : undefined
-    };
-    const response = await sgMail.send(msg);
-    return { messageId: response[0]?.headers?.['x-message-id'] || uuidv4(), statusCode: response[0]?.statusCode };
+      replyTo, subject, text: body, attachments
+    }, { channel: 'claims' });
   }
 
   async captureEmailProof(emailData) {
@@ -0,0 +1,420 @@
+/**
+ * Initial card benefit catalog, inserted as version 1 of each entry the first
+ * time the catalog loads. After that the CardBenefit table is the source of
+ * truth; change terms through the admin API rather than here.
+ *
+ * These values reconcile the tables that used to live in cardUtils,
+ * claimService, autoClaimFiler and emailParser: issuer terms win over generic
+ * network terms, and the benefit-administrator claim addresses win over
+ * marketing addresses.
+ */
+
+// Exclusions shared by the Visa/Mastercard/issuer benefit guides
+const STANDARD_EXCLUSIONS = [
+  'Items purchased for resale or commercial use',
+  'Used, refurbished, open-box or antique items',
+  'Prices from auctions, outlets, liquidations or going-out-of-business sales',
+  'Limited-quantity, clearance, closeout or "while supplies last" offers',
+  'Prices that depend on rebates, coupons, bundles or membership discounts',
+  'Perishables, consumables and live animals',
+  'Jewelry, art and collectibles',
+  'Motorized vehicles and their parts',
+  'Services, tickets, gift cards and cash equivalents'
+];
+
+// The same exclusions as rules the eligibility check can evaluate (see rules.js).
+// Entries without their own exclusionRules use these.
+const STANDARD_EXCLUSION_RULES = [
+  {
+    id: 'gift-cards',
+    fields: ['category', 'productName'],
+    op: 'containsAny',
+    values: ['gift card', 'egift', 'e-gift', 'prepaid card', 'cash card'],
+    effect: 'exclude',
+    reason: 'Gift cards and cash equivalents are not covered'
+  },
+  {
+    id: 'perishables-and-services',
+    fields: ['category'],
+    op: 'equalsAny',
+    values: ['food', 'services', 'travel'],
+    effect: 'exclude',
+    reason: 'Perishables, services, tickets and travel are not covered'
+  },
+  {
+    id: 'used-or-refurbished',
+    fields: ['purchaseCondition', 'productName', 'priceCondition'],
+    op: 'containsAny',
+    values: ['used', 'refurbished', 'renewed', 'open box', 'open-box', 'pre-owned', 'preowned'],
+    effect: 'exclude',
+    reason: 'Used, refurbished and open-box items (or prices for them) are not covered'
+  },
+  {
+    id: 'auction-or-marketplace',
+    fields: ['retailer', 'priceSource', 'seller'],
+    op: 'containsAny',
+    values: ['ebay', 'auction', 'liquidation', 'outlet', 'going out of business'],
+    effect: 'exclude',
+    reason: 'Prices from auctions, outlets and liquidation sales are not covered'
+  },
+  {
+    id: 'black-friday',
+    fields: ['priceDate'],
+    op: 'during',
+    values: ['black-friday'],
+    effect: 'exclude',
+    reason: 'Black Friday through Cyber Monday prices are not covered'
+  },
+  {
+    id: 'clearance-or-limited',
+    fields: ['priceText'],
+    op: 'containsAny',
+    values: ['clearance', 'closeout', 'while supplies last', 'limited quantity', 'limited time deal', 'lightning deal', 'doorbuster'],
+    effect: 'exclude',
+    reason: 'Clearance, closeout and limited-quantity offers are not covered'
+  },
+  {
+    id: 'membership-price',
+    fields: ['priceText'],
+    op: 'containsAny',
+    values: ['member price', 'members only', 'prime exclusive', 'with membership', 'my best buy plus', 'circle deal'],
+    effect: 'exclude',
+    reason: 'Prices that require a membership are not covered'
+  },
+  {
+    id: 'conditional-discount',
+    fields: ['priceText'],
+    op: 'containsAny',
+    values: ['coupon', 'promo code', 'rebate', 'bundle', 'with trade-in', 'subscribe & save', 'subscribe and save'],
+    effect: 'review',
+    reason: 'The lower price may depend on a coupon, rebate or bundle, which most issuers exclude'
+  },
+  {
+    id: 'third-party-seller',
+    fields: ['thirdPartySeller'],
+    op: 'is',
+    values: [true],
+    effect: 'review',
+    reason: 'The lower price is from a third-party seller; some issuers only accept authorized retailers'
+  }
+];
+
+const DEFAULT_BENEFITS = [
+  {
+    issuerKey: 'amex',
+    name: 'American Express',
+    aliases: ['american express', 'americanexpress', 'aexp'],
+    isNetwork: true,
+    protectionDays: 90,
+    maxClaimPerItem: 300,
+    maxClaimPerYear: 1000,
+    exclusions: STANDARD_EXCLUSIONS,
+    claimMethod: 'EMAIL',
+    claimEmail: 'purchaseprotection@aexp.com',
+    claimPhoneNumber: '1-800-297-8019',
+    requiredDocs: ['receipt', 'price_screenshot', 'item_details'],
+    instructions: [
+      'We will automatically email your claim to American Express',
+      'Include all documentation attached',
+      'Expect response within 5-7 business days'
+    ]
+  },
+  {
+    issuerKey: 'chase',
+    name: 'Chase',
+    protectionDays: 120,
+    maxClaimPerItem: 500,
+    maxClaimPerYear: 2500,
+    exclusions: STANDARD_EXCLUSIONS,
+    claimMethod: 'EMAIL',
+    claimEmail: 'cardbenefitservices@eclaimsline.com',
+    claimPortalUrl: 'https://www.chasebenefits.com/chase',
+    claimPhoneNumber: '1-888-320-9961',
+    requiredDocs: ['receipt', 'price_screenshot', 'credit_card_statement'],
+    instructions: [
+      'We will automatically email your claim to Chase Card Benefit Services',
+      'All documentation attached',
+      'Track status at chasebenefits.com'
+    ]
+  },
+  {
+    issuerKey: 'citi',
+    name: 'Citi',
+    aliases: ['citibank'],
+    protectionDays: 60,
+    maxClaimPerItem: 250,
+    maxClaimPerYear: 1000,
+    exclusions: STANDARD_EXCLUSIONS,
+    claimMethod: 'EMAIL',
+    claimEmail: 'citibenefit@aon.com',
+    claimPortalUrl: 'https://www.cardbenefitservices.com',
+    claimPhoneNumber: '1-866-918-4969',
+    requiredDocs: ['receipt', 'price_screenshot'],
+    instructions: [
+      'We will automatically email your claim',
+      'Documentation attached',
+      'Expect confirmation within 3-5 business days'
+    ]
+  },
+  {
+    issuerKey: 'discover',
+    name: 'Discover',
+    isNetwork: true,
+    protectionDays: 90,
+    maxClaimPerItem: 500,
+    maxClaimPerYear: 2500,
+    exclusions: STANDARD_EXCLUSIONS,
+    claimMethod: 'EMAIL',
+    claimEmail: 'discover@cardbenefitservices.com',
+    claimPortalUrl: 'https://www.discover.com/credit-cards/member-benefits/',
+    claimPhoneNumber: '1-800-347-2683',
+    requiredDocs: ['receipt', 'price_screenshot'],
+    instructions: [
+      'We will automatically email your claim to Discover',
+      'All documentation included',
+      'Track in your Discover account'
+    ]
+  },
+  {
+    issuerKey: 'capitalone',
+    name: 'Capital One',
+    aliases: ['capital one'],
+    protectionDays: 60,
+    maxClaimPerItem: 250,
+    maxClaimPerYear: 1000,
+    exclusions: STANDARD_EXCLUSIONS,
+    claimMethod: 'EMAIL',
+    claimEmail: 'priceprotection@capitalone.com',
+    claimPhoneNumber: '1-800-227-4825',
+    requiredDocs: ['receipt', 'price_screenshot'],
+    instructions: [
+      'We will automatically email your claim to Capital One',
+      'Documentation attached automatically'
+    ]
+  },
+  {
+    issuerKey: 'wellsfargo',
+    name: 'Wells Fargo',
+    aliases: ['wells fargo'],
+    protectionDays: 60,
+    maxClaimPerItem: 250,
+    exclusions: STANDARD_EXCLUSIONS,
+    claimMethod: 'EMAIL',
+    claimEmail: 'priceprotection@wellsfargo.com',
+    requiredDocs: ['receipt', 'price_screenshot'],
+    instructions: [
+      'We will automatically email your claim to Wells Fargo',
+      'Documentation attached automatically'
+    ]
+  },
+  {
+    issuerKey: 'barclays',
+    name: 'Barclays',
+    protectionDays: 60,
+    maxClaimPerItem: 250,
+    exclusions: STANDARD_EXCLUSIONS,
+    claimMethod: 'EMAIL',
+    claimEmail: 'benefits@barclaysus.com',
+    requiredDocs: ['receipt', 'price_screenshot'],
+    instructions: [
+      'We will automatically email your claim to Barclays',
+      'Documentation attached automatically'
+    ]
+  },
+  {
+    issuerKey: 'usbank',
+    name: 'U.S. Bank',
+    aliases: ['us bank', 'u.s. bank'],
+    protectionDays: 60,
+    maxClaimPerItem: 250,
+    exclusions: STANDARD_EXCLUSIONS,
+    claimMethod: 'EMAIL',
+    claimEmail: 'cardmemberservice@usbank.com',
+    requiredDocs: ['receipt', 'price_screenshot'],
+    instructions: [
+      'We will automatically email your claim to U.S. Bank',
+      'Documentation attached automatically'
+    ]
+  },
+  {
+    issuerKey: 'visa',
+    name: 'Visa',
+    isNetwork: true,
+    protectionDays: 60,
+    maxClaimPerItem: 250,
+    maxClaimPerYear: 1000,
+    exclusions: STANDARD_EXCLUSIONS,
+    claimMethod: 'EMAIL',
+    claimEmail: 'visabenefits@cardbenefitservices.com',
+    claimPhoneNumber: '1-800-847-2911',
+    requiredDocs: ['receipt', 'price_screenshot'],
+    instructions: [
+      'We will email your claim through Visa benefits',
+      'Documentation attached automatically'
+    ]
+  },
+  {
+    issuerKey: 'mastercard',
+    name: 'Mastercard',
+    isNetwork: true,
+    protectionDays: 60,
+    maxClaimPerItem: 250,
+    maxClaimPerYear: 1000,
+    exclusions: STANDARD_EXCLUSIONS,
+    claimMethod: 'EMAIL',
+    claimEmail: 'mastercardbenefits@cardbenefitservices.com',
+    claimPhoneNumber: '1-800-627-8372',
+    requiredDocs: ['receipt', 'price_screenshot'],
+    instructions: [
+      'We will email your claim through Mastercard benefits',
+      'Documentation attached automatically'
+    ]
+  },
+  {
+    // Used when neither the issuer nor the network is in the catalog
+    issuerKey: 'default',
+    name: 'Other issuer',
+    protectionDays: 60,
+    maxClaimPerItem: 250,
+    exclusions: STANDARD_EXCLUSIONS,
+    claimMethod: 'EMAIL',
+    claimEmail: 'cardbenefitservices@eclaimsline.com',
+    requiredDocs: ['receipt', 'price_screenshot'],
+    instructions: [
+      'Contact your credit card issuer',
+      'Request price protection claim',
+      'Submit required documentation'
+    ]
+  }
+];
+
+// Terms for a product that doesn't carry price protection
+const NO_PRICE_PROTECTION = {
+  offersPriceProtection: false,
+  protectionDays: 0,
+  maxClaimPerItem: 0,
+  maxClaimPerYear: 0
+};
+
+// Card products users can pick. `benefit` overrides the issuer's terms for the
+// product's own catalog entry; products without it use the issuer's terms.
+const DEFAULT_PRODUCTS = [
+  {
+    issuerKey: 'chase',
+    productKey: 'sapphire-reserve',
+    name: 'Chase Sapphire Reserve',
+    network: 'visa',
+    aliases: ['sapphire reserve'],
+    benefit: { protectionDays: 90, maxClaimPerItem: 500, maxClaimPerYear: 2500 }
+  },
+  {
+    issuerKey: 'chase',
+    productKey: 'sapphire-preferred',
+    name: 'Chase Sapphire Preferred',
+    network: 'visa',
+    aliases: ['sapphire preferred'],
+    benefit: NO_PRICE_PROTECTION
+  },
+  {
+    issuerKey: 'chase',
+    productKey: 'freedom-unlimited',
+    name: 'Chase Freedom Unlimited',
+    network: 'visa',
+    aliases: ['freedom unlimited'],
+    benefit: NO_PRICE_PROTECTION
+  },
+  {
+    issuerKey: 'chase',
+    productKey: 'freedom-flex',
+    name: 'Chase Freedom Flex',
+    network: 'mastercard',
+    aliases: ['freedom flex'],
+    benefit: NO_PRICE_PROTECTION
+  },
+  {
+    issuerKey: 'citi',
+    productKey: 'double-cash',
+    name: 'Citi Double Cash',
+    network: 'mastercard',
+    aliases: ['double cash'],
+    benefit: NO_PRICE_PROTECTION
+  },
+  {
+    issuerKey: 'citi',
+    productKey: 'custom-cash',
+    name: 'Citi Custom Cash',
+    network: 'mastercard',
+    aliases: ['custom cash'],
+    benefit: NO_PRICE_PROTECTION
+  },
+  {
+    issuerKey: 'amex',
+    productKey: 'platinum',
+    name: 'American Express Platinum Card',
+    network: 'amex',
+    aliases: ['amex platinum', 'platinum card from american express']
+  },
+  {
+    issuerKey: 'amex',
+    productKey: 'gold',
+    name: 'American Express Gold Card',
+    network: 'amex',
+    aliases: ['amex gold', 'gold card from american express']
+  },
+  {
+    issuerKey: 'amex',
+    productKey: 'blue-cash-preferred',
+    name: 'Blue Cash Preferred',
+    network: 'amex',
+    aliases: ['blue cash preferred']
+  },
+  {
+    issuerKey: 'capitalone',
+    productKey: 'venture-x',
+    name: 'Capital One Venture X',
+    network: 'visa',
+    aliases: ['venture x'],
+    benefit: NO_PRICE_PROTECTION
+  },
+  {
+    issuerKey: 'capitalone',
+    productKey: 'quicksilver',
+    name: 'Capital One Quicksilver',
+    network: 'mastercard',
+    aliases: ['quicksilver card', 'quicksilver rewards'],
+    benefit: NO_PRICE_PROTECTION
+  },
+  {
+    issuerKey: 'discover',
+    productKey: 'it',
+    name: 'Discover it',
+    network: 'discover',
+    aliases: ['discover it card', 'discover it cash back'],
+    benefit: NO_PRICE_PROTECTION
+  },
+  {
+    issuerKey: 'wellsfargo',
+    productKey: 'active-cash',
+    name: 'Wells Fargo Active Cash',
+    network: 'visa',
+    aliases: ['active cash'],
+    benefit: NO_PRICE_PROTECTION
+  }
+];
+
+// How claim amounts are worked out (see services/claimAmount.js). Entries
+// without their own claimPolicy use this; an entry's policy overrides single keys.
+const STANDARD_CLAIM_POLICY = {
+  refundSalesTax: false,  // add the sales tax paid on the difference
+  refundShipping: false,  // add the item's share of the shipping paid
+  netOfCoupons: true,     // compare against the price paid after checkout coupons
+  capPerUnit: true        // maxClaimPerItem applies to each unit rather than the whole line
+};
+
+module.exports = {
+  DEFAULT_BENEFITS,
+  DEFAULT_PRODUCTS,
+  STANDARD_EXCLUSIONS,
+  STANDARD_EXCLUSION_RULES,
+  STANDARD_CLAIM_POLICY
+};
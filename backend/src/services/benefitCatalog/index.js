@@ -0,0 +1,494 @@
+/**
+ * Card Benefit Catalog
+ *
+ * The single source for price protection terms: protection window, per-item
+ * and annual caps, exclusions, claim channels and required documents. Entries
+ * live in the CardBenefit table, keyed by issuer and (optionally) card product,
+ * and every change is a new version so past terms stay auditable.
+ *
+ * Lookups fall back from the most to the least specific entry:
+ *   issuer + product  →  issuer  →  card network (visa, mastercard, ...)  →  "default"
+ *
+ * Card products (CardProduct) give users something to pick and give email
+ * parsing phrases to suggest a product from; a card only gets product terms
+ * once its product is confirmed.
+ *
+ * Both tables are seeded from defaults.js on first load. If it can't be read the
+ * catalog keeps serving the last good copy, or the defaults when there is none.
+ */
+
+const { PrismaClient, Prisma } = require('@prisma/client');
+const logger = require('../../utils/logger');
+const { DEFAULT_BENEFITS, DEFAULT_PRODUCTS, STANDARD_EXCLUSION_RULES, STANDARD_CLAIM_POLICY } = require('./defaults');
+const { validateRules } = require('./rules');
+
+const prisma = new PrismaClient();
+
+// How long the catalog is cached before re-reading CardBenefit
+const CATALOG_TTL_MS = (parseInt(process.env.BENEFIT_CATALOG_TTL_SECONDS) || 300) * 1000;
+
+// Fields an admin can set on a version
+const BENEFIT_FIELDS = [
+  'name', 'aliases', 'isNetwork', 'active',
+  'offersPriceProtection', 'requiresRetailerFirst', 'protectionDays', 'maxClaimPerItem', 'maxClaimPerYear', 'maxClaimPerAccount', 'capPeriod',
+  'exclusions', 'exclusionRules', 'claimPolicy',
+  'claimMethod', 'claimEmail', 'claimPortalUrl', 'claimPhoneNumber', 'requiredDocs', 'instructions'
+];
+const REQUIRED_FIELDS = ['name', 'protectionDays', 'maxClaimPerItem', 'claimMethod'];
+const CLAIM_METHODS = ['ONLINE_PORTAL', 'PHONE', 'EMAIL', 'MAIL'];
+const CAP_PERIODS = ['CALENDAR_YEAR', 'CARD_MEMBER_YEAR'];
+const PRODUCT_FIELDS = ['name', 'network', 'aliases', 'active'];
+
+// "Capital One" / "capitalone" / "CAPITAL-ONE" all become "capitalone"
+function normalizeIssuer(value) {
+  return (value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// "Sapphire Reserve" becomes "sapphire-reserve"
+function normalizeProduct(value) {
+  return (value || '').toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+function entryId(issuerKey, productKey = '') {
+  return `${issuerKey}:${productKey}`;
+}
+
+// Version-1 rows for every default issuer and product entry
+function defaultEntries() {
+  const issuerTerms = new Map(DEFAULT_BENEFITS.map(entry => [entry.issuerKey, entry]));
+  const productTerms = DEFAULT_PRODUCTS
+    .filter(product => product.benefit)
+    .map(product => ({
+      ...issuerTerms.get(product.issuerKey),
+      aliases: [],
+      isNetwork: false,
+      ...product.benefit,
+      issuerKey: product.issuerKey,
+      productKey: product.productKey,
+      name: product.name
+    }));
+
+  return [...DEFAULT_BENEFITS, ...productTerms].map(entry => ({
+    productKey: '',
+    aliases: [],
+    isNetwork: false,
+    active: true,
+    offersPriceProtection: true,
+    ...entry,
+    version: 1
+  }));
+}
+
+function validate(data) {
+  const errors = [];
+  if (data.protectionDays !== undefined && !(Number.isInteger(data.protectionDays) && data.protectionDays >= 0 && data.protectionDays <= 365)) {
+    errors.push('protectionDays must be a whole number of days between 0 and 365');
+  }
+  for (const field of ['maxClaimPerItem', 'maxClaimPerYear', 'maxClaimPerAccount']) {
+    if (data[field] != null && !(typeof data[field] === 'number' && data[field] >= 0)) {
+      errors.push(`${field} must be a non-negative number`);
+    }
+  }
+  for (const field of ['isNetwork', 'active', 'offersPriceProtection', 'requiresRetailerFirst']) {
+    if (data[field] !== undefined && typeof data[field] !== 'boolean') {
+      errors.push(`${field} must be true or false`);
+    }
+  }
+  if (data.capPeriod !== undefined && !CAP_PERIODS.includes(data.capPeriod)) {
+    errors.push(`capPeriod must be one of ${CAP_PERIODS.join(', ')}`);
+  }
+  if (data.claimMethod !== undefined && !CLAIM_METHODS.includes(data.claimMethod)) {
+    errors.push(`claimMethod must be one of ${CLAIM_METHODS.join(', ')}`);
+  }
+  for (const field of ['aliases', 'exclusions', 'requiredDocs', 'instructions']) {
+    if (data[field] !== undefined && !(Array.isArray(data[field]) && data[field].every(v => typeof v === 'string'))) {
+      errors.push(`${field} must be a list of strings`);
+    }
+  }
+  if (data.claimEmail && !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(data.claimEmail)) {
+    errors.push('claimEmail is not a valid email address');
+  }
+  errors.push(...validateRules(data.exclusionRules));
+  if (data.claimPolicy != null) {
+    if (typeof data.claimPolicy !== 'object' || Array.isArray(data.claimPolicy)) {
+      errors.push('claimPolicy must be an object');
+    } else {
+      for (const [key, value] of Object.entries(data.claimPolicy)) {
+        if (!(key in STANDARD_CLAIM_POLICY)) {
+          errors.push(`claimPolicy.${key} is not a policy setting (known: ${Object.keys(STANDARD_CLAIM_POLICY).join(', ')})`);
+        } else if (typeof value !== 'boolean') {
+          errors.push(`claimPolicy.${key} must be true or false`);
+        }
+      }
+    }
+  }
+  return errors;
+}
+
+class BenefitCatalog {
+  constructor() {
+    this.entries = new Map();   // "issuerKey:productKey" → current version
+    this.aliases = new Map();   // normalized spelling → issuerKey
+    this.products = new Map();  // CardProduct id → product
+    this.loadedAt = 0;
+    this.loading = null;
+    this.seeded = false;
+  }
+
+  // Insert version 1 of any default entry or product the tables don't have yet
+  async seedDefaults() {
+    const result = await prisma.cardBenefit.createMany({
+      data: defaultEntries().map(entry => ({ ...entry, notes: 'Initial catalog', changedBy: 'seed' })),
+      skipDuplicates: true
+    });
+    const products = await prisma.cardProduct.createMany({
+      data: DEFAULT_PRODUCTS.map(({ benefit, ...product }) => product),
+      skipDuplicates: true
+    });
+
+    if (result.count || products.count) {
+      logger.info(`Seeded ${result.count} card benefit catalog entries and ${products.count} card products`);
+    }
+    this.seeded = true;
+    return result.count + products.count;
+  }
+
+  setEntries(rows) {
+    const entries = new Map();
+    for (const row of rows) {
+      const id = entryId(row.issuerKey, row.productKey);
+      if (!entries.has(id) || entries.get(id).version < row.version) entries.set(id, row);
+    }
+
+    const aliases = new Map();
+    for (const entry of entries.values()) {
+      if (entry.productKey || !entry.active) continue;
+      for (const spelling of [entry.issuerKey, entry.name, ...(entry.aliases || [])]) {
+        const key = normalizeIssuer(spelling);
+        if (key && !aliases.has(key)) aliases.set(key, entry.issuerKey);
+      }
+    }
+
+    this.entries = entries;
+    this.aliases = aliases;
+  }
+
+  async loadFromDatabase() {
+    try {
+      if (!this.seeded) await this.seedDefaults();
+      const [rows, products] = await Promise.all([
+        prisma.cardBenefit.findMany(),
+        prisma.cardProduct.findMany()
+      ]);
+      this.setEntries(rows);
+      this.products = new Map(products.map(product => [product.id, product]));
+      logger.info(`Loaded card benefit catalog: ${this.entries.size} entries, ${this.products.size} products`);
+    } catch (err) {
+      logger.error('Failed to load card benefit catalog:', err);
+      if (!this.entries.size) {
+        this.setEntries(defaultEntries());
+      }
+    }
+    this.loadedAt = Date.now();
+  }
+
+  async ensureLoaded() {
+    if (Date.now() - this.loadedAt < CATALOG_TTL_MS) return;
+    if (!this.loading) {
+      this.loading = this.loadFromDatabase().finally(() => { this.loading = null; });
+    }
+    await this.loading;
+  }
+
+  async reload() {
+    this.loadedAt = 0;
+    await this.ensureLoaded();
+    return this.list();
+  }
+
+  normalizeIssuer(value) {
+    return normalizeIssuer(value);
+  }
+
+  normalizeProduct(value) {
+    return normalizeProduct(value);
+  }
+
+  // Catalog key for an issuer or network name as written on a card or email
+  issuerKeyFor(issuer) {
+    const normalized = normalizeIssuer(issuer);
+    if (!normalized) return null;
+    if (this.aliases.has(normalized)) return this.aliases.get(normalized);
+
+    // "Chase Sapphire Preferred" → chase; longest spelling first so "citibank" beats "citi"
+    const spellings = [...this.aliases.keys()].filter(k => k.length >= 4).sort((a, b) => b.length - a.length);
+    const match = spellings.find(spelling => normalized.includes(spelling));
+    return match ? this.aliases.get(match) : null;
+  }
+
+  /**
+   * Terms in force for a card.
+   * @param {string} issuer - issuer as stored on the card ("Chase", "American Express")
+   * @param {Object} options - { network, product }
+   * @returns {Promise<Object>} the catalog entry plus `matchedBy`:
+   *   'product' | 'issuer' | 'network' | 'default'
+   */
+  async resolve(issuer, { network, product } = {}) {
+    await this.ensureLoaded();
+
+    const issuerKey = this.issuerKeyFor(issuer);
+    const networkKey = this.issuerKeyFor(network);
+    const productKey = normalizeProduct(product);
+
+    const candidates = [];
+    if (issuerKey && productKey) candidates.push(['product', entryId(issuerKey, productKey)]);
+    if (issuerKey) candidates.push(['issuer', entryId(issuerKey)]);
+    if (networkKey && networkKey !== issuerKey) candidates.push(['network', entryId(networkKey)]);
+    candidates.push(['default', entryId('default')]);
+
+    for (const [matchedBy, id] of candidates) {
+      const entry = this.entries.get(id);
+      if (entry?.active) return { ...entry, matchedBy };
+    }
+    return null;
+  }
+
+  // Terms for a card; a suggested but unconfirmed product is ignored
+  async forCard(card) {
+    await this.ensureLoaded();
+    const product = card?.productConfirmed ? this.products.get(card.productId) : null;
+    return this.resolve(card?.issuer, { network: card?.network, product: product?.productKey });
+  }
+
+  // Catalog terms in CreditCard field names, for prefilling a new card
+  cardDefaults(entry) {
+    if (!entry) return {};
+    return {
+      protectionDays: entry.protectionDays,
+      maxClaimAmount: entry.maxClaimPerItem,
+      maxAnnualClaims: entry.maxClaimPerYear ?? undefined,
+      maxAccountClaims: entry.maxClaimPerAccount ?? undefined,
+      capPeriod: entry.capPeriod || undefined,
+      claimMethod: entry.claimMethod,
+      claimPortalUrl: entry.claimPortalUrl || null,
+      claimPhoneNumber: entry.claimPhoneNumber || null,
+      claimEmail: entry.claimEmail || null
+    };
+  }
+
+  // Exclusion rules for an entry; entries without their own use the standard set
+  rulesFor(entry) {
+    return entry?.exclusionRules ?? STANDARD_EXCLUSION_RULES;
+  }
+
+  // Claim amount policy for an entry: the standard policy with the entry's overrides
+  claimPolicyFor(entry) {
+    return { ...STANDARD_CLAIM_POLICY, ...entry?.claimPolicy };
+  }
+
+  // Where to email a claim: the card's own address, else the catalog's
+  async claimEmailFor(card) {
+    if (card?.claimEmail) return card.claimEmail;
+    const entry = await this.forCard(card);
+    return entry?.claimEmail || null;
+  }
+
+  // Domains benefit administrators write from (every claim address in the catalog)
+  async claimEmailDomains() {
+    await this.ensureLoaded();
+    const domains = [...this.entries.values()]
+      .filter(entry => entry.active && entry.claimEmail)
+      .map(entry => entry.claimEmail.split('@')[1].toLowerCase());
+    return [...new Set(domains)];
+  }
+
+  // Current version of every entry, retired ones included
+  list() {
+    return [...this.entries.values()].sort((a, b) =>
+      a.issuerKey.localeCompare(b.issuerKey) || a.productKey.localeCompare(b.productKey)
+    );
+  }
+
+  async listActive() {
+    await this.ensureLoaded();
+    return this.list().filter(entry => entry.active && entry.issuerKey !== 'default');
+  }
+
+  async getProduct(id) {
+    await this.ensureLoaded();
+    return this.products.get(id) || null;
+  }
+
+  // Active products with the terms each one resolves to, for the product picker
+  async listProducts({ issuer } = {}) {
+    await this.ensureLoaded();
+    const issuerKey = issuer ? this.issuerKeyFor(issuer) : null;
+
+    const products = [...this.products.values()]
+      .filter(product => product.active && (!issuerKey || product.issuerKey === issuerKey))
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+    return Promise.all(products.map(async (product) => {
+      const benefit = await this.resolve(product.issuerKey, { network: product.network, product: product.productKey });
+      return {
+        ...product,
+        issuerName: this.entries.get(entryId(product.issuerKey))?.name || product.issuerKey,
+        benefit: benefit && {
+          offersPriceProtection: benefit.offersPriceProtection,
+          protectionDays: benefit.protectionDays,
+          maxClaimPerItem: benefit.maxClaimPerItem,
+          maxClaimPerYear: benefit.maxClaimPerYear,
+          maxClaimPerAccount: benefit.maxClaimPerAccount,
+          capPeriod: benefit.capPeriod,
+          claimMethod: benefit.claimMethod,
+          matchedBy: benefit.matchedBy
+        }
+      };
+    }));
+  }
+
+  /**
+   * Suggest a card product from free text (an order email). Only products with
+   * an alias that appears in the text qualify; when the issuer or network is
+   * known, products that disagree with it are skipped.
+   * @returns {Promise<Object|null>} the CardProduct, or null when nothing matched
+   */
+  async suggestProduct(text, { issuer, network } = {}) {
+    if (!text) return null;
+    await this.ensureLoaded();
+
+    const haystack = ` ${text.toLowerCase().replace(/[^a-z0-9]+/g, ' ')} `;
+    // Cards detected from email often carry the network as their issuer, so a
+    // known key only has to match the product's issuer or its network
+    const knownKeys = [this.issuerKeyFor(issuer), this.issuerKeyFor(network)].filter(Boolean);
+
+    let best = null;
+    for (const product of this.products.values()) {
+      if (!product.active) continue;
+      if (!knownKeys.every(key => key === product.issuerKey || key === product.network)) continue;
+
+      for (const phrase of product.aliases) {
+        const needle = ` ${phrase.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim()} `;
+        if (needle.trim() && haystack.includes(needle) && (!best || needle.length > best.length)) {
+          best = { product, length: needle.length };
+        }
+      }
+    }
+    return best?.product || null;
+  }
+
+  // Create or update a card product (its terms are published separately)
+  async upsertProduct(issuerKey, product, changes) {
+    const key = normalizeIssuer(issuerKey);
+    const productKey = normalizeProduct(product);
+    const data = {};
+    for (const field of PRODUCT_FIELDS) {
+      if (changes[field] !== undefined) data[field] = changes[field];
+    }
+
+    const existing = await prisma.cardProduct.findUnique({
+      where: { issuerKey_productKey: { issuerKey: key, productKey } }
+    });
+    if (!existing && !data.name) {
+      throw Object.assign(new Error('name is required for a new card product'), { validationErrors: ['name is required'] });
+    }
+
+    const saved = await prisma.cardProduct.upsert({
+      where: { issuerKey_productKey: { issuerKey: key, productKey } },
+      update: data,
+      create: { ...data, issuerKey: key, productKey }
+    });
+    await this.reload();
+    return saved;
+  }
+
+  async history(issuerKey, product = '') {
+    return prisma.cardBenefit.findMany({
+      where: { issuerKey, productKey: normalizeProduct(product) },
+      orderBy: { version: 'desc' }
+    });
+  }
+
+  /**
+   * Publish a new version of an entry. Fields not given carry over from the
+   * current version; a new issuer/product needs at least name, protectionDays,
+   * maxClaimPerItem and claimMethod.
+   * @returns {Promise<Object>} the new version
+   * @throws {Error} with `validationErrors` when the terms are invalid
+   */
+  async publish(issuerKey, product, changes, { changedBy = null, notes = null } = {}) {
+    const key = normalizeIssuer(issuerKey);
+    const productKey = normalizeProduct(product);
+    if (!key) throw Object.assign(new Error('issuerKey is required'), { validationErrors: ['issuerKey is required'] });
+
+    const data = {};
+    for (const field of BENEFIT_FIELDS) {
+      if (changes[field] !== undefined) data[field] = changes[field];
+    }
+
+    const current = await prisma.cardBenefit.findFirst({
+      where: { issuerKey: key, productKey },
+      orderBy: { version: 'desc' }
+    });
+    // A product's first version starts from the issuer's terms
+    const inherited = current || (productKey && await prisma.cardBenefit.findFirst({
+      where: { issuerKey: key, productKey: '' },
+      orderBy: { version: 'desc' }
+    }));
+
+    const errors = validate(data);
+    if (!inherited) {
+      for (const field of REQUIRED_FIELDS) {
+        if (data[field] == null) errors.push(`${field} is required for a new catalog entry`);
+      }
+    }
+    if (errors.length) {
+      throw Object.assign(new Error(`Invalid benefit terms: ${errors.join('; ')}`), { validationErrors: errors });
+    }
+
+    const base = {};
+    if (inherited) {
+      for (const field of BENEFIT_FIELDS) base[field] = inherited[field];
+      if (!current) base.aliases = [];
+    }
+    // Prisma needs DbNull to store "none of its own" in a Json column
+    const merged = { ...base, ...data };
+    if (merged.exclusionRules === null) merged.exclusionRules = Prisma.DbNull;
+    if (merged.claimPolicy === null) merged.claimPolicy = Prisma.DbNull;
+
+    const entry = await prisma.cardBenefit.create({
+      data: {
+        ...merged,
+        issuerKey: key,
+        productKey,
+        version: (current?.version || 0) + 1,
+        notes,
+        changedBy
+      }
+    });
+
+    logger.info(`Card benefit ${entryId(key, productKey)} is now version ${entry.version}${changedBy ? ` (by ${changedBy})` : ''}`);
+    await this.reload();
+    return entry;
+  }
+
+  // Re-publish the terms of an earlier version as the newest one
+  async rollback(issuerKey, product, version, { changedBy = null } = {}) {
+    const target = await prisma.cardBenefit.findUnique({
+      where: {
+        issuerKey_productKey_version: {
+          issuerKey: normalizeIssuer(issuerKey),
+          productKey: normalizeProduct(product),
+          version
+        }
+      }
+    });
+    if (!target) return null;
+
+    const terms = {};
+    for (const field of BENEFIT_FIELDS) terms[field] = target[field];
+    return this.publish(issuerKey, product, terms, { changedBy, notes: `Rolled back to version ${version}` });
+  }
+}
+
+module.exports = new BenefitCatalog();
@@ -0,0 +1,135 @@
+/**
+ * Declarative benefit exclusion rules.
+ *
+ * A catalog entry's `exclusionRules` is a list of:
+ *   {
+ *     id:     'gift-cards',
+ *     fields: ['category', 'productName'],   // facts to test; any one matching is enough
+ *     op:     'containsAny' | 'equalsAny' | 'matches' | 'is' | 'during',
+ *     values: ['gift card', 'egift'],
+ *     effect: 'exclude' | 'review',          // exclude blocks the claim; review needs the user's OK
+ *     reason: 'Gift cards are not covered'
+ *   }
+ *
+ * Facts (see services/claimEligibility.js): category, productName, retailer,
+ * purchaseCondition, seller, priceSource, priceCondition, priceText, priceDate,
+ * thirdPartySeller.
+ */
+
+const FACTS = [
+  'category', 'productName', 'retailer', 'purchaseCondition',
+  'seller', 'priceSource', 'priceCondition', 'priceText', 'priceDate', 'thirdPartySeller'
+];
+const OPERATORS = ['containsAny', 'equalsAny', 'matches', 'is', 'during'];
+const EFFECTS = ['exclude', 'review'];
+
+// Sale events issuers exclude, as [start, end] dates for a year
+const EVENTS = {
+  // Thanksgiving (fourth Thursday of November) through Cyber Monday
+  'black-friday': (year) => {
+    const nov1 = new Date(Date.UTC(year, 10, 1));
+    const thanksgiving = 1 + ((4 - nov1.getUTCDay() + 7) % 7) + 21;
+    return [new Date(Date.UTC(year, 10, thanksgiving)), new Date(Date.UTC(year, 10, thanksgiving + 4, 23, 59, 59))];
+  },
+  // Boxing Day through New Year's Eve clearance
+  'year-end-clearance': (year) => [new Date(Date.UTC(year, 11, 26)), new Date(Date.UTC(year, 11, 31, 23, 59, 59))]
+};
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function textOf(value) {
+  return value == null ? '' : String(value).toLowerCase();
+}
+
+function testValue(rule, value) {
+  if (value == null || value === '') return false;
+
+  switch (rule.op) {
+    case 'containsAny': {
+      const text = textOf(value);
+      return rule.values.some(v => new RegExp(`\\b${escapeRegex(textOf(v))}\\b`).test(text));
+    }
+    case 'equalsAny':
+      return rule.values.some(v => textOf(v) === textOf(value));
+    case 'matches':
+      return rule.values.some(v => new RegExp(v, 'i').test(String(value)));
+    case 'is':
+      return rule.values.includes(value);
+    case 'during': {
+      const date = new Date(value);
+      if (isNaN(date)) return false;
+      return rule.values.some(event => {
+        const [start, end] = EVENTS[event](date.getUTCFullYear());
+        return date >= start && date <= end;
+      });
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Check a rule list before it is saved.
+ * @returns {string[]} problems (empty when the rules are valid)
+ */
+function validateRules(rules) {
+  if (rules == null) return [];
+  if (!Array.isArray(rules)) return ['exclusionRules must be a list'];
+
+  const errors = [];
+  const ids = new Set();
+  rules.forEach((rule, index) => {
+    const label = `exclusionRules[${index}]${rule?.id ? ` (${rule.id})` : ''}`;
+    if (!rule || typeof rule !== 'object') {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+    if (!rule.id) errors.push(`${label} needs an id`);
+    else if (ids.has(rule.id)) errors.push(`${label} has a duplicate id`);
+    ids.add(rule.id);
+
+    if (!Array.isArray(rule.fields) || !rule.fields.length) {
+      errors.push(`${label} needs at least one field`);
+    } else {
+      const unknown = rule.fields.filter(f => !FACTS.includes(f));
+      if (unknown.length) errors.push(`${label} has unknown fields: ${unknown.join(', ')}`);
+    }
+    if (!OPERATORS.includes(rule.op)) errors.push(`${label} op must be one of ${OPERATORS.join(', ')}`);
+    if (!EFFECTS.includes(rule.effect)) errors.push(`${label} effect must be one of ${EFFECTS.join(', ')}`);
+    if (!rule.reason) errors.push(`${label} needs a reason`);
+    if (!Array.isArray(rule.values) || !rule.values.length) {
+      errors.push(`${label} needs at least one value`);
+    } else if (rule.op === 'matches') {
+      for (const pattern of rule.values) {
+        try {
+          new RegExp(pattern, 'i');
+        } catch (e) {
+          errors.push(`${label} has an invalid pattern: ${e.message}`);
+        }
+      }
+    } else if (rule.op === 'during') {
+      const unknown = rule.values.filter(v => !EVENTS[v]);
+      if (unknown.length) errors.push(`${label} has unknown events: ${unknown.join(', ')} (known: ${Object.keys(EVENTS).join(', ')})`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Run rules against a purchase's facts.
+ * @returns {Array<{ rule, effect, reason, field, value }>} one entry per rule that matched
+ */
+function evaluateRules(rules, facts) {
+  const matches = [];
+  for (const rule of rules || []) {
+    const field = rule.fields.find(f => testValue(rule, facts[f]));
+    if (field) {
+      matches.push({ rule: rule.id, effect: rule.effect, reason: rule.reason, field, value: facts[field] });
+    }
+  }
+  return matches;
+}
+
+module.exports = { FACTS, OPERATORS, EFFECTS, EVENTS, validateRules, evaluateRules };
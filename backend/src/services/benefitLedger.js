@@ -0,0 +1,176 @@
+/**
+ * Benefit Ledger
+ *
+ * How much of a card's price protection caps is used in the current cap year
+ * (calendar year, or card-member year from the card's anniversary):
+ *   pending   - claims sent to the issuer and not yet decided
+ *   approved  - approved claims not yet paid
+ *   paid      - claims whose money has arrived
+ *   open      - drafts that auto-filing will send (counted in the projection only)
+ *
+ * Caps: per claim (maxClaimAmount), per cap year (maxAnnualClaims) and per
+ * account (maxAccountClaims, shared by all of the user's cards from the same
+ * issuer over the same cap year). Denied and expired claims use no headroom,
+ * nor do retailer price adjustments.
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const benefitCatalog = require('./benefitCatalog');
+
+const prisma = new PrismaClient();
+
+const OPEN_STATUSES = ['DRAFT', 'READY_TO_FILE'];
+const PENDING_STATUSES = ['PENDING', 'EMAIL_SENT', 'FILED', 'PENDING_REVIEW', 'ADDITIONAL_INFO_NEEDED'];
+const COUNTED_STATUSES = [...OPEN_STATUSES, ...PENDING_STATUSES, 'APPROVED', 'MONEY_RECEIVED'];
+
+function round(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+function remainingOf(cap, used) {
+  return cap == null ? null : round(Math.max(0, cap - used));
+}
+
+// Smallest of the limits that apply; null when nothing limits
+function smallest(...limits) {
+  const set = limits.filter(limit => limit != null);
+  return set.length ? Math.min(...set) : null;
+}
+
+class BenefitLedger {
+  // Cap year containing `at`: { type, start, end } with end exclusive
+  periodFor(card, at = new Date()) {
+    if (card.capPeriod === 'CARD_MEMBER_YEAR') {
+      const anniversary = new Date(card.memberSince || card.createdAt || at);
+      const start = new Date(at.getFullYear(), anniversary.getMonth(), anniversary.getDate());
+      if (start > at) start.setFullYear(start.getFullYear() - 1);
+      const end = new Date(start);
+      end.setFullYear(end.getFullYear() + 1);
+      return { type: 'CARD_MEMBER_YEAR', start, end };
+    }
+    return {
+      type: 'CALENDAR_YEAR',
+      start: new Date(at.getFullYear(), 0, 1),
+      end: new Date(at.getFullYear() + 1, 0, 1)
+    };
+  }
+
+  // What a claim counts for: the approved amount once decided, else what was asked for
+  // (priceDifference is already capped per unit when the claim is created)
+  claimAmount(claim) {
+    if (['APPROVED', 'MONEY_RECEIVED'].includes(claim.status) && claim.approvedAmount != null) {
+      return claim.approvedAmount;
+    }
+    return claim.priceDifference;
+  }
+
+  // Totals by bucket for claims on the given cards in a cap year
+  async totals(cards, period) {
+    const claims = await prisma.claim.findMany({
+      where: {
+        creditCardId: { in: cards.map(card => card.id) },
+        type: 'ISSUER',
+        status: { in: COUNTED_STATUSES },
+        OR: [
+          { filedAt: { gte: period.start, lt: period.end } },
+          { filedAt: null, createdAt: { gte: period.start, lt: period.end } }
+        ]
+      },
+      select: { id: true, status: true, priceDifference: true, approvedAmount: true }
+    });
+
+    const totals = { pending: 0, approved: 0, paid: 0, open: 0, openClaims: 0 };
+    for (const claim of claims) {
+      const amount = this.claimAmount(claim);
+      if (OPEN_STATUSES.includes(claim.status)) {
+        totals.open += amount;
+        totals.openClaims++;
+      } else if (claim.status === 'APPROVED') {
+        totals.approved += amount;
+      } else if (claim.status === 'MONEY_RECEIVED') {
+        totals.paid += amount;
+      } else {
+        totals.pending += amount;
+      }
+    }
+
+    for (const key of ['pending', 'approved', 'paid', 'open']) totals[key] = round(totals[key]);
+    totals.used = round(totals.pending + totals.approved + totals.paid);
+    return totals;
+  }
+
+  // The user's cards that share an issuer account with this one
+  async accountCards(card) {
+    const issuerKey = benefitCatalog.issuerKeyFor(card.issuer);
+    const cards = await prisma.creditCard.findMany({ where: { userId: card.userId } });
+    return cards.filter(other => other.id === card.id || (issuerKey && benefitCatalog.issuerKeyFor(other.issuer) === issuerKey));
+  }
+
+  /**
+   * Ledger for a card's current cap year.
+   * @returns {Promise<Object>} { period, caps, totals, account, remaining, headroom, projectedHeadroom }
+   *   headroom: what can still be claimed (null = no annual/account cap)
+   *   projectedHeadroom: headroom once the open drafts are filed
+   */
+  async forCard(card, { at = new Date() } = {}) {
+    await benefitCatalog.ensureLoaded();
+    const period = this.periodFor(card, at);
+    const totals = await this.totals([card], period);
+
+    let account = null;
+    if (card.maxAccountClaims != null) {
+      const cards = await this.accountCards(card);
+      account = { cardIds: cards.map(c => c.id), ...(await this.totals(cards, period)) };
+    }
+
+    const remaining = {
+      year: remainingOf(card.maxAnnualClaims, totals.used),
+      account: account && remainingOf(card.maxAccountClaims, account.used)
+    };
+    const projected = {
+      year: remainingOf(card.maxAnnualClaims, totals.used + totals.open),
+      account: account && remainingOf(card.maxAccountClaims, account.used + account.open)
+    };
+
+    return {
+      cardId: card.id,
+      period,
+      caps: {
+        perClaim: card.maxClaimAmount,
+        perYear: card.maxAnnualClaims ?? null,
+        perAccount: card.maxAccountClaims ?? null
+      },
+      totals,
+      account,
+      remaining,
+      headroom: smallest(remaining.year, remaining.account),
+      projectedHeadroom: smallest(projected.year, projected.account)
+    };
+  }
+
+  /**
+   * Share out headroom between candidate claims, most valuable first.
+   * @param {number|null} headroom - null when uncapped
+   * @param {Array} candidates - items with a `value` (the amount they would claim)
+   * @returns {{ allocated: Array<{ item, amount }>, skipped: Array }}
+   */
+  allocate(headroom, candidates) {
+    const ranked = [...candidates].sort((a, b) => b.value - a.value);
+    const allocated = [];
+    const skipped = [];
+    let left = headroom;
+
+    for (const item of ranked) {
+      const amount = round(left == null ? item.value : Math.min(item.value, left));
+      if (amount <= 0) {
+        skipped.push(item);
+        continue;
+      }
+      allocated.push({ item, amount });
+      if (left != null) left = round(left - amount);
+    }
+    return { allocated, skipped };
+  }
+}
+
+module.exports = new BenefitLedger();
@@ -0,0 +1,119 @@
+jest.mock('@prisma/client', () => require('../../test/prismaMock'));
+
+const { prisma, resetPrisma } = require('@prisma/client');
+const benefitCatalog = require('./benefitCatalog');
+const benefitLedger = require('./benefitLedger');
+
+const sapphire = {
+  id: 'card-1',
+  userId: 'user-1',
+  issuer: 'Chase',
+  capPeriod: 'CALENDAR_YEAR',
+  maxClaimAmount: 500,
+  maxAnnualClaims: 2500,
+  maxAccountClaims: 2500
+};
+const freedom = { ...sapphire, id: 'card-2', issuer: 'Chase Freedom' };
+const citi = { ...sapphire, id: 'card-3', issuer: 'Citi', maxAccountClaims: null };
+
+const claims = [
+  { id: 'c1', creditCardId: 'card-1', status: 'EMAIL_SENT', priceDifference: 400, approvedAmount: null },
+  { id: 'c2', creditCardId: 'card-1', status: 'MONEY_RECEIVED', priceDifference: 300, approvedAmount: 250 },
+  { id: 'c3', creditCardId: 'card-2', status: 'APPROVED', priceDifference: 1500, approvedAmount: 1500 },
+  { id: 'c4', creditCardId: 'card-2', status: 'DRAFT', priceDifference: 200, approvedAmount: null },
+  { id: 'c5', creditCardId: 'card-3', status: 'PENDING', priceDifference: 900, approvedAmount: null }
+];
+
+describe('benefitLedger.periodFor', () => {
+  it('uses the calendar year by default', () => {
+    const period = benefitLedger.periodFor(sapphire, new Date(2026, 6, 4));
+
+    expect(period).toEqual({ type: 'CALENDAR_YEAR', start: new Date(2026, 0, 1), end: new Date(2027, 0, 1) });
+  });
+
+  it('starts a card-member year at the last anniversary', () => {
+    const card = { ...sapphire, capPeriod: 'CARD_MEMBER_YEAR', memberSince: new Date(2019, 8, 15) };
+
+    expect(benefitLedger.periodFor(card, new Date(2026, 9, 1))).toMatchObject({
+      start: new Date(2026, 8, 15),
+      end: new Date(2027, 8, 15)
+    });
+  });
+
+  it('rolls back a year when this year\'s anniversary is still to come', () => {
+    const card = { ...sapphire, capPeriod: 'CARD_MEMBER_YEAR', memberSince: new Date(2019, 8, 15) };
+
+    expect(benefitLedger.periodFor(card, new Date(2026, 2, 1))).toMatchObject({
+      type: 'CARD_MEMBER_YEAR',
+      start: new Date(2025, 8, 15),
+      end: new Date(2026, 8, 15)
+    });
+  });
+});
+
+describe('benefitLedger.forCard', () => {
+  beforeAll(async () => {
+    // Without its tables the catalog uses the built-in issuers, which know "Chase Freedom" is Chase
+    prisma.cardBenefit.findMany.mockRejectedValue(new Error('Database unavailable'));
+    await benefitCatalog.reload();
+  });
+
+  beforeEach(() => {
+    resetPrisma();
+    prisma.creditCard.findMany.mockResolvedValue([sapphire, freedom, citi]);
+    prisma.claim.findMany.mockImplementation(async ({ where }) =>
+      claims.filter(claim => where.creditCardId.in.includes(claim.creditCardId))
+    );
+  });
+
+  it('counts what each claim is worth in its bucket', async () => {
+    const ledger = await benefitLedger.forCard(sapphire, { at: new Date(2026, 6, 4) });
+
+    // The approved amount replaces what was asked for once it is known
+    expect(ledger.totals).toMatchObject({ pending: 400, paid: 250, approved: 0, open: 0, used: 650 });
+    expect(ledger.remaining.year).toBe(1850);
+  });
+
+  it('shares the account cap across the user\'s cards from the same issuer', async () => {
+    const ledger = await benefitLedger.forCard(sapphire, { at: new Date(2026, 6, 4) });
+
+    expect(ledger.account.cardIds).toEqual(['card-1', 'card-2']);
+    expect(ledger.account).toMatchObject({ used: 2150, open: 200 });
+    expect(ledger.remaining.account).toBe(350);
+    // The smaller of the two caps applies, and drafts count once filed
+    expect(ledger.headroom).toBe(350);
+    expect(ledger.projectedHeadroom).toBe(150);
+  });
+
+  it('has no account totals for a card without an account cap', async () => {
+    const ledger = await benefitLedger.forCard(citi, { at: new Date(2026, 6, 4) });
+
+    expect(ledger.account).toBeNull();
+    expect(ledger.headroom).toBe(1600);
+  });
+});
+
+describe('benefitLedger.allocate', () => {
+  const candidates = [{ id: 'a', value: 40 }, { id: 'b', value: 120 }, { id: 'c', value: 75.5 }];
+
+  it('gives every claim its full value when uncapped', () => {
+    const { allocated, skipped } = benefitLedger.allocate(null, candidates);
+
+    expect(allocated.map(({ item, amount }) => [item.id, amount])).toEqual([['b', 120], ['c', 75.5], ['a', 40]]);
+    expect(skipped).toEqual([]);
+  });
+
+  it('skips everything once the cap is used up', () => {
+    const { allocated, skipped } = benefitLedger.allocate(0, candidates);
+
+    expect(allocated).toEqual([]);
+    expect(skipped).toHaveLength(3);
+  });
+
+  it('fills the most valuable claims first and reduces the one that reaches the cap', () => {
+    const { allocated, skipped } = benefitLedger.allocate(150, candidates);
+
+    expect(allocated.map(({ item, amount }) => [item.id, amount])).toEqual([['b', 120], ['c', 30]]);
+    expect(skipped.map(item => item.id)).toEqual(['a']);
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * Claim Amount
+ *
+ * Works out how much to claim for a lower price, the same way wherever a claim
+ * is created or documented. It starts from the per-unit difference and lets
+ * the card's benefit policy (claimPolicy in the benefit catalog) decide:
+ *   refundSalesTax  - add the sales tax paid on the difference, at the order's rate
+ *   refundShipping  - add the item's share of the shipping paid
+ *   netOfCoupons    - compare against the price paid after checkout coupons
+ *                     rather than the listed price
+ *   capPerUnit      - apply the per-item limit to each unit rather than the line
+ * The result is stored on the claim as `amountBreakdown`, whose itemized lines
+ * go into the claim PDF and email.
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const benefitCatalog = require('./benefitCatalog');
+
+const prisma = new PrismaClient();
+
+function round(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+function money(amount) {
+  return `${amount < 0 ? '-' : ''}$${Math.abs(amount).toFixed(2)}`;
+}
+
+class ClaimAmount {
+  // The order a purchase came from, for its tax rate and shipping
+  async orderFor(purchase) {
+    if (purchase.order !== undefined) return purchase.order;
+    return purchase.orderId ? prisma.order.findUnique({ where: { id: purchase.orderId } }) : null;
+  }
+
+  /**
+   * Claim amount for a purchase at a lower per-unit price.
+   * @param {Object} purchase - with `creditCard` (and `order`, when loaded)
+   * @param {number} newPrice
+   * @param {Object} options - { card } to use instead of purchase.creditCard
+   * @returns {Promise<Object>} { amount, quantity, originalPrice, newPrice, perUnit,
+   *   cap, lines: [{ label, amount }], notes, policy, calculatedAt }
+   */
+  async calculate(purchase, newPrice, { card = purchase.creditCard } = {}) {
+    const benefit = await benefitCatalog.forCard(card);
+    const policy = benefitCatalog.claimPolicyFor(benefit);
+    const order = await this.orderFor(purchase);
+    const quantity = purchase.quantity || 1;
+    const units = quantity > 1 ? ` x ${quantity} units` : '';
+    const notes = [];
+
+    // Price compared against, per unit
+    const couponShare = purchase.discountShare > 0 ? purchase.discountShare : 0;
+    const originalPrice = !policy.netOfCoupons && couponShare && purchase.unitPrice != null
+      ? purchase.unitPrice
+      : purchase.purchasePrice;
+    if (couponShare) {
+      notes.push(policy.netOfCoupons
+        ? `Compared against the price paid after ${money(couponShare)} of order discounts`
+        : 'Compared against the listed price; checkout coupons are not taken off');
+    }
+
+    const difference = round(Math.max(0, originalPrice - newPrice));
+    const perUnit = { difference, tax: 0, shipping: 0 };
+    const lines = [{
+      label: `Price difference (${money(originalPrice)} - ${money(newPrice)})${units}`,
+      amount: round(difference * quantity)
+    }];
+
+    if (policy.refundSalesTax && difference > 0) {
+      const taxable = order?.subtotal != null ? order.subtotal - (order.discount || 0) : null;
+      if (order?.tax > 0 && taxable > 0) {
+        const rate = order.tax / taxable;
+        perUnit.tax = round(difference * rate);
+        lines.push({ label: `Sales tax on the difference (${(rate * 100).toFixed(2)}%)${units}`, amount: round(perUnit.tax * quantity) });
+      } else {
+        notes.push('Sales tax not included: the order\'s tax rate is unknown');
+      }
+    }
+
+    if (policy.refundShipping && difference > 0 && order?.shipping > 0) {
+      const lineTotal = (purchase.unitPrice ?? purchase.purchasePrice) * quantity;
+      const share = order.subtotal > 0 ? Math.min(1, lineTotal / order.subtotal) : 1;
+      const shipping = round(order.shipping * share);
+      perUnit.shipping = shipping / quantity;
+      lines.push({ label: share < 1 ? 'Shipping paid (this item\'s share)' : 'Shipping paid', amount: shipping });
+    }
+
+    const uncapped = round(lines.reduce((sum, line) => sum + line.amount, 0));
+    const limit = card?.maxClaimAmount ?? benefit?.maxClaimPerItem ?? null;
+    const cap = limit == null
+      ? null
+      : policy.capPerUnit ? round(limit * quantity) : limit;
+    const amount = cap == null ? uncapped : Math.min(uncapped, cap);
+    if (amount < uncapped) {
+      lines.push({
+        label: policy.capPerUnit && quantity > 1
+          ? `Limited to ${money(limit)} per item${units}`
+          : `Limited to the ${money(limit)} per-claim maximum`,
+        amount: round(amount - uncapped)
+      });
+    }
+
+    return {
+      amount,
+      quantity,
+      originalPrice,
+      newPrice,
+      perUnit: { ...perUnit, shipping: round(perUnit.shipping) },
+      cap: cap == null ? null : { limit, perUnit: policy.capPerUnit, applied: amount < uncapped },
+      lines,
+      notes,
+      policy,
+      calculatedAt: new Date().toISOString()
+    };
+  }
+
+  // A breakdown lowered to `amount`, e.g. to fit the card's remaining claim limit
+  reduceTo(breakdown, amount, reason) {
+    if (amount >= breakdown.amount) return breakdown;
+    return {
+      ...breakdown,
+      amount,
+      lines: [...breakdown.lines, { label: reason, amount: round(amount - breakdown.amount) }]
+    };
+  }
+
+  // The claim's stored breakdown, or one worked out now for claims created without it
+  async breakdownFor(claim) {
+    if (claim.amountBreakdown) return claim.amountBreakdown;
+    const breakdown = await this.calculate(claim.purchase, claim.newPrice, { card: claim.creditCard });
+    return breakdown.amount === claim.priceDifference
+      ? breakdown
+      : { ...breakdown, amount: claim.priceDifference, lines: [{ label: 'Price difference', amount: claim.priceDifference }], notes: [] };
+  }
+
+  // Itemized lines as text, for claim emails
+  describe(breakdown) {
+    return [
+      ...breakdown.lines.map(line => `- ${line.label}: ${money(line.amount)}`),
+      ...breakdown.notes.map(note => `  (${note})`)
+    ].join('\n');
+  }
+}
+
+module.exports = new ClaimAmount();
@@ -0,0 +1,155 @@
+jest.mock('@prisma/client', () => require('../../test/prismaMock'));
+jest.mock('./benefitCatalog', () => ({
+  forCard: jest.fn(async () => ({ maxClaimPerItem: 500 })),
+  claimPolicyFor: jest.fn()
+}));
+
+const benefitCatalog = require('./benefitCatalog');
+const claimAmount = require('./claimAmount');
+
+const POLICY = { refundSalesTax: false, refundShipping: false, netOfCoupons: true, capPerUnit: false };
+
+function usePolicy(overrides = {}) {
+  benefitCatalog.claimPolicyFor.mockReturnValue({ ...POLICY, ...overrides });
+}
+
+function purchase(overrides = {}) {
+  return {
+    purchasePrice: 90,
+    unitPrice: 100,
+    discountShare: 10,
+    quantity: 1,
+    creditCard: { id: 'card-1', maxClaimAmount: null },
+    order: { subtotal: 200, discount: 20, tax: 14.4, shipping: 12 },
+    ...overrides
+  };
+}
+
+describe('claimAmount.calculate', () => {
+  beforeEach(() => {
+    usePolicy();
+  });
+
+  it('compares against the price paid after coupons when the policy nets them out', async () => {
+    const breakdown = await claimAmount.calculate(purchase(), 80);
+
+    expect(breakdown).toMatchObject({ amount: 10, originalPrice: 90 });
+    expect(breakdown.notes).toEqual(['Compared against the price paid after $10.00 of order discounts']);
+  });
+
+  it('compares against the listed price when coupons are not taken off', async () => {
+    usePolicy({ netOfCoupons: false });
+
+    const breakdown = await claimAmount.calculate(purchase(), 80);
+
+    expect(breakdown).toMatchObject({ amount: 20, originalPrice: 100 });
+    expect(breakdown.notes).toEqual(['Compared against the listed price; checkout coupons are not taken off']);
+  });
+
+  it('adds sales tax at the rate paid on the discounted subtotal', async () => {
+    usePolicy({ refundSalesTax: true });
+
+    const breakdown = await claimAmount.calculate(purchase(), 80);
+
+    // 14.40 / (200 - 20) = 8%
+    expect(breakdown.lines[1]).toEqual({ label: 'Sales tax on the difference (8.00%)', amount: 0.8 });
+    expect(breakdown.amount).toBe(10.8);
+  });
+
+  it('says so when the tax rate is unknown', async () => {
+    usePolicy({ refundSalesTax: true });
+
+    const breakdown = await claimAmount.calculate(purchase({ order: { subtotal: null, tax: 14.4 } }), 80);
+
+    expect(breakdown.amount).toBe(10);
+    expect(breakdown.notes).toContain('Sales tax not included: the order\'s tax rate is unknown');
+  });
+
+  it('refunds an item its share of the order\'s shipping', async () => {
+    usePolicy({ refundShipping: true });
+
+    const breakdown = await claimAmount.calculate(purchase(), 80);
+
+    // The $100 line is half of the $200 subtotal
+    expect(breakdown.lines[1]).toEqual({ label: 'Shipping paid (this item\'s share)', amount: 6 });
+    expect(breakdown.amount).toBe(16);
+  });
+
+  it('applies the per-item limit to each unit', async () => {
+    usePolicy({ capPerUnit: true });
+
+    const breakdown = await claimAmount.calculate(purchase({
+      quantity: 3,
+      purchasePrice: 400,
+      unitPrice: 400,
+      discountShare: 0,
+      creditCard: { id: 'card-1', maxClaimAmount: 50 }
+    }), 320);
+
+    expect(breakdown.lines[0]).toEqual({ label: 'Price difference ($400.00 - $320.00) x 3 units', amount: 240 });
+    expect(breakdown.amount).toBe(150);
+    expect(breakdown.cap).toEqual({ limit: 50, perUnit: true, applied: true });
+    expect(breakdown.lines[1]).toEqual({ label: 'Limited to $50.00 per item x 3 units', amount: -90 });
+  });
+
+  it('applies the limit to the whole line otherwise', async () => {
+    const breakdown = await claimAmount.calculate(purchase({
+      quantity: 3,
+      purchasePrice: 400,
+      unitPrice: 400,
+      discountShare: 0,
+      creditCard: { id: 'card-1', maxClaimAmount: 50 }
+    }), 320);
+
+    expect(breakdown.amount).toBe(50);
+    expect(breakdown.lines[1]).toEqual({ label: 'Limited to the $50.00 per-claim maximum', amount: -190 });
+  });
+});
+
+describe('claimAmount.reduceTo', () => {
+  const breakdown = { amount: 40, lines: [{ label: 'Price difference', amount: 40 }], notes: [] };
+
+  it('adds a line taking off what is over the new amount', () => {
+    expect(claimAmount.reduceTo(breakdown, 25, 'Reduced to the card\'s remaining claim limit')).toEqual({
+      amount: 25,
+      lines: [
+        { label: 'Price difference', amount: 40 },
+        { label: 'Reduced to the card\'s remaining claim limit', amount: -15 }
+      ],
+      notes: []
+    });
+  });
+
+  it('leaves a breakdown already within the amount alone', () => {
+    expect(claimAmount.reduceTo(breakdown, 60, 'unused')).toBe(breakdown);
+  });
+});
+
+describe('claimAmount.breakdownFor', () => {
+  beforeEach(() => {
+    usePolicy();
+  });
+
+  it('uses the stored breakdown', async () => {
+    const stored = { amount: 12, lines: [], notes: [] };
+
+    expect(await claimAmount.breakdownFor({ amountBreakdown: stored })).toBe(stored);
+  });
+
+  it('works one out for a claim created without one', async () => {
+    const breakdown = await claimAmount.breakdownFor({ purchase: purchase(), newPrice: 80, priceDifference: 10 });
+
+    expect(breakdown.amount).toBe(10);
+    expect(breakdown.lines[0].label).toBe('Price difference ($90.00 - $80.00)');
+  });
+
+  it('keeps the claimed amount when the policy now works out differently', async () => {
+    const breakdown = await claimAmount.breakdownFor({ purchase: purchase(), newPrice: 80, priceDifference: 8.5 });
+
+    expect(breakdown).toMatchObject({
+      amount: 8.5,
+      lines: [{ label: 'Price difference', amount: 8.5 }],
+      notes: []
+    });
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Claim Eligibility
+ *
+ * Checks a purchase and its lower price against the exclusion rules of the
+ * card's benefit terms before a claim is created or filed. The verdict is:
+ *   ELIGIBLE      - no rule matched
+ *   NEEDS_REVIEW  - only "review" rules matched; the user must confirm before filing
+ *   EXCLUDED      - an "exclude" rule matched, or the card has no price protection
+ * and carries the reasons, so the UI can show why.
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../utils/logger');
+const benefitCatalog = require('./benefitCatalog');
+const { evaluateRules } = require('./benefitCatalog/rules');
+
+const prisma = new PrismaClient();
+
+function lettersOf(value) {
+  return (value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// "Amazon.com" selling on Amazon is first-party; "TechDeals LLC" is not
+function isThirdPartySeller(seller, retailer) {
+  const sellerKey = lettersOf(seller);
+  const retailerKey = lettersOf(retailer).replace(/com$/, '');
+  if (!sellerKey || !retailerKey) return false;
+  return !sellerKey.includes(retailerKey) && !retailerKey.includes(sellerKey);
+}
+
+class ClaimEligibility {
+  // The accepted reading behind a price, newest first
+  async readingFor(purchaseId, price) {
+    return prisma.priceHistory.findFirst({
+      where: {
+        purchaseId,
+        status: 'ACCEPTED',
+        ...(price != null && { price: { lte: price + 0.01 } })
+      },
+      orderBy: { checkedAt: 'desc' }
+    });
+  }
+
+  // What the rules can test, from the purchase and the reading of the lower price
+  factsFor(purchase, reading) {
+    return {
+      category: purchase.category || null,
+      productName: purchase.productName || null,
+      retailer: purchase.retailer || null,
+      purchaseCondition: purchase.variant?.condition || null,
+      seller: reading?.seller || null,
+      priceSource: reading?.source || null,
+      priceCondition: reading?.condition || null,
+      priceText: reading?.rawText || null,
+      priceDate: reading?.checkedAt ? new Date(reading.checkedAt).toISOString() : null,
+      thirdPartySeller: isThirdPartySeller(reading?.seller, purchase.retailer)
+    };
+  }
+
+  /**
+   * Evaluate a purchase against its card's exclusion rules.
+   * @param {Object} purchase - purchase with `creditCard` included
+   * @param {Object} options - { price, reading }; the reading defaults to the
+   *   latest accepted one at or below `price` (or the lowest price)
+   * @returns {Promise<Object>} { status, eligible, reasons, benefit, checkedAt }
+   */
+  async evaluate(purchase, { price, reading } = {}) {
+    const lowerPrice = price ?? purchase.lowestPrice ?? purchase.currentPrice;
+    if (reading === undefined) {
+      reading = await this.readingFor(purchase.id, lowerPrice);
+    }
+
+    const benefit = await benefitCatalog.forCard(purchase.creditCard);
+    const reasons = [];
+
+    if (!purchase.creditCard) {
+      reasons.push({ rule: 'no-card', effect: 'exclude', reason: 'No card is linked to this purchase' });
+    } else if (benefit && !benefit.offersPriceProtection) {
+      reasons.push({ rule: 'no-price-protection', effect: 'exclude', reason: `${benefit.name} does not offer price protection` });
+    }
+    reasons.push(...evaluateRules(benefitCatalog.rulesFor(benefit), this.factsFor(purchase, reading)));
+
+    const status = reasons.some(r => r.effect === 'exclude')
+      ? 'EXCLUDED'
+      : reasons.length ? 'NEEDS_REVIEW' : 'ELIGIBLE';
+
+    return {
+      status,
+      eligible: status === 'ELIGIBLE',
+      reasons,
+      price: lowerPrice ?? null,
+      priceHistoryId: reading?.id || null,
+      benefit: benefit && { issuerKey: benefit.issuerKey, productKey: benefit.productKey, version: benefit.version },
+      checkedAt: new Date().toISOString()
+    };
+  }
+
+  // Evaluate a purchase by id and store the verdict on it
+  async refresh(purchaseId, options = {}) {
+    const purchase = await prisma.purchase.findUnique({
+      where: { id: purchaseId },
+      include: { creditCard: true }
+    });
+    if (!purchase) return null;
+
+    const eligibility = await this.evaluate(purchase, options);
+    await prisma.purchase.update({
+      where: { id: purchaseId },
+      data: { eligibility }
+    });
+
+    if (eligibility.status !== 'ELIGIBLE') {
+      logger.info(`Purchase ${purchaseId} is ${eligibility.status}: ${eligibility.reasons.map(r => r.rule).join(', ')}`);
+    }
+    return eligibility;
+  }
+
+  // One-line summary of the reasons, for notes and error messages
+  describe(eligibility) {
+    return (eligibility?.reasons || []).map(r => r.reason).join('; ');
+  }
+}
+
+module.exports = new ClaimEligibility();
@@ -0,0 +1,213 @@
+/**
+ * Claim Filing Lock
+ *
+ * Keeps claim creation and claim emails exactly-once when the price monitor,
+ * the catch-up and retry jobs and the API all reach the same purchase at once.
+ *
+ * - Creating a claim takes a short lease per purchase (services/jobLock.js)
+ *   around the "no open claim yet?" check and the insert.
+ * - Filing a claim first records a ClaimFilingAttempt keyed by
+ *   "<claimId>:<filingGeneration>". Only the caller that wrote or reclaimed the
+ *   row may send, and the row moves to SENDING before the email goes out, so a
+ *   send whose outcome is unknown is never repeated automatically.
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const jobLock = require('./jobLock');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+// Claims in these statuses no longer block a new claim for the purchase
+const CLOSED_CLAIM_STATUSES = ['DENIED', 'EXPIRED'];
+
+const CREATE_LOCK_TTL_MS = 60 * 1000;
+
+// A PREPARING attempt this old belongs to a crashed process and may be taken over
+const STALE_PREPARING_MS = parseInt(process.env.CLAIM_FILING_STALE_MS) || 15 * 60 * 1000;
+
+function idempotencyKey(claim) {
+  return `${claim.id}:${claim.filingGeneration || 0}`;
+}
+
+class ClaimFilingLockService {
+  /**
+   * Create a claim unless the purchase already has an open one.
+   * @param {string} purchaseId
+   * @param {Object} data - Claim fields (purchaseId is added)
+   * @param {Object} options - { include } passed to prisma.claim.create
+   * @returns {Promise<{ claim: Object|null, created: boolean, busy?: boolean }>}
+   *   busy means another process is creating a claim for this purchase right now
+   */
+  async createClaimOnce(purchaseId, data, options = {}) {
+    const lockName = `claim-create:${purchaseId}`;
+    const owner = await jobLock.acquire(lockName, CREATE_LOCK_TTL_MS);
+    if (!owner) {
+      return { claim: null, created: false, busy: true };
+    }
+
+    try {
+      const existing = await prisma.claim.findFirst({
+        where: { purchaseId, status: { notIn: CLOSED_CLAIM_STATUSES } }
+      });
+      if (existing) {
+        return { claim: existing, created: false };
+      }
+
+      const claim = await prisma.claim.create({
+        data: { ...data, purchaseId },
+        ...(options.include && { include: options.include })
+      });
+      return { claim, created: true };
+    } finally {
+      await jobLock.release(lockName, owner);
+    }
+  }
+
+  /**
+   * Claim the right to send this claim's email.
+   * @param {Object} claim - Claim row (needs id, filingGeneration, claimEmailSentAt)
+   * @returns {Promise<Object>} one of
+   *   { attempt }                          - caller owns the attempt and may send
+   *   { blocked: 'sent', attempt }         - already sent for this generation
+   *   { blocked: 'in_progress', attempt }  - another process is preparing it
+   *   { blocked: 'in_doubt', attempt }     - a send started but never finished
+   */
+  async begin(claim) {
+    const key = idempotencyKey(claim);
+
+    // Claims filed before attempts were recorded
+    if (claim.claimEmailSentAt) {
+      const existing = await prisma.claimFilingAttempt.findUnique({ where: { idempotencyKey: key } });
+      return { blocked: 'sent', attempt: existing };
+    }
+
+    try {
+      const attempt = await prisma.claimFilingAttempt.create({
+        data: { claimId: claim.id, idempotencyKey: key }
+      });
+      return { attempt };
+    } catch (error) {
+      if (error.code !== 'P2002') throw error;
+    }
+
+    const existing = await prisma.claimFilingAttempt.findUnique({ where: { idempotencyKey: key } });
+    if (!existing) {
+      // Raced with a supersede; let the caller retry later
+      return { blocked: 'in_progress', attempt: null };
+    }
+
+    if (existing.status === 'SENT') return { blocked: 'sent', attempt: existing };
+    if (existing.status === 'SENDING') return { blocked: 'in_doubt', attempt: existing };
+
+    // FAILED, or PREPARING left behind by a crash: take it over atomically
+    const { count } = await prisma.claimFilingAttempt.updateMany({
+      where: {
+        id: existing.id,
+        attempts: existing.attempts,
+        OR: [
+          { status: 'FAILED' },
+          { status: 'PREPARING', startedAt: { lt: new Date(Date.now() - STALE_PREPARING_MS) } }
+        ]
+      },
+      data: {
+        status: 'PREPARING',
+        attempts: { increment: 1 },
+        error: null,
+        startedAt: new Date(),
+        sendingAt: null,
+        finishedAt: null
+      }
+    });
+
+    if (!count) return { blocked: 'in_progress', attempt: existing };
+
+    if (existing.status === 'PREPARING') {
+      logger.warn(`Took over stale filing attempt ${existing.id} for claim ${claim.id}`);
+    }
+    return { attempt: { ...existing, status: 'PREPARING', attempts: existing.attempts + 1 } };
+  }
+
+  /**
+   * Record that the email is about to be handed to the provider. Returns false
+   * if the attempt was taken over in the meantime, in which case nothing may be sent.
+   */
+  async markSending(attempt, sentTo) {
+    const { count } = await prisma.claimFilingAttempt.updateMany({
+      where: { id: attempt.id, status: 'PREPARING', attempts: attempt.attempts },
+      data: { status: 'SENDING', sentTo, sendingAt: new Date() }
+    });
+    return count > 0;
+  }
+
+  async markSent(attempt, { messageId, sendMethod }) {
+    await prisma.claimFilingAttempt.update({
+      where: { id: attempt.id },
+      data: { status: 'SENT', messageId, sendMethod, finishedAt: new Date() }
+    });
+  }
+
+  // Only for failures where the provider definitely did not accept the email
+  async markFailed(attempt, error) {
+    await prisma.claimFilingAttempt.updateMany({
+      where: { id: attempt.id, status: { in: ['PREPARING', 'SENDING'] }, attempts: attempt.attempts },
+      data: { status: 'FAILED', error: error?.message || String(error), finishedAt: new Date() }
+    });
+  }
+
+  /**
+   * Resolve an attempt stuck in SENDING after checking the sent folder or the
+   * issuer's reply by hand.
+   */
+  async resolveInDoubt(attemptId, { sent, messageId = null }) {
+    const { count } = await prisma.claimFilingAttempt.updateMany({
+      where: { id: attemptId, status: 'SENDING' },
+      data: sent
+        ? { status: 'SENT', messageId, finishedAt: new Date() }
+        : { status: 'FAILED', error: 'Marked as not sent by an admin', finishedAt: new Date() }
+    });
+    return count > 0;
+  }
+
+  /**
+   * Start a new filing generation so the claim can be sent again on purpose
+   * (e.g. to a corrected issuer address). Returns { busy: true } instead while
+   * an attempt is being prepared, or null if the claim doesn't exist.
+   */
+  async supersede(claimId) {
+    const claim = await prisma.claim.findUnique({ where: { id: claimId } });
+    if (!claim) return null;
+
+    const current = await prisma.claimFilingAttempt.findUnique({
+      where: { idempotencyKey: idempotencyKey(claim) }
+    });
+    if (current?.status === 'PREPARING' && current.startedAt > new Date(Date.now() - STALE_PREPARING_MS)) {
+      return { busy: true };
+    }
+
+    if (current) {
+      await prisma.claimFilingAttempt.update({
+        where: { id: current.id },
+        data: { status: 'SUPERSEDED', finishedAt: current.finishedAt || new Date() }
+      });
+    }
+
+    const updated = await prisma.claim.update({
+      where: { id: claimId },
+      data: { filingGeneration: { increment: 1 } }
+    });
+    return { claim: updated };
+  }
+
+  async listInDoubt() {
+    return prisma.claimFilingAttempt.findMany({
+      where: { status: 'SENDING' },
+      orderBy: { sendingAt: 'asc' },
+      include: {
+        claim: { select: { id: true, userId: true, status: true, purchase: { select: { productName: true } } } }
+      }
+    });
+  }
+}
+
+module.exports = new ClaimFilingLockService();
@@ -0,0 +1,373 @@
+/**
+ * Claim Reply Parser
+ *
+ * Reads issuer / benefit-administrator replies to claim emails during the Gmail
+ * sync and moves claims forward without the user touching them:
+ *   - replies in the thread of the claim email (claimEmailThreadId)
+ *   - mail from known benefit administrators, matched to a claim by claim
+ *     number, claim reference, subject or card last four
+ *
+ * Each reply is classified (acknowledged, claim number assigned, documents
+ * requested, approved, denied, paid), stored as a ClaimReply and applied to the
+ * claim's claimNumber, status, approvedAmount and statusHistory.
+ */
+
+const { simpleParser } = require('mailparser');
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../utils/logger');
+const { stripHtml } = require('./aiParser');
+const benefitCatalog = require('./benefitCatalog');
+
+const prisma = new PrismaClient();
+
+// Claims that have been sent and may still hear back from the issuer
+const AWAITING_REPLY_STATUSES = ['EMAIL_SENT', 'FILED', 'PENDING_REVIEW', 'ADDITIONAL_INFO_NEEDED', 'APPROVED'];
+
+// Domains benefit administrators write from, beyond the catalog's claim addresses
+const EXTRA_ADMIN_DOMAINS = ['eclaimsline.com', 'aexp.com', 'americanexpress.com', 'chase.com', 'citi.com', 'discover.com'];
+
+const REPLY_SEARCH_MAX_DAYS = 120;
+
+// First match wins, so the most decisive outcomes come first
+const REPLY_PATTERNS = [
+  ['PAID', [
+    /(?<!\b(no|not|any)\s)\b(payment|reimbursement|refund|credit|check)\s+(has been|have been|was|were)\s+(issued|sent|posted|applied|mailed|processed|deposited)/i,
+    /\b(credited|deposited)\s+to\s+your\s+(account|card)/i
+  ]],
+  ['DENIED', [
+    /\b(denied|declined|ineligible)\b/i,
+    /\b(unable to|cannot|can ?not)\s+(approve|be approved|honor|process your claim)/i,
+    /\b(not eligible|does not qualify|do not qualify|not covered|excluded from coverage)\b/i
+  ]],
+  ['APPROVED', [
+    /\b(has|have) been approved\b/i,
+    /\bclaim (is|was) approved\b/i,
+    /\bapproved (for|in the amount of)\b/i
+  ]],
+  ['DOCUMENTS_REQUESTED', [
+    /\b(additional|more|missing|following|required)\s+(documentation|documents|information|items)\b/i,
+    /\bplease (provide|submit|send|upload|forward)\b/i,
+    /\bwe (need|require|are missing)\b/i
+  ]],
+  ['ACKNOWLEDGED', [
+    /\b(received|receipt of)\s+your\s+(claim|request|submission|email|documents)/i,
+    /\bthank you for (submitting|your claim|contacting|filing)/i,
+    /\bclaim has been (received|submitted|opened|created|registered)\b/i
+  ]]
+];
+
+const CLAIM_NUMBER_PATTERN = /\bclaim\s*(?:number|no\.?|#|id|reference(?:\s+number)?)\s*(?:is|:)?\s*#?\s*([A-Z0-9][A-Z0-9-]{4,24})\b/i;
+const AMOUNT_CONTEXT = /approv|reimburs|credit|payment|refund|amount|check/i;
+
+// What each reply type does to the claim
+const REPLY_STATUS = {
+  ACKNOWLEDGED: 'PENDING_REVIEW',
+  CLAIM_NUMBER_ASSIGNED: 'PENDING_REVIEW',
+  DOCUMENTS_REQUESTED: 'ADDITIONAL_INFO_NEEDED',
+  APPROVED: 'APPROVED',
+  DENIED: 'DENIED',
+  PAID: 'MONEY_RECEIVED'
+};
+
+// Replies only move a claim forward; DENIED and MONEY_RECEIVED are final
+const STATUS_RANK = {
+  DRAFT: 0, READY_TO_FILE: 0, PENDING: 0,
+  EMAIL_SENT: 1, FILED: 1,
+  PENDING_REVIEW: 2, ADDITIONAL_INFO_NEEDED: 2,
+  APPROVED: 3,
+  DENIED: 4, MONEY_RECEIVED: 4, EXPIRED: 4
+};
+
+const NOTIFICATIONS = {
+  ACKNOWLEDGED: { title: 'Claim Received by Issuer', message: (name) => `Your card issuer confirmed they received your claim for ${name}.` },
+  CLAIM_NUMBER_ASSIGNED: { title: 'Claim Number Assigned', message: (name, reply) => `Your claim for ${name} was assigned claim number ${reply.claimNumber}.` },
+  DOCUMENTS_REQUESTED: { title: 'Issuer Needs More Information', message: (name) => `Your card issuer asked for more documents for your ${name} claim. Check your email and reply to them.` },
+  APPROVED: { title: 'Claim Approved!', message: (name, reply, amount) => `Your claim for ${name} was approved${amount ? ` for $${amount.toFixed(2)}` : ''}!` },
+  DENIED: { title: 'Claim Denied', message: (name) => `Your card issuer denied your claim for ${name}. Check your email for their reasons.` },
+  PAID: { title: 'Claim Paid!', message: (name, reply, amount) => `Your card issuer paid${amount ? ` $${amount.toFixed(2)}` : ''} for your ${name} claim.` }
+};
+
+const GMAIL_ID_PATTERN = /^[0-9a-f]{16}$/;
+
+function normalizeSubject(subject = '') {
+  return subject.replace(/^\s*((re|fw|fwd)\s*:\s*)+/i, '').trim().toLowerCase();
+}
+
+function senderDomain(parsed) {
+  const address = parsed.from?.value?.[0]?.address?.toLowerCase() || '';
+  return address.split('@')[1] || '';
+}
+
+class ClaimReplyParser {
+  /**
+   * Drop quoted history so our own claim email doesn't get classified:
+   * "> " lines and everything from an "On ... wrote:" / "Original Message" marker.
+   */
+  stripQuoted(text = '') {
+    const kept = [];
+    for (const line of text.split(/\r?\n/)) {
+      const trimmed = line.trim();
+      if (/^On .+wrote:$/i.test(trimmed) || /^-{2,}\s*Original Message/i.test(trimmed) || /^_{5,}$/.test(trimmed)) break;
+      if (kept.length && /^From:\s/i.test(trimmed)) break;
+      if (trimmed.startsWith('>')) continue;
+      kept.push(line);
+    }
+    return kept.join('\n').trim();
+  }
+
+  /**
+   * @param {string} text - Reply body with quoted history removed
+   * @param {string} subject
+   * @param {string} ownClaimId - never mistaken for an issuer claim number
+   * @returns {{ type: string, claimNumber: string|null, amount: number|null }}
+   */
+  classifyReply(text, subject = '', ownClaimId = null) {
+    const content = `${subject}\n${text}`;
+
+    let claimNumber = null;
+    const numberMatch = content.match(CLAIM_NUMBER_PATTERN);
+    if (numberMatch && /\d/.test(numberMatch[1]) && !(ownClaimId && ownClaimId.startsWith(numberMatch[1].toLowerCase()))) {
+      claimNumber = numberMatch[1].toUpperCase();
+    }
+
+    let type = null;
+    for (const [candidate, patterns] of REPLY_PATTERNS) {
+      if (patterns.some(pattern => pattern.test(content))) {
+        type = candidate;
+        break;
+      }
+    }
+    if (!type || (type === 'ACKNOWLEDGED' && claimNumber)) {
+      type = claimNumber ? 'CLAIM_NUMBER_ASSIGNED' : (type || 'UNKNOWN');
+    }
+
+    let amount = null;
+    if (type === 'APPROVED' || type === 'PAID') {
+      const sentence = content.split(/(?<=[.!?])\s+|\n/).find(s => /\$\s?[\d,]+(\.\d{2})?/.test(s) && AMOUNT_CONTEXT.test(s));
+      const amountMatch = sentence?.match(/\$\s?([\d,]+(?:\.\d{2})?)/);
+      if (amountMatch) amount = parseFloat(amountMatch[1].replace(/,/g, ''));
+    }
+
+    return { type, claimNumber, amount };
+  }
+
+  /**
+   * Pick the claim a benefit-administrator email (outside the claim thread) is about.
+   * Returns null unless exactly one claim matches.
+   */
+  matchClaim(parsed, text, claims) {
+    const content = `${parsed.subject || ''}\n${text}`;
+    const subject = normalizeSubject(parsed.subject);
+
+    const strong = claims.filter(claim =>
+      content.includes(claim.id) ||
+      (claim.claimNumber && content.toUpperCase().includes(claim.claimNumber.toUpperCase())) ||
+      (claim.claimEmailSubject && subject === normalizeSubject(claim.claimEmailSubject))
+    );
+    if (strong.length === 1) return strong[0];
+    if (strong.length > 1) return null;
+
+    // Weak match: the card's last four digits, from the domain we filed the claim with
+    const domain = senderDomain(parsed);
+    const weak = claims.filter(claim =>
+      claim.creditCard?.lastFour &&
+      new RegExp(`\\b${claim.creditCard.lastFour}\\b`).test(content) &&
+      claim.claimEmailTo && claim.claimEmailTo.toLowerCase().endsWith(`@${domain}`)
+    );
+    return weak.length === 1 ? weak[0] : null;
+  }
+
+  // Thread of the claim email, looked up once from its Gmail message id
+  async resolveThreadId(gmail, claim) {
+    if (claim.claimEmailThreadId) return claim.claimEmailThreadId;
+    if (!claim.claimEmailMessageId || !GMAIL_ID_PATTERN.test(claim.claimEmailMessageId)) return null;
+
+    try {
+      const message = await gmail.users.messages.get({ userId: 'me', id: claim.claimEmailMessageId, format: 'minimal' });
+      const threadId = message.data.threadId;
+      if (threadId) {
+        await prisma.claim.update({ where: { id: claim.id }, data: { claimEmailThreadId: threadId } });
+        claim.claimEmailThreadId = threadId;
+      }
+      return threadId || null;
+    } catch (error) {
+      logger.warn(`Could not look up thread for claim ${claim.id}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Find, classify and apply issuer replies for one user's open claims.
+   * @param {string} userId
+   * @param {Object} gmail - Authenticated Gmail client of the user's primary mailbox
+   * @returns {Promise<{ repliesFound: number, claimsUpdated: number }>}
+   */
+  async syncClaimReplies(userId, gmail) {
+    const claims = await prisma.claim.findMany({
+      where: {
+        userId,
+        status: { in: AWAITING_REPLY_STATUSES },
+        claimEmailSentAt: { not: null }
+      },
+      include: {
+        purchase: { select: { productName: true } },
+        creditCard: { select: { lastFour: true, issuer: true } },
+        replies: { select: { gmailMessageId: true } }
+      }
+    });
+
+    if (!claims.length) return { repliesFound: 0, claimsUpdated: 0 };
+
+    const processed = new Set(claims.flatMap(claim => claim.replies.map(reply => reply.gmailMessageId)));
+    const candidates = new Map(); // Gmail message id -> claim it belongs to, or null if unknown
+
+    // 1. Replies in each claim email's thread
+    for (const claim of claims) {
+      const threadId = await this.resolveThreadId(gmail, claim);
+      if (!threadId) continue;
+
+      try {
+        const thread = await gmail.users.threads.get({ userId: 'me', id: threadId, format: 'minimal' });
+        for (const message of thread.data.messages || []) {
+          if (message.id === claim.claimEmailMessageId) continue;
+          if ((message.labelIds || []).includes('SENT')) continue;
+          if (!processed.has(message.id)) candidates.set(message.id, claim);
+        }
+      } catch (error) {
+        logger.warn(`Could not read thread ${threadId} for claim ${claim.id}: ${error.message}`);
+      }
+    }
+
+    // 2. Mail from known benefit administrators since the oldest open claim was sent
+    const oldestSent = Math.min(...claims.map(claim => new Date(claim.claimEmailSentAt).getTime()));
+    const days = Math.min(REPLY_SEARCH_MAX_DAYS, Math.ceil((Date.now() - oldestSent) / (24 * 60 * 60 * 1000)) + 1);
+    const adminDomains = [...new Set([...await benefitCatalog.claimEmailDomains(), ...EXTRA_ADMIN_DOMAINS])];
+    const response = await gmail.users.messages.list({
+      userId: 'me',
+      q: `from:(${adminDomains.join(' OR ')}) -in:sent newer_than:${days}d`,
+      maxResults: 50
+    });
+    for (const message of response.data.messages || []) {
+      if (!processed.has(message.id) && !candidates.has(message.id)) candidates.set(message.id, null);
+    }
+
+    // 3. Fetch and match, then apply oldest first so statuses advance in order
+    const replies = [];
+    for (const [messageId, threadClaim] of candidates) {
+      try {
+        const fullMessage = await gmail.users.messages.get({ userId: 'me', id: messageId, format: 'raw' });
+        const parsed = await simpleParser(Buffer.from(fullMessage.data.raw, 'base64').toString('utf-8'));
+        const fullText = parsed.text || stripHtml(parsed.html || '');
+        const text = this.stripQuoted(fullText);
+
+        // Match on the full text: the quoted claim email carries our claim reference
+        const claim = threadClaim || this.matchClaim(parsed, fullText, claims);
+        if (!claim) continue;
+
+        replies.push({ messageId, claim, parsed, text });
+      } catch (error) {
+        logger.error(`Error reading claim reply ${messageId}:`, error);
+      }
+    }
+    replies.sort((a, b) => (a.parsed.date || 0) - (b.parsed.date || 0));
+
+    let claimsUpdated = 0;
+    for (const { messageId, claim, parsed, text } of replies) {
+      const classification = this.classifyReply(text, parsed.subject, claim.id);
+
+      let reply;
+      try {
+        reply = await prisma.claimReply.create({
+          data: {
+            claimId: claim.id,
+            gmailMessageId: messageId,
+            fromAddress: parsed.from?.value?.[0]?.address || '',
+            subject: parsed.subject || null,
+            receivedAt: parsed.date || new Date(),
+            type: classification.type,
+            claimNumber: classification.claimNumber,
+            amount: classification.amount,
+            excerpt: text.substring(0, 2000)
+          }
+        });
+      } catch (error) {
+        if (error.code === 'P2002') continue; // Already recorded by a concurrent sync
+        throw error;
+      }
+
+      if (await this.applyReply(claim, reply)) {
+        claimsUpdated++;
+        await prisma.claimReply.update({ where: { id: reply.id }, data: { applied: true } });
+      }
+    }
+
+    logger.info(`Claim replies for user ${userId}: ${replies.length} found, ${claimsUpdated} claim updates`);
+    return { repliesFound: replies.length, claimsUpdated };
+  }
+
+  /**
+   * Update the claim (and purchase) from one reply and notify the user.
+   * Mutates `claim` so later replies in the same sync see the new state.
+   * @returns {Promise<boolean>} whether anything changed
+   */
+  async applyReply(claim, reply) {
+    const data = {};
+    const changes = [];
+
+    if (reply.claimNumber && reply.claimNumber !== claim.claimNumber) {
+      data.claimNumber = reply.claimNumber;
+      changes.push(`claim number ${reply.claimNumber}`);
+    }
+
+    const nextStatus = REPLY_STATUS[reply.type];
+    const currentRank = STATUS_RANK[claim.status] ?? 0;
+    if (nextStatus && nextStatus !== claim.status && currentRank < 4 && STATUS_RANK[nextStatus] >= currentRank) {
+      data.status = nextStatus;
+      changes.push(`status ${nextStatus.replace(/_/g, ' ').toLowerCase()}`);
+
+      if (nextStatus === 'APPROVED' || nextStatus === 'MONEY_RECEIVED') {
+        data.approvedAmount = reply.amount || claim.approvedAmount || claim.priceDifference;
+        data.resolvedAt = claim.resolvedAt || reply.receivedAt;
+      }
+      if (nextStatus === 'MONEY_RECEIVED') data.payoutReceivedAt = reply.receivedAt;
+      if (nextStatus === 'DENIED') data.resolvedAt = reply.receivedAt;
+    }
+
+    if (!changes.length) return false;
+
+    const statusHistory = Array.isArray(claim.statusHistory) ? [...claim.statusHistory] : [];
+    statusHistory.push({
+      status: data.status || claim.status,
+      timestamp: new Date(reply.receivedAt).toISOString(),
+      notes: `Issuer reply from ${reply.fromAddress} (${reply.type.replace(/_/g, ' ').toLowerCase()}): ${changes.join(', ')}`
+    });
+    data.statusHistory = statusHistory;
+
+    await prisma.claim.update({ where: { id: claim.id }, data });
+    Object.assign(claim, data);
+
+    if (data.status === 'APPROVED' || data.status === 'MONEY_RECEIVED') {
+      await prisma.purchase.update({ where: { id: claim.purchaseId }, data: { status: 'CLAIM_APPROVED' } });
+    } else if (data.status === 'DENIED') {
+      await prisma.purchase.update({ where: { id: claim.purchaseId }, data: { status: 'CLAIM_DENIED' } });
+    }
+
+    const notification = NOTIFICATIONS[reply.type];
+    if (notification && (data.status || data.claimNumber)) {
+      await prisma.notification.create({
+        data: {
+          userId: claim.userId,
+          type: 'CLAIM_STATUS_UPDATE',
+          title: notification.title,
+          message: notification.message(claim.purchase?.productName || 'your purchase', reply, data.approvedAmount),
+          data: { claimId: claim.id, replyId: reply.id }
+        }
+      });
+    }
+
+    logger.info(`Claim ${claim.id} updated from issuer reply ${reply.gmailMessageId}: ${changes.join(', ')}`);
+    return true;
+  }
+}
+
+module.exports = new ClaimReplyParser();
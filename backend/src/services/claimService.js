@@ -4,122 +4,18 @@ const { PrismaClient } = require('@prisma/client');
 const { v4: uuidv4 } = require('uuid');
 const fs = require('fs').promises;
 const path = require('path');
-const nodemailer = require('nodemailer');
 const logger = require('../utils/logger');
+const mailTransport = require('./mailTransport');
+const benefitCatalog = require('./benefitCatalog');
+const claimAmount = require('./claimAmount');
+const receiptImport = require('./receiptImport');
 
 const prisma = new PrismaClient();
 
-// Card issuer claim filing info
-const ISSUER_INFO = {
-  'american express': {
-    name: 'American Express',
-    portal: null,
-    phone: '1-800-297-8019',
-    email: 'purchaseprotection@aexp.com',
-    requiredDocs: ['receipt', 'price_screenshot', 'item_details'],
-    protectionDays: 90,
-    maxClaim: 300,
-    method: 'email', // Amex accepts email claims
-    instructions: [
-      'We will automatically email your claim to American Express',
-      'Include all documentation attached',
-      'Expect response within 5-7 business days'
-    ]
-  },
-  'chase': {
-    name: 'Chase',
-    portal: 'https://www.chasebenefits.com/chase',
-    phone: '1-888-320-9961',
-    email: 'cardbenefitservices@eclaimsline.com',
-    requiredDocs: ['receipt', 'price_screenshot', 'credit_card_statement'],
-    protectionDays: 120,
-    maxClaim: 500,
-    method: 'portal',
-    instructions: [
-      'We will automatically submit through Chase Benefits portal',
-      'All documentation will be uploaded',
-      'Track status at chasebenefits.com'
-    ]
-  },
-  'citi': {
-    name: 'Citi',
-    portal: 'https://www.cardbenefitservices.com',
-    phone: '1-866-918-4969',
-    email: 'citibenefit@aon.com',
-    requiredDocs: ['receipt', 'price_screenshot'],
-    protectionDays: 60,
-    maxClaim: 250,
-    method: 'email',
-    instructions: [
-      'We will automatically email your claim',
-      'Documentation attached',
-      'Expect confirmation within 3-5 business days'
-    ]
-  },
-  'discover': {
-    name: 'Discover',
-    portal: 'https://www.discover.com/credit-cards/member-benefits/',
-    phone: '1-800-347-2683',
-    email: 'discover@cardbenefitservices.com',
-    requiredDocs: ['receipt', 'price_screenshot'],
-    protectionDays: 90,
-    maxClaim: 500,
-    method: 'email',
-    instructions: [
-      'We will automatically email your claim to Discover',
-      'All documentation included',
-      'Track in your Discover account'
-    ]
-  },
-  'visa': {
-    name: 'Visa',
-    portal: null,
-    phone: '1-800-847-2911',
-    email: 'visabenefits@cardbenefitservices.com',
-    requiredDocs: ['receipt', 'price_screenshot'],
-    protectionDays: 60,
-    maxClaim: 250,
-    method: 'email',
-    instructions: [
-      'We will email your claim through Visa benefits',
-      'Documentation attached automatically'
-    ]
-  },
-  'mastercard': {
-    name: 'Mastercard',
-    portal: null,
-    phone: '1-800-627-8372',
-    email: 'mastercardbenefits@cardbenefitservices.com',
-    requiredDocs: ['receipt', 'price_screenshot'],
-    protectionDays: 60,
-    maxClaim: 250,
-    method: 'email',
-    instructions: [
-      'We will email your claim through Mastercard benefits',
-      'Documentation attached automatically'
-    ]
-  }
-};
-
 class ClaimService {
-  constructor() {
-    // Email transporter for sending claims
-    this.emailTransporter = nodemailer.createTransport({
-      service: 'gmail',
-      auth: {
-        user: process.env.CLAIM_EMAIL_USER || process.env.EMAIL_USER,
-        pass: process.env.CLAIM_EMAIL_PASS || process.env.EMAIL_PASS
-      }
-    });
-  }
-
-  getIssuerInfo(issuer) {
-    const normalized = issuer.toLowerCase().trim();
-    // Handle common variations
-    if (normalized.includes('amex') || normalized.includes('american express')) {
-      return ISSUER_INFO['american express'];
-    }
-    return ISSUER_INFO[normalized] || ISSUER_INFO['visa']; // Default to Visa process
+  // Claim filing terms for a card from the benefit catalog
+  async getIssuerInfo(card) {
+    return benefitCatalog.forCard(card);
   }
 
   async generateClaimDocumentation(claim) {
@@ -127,6 +23,8 @@ class ClaimService {
     const card = claim.creditCard;
 
     try {
+      const breakdown = await claimAmount.breakdownFor(claim);
+
       // Create PDF document
       const pdfDoc = await PDFDocument.create();
       const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
@@ -178,7 +76,8 @@ class ClaimService {
         ['Retailer:', purchase.retailer],
         ['Order ID:', purchase.retailerOrderId || 'N/A'],
         ['Purchase Date:', new Date(purchase.purchaseDate).toLocaleDateString()],
-        ['Original Price:', `$${claim.originalPrice.toFixed(2)}`]
+        ['Original Price:', `$${claim.originalPrice.toFixed(2)}${breakdown.quantity > 1 ? ' per unit' : ''}`],
+        ...(breakdown.quantity > 1 ? [['Quantity:', String(breakdown.quantity)]] : [])
       ];
 
       for (const [label, value] of purchaseDetails) {
@@ -199,7 +98,7 @@ class ClaimService {
       yPosition -= 25;
       const priceDetails = [
         ['New Price Found:', `$${claim.newPrice.toFixed(2)}`],
-        ['Price Difference:', `$${claim.priceDifference.toFixed(2)}`],
+        ['Price Difference:', `$${breakdown.perUnit.difference.toFixed(2)}${breakdown.quantity > 1 ? ' per unit' : ''}`],
         ['Date Found:', purchase.lowestPriceDate ? new Date(purchase.lowestPriceDate).toLocaleDateString() : new Date().toLocaleDateString()],
         ['Source:', purchase.productUrl ? new URL(purchase.productUrl).hostname : 'N/A']
       ];
@@ -210,6 +109,26 @@ class ClaimService {
         yPosition -= 18;
       }
 
+      // Claim Amount Breakdown
+      yPosition -= 30;
+      page1.drawText('CLAIM AMOUNT BREAKDOWN', {
+        x: 50,
+        y: yPosition,
+        size: 14,
+        font: boldFont
+      });
+
+      yPosition -= 25;
+      for (const line of breakdown.lines) {
+        page1.drawText(line.label.substring(0, 70), { x: 50, y: yPosition, size: 10, font });
+        page1.drawText(`${line.amount < 0 ? '-' : ''}$${Math.abs(line.amount).toFixed(2)}`, { x: 480, y: yPosition, size: 10, font });
+        yPosition -= 16;
+      }
+      for (const note of breakdown.notes) {
+        page1.drawText(note.substring(0, 90), { x: 50, y: yPosition, size: 9, font, color: rgb(0.4, 0.4, 0.4) });
+        yPosition -= 14;
+      }
+
       // Card Details
       yPosition -= 30;
       page1.drawText('CREDIT CARD DETAILS', {
@@ -261,7 +180,7 @@ class ClaimService {
         font: boldFont
       });
 
-      page1.drawText(`$${Math.min(claim.priceDifference, card.maxClaimAmount).toFixed(2)}`, {
+      page1.drawText(`$${breakdown.amount.toFixed(2)}`, {
         x: 60,
         y: yPosition - 25,
         size: 20,
@@ -331,13 +250,13 @@ class ClaimService {
   async sendClaimEmail(claim, attachments) {
     const card = claim.creditCard;
     const purchase = claim.purchase;
-    const issuerInfo = this.getIssuerInfo(card.issuer);
+    const claimEmail = await benefitCatalog.claimEmailFor(card);
 
-    if (!issuerInfo.email) {
+    if (!claimEmail) {
       throw new Error(`No email address configured for ${card.issuer}`);
     }
 
-    const claimAmount = Math.min(claim.priceDifference, card.maxClaimAmount);
+    const breakdown = await claimAmount.breakdownFor(claim);
 
     const emailBody = `
 Dear ${card.issuer} Price Protection Team,
@@ -354,19 +273,21 @@ PURCHASE DETAILS:
 - Retailer: ${purchase.retailer}
 - Order ID: ${purchase.retailerOrderId || 'See attached receipt'}
 - Purchase Date: ${new Date(purchase.purchaseDate).toLocaleDateString()}
-- Original Purchase Price: $${claim.originalPrice.toFixed(2)}
+- Original Purchase Price: $${claim.originalPrice.toFixed(2)}${breakdown.quantity > 1 ? ` per unit\n- Quantity: ${breakdown.quantity}` : ''}
 
 PRICE DROP INFORMATION:
 - Current Lower Price: $${claim.newPrice.toFixed(2)}
-- Price Difference: $${claim.priceDifference.toFixed(2)}
 - Date Price Found: ${new Date().toLocaleDateString()}
 ${purchase.productUrl ? `- Price Source: ${purchase.productUrl}` : ''}
 
-CLAIM AMOUNT REQUESTED: $${claimAmount.toFixed(2)}
+CLAIM AMOUNT BREAKDOWN:
+${claimAmount.describe(breakdown)}
+
+CLAIM AMOUNT REQUESTED: $${breakdown.amount.toFixed(2)}
 
 I have attached the following documentation:
 1. Claim summary document (PDF)
-2. Screenshot showing the current lower price
+2. Screenshot showing the current lower price${attachments.some(att => att.content) ? '\n3. Itemized receipt for the purchase' : ''}
 
 Please process this claim at your earliest convenience. I understand the claim is subject to your standard terms and conditions.
 
@@ -380,25 +301,23 @@ This claim was submitted automatically via PriceDropped
 Claim Reference: ${claim.id}
     `.trim();
 
-    const mailOptions = {
-      from: process.env.CLAIM_EMAIL_USER || process.env.EMAIL_USER,
-      to: issuerInfo.email,
-      cc: claim.user?.email, // CC the user
-      subject: `Price Protection Claim - Card ending ${card.lastFour} - $${claimAmount.toFixed(2)}`,
-      text: emailBody,
-      attachments: attachments.map(att => ({
-        filename: att.fileName,
-        path: att.filePath
-      }))
-    };
-
     try {
-      const result = await this.emailTransporter.sendMail(mailOptions);
-      logger.info(`Claim email sent successfully: ${result.messageId}`);
+      const result = await mailTransport.send({
+        userId: claim.userId,
+        from: process.env.CLAIM_FROM_EMAIL || process.env.FROM_EMAIL || 'claims@pricedropped.app',
+        to: claimEmail,
+        cc: claim.user?.email, // CC the user
+        subject: `Price Protection Claim - Card ending ${card.lastFour} - $${breakdown.amount.toFixed(2)}`,
+        text: emailBody,
+        attachments: attachments.map(att => (att.content
+          ? { filename: att.fileName, content: att.content, contentType: att.contentType }
+          : { filename: att.fileName, path: att.filePath }))
+      }, { channel: 'claims' });
+      logger.info(`Claim email sent successfully via ${result.transport}: ${result.messageId}`);
       return {
         success: true,
         messageId: result.messageId,
-        recipient: issuerInfo.email
+        recipient: claimEmail
       };
     } catch (error) {
       logger.error('Failed to send claim email:', error);
@@ -406,19 +325,22 @@ Claim Reference: ${claim.id}
     }
   }
 
-  getFilingInstructions(claim) {
+  async getFilingInstructions(claim) {
     const card = claim.creditCard;
-    const issuerInfo = this.getIssuerInfo(card.issuer);
+    const issuerInfo = await this.getIssuerInfo(card) || {};
 
     return {
       issuer: card.issuer,
-      claimAmount: Math.min(claim.priceDifference, card.maxClaimAmount),
-      method: issuerInfo.method || 'email',
-      portal: card.claimPortalUrl || issuerInfo.portal,
-      phone: card.claimPhoneNumber || issuerInfo.phone,
-      email: card.claimEmail || issuerInfo.email,
-      requiredDocuments: issuerInfo.requiredDocs || ['receipt', 'price_screenshot'],
-      instructions: issuerInfo.instructions || [
+      claimAmount: claim.priceDifference,
+      amountBreakdown: claim.amountBreakdown || null,
+      method: (card.claimMethod || issuerInfo.claimMethod || 'EMAIL').toLowerCase(),
+      portal: card.claimPortalUrl || issuerInfo.claimPortalUrl,
+      phone: card.claimPhoneNumber || issuerInfo.claimPhoneNumber,
+      email: card.claimEmail || issuerInfo.claimEmail,
+      requiredDocuments: issuerInfo.requiredDocs?.length ? issuerInfo.requiredDocs : ['receipt', 'price_screenshot'],
+      receiptUploaded: Boolean(claim.purchase?.receiptId),
+      exclusions: issuerInfo.exclusions || [],
+      instructions: issuerInfo.instructions?.length ? issuerInfo.instructions : [
         'Contact your credit card issuer',
         'Request price protection claim',
         'Submit required documentation'
@@ -435,7 +357,7 @@ Claim Reference: ${claim.id}
           ? Math.ceil((new Date(claim.purchase.protectionEnds) - new Date()) / (1000 * 60 * 60 * 24))
           : null
       },
-      canAutoFile: !!issuerInfo.email
+      canAutoFile: !!(card.claimEmail || issuerInfo.claimEmail)
     };
   }
 
@@ -460,7 +382,7 @@ Claim Reference: ${claim.id}
       throw new Error('Claim not found');
     }
 
-    const issuerInfo = this.getIssuerInfo(claim.creditCard.issuer);
+    const claimEmail = await benefitCatalog.claimEmailFor(claim.creditCard);
     const attachments = [];
 
     logger.info(`Starting auto-file process for claim ${claimId}`);
@@ -479,8 +401,14 @@ Claim Reference: ${claim.id}
       }
     }
 
+    // Step 2b: Attach the uploaded receipt, when there is one
+    const receipt = await receiptImport.attachmentFor(claim.purchase);
+    if (receipt) {
+      attachments.push({ fileName: receipt.filename, content: receipt.content, contentType: receipt.contentType });
+    }
+
     // Step 3: Submit claim via email
-    logger.info(`Submitting claim via email to ${issuerInfo.email}...`);
+    logger.info(`Submitting claim via email to ${claimEmail}...`);
     let submissionResult;
     try {
       submissionResult = await this.sendClaimEmail(claim, attachments);
@@ -503,7 +431,7 @@ Claim Reference: ${claim.id}
         status: 'READY_TO_FILE',
         documentUrl: `/documents/${doc.fileName}`,
         error: emailError.message,
-        instructions: this.getFilingInstructions(claim)
+        instructions: await this.getFilingInstructions(claim)
       };
     }
 
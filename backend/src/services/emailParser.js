@@ -1,7 +1,15 @@
-const { google } = require('googleapis');
 const { simpleParser } = require('mailparser');
 const { PrismaClient } = require('@prisma/client');
 const logger = require('../utils/logger');
+const { stripHtml } = require('./aiParser');
+const { extractVariantFromText } = require('../utils/variantUtils');
+const { allocateDiscount, netUnitPrice } = require('../utils/orderUtils');
+const claimReplyParser = require('./claimReplyParser');
+const benefitCatalog = require('./benefitCatalog');
+const returnAdvisor = require('./returnAdvisor');
+const mailboxes = require('./mailboxes');
+const orderLifecycle = require('./orderLifecycle');
+const orderExtraction = require('./orderExtraction');
 
 const prisma = new PrismaClient();
 
@@ -26,23 +34,11 @@ const CARD_NETWORK_PATTERNS = {
   wellsfargo: [/wells\s*fargo/i, /\bwellsfargo\b/i]
 };
 
-// Default protection periods by card issuer (in days)
-const DEFAULT_PROTECTION_DAYS = {
-  amex: 90,           // American Express Price Protection
-  citi: 60,           // Citi Price Rewind (discontinued but some cards still have it)
-  chase: 90,          // Chase Price Protection (varies by card)
-  discover: 90,       // Discover Price Protection
-  capitalone: 60,     // Capital One Price Protection
-  visa: 90,           // Generic Visa
-  mastercard: 60,     // Generic Mastercard
-  default: 90         // Default fallback
-};
-
 // Retailer patterns for parsing order confirmation emails
 const RETAILER_PATTERNS = {
   amazon: {
-    fromPatterns: ['auto-confirm@amazon.com', 'shipment-tracking@amazon.com', 'digital-no-reply@amazon.com'],
-    subjectPatterns: ['Your Amazon.com order', 'Your order has shipped', 'Your Amazon order'],
+    fromPatterns: ['auto-confirm@amazon.com', 'shipment-tracking@amazon.com', 'digital-no-reply@amazon.com', 'return@amazon.com', 'payments-messages@amazon.com'],
+    subjectPatterns: ['Your Amazon.com order', 'Your Amazon order'],
     priceRegex: /\$[\d,]+\.\d{2}/g,
     orderIdRegex: /(?:Order|order)[#:\s]+(\d{3}-\d{7}-\d{7})/,
     productRegex: /<td[^>]*>([^<]+)<\/td>/g,
@@ -99,93 +95,171 @@ const RETAILER_PATTERNS = {
   }
 };
 
+// Uploaded receipts from stores not listed above
+const OTHER_RETAILER_PATTERNS = {
+  fromPatterns: [],
+  subjectPatterns: [],
+  priceRegex: /\$[\d,]+\.\d{2}/g,
+  orderIdRegex: /(?:Order|Invoice|Receipt|Transaction)\s*(?:#|No\.?|Number|ID)?[:\s]*([A-Z0-9][A-Z0-9-]{4,})/i,
+  domain: null
+};
+
+// How far back the first sync of a mailbox (its backfill) reads
+const BACKFILL_DAYS = parseInt(process.env.EMAIL_BACKFILL_DAYS) || 90;
+
+// Syncs an email that failed to import is tried in before it is given up on
+const MAX_EMAIL_ATTEMPTS = 5;
+
+// How each source is named in logs
+const SOURCE_LABELS = {
+  EMAIL: 'email',
+  RECEIPT_UPLOAD: 'an uploaded receipt',
+  BROWSER_EXTENSION: 'the browser extension'
+};
+
 class EmailParser {
-  async getGmailClient(userId) {
-    const user = await prisma.user.findUnique({
-      where: { id: userId },
-      select: {
-        gmailAccessToken: true,
-        gmailRefreshToken: true
-      }
-    });
+  // Addresses order emails come from, for the mailbox search
+  orderSenders() {
+    return Object.values(RETAILER_PATTERNS).flatMap(r => r.fromPatterns);
+  }
 
-    if (!user?.gmailAccessToken) {
-      throw new Error('Gmail not connected');
+  /**
+   * Create a sync log for each mailbox about to be synced: the one asked for,
+   * or every mailbox that doesn't need reconnecting.
+   * @returns {Promise<Array<{ mailbox: Object, syncLog: Object }>>}
+   */
+  async startSync(userId, { mailboxId = null } = {}) {
+    const connected = await mailboxes.list(userId);
+    const targets = mailboxId
+      ? connected.filter(mailbox => mailbox.id === mailboxId)
+      : connected.filter(mailbox => mailbox.status !== 'NEEDS_REAUTH');
+
+    const runs = [];
+    for (const mailbox of targets) {
+      const syncLog = await prisma.emailSyncLog.create({
+        data: {
+          userId,
+          mailboxId: mailbox.id,
+          status: 'IN_PROGRESS'
+        }
+      });
+      runs.push({ mailbox, syncLog });
     }
+    return runs;
+  }
 
-    const oauth2Client = new google.auth.OAuth2(
-      process.env.GOOGLE_CLIENT_ID,
-      process.env.GOOGLE_CLIENT_SECRET,
-      process.env.GOOGLE_REDIRECT_URI
-    );
+  // Sync mailboxes one after another; one failing doesn't stop the rest
+  async runSync(runs) {
+    const totals = { mailboxes: runs.length, emailsProcessed: 0, purchasesFound: 0, claimRepliesFound: 0, failed: 0 };
+
+    for (const { mailbox, syncLog } of runs) {
+      try {
+        const result = await this.syncMailbox(mailbox, syncLog.id);
+        totals.emailsProcessed += result.emailsProcessed;
+        totals.purchasesFound += result.purchasesFound;
+        totals.claimRepliesFound += result.claimRepliesFound;
+      } catch {
+        totals.failed++;
+      }
+    }
 
-    oauth2Client.setCredentials({
-      access_token: user.gmailAccessToken,
-      refresh_token: user.gmailRefreshToken
-    });
+    return totals;
+  }
 
-    // Handle token refresh
-    oauth2Client.on('tokens', async (tokens) => {
-      if (tokens.access_token) {
-        await prisma.user.update({
-          where: { id: userId },
-          data: { gmailAccessToken: tokens.access_token }
-        });
-      }
-    });
+  async syncEmails(userId, { mailboxId = null } = {}) {
+    return this.runSync(await this.startSync(userId, { mailboxId }));
+  }
 
-    return google.gmail({ version: 'v1', auth: oauth2Client });
+  // Backfill a newly connected mailbox in the background: its first sync reads
+  // the last EMAIL_BACKFILL_DAYS days; every later one only what arrived since
+  backfillMailbox(mailbox) {
+    if (mailbox.syncCursor) return;
+    this.syncEmails(mailbox.userId, { mailboxId: mailbox.id })
+      .catch(err => logger.error(`Backfill failed for mailbox ${mailbox.id}:`, err));
   }
 
-  async syncEmails(userId, syncLogId) {
+  // Which of these email ids already became an order, purchase or order event
+  async importedEmailIds(userId, emailIds) {
+    if (emailIds.length === 0) return new Set();
+    const [orders, purchases, events] = await Promise.all([
+      prisma.order.findMany({
+        where: { userId, sourceEmailId: { in: emailIds } },
+        select: { sourceEmailId: true }
+      }),
+      prisma.purchase.findMany({
+        where: { userId, sourceEmailId: { in: emailIds } },
+        select: { sourceEmailId: true }
+      }),
+      prisma.orderEvent.findMany({
+        where: { userId, sourceEmailId: { in: emailIds } },
+        select: { sourceEmailId: true }
+      })
+    ]);
+    return new Set([...orders, ...purchases, ...events].map(row => row.sourceEmailId));
+  }
+
+  async syncMailbox(mailbox, syncLogId) {
+    const { userId } = mailbox;
     let emailsProcessed = 0;
     let purchasesFound = 0;
+    let claimRepliesFound = 0;
+    let session = null;
 
     try {
-      const gmail = await this.getGmailClient(userId);
-
-      // Build query for order confirmation emails
-      const fromQueries = Object.values(RETAILER_PATTERNS)
-        .flatMap(r => r.fromPatterns)
-        .map(from => `from:${from}`)
-        .join(' OR ');
-
-      const query = `(${fromQueries}) newer_than:90d`;
+      session = await mailboxes.open(mailbox);
 
-      // Fetch messages
-      const response = await gmail.users.messages.list({
-        userId: 'me',
-        q: query,
-        maxResults: 100
+      const { messages, cursor } = await session.listMessages({
+        senders: this.orderSenders(),
+        since: new Date(Date.now() - BACKFILL_DAYS * 24 * 60 * 60 * 1000),
+        cursor: mailbox.syncCursor
       });
+      logger.info(`Found ${messages.length} potential order emails in ${mailbox.provider} mailbox ${mailbox.id} for user ${userId}`);
 
-      const messages = response.data.messages || [];
-      logger.info(`Found ${messages.length} potential order emails for user ${userId}`);
+      // The cursor moves past every listed email, so the ones that failed last
+      // time (an AI or database error) are tried again from here
+      const retrying = mailbox.failedEmails || {};
+      const emailIds = [...new Set([...Object.keys(retrying), ...messages.map(message => message.id)])];
 
-      for (const message of messages) {
-        try {
-          const fullMessage = await gmail.users.messages.get({
-            userId: 'me',
-            id: message.id,
-            format: 'raw'
-          });
+      // Don't download emails already imported (a backfill after expired history re-lists some)
+      const imported = await this.importedEmailIds(userId, emailIds);
+      const failedEmails = {};
 
-          const rawEmail = Buffer.from(fullMessage.data.raw, 'base64').toString('utf-8');
-          const parsed = await simpleParser(rawEmail);
+      for (const emailId of emailIds.filter(id => !imported.has(id))) {
+        try {
+          const parsed = await simpleParser(await session.fetchRaw(emailId));
 
           emailsProcessed++;
 
-          // Try to extract purchase info
-          const purchase = await this.extractPurchaseFromEmail(parsed, userId, message.id);
+          // Try to extract the order and its line items
+          const result = await this.extractOrderFromEmail(parsed, userId, emailId);
 
-          if (purchase) {
-            purchasesFound++;
+          if (result) {
+            purchasesFound += result.purchases.length;
           }
         } catch (err) {
-          logger.error(`Error processing email ${message.id}:`, err);
+          const attempts = (retrying[emailId] || 0) + 1;
+          if (attempts < MAX_EMAIL_ATTEMPTS) {
+            failedEmails[emailId] = attempts;
+            logger.error(`Error processing email ${emailId} (attempt ${attempts}, retried next sync):`, err);
+          } else {
+            logger.error(`Error processing email ${emailId}; giving up after ${attempts} attempts:`, err);
+          }
+        }
+      }
+
+      // Issuer replies to filed claims arrive where claims are sent from, the
+      // account signed in with; a failure here shouldn't fail the purchase sync
+      if (mailbox.isPrimary && session.gmail) {
+        try {
+          const replies = await claimReplyParser.syncClaimReplies(userId, session.gmail);
+          claimRepliesFound = replies.repliesFound;
+        } catch (err) {
+          logger.error(`Claim reply sync failed for user ${userId}:`, err);
         }
       }
 
+      await mailboxes.recordSync(mailbox, { cursor, failedEmails });
+
       // Update sync log
       await prisma.emailSyncLog.update({
         where: { id: syncLogId },
@@ -193,15 +267,19 @@ class EmailParser {
           status: 'COMPLETED',
           emailsProcessed,
           purchasesFound,
+          claimRepliesFound,
           completedAt: new Date()
         }
       });
 
-      logger.info(`Email sync completed for user ${userId}: ${emailsProcessed} processed, ${purchasesFound} purchases found`);
+      logger.info(`Email sync completed for mailbox ${mailbox.id} of user ${userId}: ${emailsProcessed} processed, ${purchasesFound} purchases found, ${claimRepliesFound} claim replies`);
 
-      return { emailsProcessed, purchasesFound };
+      return { emailsProcessed, purchasesFound, claimRepliesFound };
     } catch (error) {
-      logger.error(`Email sync failed for user ${userId}:`, error);
+      logger.error(`Email sync failed for mailbox ${mailbox.id} of user ${userId}:`, error);
+
+      await mailboxes.recordSync(mailbox, { error })
+        .catch(err => logger.error(`Failed to record sync error for mailbox ${mailbox.id}:`, err));
 
       await prisma.emailSyncLog.update({
         where: { id: syncLogId },
@@ -215,123 +293,286 @@ class EmailParser {
       });
 
       throw error;
+    } finally {
+      if (session) {
+        await session.close().catch(() => {});
+      }
     }
   }
 
-  async extractPurchaseFromEmail(parsedEmail, userId, emailId) {
+  /**
+   * Which retailer sent an order email.
+   * @param {Object} parsedEmail - simpleParser output
+   * @param {Object} options - strict: sender and subject must both match (mailbox sync);
+   *   otherwise the sender, or the retailer's domain or name in the text, is enough (uploads)
+   * @returns {{ retailer: string, retailerConfig: Object, known: true }|null}
+   */
+  identifyRetailer(parsedEmail, { strict = true } = {}) {
     const fromAddress = parsedEmail.from?.value?.[0]?.address?.toLowerCase() || '';
-    const subject = parsedEmail.subject || '';
-    const htmlBody = parsedEmail.html || '';
-    const textBody = parsedEmail.text || '';
-    const emailDate = parsedEmail.date || new Date();
-
-    // Identify retailer
-    let retailer = null;
-    let retailerConfig = null;
+    const subject = (parsedEmail.subject || '').toLowerCase();
 
     for (const [name, config] of Object.entries(RETAILER_PATTERNS)) {
       const fromMatch = config.fromPatterns.some(pattern =>
         fromAddress.includes(pattern.toLowerCase())
       );
       const subjectMatch = config.subjectPatterns.some(pattern =>
-        subject.toLowerCase().includes(pattern.toLowerCase())
+        subject.includes(pattern.toLowerCase())
       );
 
-      if (fromMatch && subjectMatch) {
-        retailer = name;
-        retailerConfig = config;
-        break;
+      if (fromMatch && (subjectMatch || !strict)) {
+        return { retailer: name, retailerConfig: config, known: true };
       }
     }
 
-    if (!retailer) {
+    if (strict) {
       return null;
     }
 
-    // Check if already processed
-    const existing = await prisma.purchase.findFirst({
-      where: {
-        userId,
-        sourceEmailId: emailId
+    // A receipt without a known sender: the store whose domain or name it mentions
+    const text = `${parsedEmail.subject || ''}\n${parsedEmail.text || stripHtml(parsedEmail.html || '')}`.toLowerCase();
+    for (const [name, config] of Object.entries(RETAILER_PATTERNS)) {
+      if (text.includes(config.domain) || new RegExp(`\\b${name}\\b`).test(text.replace(/[^a-z0-9.\s]/g, ''))) {
+        return { retailer: name, retailerConfig: config, known: true };
       }
-    });
+    }
+
+    return null;
+  }
+
+  // Which retailer an email is from, by its sender alone
+  identifySender(parsedEmail) {
+    const fromAddress = parsedEmail.from?.value?.[0]?.address?.toLowerCase() || '';
+    for (const [name, config] of Object.entries(RETAILER_PATTERNS)) {
+      if (config.fromPatterns.some(pattern => fromAddress.includes(pattern.toLowerCase()))) {
+        return { retailer: name, retailerConfig: config, known: true };
+      }
+    }
+    return null;
+  }
 
-    if (existing) {
+  // Known retailer for a store name ("Best Buy" -> bestbuy); other stores get generic patterns
+  retailerByName(name) {
+    const key = String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    if (RETAILER_PATTERNS[key]) {
+      return { retailer: key, retailerConfig: RETAILER_PATTERNS[key], known: true };
+    }
+    return { retailer: name ? String(name).trim() : null, retailerConfig: OTHER_RETAILER_PATTERNS, known: false };
+  }
+
+  // Create an Order from an order confirmation email, with one Purchase per line item
+  async extractOrderFromEmail(parsedEmail, userId, emailId) {
+    const htmlBody = parsedEmail.html || '';
+    const textBody = parsedEmail.text || '';
+    const emailDate = parsedEmail.date || new Date();
+
+    // Shipping, cancellation, return and refund emails update the order they're about
+    const lifecycleType = orderLifecycle.classify(parsedEmail);
+    if (lifecycleType) {
+      const sender = this.identifySender(parsedEmail);
+      if (sender) {
+        await orderLifecycle.recordEmail(userId, parsedEmail, emailId, {
+          type: lifecycleType,
+          retailerName: sender.retailer.charAt(0).toUpperCase() + sender.retailer.slice(1),
+          retailerConfig: sender.retailerConfig
+        });
+      }
       return null;
     }
 
-    // Extract order details
-    const body = htmlBody || textBody;
+    const identified = this.identifyRetailer(parsedEmail);
+    if (!identified) {
+      return null;
+    }
+    const { retailer, retailerConfig } = identified;
+
+    // Check if already processed (purchases from before orders were recorded have no order)
+    const [existingOrder, existingPurchase] = await Promise.all([
+      prisma.order.findUnique({
+        where: { userId_sourceEmailId: { userId, sourceEmailId: emailId } }
+      }),
+      prisma.purchase.findFirst({
+        where: {
+          userId,
+          sourceEmailId: emailId
+        }
+      })
+    ]);
 
-    // Extract prices
-    const priceMatches = body.match(retailerConfig.priceRegex) || [];
-    const prices = priceMatches
-      .map(p => parseFloat(p.replace(/[$,]/g, '')))
-      .filter(p => p > 0 && p < 10000)
-      .sort((a, b) => b - a);
+    if (existingOrder || existingPurchase) {
+      return null;
+    }
 
-    if (prices.length === 0) {
+    const details = await this.extractOrderDetails(parsedEmail, retailer, retailerConfig);
+
+    if (!details) {
       return null;
     }
 
-    // Extract order ID
-    let orderId = null;
-    const orderIdMatch = body.match(retailerConfig.orderIdRegex);
-    if (orderIdMatch) {
-      orderId = orderIdMatch[1];
+    // Captured at checkout by the browser extension: the email can still tell us the card
+    if (details.orderId) {
+      const captured = await prisma.order.findFirst({
+        where: {
+          userId,
+          sourceType: 'BROWSER_EXTENSION',
+          retailerOrderId: details.orderId,
+          retailer: { equals: retailer, mode: 'insensitive' }
+        },
+        include: { purchases: true }
+      });
+      if (captured) {
+        await this.linkOrderCard(userId, captured, details.payments, htmlBody || textBody);
+        logger.info(`Order ${details.orderId} from email ${emailId} was already captured by the browser extension`);
+        return null;
+      }
     }
 
-    // Extract product name (basic approach - can be enhanced)
-    let productName = this.extractProductName(body, retailer);
+    return this.saveOrder(userId, details, {
+      retailer,
+      body: htmlBody || textBody,
+      orderDate: emailDate,
+      sourceType: 'EMAIL',
+      sourceEmailId: emailId
+    });
+  }
+
+  /**
+   * Link an existing order's purchases that have no card to the card that paid,
+   * as read from a later source (the order email for an extension capture).
+   * @returns {Promise<number>} purchases linked
+   */
+  async linkOrderCard(userId, order, payments, body) {
+    const unlinked = order.purchases.filter(purchase => !purchase.creditCardId);
+    if (!unlinked.length || !payments?.length) return 0;
 
-    // Extract card info (last 4 digits + network hint) and try to match to user's cards
-    const cardInfo = this.extractCardInfo(body);
-    const cardLast4 = cardInfo.last4;
-    const matchedCard = await this.matchCardToUser(userId, cardLast4, body, cardInfo.networkHint);
+    const matched = await this.matchPayments(userId, payments, body);
+    const card = matched.find(payment => payment.card)?.card;
+    if (!card) return 0;
+
+    let protectionEnds = null;
+    if (card.protectionDays) {
+      protectionEnds = new Date(order.orderDate);
+      protectionEnds.setDate(protectionEnds.getDate() + card.protectionDays);
+    }
 
-    // Extract product URL for price monitoring
-    const productUrl = this.extractProductUrl(body, retailer, retailerConfig);
+    await prisma.purchase.updateMany({
+      where: { id: { in: unlinked.map(purchase => purchase.id) } },
+      data: { creditCardId: card.id, paymentCardLast4: card.lastFour, protectionEnds }
+    });
+    logger.info(`Linked ${unlinked.length} purchase(s) of order ${order.id} to card ${card.id} (${card.lastFour})`);
+    return unlinked.length;
+  }
+
+  /**
+   * Save extracted order details as an Order with one Purchase per line item.
+   * @param {string} userId
+   * @param {Object} details - extractOrderDetails output
+   * @param {Object} source
+   *   retailer      - RETAILER_PATTERNS key, or the store's name for other stores
+   *   retailerName  - display name (defaults to the capitalized key)
+   *   body          - the order's text, for card matching
+   *   orderDate, sourceType, sourceEmailId
+   *   receiptId     - the uploaded Receipt the order came from
+   *   creditCard    - the card that paid, when the user said so; otherwise matched from the payments
+   * @returns {Promise<{ order, purchases }>}
+   */
+  async saveOrder(userId, details, { retailer, retailerName, body = '', orderDate, sourceType, sourceEmailId, receiptId = null, creditCard = null }) {
+    // Match the card(s) charged; line items are linked to the card that paid the most
+    const payments = await this.matchPayments(userId, details.payments, body);
+    const matchedCard = creditCard || payments.find(payment => payment.card)?.card || null;
+    const cardLast4 = matchedCard?.lastFour || payments[0]?.cardLast4 || null;
 
     // Calculate protection end date if card is matched
     let protectionEnds = null;
     if (matchedCard && matchedCard.protectionDays) {
-      protectionEnds = new Date(emailDate);
+      protectionEnds = new Date(orderDate);
       protectionEnds.setDate(protectionEnds.getDate() + matchedCard.protectionDays);
     }
 
-    logger.info(`Email parsing: cardLast4=${cardLast4}, matchedCard=${matchedCard?.id}, productUrl=${productUrl ? 'found' : 'not found'}`);
+    retailerName = retailerName || retailer.charAt(0).toUpperCase() + retailer.slice(1);
+    const { items } = details;
+    const lineTotal = items.reduce((sum, item) => sum + item.unitPrice * item.quantity, 0);
+    const total = details.total ?? lineTotal;
 
-    // Create purchase record with card linkage and product URL
-    const purchase = await prisma.purchase.create({
+    // Order-level discounts are shared across the items, so each unit's price is
+    // what was actually paid for it. A single-item fallback price is already the total.
+    const discountShares = details.itemized
+      ? allocateDiscount(items, details.discount)
+      : items.map(() => 0);
+
+    logger.info(`Order parsing: ${items.length} item(s), cardLast4=${cardLast4}, matchedCard=${matchedCard?.id}`);
+
+    const order = await prisma.order.create({
       data: {
         userId,
-        productName: productName || `${retailer.charAt(0).toUpperCase() + retailer.slice(1)} Purchase`,
-        retailer: retailer.charAt(0).toUpperCase() + retailer.slice(1),
-        purchasePrice: prices[0], // Use highest price (usually total)
-        currentPrice: prices[0],
-        lowestPrice: prices[0],
-        lowestPriceDate: emailDate,
-        purchaseDate: emailDate,
-        retailerOrderId: orderId,
-        sourceType: 'EMAIL',
-        sourceEmailId: emailId,
-        status: 'MONITORING',
-        // NEW: Link to matched credit card
-        creditCardId: matchedCard?.id || null,
-        protectionEnds: protectionEnds,
-        // NEW: Include product URL for price monitoring
-        productUrl: productUrl
+        retailer: retailerName,
+        retailerOrderId: details.orderId,
+        orderDate,
+        subtotal: details.subtotal,
+        tax: details.tax,
+        shipping: details.shipping,
+        discount: details.discount,
+        total,
+        ...(payments.length && {
+          payments: payments.map(({ card, ...payment }) => ({ ...payment, creditCardId: card?.id || null }))
+        }),
+        ...(details.provenance && {
+          extraction: { model: details.model || null, fields: details.provenance }
+        }),
+        sourceType,
+        sourceEmailId
       }
     });
 
-    // Create initial price history
-    await prisma.priceHistory.create({
-      data: {
-        purchaseId: purchase.id,
-        price: prices[0],
-        source: retailer
-      }
-    });
+    // One purchase per line item, each monitored and claimed on its own
+    const purchases = [];
+    for (const [index, item] of items.entries()) {
+      const discountShare = discountShares[index];
+      const price = netUnitPrice(item.unitPrice, item.quantity, discountShare);
+
+      const purchase = await prisma.purchase.create({
+        data: {
+          userId,
+          orderId: order.id,
+          productName: item.productName || `${retailerName} Purchase`,
+          retailer: retailerName,
+          purchasePrice: price,
+          currentPrice: price,
+          lowestPrice: price,
+          lowestPriceDate: orderDate,
+          quantity: item.quantity,
+          unitPrice: item.unitPrice,
+          discountShare: discountShare || null,
+          lineIndex: index,
+          purchaseDate: orderDate,
+          retailerOrderId: details.orderId,
+          category: details.category,
+          sourceType,
+          sourceEmailId,
+          receiptId,
+          paymentCardLast4: cardLast4,
+          status: 'MONITORING',
+          creditCardId: matchedCard?.id || null,
+          protectionEnds: protectionEnds,
+          returnWindowEnds: await returnAdvisor.windowEndsFor({
+            retailer: retailerName, productUrl: item.productUrl, category: details.category, purchaseDate: orderDate
+          }),
+          productUrl: item.productUrl,
+          ...(item.variant && { variant: item.variant }),
+          ...(item.provenance && { extraction: item.provenance })
+        }
+      });
+
+      // Create initial price history
+      await prisma.priceHistory.create({
+        data: {
+          purchaseId: purchase.id,
+          price,
+          source: retailer
+        }
+      });
+
+      purchases.push(purchase);
+    }
 
     // Create notification with card linkage info
     const cardInfoMsg = matchedCard
@@ -339,21 +580,144 @@ class EmailParser {
       : cardLast4
         ? ` (card ending ${cardLast4} not found - please add your card)`
         : '';
-    const urlInfo = productUrl ? ' - price monitoring enabled' : ' - add product URL for price monitoring';
+    const missingUrls = purchases.filter(purchase => !purchase.productUrl).length;
+    const urlInfo = !missingUrls
+      ? ' - price monitoring enabled'
+      : purchases.length === 1
+        ? ' - add product URL for price monitoring'
+        : ` - add product URLs for ${missingUrls} item(s) for price monitoring`;
+    const itemsMsg = purchases.length === 1
+      ? `${purchases[0].productName} for $${purchases[0].purchasePrice.toFixed(2)}`
+      : `${purchases.length} items for $${total.toFixed(2)}`;
 
     await prisma.notification.create({
       data: {
         userId,
         type: 'SYSTEM',
-        title: 'New Purchase Detected',
-        message: `Found a purchase from ${retailer}: ${productName || 'Item'} for $${prices[0].toFixed(2)}${cardInfoMsg}${urlInfo}`,
-        data: { purchaseId: purchase.id, needsCardLink: !matchedCard, cardLast4 }
+        title: purchases.length === 1 ? 'New Purchase Detected' : 'New Order Detected',
+        message: `Found a purchase from ${retailer}: ${itemsMsg}${cardInfoMsg}${urlInfo}`,
+        data: {
+          orderId: order.id,
+          purchaseId: purchases[0].id,
+          purchaseIds: purchases.map(purchase => purchase.id),
+          needsCardLink: !matchedCard,
+          cardLast4
+        }
       }
     });
 
-    logger.info(`Created purchase from email: ${purchase.id} - ${productName} from ${retailer}`);
+    logger.info(`Created order ${order.id} from ${SOURCE_LABELS[sourceType] || 'email'} with ${purchases.length} purchase(s) from ${retailer}`);
+
+    // A cancellation or refund email read before the order itself
+    await orderLifecycle.applyPending(order);
+
+    return { order, purchases };
+  }
+
+  /**
+   * Line items and totals of an order email, through the extraction pipeline
+   * (services/orderExtraction): the retailer's patterns first, then the model
+   * for the line items and anything they missed, then guesses.
+   * @returns {Promise<Object|null>} { itemized, items: [{ productName, unitPrice, quantity, productUrl, variant, provenance }],
+   *   orderId, category, subtotal, tax, shipping, discount, total, payments: [{ cardLast4, network, amount }],
+   *   retailer (the store named in it, when the model found one), purchaseDate (as printed, or null),
+   *   provenance (source and confidence of each order field), model }
+   */
+  async extractOrderDetails(parsedEmail, retailer, retailerConfig) {
+    return orderExtraction.extract(parsedEmail, {
+      parsed: this.parseOrderFields(parsedEmail, retailer, retailerConfig),
+      fallback: this.guessOrderFields(parsedEmail, retailer, retailerConfig)
+    });
+  }
+
+  // What the retailer's patterns and the email's labelled amounts say about the order;
+  // not its line items, which the model reads (see services/orderExtraction)
+  parseOrderFields(parsedEmail, retailer, retailerConfig) {
+    const body = parsedEmail.html || parsedEmail.text || '';
+    const text = parsedEmail.text || stripHtml(parsedEmail.html || '');
 
-    return purchase;
+    const totals = this.extractOrderTotals(text);
+    const orderIdMatch = body.match(retailerConfig.orderIdRegex);
+    const cardInfo = this.extractCardInfo(body);
+
+    return {
+      orderId: orderIdMatch ? orderIdMatch[1] : null,
+      ...totals,
+      payments: cardInfo.last4
+        ? [{ cardLast4: cardInfo.last4, network: cardInfo.networkHint || null, amount: totals.total }]
+        : [],
+      purchaseDate: this.extractOrderDate(text),
+      // Used for a lone item that has no link of its own
+      productUrl: this.extractProductUrl(body, retailer, retailerConfig)
+    };
+  }
+
+  // When nothing better is found: one item priced at the highest amount in the email, usually the total
+  guessOrderFields(parsedEmail, retailer, retailerConfig) {
+    const body = parsedEmail.html || parsedEmail.text || '';
+    const text = parsedEmail.text || stripHtml(parsedEmail.html || '');
+
+    const prices = (body.match(retailerConfig.priceRegex) || [])
+      .map(p => parseFloat(p.replace(/[$,]/g, '')))
+      .filter(p => p > 0 && p < 10000)
+      .sort((a, b) => b - a);
+
+    if (prices.length === 0) {
+      return {};
+    }
+
+    const productName = this.extractProductName(body, retailer);
+
+    return {
+      items: [{
+        productName,
+        unitPrice: prices[0],
+        quantity: 1,
+        productUrl: this.extractProductUrl(body, retailer, retailerConfig),
+        // Size / color / storage / condition, so price checks compare the same variant
+        variant: extractVariantFromText(text, productName)
+      }]
+    };
+  }
+
+  // Order date as printed: "Order Date: March 3, 2026", "Invoice date 03/03/2026", "Placed on 2026-03-03"
+  extractOrderDate(text) {
+    const match = text.match(/(?:order(?:ed)?|invoice|purchase|transaction|placed)(?:\s+date)?(?:\s+on)?\s*:?\s*((?:[A-Z][a-z]{2,8}\.?\s+\d{1,2},?\s+\d{4})|(?:\d{1,2}\/\d{1,2}\/\d{2,4})|(?:\d{4}-\d{2}-\d{2}))/i);
+    return match ? this.parseDate(match[1]) : null;
+  }
+
+  // A date that isn't in the future, or null
+  parseDate(value) {
+    if (!value) return null;
+    const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T12:00:00` : value);
+    return Number.isNaN(date.getTime()) || date > new Date() ? null : date;
+  }
+
+  // Order totals as labelled in the email: "Subtotal: $123.45", "Promotion applied: -$10.00"
+  extractOrderTotals(text) {
+    const amountAfter = (labels) => {
+      const match = text.match(new RegExp(`(?:${labels})[^$\\d\\n]{0,30}-?\\$\\s?([\\d,]+\\.\\d{2})`, 'i'));
+      return match ? parseFloat(match[1].replace(/,/g, '')) : null;
+    };
+
+    return {
+      subtotal: amountAfter('item\\(s\\) subtotal|subtotal'),
+      tax: amountAfter('estimated tax|sales tax|(?<!before )\\btax\\b'),
+      shipping: amountAfter('shipping & handling|shipping|delivery fee'),
+      discount: amountAfter('promotions? applied|promo code|coupon|discount|savings'),
+      total: amountAfter('order total|grand total|total charged|(?<!sub)\\btotal\\b(?! before)')
+    };
+  }
+
+  // Match each card charged for an order to the user's cards, largest charge first
+  async matchPayments(userId, payments, body) {
+    const matched = [];
+    for (const payment of payments) {
+      if (matched.some(other => other.cardLast4 === payment.cardLast4)) continue;
+      const card = await this.matchCardToUser(userId, payment.cardLast4, body, payment.network);
+      matched.push({ ...payment, card });
+    }
+    return matched.sort((a, b) => (b.amount || 0) - (a.amount || 0));
   }
 
   extractProductName(body, retailer) {
@@ -474,6 +838,11 @@ class EmailParser {
       }
     }
 
+    // Stores without patterns have no domain to look for
+    if (!domain) {
+      return null;
+    }
+
     // Generic fallback - look for any URL containing the retailer domain and product-like paths
     const genericPattern = new RegExp(
       `https?://(?:www\\.)?${domain.replace('.', '\\.')}[^"'\\s]*(?:product|item|dp|ip|/p/)[^"'\\s]*`,
@@ -554,11 +923,6 @@ class EmailParser {
     return map[str] || null;
   }
 
-  // Get protection days based on card network
-  getProtectionDays(network) {
-    return DEFAULT_PROTECTION_DAYS[network] || DEFAULT_PROTECTION_DAYS.default;
-  }
-
   // Match card last 4 to user's existing cards OR auto-create if not found
   async matchCardToUser(userId, cardLast4, body = '', networkHint = null) {
     if (!cardLast4) return null;
@@ -573,7 +937,9 @@ class EmailParser {
         protectionDays: true,
         network: true,
         issuer: true,
-        nickname: true
+        nickname: true,
+        productId: true,
+        productConfirmed: true
       }
     });
 
@@ -582,6 +948,9 @@ class EmailParser {
 
     if (matchingCard) {
       logger.info(`Matched card ending in ${cardLast4} to creditCardId: ${matchingCard.id}`);
+      if (!matchingCard.productId && !matchingCard.productConfirmed) {
+        await this.suggestCardProduct(userId, matchingCard, body);
+      }
       return matchingCard;
     }
 
@@ -592,8 +961,6 @@ class EmailParser {
     const detectedNetwork = networkHint
       ? this._mapNetworkString(networkHint) || this.detectCardNetwork(body, cardLast4)
       : this.detectCardNetwork(body, cardLast4);
-    const protectionDays = this.getProtectionDays(detectedNetwork);
-
     // Determine network and issuer
     let network = 'unknown';
     let issuer = 'Unknown';
@@ -612,6 +979,17 @@ class EmailParser {
       }
     }
 
+    // A product named in the email pins down the issuer, but the user still
+    // has to confirm it before its benefit terms apply
+    const suggestedProduct = await benefitCatalog.suggestProduct(body, { network: detectedNetwork });
+    if (suggestedProduct) {
+      issuer = (await benefitCatalog.resolve(suggestedProduct.issuerKey)).name;
+      if (network === 'unknown' && suggestedProduct.network) network = suggestedProduct.network;
+    }
+
+    const benefit = benefitCatalog.cardDefaults(await benefitCatalog.resolve(issuer, { network }));
+    const protectionDays = benefit.protectionDays;
+
     // Map detected network to CardType enum
     let cardType = 'OTHER';
     const networkToCardType = {
@@ -620,8 +998,8 @@ class EmailParser {
       amex: 'AMEX',
       discover: 'DISCOVER'
     };
-    if (detectedNetwork && networkToCardType[detectedNetwork]) {
-      cardType = networkToCardType[detectedNetwork];
+    if (networkToCardType[network]) {
+      cardType = networkToCardType[network];
     }
 
     try {
@@ -635,8 +1013,13 @@ class EmailParser {
           nickname: `Auto-detected Card (${cardLast4})`,
           cardType: cardType,
           protectionDays: protectionDays,
+          maxClaimAmount: benefit.maxClaimAmount,
+          maxAnnualClaims: benefit.maxAnnualClaims,
+          maxAccountClaims: benefit.maxAccountClaims,
+          capPeriod: benefit.capPeriod,
           claimMethod: 'EMAIL',
-          autoClaimEnabled: true
+          autoClaimEnabled: true,
+          productId: suggestedProduct?.id || null
         }
       });
 
@@ -648,7 +1031,7 @@ class EmailParser {
           userId,
           type: 'SYSTEM',
           title: 'New Card Auto-Detected',
-          message: `We detected a new card ending in ${cardLast4}${detectedNetwork ? ` (${issuer})` : ''}. It has been automatically added with ${protectionDays} days of price protection. You can edit it in Credit Cards settings.`,
+          message: `We detected a new card ending in ${cardLast4}${issuer !== 'Unknown' ? ` (${issuer})` : ''}. It has been automatically added with ${protectionDays} days of price protection. ${suggestedProduct ? `It looks like a ${suggestedProduct.name}; confirm the card product in Credit Cards so we use that card's benefit terms.` : 'Pick the card product in Credit Cards so we use that card\'s benefit terms.'}`,
           data: { creditCardId: newCard.id }
         }
       });
@@ -660,6 +1043,29 @@ class EmailParser {
     }
   }
 
+  // Record the product an email suggests for a card whose product isn't set yet
+  async suggestCardProduct(userId, card, body) {
+    const suggested = await benefitCatalog.suggestProduct(body, { issuer: card.issuer, network: card.network });
+    if (!suggested) return;
+
+    await prisma.creditCard.update({
+      where: { id: card.id },
+      data: { productId: suggested.id }
+    });
+    card.productId = suggested.id;
+
+    await prisma.notification.create({
+      data: {
+        userId,
+        type: 'SYSTEM',
+        title: 'Confirm Your Card Product',
+        message: `Your card ending in ${card.lastFour} looks like a ${suggested.name}. Confirm it in Credit Cards so we use that card's benefit terms.`,
+        data: { creditCardId: card.id, productId: suggested.id }
+      }
+    });
+    logger.info(`Suggested product ${suggested.productKey} for card ${card.id}`);
+  }
+
     /**
    * Re-scan existing purchases to detect and link cards
    * @param {string} userId
@@ -670,20 +1076,11 @@ class EmailParser {
     let purchasesLinked = 0;
 
     try {
-      const gmail = await this.getGmailClient(userId);
-
       for (const purchase of purchases) {
         try {
           if (!purchase.sourceEmailId) continue;
 
-          const fullMessage = await gmail.users.messages.get({
-            userId: 'me',
-            id: purchase.sourceEmailId,
-            format: 'raw'
-          });
-
-          const rawEmail = Buffer.from(fullMessage.data.raw, 'base64').toString('utf-8');
-          const parsed = await simpleParser(rawEmail);
+          const parsed = await simpleParser(await mailboxes.fetchRaw(userId, purchase.sourceEmailId));
 
           const body = parsed.text || parsed.html || '';
           const subject = parsed.subject || '';
@@ -0,0 +1,69 @@
+jest.mock('@prisma/client', () => require('../../test/prismaMock'));
+jest.mock('./mailboxes', () => ({
+  open: jest.fn(),
+  recordSync: jest.fn(async () => ({}))
+}));
+
+const { resetPrisma } = require('@prisma/client');
+const mailboxes = require('./mailboxes');
+const emailParser = require('./emailParser');
+
+const RAW = Buffer.from('From: auto-confirm@amazon.com\r\nSubject: Your Amazon.com order\r\n\r\nThanks for your order\r\n');
+
+function session(ids, cursor = { historyId: '200' }) {
+  return {
+    listMessages: jest.fn(async () => ({ messages: ids.map(id => ({ id })), cursor })),
+    fetchRaw: jest.fn(async () => RAW),
+    close: jest.fn(async () => {})
+  };
+}
+
+describe('emailParser.syncMailbox', () => {
+  const mailbox = { id: 'mailbox-1', userId: 'user-1', provider: 'GMAIL', syncCursor: { historyId: '100' } };
+
+  beforeEach(() => {
+    resetPrisma();
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    emailParser.extractOrderFromEmail.mockRestore?.();
+  });
+
+  it('keeps emails that failed to import for the next sync', async () => {
+    mailboxes.open.mockResolvedValue(session(['m1', 'm2']));
+    jest.spyOn(emailParser, 'extractOrderFromEmail')
+      .mockRejectedValueOnce(new Error('Database unavailable'))
+      .mockResolvedValueOnce({ purchases: [{ id: 'purchase-1' }] });
+
+    const result = await emailParser.syncMailbox(mailbox, 'log-1');
+
+    expect(result.purchasesFound).toBe(1);
+    expect(mailboxes.recordSync).toHaveBeenCalledWith(mailbox, {
+      cursor: { historyId: '200' },
+      failedEmails: { m1: 1 }
+    });
+  });
+
+  it('retries failed emails even when the new cursor no longer lists them', async () => {
+    const open = session([]);
+    mailboxes.open.mockResolvedValue(open);
+    jest.spyOn(emailParser, 'extractOrderFromEmail').mockResolvedValue({ purchases: [{ id: 'purchase-1' }] });
+
+    await emailParser.syncMailbox({ ...mailbox, failedEmails: { m1: 2 } }, 'log-1');
+
+    expect(open.fetchRaw).toHaveBeenCalledWith('m1');
+    expect(mailboxes.recordSync).toHaveBeenCalledWith(expect.anything(), { cursor: { historyId: '200' }, failedEmails: {} });
+  });
+
+  it('gives up on an email after repeated failures', async () => {
+    mailboxes.open.mockResolvedValue(session([]));
+    jest.spyOn(emailParser, 'extractOrderFromEmail').mockRejectedValue(new Error('Still broken'));
+
+    await emailParser.syncMailbox({ ...mailbox, failedEmails: { m1: 4, m2: 1 } }, 'log-1');
+
+    expect(mailboxes.recordSync).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+      failedEmails: { m2: 2 }
+    }));
+  });
+});
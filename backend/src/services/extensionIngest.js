@@ -0,0 +1,269 @@
+/**
+ * Browser Extension Ingestion
+ *
+ * Creates purchases from what the browser extension captures on a retailer's
+ * order-confirmation page, so a purchase is tracked minutes after checkout
+ * instead of at the next mailbox sync. The extension sends either the items it
+ * read itself (product, price, quantity, variant, link) or the page's HTML,
+ * which goes through the same extraction as an order email.
+ *
+ * Product links are normalized with the retailer's adapter. An order that was
+ * already imported from email or a receipt isn't created twice: its purchases
+ * get the links and variants they were missing instead. The email sync does
+ * the reverse for orders captured here (see emailParser.extractOrderFromEmail).
+ */
+
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../utils/logger');
+const { normalizeVariant, extractVariantFromText } = require('../utils/variantUtils');
+const emailParser = require('./emailParser');
+const retailerAdapters = require('./retailerAdapters');
+
+const prisma = new PrismaClient();
+
+// How far apart an extension capture and an emailed order without an order number can be
+const MATCH_WINDOW_DAYS = 2;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fields the extension read off the checkout page (see services/orderExtraction for the others)
+const EXTENSION_PROVENANCE = { source: 'extension', confidence: 0.9 };
+
+function retailerKey(name) {
+  return String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Same product, allowing for names truncated differently by the page and the email;
+// by price and quantity when one side has no name
+function sameProduct(purchase, item) {
+  if (purchase.productUrl && item.productUrl) return purchase.productUrl === item.productUrl;
+  const a = (purchase.productName || '').toLowerCase().trim();
+  const b = (item.productName || '').toLowerCase().trim();
+  if (a && b) return a.startsWith(b) || b.startsWith(a);
+  return Math.abs((purchase.unitPrice ?? purchase.purchasePrice) - item.unitPrice) < 0.01 && purchase.quantity === item.quantity;
+}
+
+// Relative links on the page made absolute, so product links can be read from it
+function absolutizeLinks(html, pageUrl) {
+  return html.replace(/(href\s*=\s*["'])([^"']+)(["'])/gi, (match, open, href, close) => {
+    try {
+      return open + new URL(href, pageUrl).toString() + close;
+    } catch {
+      return match;
+    }
+  });
+}
+
+class ExtensionIngest {
+  /**
+   * Create purchases from a checkout capture.
+   * @param {string} userId
+   * @param {Object} capture - pageUrl, title, html, retailer, orderId, orderDate (Date),
+   *   subtotal, tax, shipping, discount, total, cardLast4,
+   *   items: [{ productName, price, quantity, productUrl, variant }]
+   * @returns {Promise<Object>} { status, reason?, order?, purchases? } where status is
+   *   CREATED   - a new order and its purchases
+   *   TRACKED   - the order was already imported another way; missing links were filled in
+   *   DUPLICATE - this order was already captured by the extension
+   *   NO_ORDER  - no items or prices could be read
+   */
+  async ingest(userId, capture) {
+    const adapter = await retailerAdapters.resolve(capture.pageUrl);
+    const identified = emailParser.retailerByName(
+      capture.retailer || adapter?.name || retailerAdapters.normalizeDomain(capture.pageUrl)
+    );
+    const retailerName = identified.known
+      ? identified.retailer.charAt(0).toUpperCase() + identified.retailer.slice(1)
+      : identified.retailer;
+
+    const body = capture.html ? absolutizeLinks(capture.html, capture.pageUrl) : '';
+    const details = capture.items?.length
+      ? this.detailsFromItems(capture)
+      : body && await emailParser.extractOrderDetails(
+        { subject: capture.title || '', from: null, date: null, html: body, text: '' },
+        identified.retailer,
+        identified.retailerConfig
+      );
+    if (!details) {
+      return { status: 'NO_ORDER', reason: 'No items or prices were found on this page' };
+    }
+
+    // What the extension read itself wins over what was parsed from the page
+    details.provenance = details.provenance || {};
+    for (const key of ['orderId', 'subtotal', 'tax', 'shipping', 'discount', 'total']) {
+      if (capture[key] != null && capture[key] !== '') {
+        details[key] = capture[key];
+        details.provenance[key] = EXTENSION_PROVENANCE;
+      }
+    }
+    if (capture.cardLast4 && !details.payments.length) {
+      details.payments = [{ cardLast4: capture.cardLast4, network: null, amount: details.total ?? null }];
+    }
+    for (const item of details.items) {
+      item.productUrl = await this.normalizeProductUrl(item.productUrl, capture.pageUrl);
+    }
+
+    const orderDate = capture.orderDate || new Date();
+    const sourceEmailId = this.captureId(retailerName, details, orderDate);
+
+    const captured = await this.findCaptured(userId, sourceEmailId);
+    if (captured) return captured;
+
+    const tracked = await this.findTracked(userId, retailerName, details, orderDate);
+    if (tracked) {
+      const purchases = await this.fillMissing(tracked.purchases, details.items);
+      logger.info(`Extension capture for user ${userId} matched ${purchases.length} tracked purchase(s) from ${retailerName}`);
+      return { status: 'TRACKED', order: tracked.order, purchases };
+    }
+
+    try {
+      const { order, purchases } = await emailParser.saveOrder(userId, details, {
+        retailer: identified.retailer,
+        retailerName,
+        body,
+        orderDate,
+        sourceType: 'BROWSER_EXTENSION',
+        sourceEmailId
+      });
+      return { status: 'CREATED', order, purchases };
+    } catch (error) {
+      // The same capture posted twice at once: the other request created the order
+      if (error.code === 'P2002') {
+        const existing = await this.findCaptured(userId, sourceEmailId);
+        if (existing) return existing;
+      }
+      throw error;
+    }
+  }
+
+  async findCaptured(userId, sourceEmailId) {
+    const order = await prisma.order.findUnique({
+      where: { userId_sourceEmailId: { userId, sourceEmailId } },
+      include: { purchases: true }
+    });
+    return order && { status: 'DUPLICATE', reason: 'This order was already captured', order, purchases: order.purchases };
+  }
+
+  // extractOrderDetails output for items the extension read off the page
+  detailsFromItems(capture) {
+    const items = capture.items.map(item => {
+      const productName = item.productName?.trim() || null;
+      // A variant comes as { size, color, storage, condition } or as the text shown ("Color: Black, 256GB")
+      const variant = typeof item.variant === 'string'
+        ? extractVariantFromText(item.variant, `${productName || ''} ${item.variant}`)
+        : normalizeVariant(item.variant) || extractVariantFromText('', productName);
+      const fields = {
+        productName,
+        unitPrice: item.price,
+        quantity: item.quantity || 1,
+        productUrl: item.productUrl || null,
+        variant
+      };
+      const provenance = Object.fromEntries(Object.keys(fields)
+        .filter(key => fields[key] != null)
+        .map(key => [key, EXTENSION_PROVENANCE]));
+      return { ...fields, provenance };
+    });
+    return {
+      itemized: true,
+      items,
+      orderId: null,
+      category: null,
+      subtotal: null,
+      tax: null,
+      shipping: null,
+      discount: null,
+      total: null,
+      payments: []
+    };
+  }
+
+  async normalizeProductUrl(url, pageUrl) {
+    if (!url) return null;
+    let absolute;
+    try {
+      absolute = new URL(url, pageUrl);
+    } catch {
+      return null;
+    }
+    if (!/^https?:$/.test(absolute.protocol)) return null;
+    return retailerAdapters.normalizeUrl(absolute.toString());
+  }
+
+  // The order's key among the user's orders: its order number, or the items on the day
+  captureId(retailerName, details, orderDate) {
+    if (details.orderId) {
+      return `extension:${retailerKey(retailerName)}:${details.orderId}`;
+    }
+    const fingerprint = [
+      retailerKey(retailerName),
+      orderDate.toISOString().slice(0, 10),
+      ...details.items.map(item => `${item.productUrl || item.productName}|${item.unitPrice}|${item.quantity}`)
+    ].join('\n');
+    return `extension:${crypto.createHash('sha1').update(fingerprint).digest('hex')}`;
+  }
+
+  /**
+   * The same order imported from email or a receipt: by order number, or
+   * (without one) purchases from the retailer around the same day for every item.
+   * @returns {Promise<{ order: Object|null, purchases: Object[] }|null>}
+   */
+  async findTracked(userId, retailerName, details, orderDate) {
+    if (details.orderId) {
+      const order = await prisma.order.findFirst({
+        where: {
+          userId,
+          retailerOrderId: details.orderId,
+          retailer: { equals: retailerName, mode: 'insensitive' }
+        },
+        include: { purchases: true }
+      });
+      return order ? { order, purchases: order.purchases } : null;
+    }
+
+    const candidates = await prisma.purchase.findMany({
+      where: {
+        userId,
+        retailer: { equals: retailerName, mode: 'insensitive' },
+        purchaseDate: {
+          gte: new Date(orderDate.getTime() - MATCH_WINDOW_DAYS * DAY_MS),
+          lte: new Date(orderDate.getTime() + MATCH_WINDOW_DAYS * DAY_MS)
+        }
+      }
+    });
+
+    const matched = [];
+    for (const item of details.items) {
+      const purchase = candidates.find(candidate => !matched.includes(candidate) && sameProduct(candidate, item));
+      if (!purchase) return null;
+      matched.push(purchase);
+    }
+    return { order: null, purchases: matched };
+  }
+
+  // Give tracked purchases the product links and variants the email didn't have
+  async fillMissing(purchases, items) {
+    const updated = [];
+    const used = new Set();
+    for (const purchase of purchases) {
+      const index = items.findIndex((item, i) => !used.has(i) && sameProduct(purchase, item));
+      const item = items[index];
+      if (!item) {
+        updated.push(purchase);
+        continue;
+      }
+      used.add(index);
+
+      const data = {
+        ...(!purchase.productUrl && item.productUrl && { productUrl: item.productUrl }),
+        ...(!purchase.variant && item.variant && { variant: item.variant })
+      };
+      updated.push(Object.keys(data).length
+        ? await prisma.purchase.update({ where: { id: purchase.id }, data })
+        : purchase);
+    }
+    return updated;
+  }
+}
+
+module.exports = new ExtensionIngest();
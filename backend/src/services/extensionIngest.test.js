@@ -0,0 +1,52 @@
+jest.mock('@prisma/client', () => require('../../test/prismaMock'));
+
+const { prisma, resetPrisma } = require('@prisma/client');
+const emailParser = require('./emailParser');
+const extensionIngest = require('./extensionIngest');
+
+const capture = {
+  pageUrl: 'https://www.bestbuy.com/checkout/confirmation',
+  orderId: 'BBY01-806512',
+  items: [{ productName: 'Sony WH-1000XM5', price: 348, quantity: 1, productUrl: '/site/sony-wh1000xm5/6505727.p?skuId=6505727' }]
+};
+
+describe('extensionIngest.ingest', () => {
+  beforeEach(() => {
+    resetPrisma();
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    emailParser.saveOrder.mockRestore?.();
+  });
+
+  it('creates the order and its purchases', async () => {
+    jest.spyOn(emailParser, 'saveOrder').mockResolvedValue({ order: { id: 'order-1' }, purchases: [{ id: 'purchase-1' }] });
+
+    const result = await extensionIngest.ingest('user-1', capture);
+
+    expect(result).toMatchObject({ status: 'CREATED', purchases: [{ id: 'purchase-1' }] });
+    expect(emailParser.saveOrder).toHaveBeenCalledWith('user-1', expect.objectContaining({ orderId: 'BBY01-806512' }), expect.objectContaining({
+      sourceType: 'BROWSER_EXTENSION',
+      sourceEmailId: 'extension:bestbuy:BBY01-806512'
+    }));
+  });
+
+  it('returns the order a concurrent capture of the same page created', async () => {
+    const existing = { id: 'order-1', purchases: [{ id: 'purchase-1' }] };
+    prisma.order.findUnique.mockResolvedValueOnce(null).mockResolvedValueOnce(existing);
+    jest.spyOn(emailParser, 'saveOrder').mockRejectedValue(
+      Object.assign(new Error('Unique constraint failed on the fields: (`userId`,`sourceEmailId`)'), { code: 'P2002' })
+    );
+
+    const result = await extensionIngest.ingest('user-1', capture);
+
+    expect(result).toMatchObject({ status: 'DUPLICATE', order: existing, purchases: existing.purchases });
+  });
+
+  it('passes other save errors on', async () => {
+    jest.spyOn(emailParser, 'saveOrder').mockRejectedValue(new Error('Database unavailable'));
+
+    await expect(extensionIngest.ingest('user-1', capture)).rejects.toThrow('Database unavailable');
+  });
+});
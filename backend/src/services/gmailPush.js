@@ -0,0 +1,154 @@
+/**
+ * Gmail Push Notifications
+ *
+ * A watched Gmail inbox (mailboxes.watch) publishes a message to the
+ * GMAIL_PUBSUB_TOPIC Pub/Sub topic whenever it changes. A push subscription on
+ * that topic delivers it to POST /api/webhooks/gmail as
+ *   { message: { data: base64(JSON { emailAddress, historyId }), messageId, publishTime }, subscription }
+ * signed with an OIDC token for the subscription's service account. Each
+ * notification queues an incremental sync of just that mailbox.
+ */
+
+const { OAuth2Client } = require('google-auth-library');
+const emailParser = require('./emailParser');
+const mailboxes = require('./mailboxes');
+const queues = require('../workers/queues');
+const logger = require('../utils/logger');
+
+const oidcClient = new OAuth2Client();
+
+// Notifications come in bursts (one per label change); wait this long and sync once
+const SYNC_DELAY_MS = 60 * 1000;
+
+function pushError(message, code) {
+  return Object.assign(new Error(message), { code });
+}
+
+// Has the mailbox already been synced past this point in its history?
+function isSyncedPast(mailbox, historyId) {
+  const synced = mailbox.syncCursor?.historyId;
+  try {
+    return Boolean(synced) && BigInt(synced) >= BigInt(historyId);
+  } catch {
+    return false;
+  }
+}
+
+class GmailPush {
+  constructor() {
+    // Syncs waiting to run in this process, when there is no job queue
+    this.pending = new Map();
+    // PEM certificates by key id to check tokens with; null means Google's (fetched and cached)
+    this.certificates = null;
+  }
+
+  /**
+   * Check push tokens against these certificates instead of Google's, e.g. to
+   * stand in for Pub/Sub with locally signed tokens in tests. null restores Google's.
+   * @param {Object|null} certificates - { keyId: PEM certificate or public key }
+   */
+  useCertificates(certificates) {
+    this.certificates = certificates;
+  }
+
+  /**
+   * Check the push request's OIDC token: signed by Google, for
+   * GMAIL_PUSH_AUDIENCE (the webhook URL) and, when GMAIL_PUSH_SERVICE_ACCOUNT
+   * is set, issued to that service account.
+   * @param {string} authorization - the Authorization header
+   * @returns {Promise<Object>} the token's claims
+   * @throws {Error} with .code PUSH_NOT_CONFIGURED or INVALID_PUSH_TOKEN
+   */
+  async verify(authorization) {
+    const audience = process.env.GMAIL_PUSH_AUDIENCE;
+    if (!audience) {
+      throw pushError('Gmail push notifications are not configured', 'PUSH_NOT_CONFIGURED');
+    }
+
+    const token = authorization?.startsWith('Bearer ') ? authorization.slice(7) : null;
+    if (!token) {
+      throw pushError('Missing push token', 'INVALID_PUSH_TOKEN');
+    }
+
+    let claims;
+    try {
+      const certificates = this.certificates || (await oidcClient.getFederatedSignonCertsAsync()).certs;
+      const ticket = await oidcClient.verifySignedJwtWithCertsAsync(token, certificates, audience, oidcClient.issuers);
+      claims = ticket.getPayload();
+    } catch (error) {
+      // The library's messages can end with the whole token; keep it out of the logs
+      throw pushError(`Invalid push token: ${error.message.split(':')[0]}`, 'INVALID_PUSH_TOKEN');
+    }
+
+    const serviceAccount = process.env.GMAIL_PUSH_SERVICE_ACCOUNT;
+    if (serviceAccount && (claims.email !== serviceAccount || !claims.email_verified)) {
+      throw pushError('Push token was not issued to the configured service account', 'INVALID_PUSH_TOKEN');
+    }
+
+    return claims;
+  }
+
+  /**
+   * The Gmail notification in a push request body.
+   * @returns {{ emailAddress: string, historyId: string, messageId: string }|null}
+   */
+  decode(body) {
+    const data = body?.message?.data;
+    if (typeof data !== 'string') return null;
+
+    try {
+      const { emailAddress, historyId } = JSON.parse(Buffer.from(data, 'base64').toString('utf8'));
+      if (!emailAddress || !historyId) return null;
+      return {
+        emailAddress: String(emailAddress).toLowerCase(),
+        historyId: String(historyId),
+        messageId: body.message.messageId || body.message.message_id || null
+      };
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Queue a sync of every mailbox the notification is about that hasn't
+   * already read past it.
+   * @returns {Promise<{ mailboxes: number, queued: number }>}
+   */
+  async handle({ emailAddress, historyId }) {
+    const watched = await mailboxes.findWatched(emailAddress);
+
+    let queued = 0;
+    for (const mailbox of watched) {
+      if (isSyncedPast(mailbox, historyId)) continue;
+      await this.scheduleSync(mailbox);
+      queued++;
+    }
+
+    return { mailboxes: watched.length, queued };
+  }
+
+  // One delayed sync per mailbox covers every notification that arrives before it runs
+  async scheduleSync(mailbox) {
+    if (queues.isEnabled()) {
+      // The job id is per minute and the delay a full minute, so a notification
+      // is never dropped in favour of a sync that already ran
+      const minuteSlot = new Date().toISOString().slice(0, 16);
+      await queues.enqueue('email-sync-mailbox', { mailboxId: mailbox.id }, {
+        jobId: `email-sync-mailbox:${mailbox.id}:${minuteSlot}`,
+        delay: SYNC_DELAY_MS
+      });
+      return;
+    }
+
+    if (this.pending.has(mailbox.id)) return;
+    const timer = setTimeout(() => {
+      this.pending.delete(mailbox.id);
+      emailParser.syncEmails(mailbox.userId, { mailboxId: mailbox.id })
+        .catch(err => logger.error(`Push-triggered sync failed for mailbox ${mailbox.id}:`, err));
+    }, SYNC_DELAY_MS);
+    timer.unref();
+    this.pending.set(mailbox.id, timer);
+  }
+}
+
+module.exports = new GmailPush();
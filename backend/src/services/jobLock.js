@@ -0,0 +1,59 @@
+/**
+ * Job Lock Service
+ *
+ * Lease-style locks stored in the JobLock table so a scheduled job runs in at
+ * most one place at a time, even when the API process and the worker both
+ * schedule it. A lease expires on its own if the holder dies mid-run.
+ */
+
+const os = require('os');
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+class JobLockService {
+  /**
+   * Try to take the lock. Returns an owner token, or null if it's held elsewhere.
+   * @param {string} name - Lock name, e.g. "price-check-cycle"
+   * @param {number} ttlMs - Lease length; renew with extend() for longer runs
+   */
+  async acquire(name, ttlMs) {
+    const owner = `${os.hostname()}:${process.pid}:${crypto.randomUUID()}`;
+    const lockedUntil = new Date(Date.now() + ttlMs);
+
+    try {
+      await prisma.jobLock.create({ data: { name, owner, lockedUntil } });
+      return owner;
+    } catch (error) {
+      if (error.code !== 'P2002') throw error;
+    }
+
+    // Lock row exists - take it over only if the lease has expired
+    const { count } = await prisma.jobLock.updateMany({
+      where: { name, lockedUntil: { lt: new Date() } },
+      data: { owner, lockedUntil }
+    });
+
+    if (count) {
+      logger.warn(`Took over expired job lock ${name}`);
+      return owner;
+    }
+    return null;
+  }
+
+  async extend(name, owner, ttlMs) {
+    const { count } = await prisma.jobLock.updateMany({
+      where: { name, owner },
+      data: { lockedUntil: new Date(Date.now() + ttlMs) }
+    });
+    return count > 0;
+  }
+
+  async release(name, owner) {
+    await prisma.jobLock.deleteMany({ where: { name, owner } });
+  }
+}
+
+module.exports = new JobLockService();
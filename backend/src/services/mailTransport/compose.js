@@ -0,0 +1,72 @@
+/**
+ * Message helpers shared by the mail drivers.
+ *
+ * A message is transport-neutral:
+ *   { from, to, cc, replyTo, subject, text, html, attachments, userId }
+ * where addresses are strings or { email, name } and attachments are
+ * { filename, path | content, contentType }.
+ */
+
+const fs = require('fs').promises;
+const MailComposer = require('nodemailer/lib/mail-composer');
+const logger = require('../../utils/logger');
+
+function formatAddress(address) {
+  if (!address) return undefined;
+  if (typeof address === 'string') return address;
+  return address.name ? { name: address.name, address: address.email } : address.email;
+}
+
+function formatAddressList(addresses) {
+  if (!addresses) return undefined;
+  return Array.isArray(addresses) ? addresses.map(formatAddress) : formatAddress(addresses);
+}
+
+// Plain-text bodies get a simple HTML version so every driver sends both parts
+function htmlFor(message) {
+  if (message.html) return message.html;
+  return message.text ? message.text.replace(/\n/g, '<br>') : undefined;
+}
+
+// A missing attachment shouldn't stop the email; drivers log and skip it
+async function readableAttachments(attachments = []) {
+  const result = [];
+  for (const att of attachments) {
+    if (att.path && !att.content) {
+      try {
+        await fs.access(att.path);
+      } catch (err) {
+        logger.warn(`Could not attach file ${att.path}: ${err.message}`);
+        continue;
+      }
+    }
+    result.push(att);
+  }
+  return result;
+}
+
+// Message in nodemailer's shape (used by the SMTP driver and the MIME builder)
+async function toNodemailer(message) {
+  const attachments = await readableAttachments(message.attachments);
+  return {
+    from: formatAddress(message.from),
+    to: formatAddressList(message.to),
+    cc: formatAddressList(message.cc),
+    replyTo: formatAddress(message.replyTo),
+    subject: message.subject,
+    text: message.text || (message.html ? message.html.replace(/<[^>]*>/g, '') : undefined),
+    html: htmlFor(message),
+    attachments: attachments.map(att => ({
+      filename: att.filename,
+      contentType: att.contentType,
+      ...(att.content ? { content: att.content } : { path: att.path })
+    }))
+  };
+}
+
+// Full RFC 822 message as a Buffer
+async function buildMime(message) {
+  return new MailComposer(await toNodemailer(message)).compile().build();
+}
+
+module.exports = { formatAddress, htmlFor, toNodemailer, buildMime };
@@ -0,0 +1,56 @@
+/**
+ * Whether a failed send definitely did not reach the recipient.
+ *
+ * A driver error only proves the message was not accepted when the provider
+ * was never reached or answered with an error. A timeout or a dropped
+ * connection can come after the provider took the message, so those are in
+ * doubt: sending again (through the same or another driver) may deliver it twice.
+ */
+
+// Network errors raised before a connection was made, and nodemailer's
+// authentication and envelope errors (raised before any message data is sent)
+const NOT_SENT_CODES = new Set([
+  'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH', 'ECERT',
+  'EAUTH', 'EENVELOPE', 'EMESSAGE', 'EOAUTH2'
+]);
+
+// HTTP statuses that mean the request timed out somewhere along the way
+const IN_DOUBT_STATUSES = new Set([408, 504]);
+
+// Mark an error raised before anything was handed to the provider
+function markNotSent(error) {
+  if (error && typeof error === 'object') error.notSent = true;
+  return error;
+}
+
+function httpStatus(error) {
+  const status = error.response?.status ?? error.response?.statusCode ?? error.code;
+  return Number.isInteger(status) ? status : null;
+}
+
+/**
+ * @param {Error} error - thrown by a driver's send()
+ * @returns {boolean} true only when the provider definitely did not accept the message
+ */
+function wasRejected(error) {
+  if (!error || typeof error !== 'object') return false;
+  if (error.notSent) return true;
+
+  // SMTP replies: 4xx and 5xx are refusals
+  if (Number.isInteger(error.responseCode)) {
+    return error.responseCode >= 400 && error.responseCode < 600;
+  }
+
+  // API replies (googleapis, SendGrid): an error status is a refusal, unless it is a timeout
+  const status = httpStatus(error);
+  if (status != null) {
+    return status >= 400 && status < 600 && !IN_DOUBT_STATUSES.has(status);
+  }
+
+  return typeof error.code === 'string' && NOT_SENT_CODES.has(error.code);
+}
+
+module.exports = {
+  markNotSent,
+  wasRejected
+};
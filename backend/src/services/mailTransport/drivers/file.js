@@ -0,0 +1,46 @@
+/**
+ * Local file driver: writes each message as an .eml file into a Maildir
+ * (MAIL_FILE_DIR, default ./mail-outbox) instead of sending it. Used for tests
+ * and staging so the full filing flow runs without mailing real issuers.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { buildMime } = require('../compose');
+const { markNotSent } = require('../delivery');
+
+function mailDir() {
+  return path.resolve(process.env.MAIL_FILE_DIR || './mail-outbox');
+}
+
+module.exports = {
+  name: 'file',
+
+  isConfigured() {
+    return true;
+  },
+
+  async send(message) {
+    const dir = mailDir();
+    const messageId = `file-${uuidv4()}`;
+    const fileName = `${Date.now()}.${messageId}.eml`;
+
+    const tmpPath = path.join(dir, 'tmp', fileName);
+    const finalPath = path.join(dir, 'new', fileName);
+    try {
+      await fs.mkdir(path.join(dir, 'tmp'), { recursive: true });
+      await fs.mkdir(path.join(dir, 'new'), { recursive: true });
+
+      // Maildir delivery: write to tmp/, then rename into new/ so readers never see a partial file
+      const raw = await buildMime(message);
+      await fs.writeFile(tmpPath, raw);
+      await fs.rename(tmpPath, finalPath);
+    } catch (error) {
+      // Nothing reached new/, so nothing was delivered
+      throw markNotSent(error);
+    }
+
+    return { messageId, filePath: finalPath };
+  }
+};
@@ -0,0 +1,49 @@
+/**
+ * Gmail API driver: sends from the user's own connected Gmail account, so it
+ * only applies to messages that carry a userId (claim emails).
+ */
+
+const mailboxes = require('../../mailboxes');
+const { buildMime } = require('../compose');
+const { markNotSent } = require('../delivery');
+
+// The primary Gmail mailbox holds the credentials; opening it saves refreshed tokens back there
+async function getGmailClient(userId) {
+  const mailbox = await mailboxes.primaryGmail(userId);
+  if (!mailbox) {
+    throw new Error('Gmail not connected for this user');
+  }
+
+  const { gmail } = await mailboxes.open(mailbox);
+  return { gmail, email: mailbox.address };
+}
+
+module.exports = {
+  name: 'gmail',
+
+  isConfigured(message) {
+    return Boolean(message.userId);
+  },
+
+  async send(message) {
+    let gmail;
+    let raw;
+    try {
+      let email;
+      ({ gmail, email } = await getGmailClient(message.userId));
+      // Gmail sends as the account owner whatever From says; keep them consistent
+      raw = await buildMime({ ...message, from: email || message.from, replyTo: undefined });
+    } catch (error) {
+      throw markNotSent(error);
+    }
+
+    const response = await gmail.users.messages.send({
+      userId: 'me',
+      requestBody: {
+        raw: raw.toString('base64url'),
+      },
+    });
+
+    return { messageId: response.data.id, threadId: response.data.threadId };
+  }
+};
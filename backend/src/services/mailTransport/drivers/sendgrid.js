@@ -0,0 +1,71 @@
+/**
+ * SendGrid driver. Configured with SENDGRID_API_KEY.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../../../utils/logger');
+const { htmlFor } = require('../compose');
+const { markNotSent } = require('../delivery');
+
+let sgMail = null;
+try {
+  sgMail = require('@sendgrid/mail');
+  if (process.env.SENDGRID_API_KEY) {
+    sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+  }
+} catch (e) {
+  logger.info('SendGrid not available');
+}
+
+async function toSendGridAttachments(attachments = []) {
+  const result = [];
+  for (const att of attachments) {
+    try {
+      const content = att.content || await fs.readFile(att.path);
+      result.push({
+        content: Buffer.from(content).toString('base64'),
+        filename: att.filename || path.basename(att.path),
+        type: att.contentType || 'application/octet-stream',
+        disposition: 'attachment'
+      });
+    } catch (err) {
+      logger.warn(`Could not attach file ${att.path}: ${err.message}`);
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  name: 'sendgrid',
+
+  isConfigured() {
+    return Boolean(sgMail && process.env.SENDGRID_API_KEY);
+  },
+
+  async send(message) {
+    let mail;
+    try {
+      const attachments = await toSendGridAttachments(message.attachments);
+      mail = {
+        to: message.to,
+        cc: message.cc || undefined,
+        from: message.from,
+        replyTo: message.replyTo || undefined,
+        subject: message.subject,
+        text: message.text || message.html.replace(/<[^>]*>/g, ''),
+        html: htmlFor(message),
+        attachments: attachments.length > 0 ? attachments : undefined
+      };
+    } catch (error) {
+      throw markNotSent(error);
+    }
+
+    const response = await sgMail.send(mail);
+
+    return {
+      messageId: response[0]?.headers?.['x-message-id'],
+      statusCode: response[0]?.statusCode
+    };
+  }
+};
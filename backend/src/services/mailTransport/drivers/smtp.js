@@ -0,0 +1,46 @@
+/**
+ * Generic SMTP driver (nodemailer). Configure either SMTP_HOST/SMTP_PORT/SMTP_SECURE
+ * or a well-known SMTP_SERVICE such as "gmail", plus SMTP_USER/SMTP_PASS.
+ * Point it at MailHog or Mailpit to inspect mail in staging.
+ */
+
+const nodemailer = require('nodemailer');
+const { toNodemailer } = require('../compose');
+const { markNotSent } = require('../delivery');
+
+let transporter = null;
+
+function getTransporter() {
+  if (!transporter) {
+    const user = process.env.SMTP_USER || process.env.CLAIM_EMAIL_USER || process.env.EMAIL_USER;
+    const pass = process.env.SMTP_PASS || process.env.CLAIM_EMAIL_PASS || process.env.EMAIL_PASS;
+
+    transporter = nodemailer.createTransport({
+      ...(process.env.SMTP_SERVICE
+        ? { service: process.env.SMTP_SERVICE }
+        : {
+            host: process.env.SMTP_HOST,
+            port: parseInt(process.env.SMTP_PORT) || 587,
+            secure: process.env.SMTP_SECURE === 'true'
+          }),
+      ...(user && { auth: { user, pass } })
+    });
+  }
+  return transporter;
+}
+
+module.exports = {
+  name: 'smtp',
+
+  isConfigured() {
+    return Boolean(process.env.SMTP_HOST || process.env.SMTP_SERVICE);
+  },
+
+  async send(message) {
+    const mail = await toNodemailer(message).catch(error => {
+      throw markNotSent(error);
+    });
+    const result = await getTransporter().sendMail(mail);
+    return { messageId: result.messageId };
+  }
+};
@@ -0,0 +1,100 @@
+/**
+ * Mail Transport
+ *
+ * Every outbound email (claims to issuers, notifications to users) goes through
+ * send(). Each channel has an ordered list of drivers; the first configured
+ * driver that accepts the message wins. A driver that refused the message falls
+ * through to the next one; a send whose outcome is unknown (a timeout after the
+ * request went out) stops there, since the next driver could deliver it twice.
+ *
+ *   MAIL_TRANSPORT                 driver list for all channels, e.g. "file" in staging
+ *   CLAIM_MAIL_TRANSPORT           overrides the list for claim emails   (default "gmail,sendgrid")
+ *   NOTIFICATION_MAIL_TRANSPORT    overrides the list for notifications  (default "sendgrid")
+ *
+ * Drivers: gmail (the user's connected account), sendgrid, smtp, file (Maildir on disk).
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../../utils/logger');
+const gmail = require('./drivers/gmail');
+const sendgrid = require('./drivers/sendgrid');
+const smtp = require('./drivers/smtp');
+const file = require('./drivers/file');
+const { markNotSent, wasRejected } = require('./delivery');
+
+const DRIVERS = { gmail, sendgrid, smtp, file };
+
+const CHANNELS = {
+  claims: { envVar: 'CLAIM_MAIL_TRANSPORT', defaults: ['gmail', 'sendgrid'] },
+  notifications: { envVar: 'NOTIFICATION_MAIL_TRANSPORT', defaults: ['sendgrid'] }
+};
+
+class MailTransport {
+  driverNames(channel) {
+    const config = CHANNELS[channel];
+    if (!config) throw new Error(`Unknown mail channel: ${channel}`);
+
+    const setting = process.env[config.envVar] || process.env.MAIL_TRANSPORT;
+    if (!setting) return config.defaults;
+
+    return setting.split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+  }
+
+  driversFor(channel, message = {}) {
+    return this.driverNames(channel)
+      .map(name => {
+        if (!DRIVERS[name]) logger.warn(`Unknown mail driver "${name}" configured for ${channel}`);
+        return DRIVERS[name];
+      })
+      .filter(driver => driver && driver.isConfigured(message));
+  }
+
+  isConfigured(channel, message = {}) {
+    return this.driversFor(channel, message).length > 0;
+  }
+
+  /**
+   * Send a message.
+   * @param {Object} message - { from, to, cc, replyTo, subject, text, html, attachments, userId }
+   * @param {Object} options - { channel: 'claims' | 'notifications' }
+   * @returns {Promise<{ messageId: string, transport: string }>}
+   * @throws when no driver is configured, every driver refused the message, or
+   *   a driver failed in a way that leaves the outcome unknown (see wasRejected)
+   */
+  async send(message, { channel = 'notifications' } = {}) {
+    const drivers = this.driversFor(channel, message);
+    if (!drivers.length) {
+      throw markNotSent(new Error(`No mail transport configured for ${channel} (tried ${this.driverNames(channel).join(', ')})`));
+    }
+
+    let lastError = null;
+    for (const driver of drivers) {
+      try {
+        const result = await driver.send(message);
+        return {
+          ...result,
+          messageId: result.messageId || `${driver.name}-${uuidv4()}`,
+          transport: driver.name
+        };
+      } catch (error) {
+        if (!wasRejected(error)) {
+          logger.error(`Mail driver ${driver.name} failed for ${channel} email to ${message.to} and may have sent it: ${error.message}`);
+          throw error;
+        }
+        lastError = error;
+        logger.warn(`Mail driver ${driver.name} refused ${channel} email to ${message.to}: ${error.message}`);
+      }
+    }
+    throw lastError;
+  }
+
+  /**
+   * Whether an error from send() means the message definitely did not go out,
+   * so sending it again can't deliver it twice.
+   */
+  wasRejected(error) {
+    return wasRejected(error);
+  }
+}
+
+module.exports = new MailTransport();
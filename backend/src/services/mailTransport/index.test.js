@@ -0,0 +1,126 @@
+jest.mock('@prisma/client', () => require('../../../test/prismaMock'));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { resetPrisma } = require('@prisma/client');
+const mailTransport = require('./index');
+const { wasRejected } = require('./delivery');
+const gmail = require('./drivers/gmail');
+const sendgrid = require('./drivers/sendgrid');
+const mailboxes = require('../mailboxes');
+
+const message = {
+  userId: 'user-1',
+  from: { email: 'claims@pricedropped.app', name: 'PriceDropped Claims' },
+  to: 'claims@issuer.example',
+  subject: 'Price Protection Claim',
+  text: 'Claim details'
+};
+
+function httpError(status) {
+  return Object.assign(new Error(`Request failed with status ${status}`), { response: { status } });
+}
+
+describe('wasRejected', () => {
+  it.each([
+    ['an SMTP refusal', Object.assign(new Error('Mailbox unavailable'), { responseCode: 550 })],
+    ['an SMTP login failure', Object.assign(new Error('Invalid login'), { code: 'EAUTH', responseCode: 535 })],
+    ['an API error status', httpError(403)],
+    ['a server error status', httpError(503)],
+    ['a SendGrid error status', Object.assign(new Error('Bad Request'), { code: 400 })],
+    ['a refused connection', Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' })],
+    ['an error raised before sending', Object.assign(new Error('Gmail not connected'), { notSent: true })]
+  ])('is true for %s', (_, error) => {
+    expect(wasRejected(error)).toBe(true);
+  });
+
+  it.each([
+    ['a timeout', Object.assign(new Error('Timeout'), { code: 'ETIMEDOUT' })],
+    ['a dropped connection', Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })],
+    ['a gateway timeout', httpError(504)],
+    ['an unknown error', new Error('Something went wrong')]
+  ])('is false for %s', (_, error) => {
+    expect(wasRejected(error)).toBe(false);
+  });
+});
+
+describe('mailTransport.send', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    resetPrisma();
+    process.env.CLAIM_MAIL_TRANSPORT = 'gmail,sendgrid';
+    jest.spyOn(sendgrid, 'isConfigured').mockReturnValue(true);
+    jest.spyOn(sendgrid, 'send').mockResolvedValue({ messageId: 'sg-1' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    process.env = { ...env };
+  });
+
+  it('falls through to the next driver when one refused the message', async () => {
+    jest.spyOn(gmail, 'send').mockRejectedValue(httpError(401));
+
+    const result = await mailTransport.send(message, { channel: 'claims' });
+
+    expect(result).toMatchObject({ messageId: 'sg-1', transport: 'sendgrid' });
+  });
+
+  it('falls through when the user has no Gmail connected', async () => {
+    // No primary mailbox: the real driver fails before sending anything
+    const result = await mailTransport.send(message, { channel: 'claims' });
+
+    expect(result.transport).toBe('sendgrid');
+  });
+
+  it('sends with the primary Gmail mailbox\'s credentials', async () => {
+    const send = jest.fn(async () => ({ data: { id: 'gm-1', threadId: 'thread-1' } }));
+    jest.spyOn(mailboxes, 'primaryGmail').mockResolvedValue({ id: 'mailbox-1', provider: 'GMAIL', address: 'sam@gmail.com' });
+    jest.spyOn(mailboxes, 'open').mockResolvedValue({ gmail: { users: { messages: { send } } } });
+
+    const result = await mailTransport.send(message, { channel: 'claims' });
+
+    expect(result).toMatchObject({ messageId: 'gm-1', transport: 'gmail' });
+    expect(mailboxes.open).toHaveBeenCalledWith(expect.objectContaining({ id: 'mailbox-1' }));
+    expect(Buffer.from(send.mock.calls[0][0].requestBody.raw, 'base64url').toString()).toMatch(/^From: .*sam@gmail\.com/m);
+  });
+
+  it('stops when a send may have gone out', async () => {
+    const timeout = Object.assign(new Error('Timeout'), { code: 'ETIMEDOUT' });
+    jest.spyOn(gmail, 'send').mockRejectedValue(timeout);
+
+    await expect(mailTransport.send(message, { channel: 'claims' })).rejects.toBe(timeout);
+    expect(sendgrid.send).not.toHaveBeenCalled();
+    expect(mailTransport.wasRejected(timeout)).toBe(false);
+  });
+
+  it('reports a refusal when every driver refused the message', async () => {
+    jest.spyOn(gmail, 'send').mockRejectedValue(httpError(401));
+    sendgrid.send.mockRejectedValue(Object.assign(new Error('Forbidden'), { code: 403 }));
+
+    const error = await mailTransport.send(message, { channel: 'claims' }).catch(e => e);
+
+    expect(error.message).toBe('Forbidden');
+    expect(mailTransport.wasRejected(error)).toBe(true);
+  });
+
+  it('delivers to a Maildir with the file driver', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mail-outbox-'));
+    process.env.MAIL_TRANSPORT = 'file';
+    process.env.MAIL_FILE_DIR = dir;
+    delete process.env.CLAIM_MAIL_TRANSPORT;
+
+    try {
+      const result = await mailTransport.send(message, { channel: 'claims' });
+
+      expect(result.transport).toBe('file');
+      const delivered = fs.readdirSync(path.join(dir, 'new'));
+      expect(delivered).toHaveLength(1);
+      expect(fs.readFileSync(path.join(dir, 'new', delivered[0]), 'utf8')).toContain('Subject: Price Protection Claim');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
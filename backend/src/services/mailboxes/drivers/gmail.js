@@ -0,0 +1,243 @@
+/**
+ * Gmail driver: reads the mailbox through the Gmail API with the account's
+ * OAuth tokens. Message ids from the primary account (the one signed in with)
+ * are Gmail's own, as they always were; other Gmail accounts prefix theirs with
+ * the mailbox id so ids stay unique across accounts.
+ *
+ * The sync cursor is the mailbox's Gmail historyId. The first sync (the
+ * backfill) searches the lookback window for order senders; later syncs only
+ * read the messages added since that historyId, through history.list.
+ */
+
+const { google } = require('googleapis');
+const logger = require('../../../utils/logger');
+
+// When the history is gone (Gmail keeps about a week of it), search again from
+// a day before the last sync
+const RESYNC_OVERLAP_MS = 24 * 60 * 60 * 1000;
+
+// Labels of mail the user wrote rather than received
+const OWN_MAIL_LABELS = ['SENT', 'DRAFT'];
+
+function oauthClient() {
+  return new google.auth.OAuth2(
+    process.env.GOOGLE_CLIENT_ID,
+    process.env.GOOGLE_CLIENT_SECRET,
+    process.env.GOOGLE_REDIRECT_URI
+  );
+}
+
+function messageIdFor(mailbox, gmailId) {
+  return mailbox.isPrimary ? gmailId : `gmail:${mailbox.id}:${gmailId}`;
+}
+
+function gmailIdOf(id) {
+  return id.startsWith('gmail:') ? id.split(':')[2] : id;
+}
+
+function isNotFound(error) {
+  return error?.code === 404 || error?.response?.status === 404;
+}
+
+// Every page of a list call, as one array of the items under `key`
+async function allPages(request, key) {
+  const items = [];
+  let pageToken;
+  let data;
+  do {
+    ({ data } = await request(pageToken));
+    items.push(...(data[key] || []));
+    pageToken = data.nextPageToken;
+  } while (pageToken);
+  return { items, last: data };
+}
+
+// Messages from the senders received after a date
+async function searchMessages(gmail, senders, after) {
+  const query = `(${senders.map(from => `from:${from}`).join(' OR ')}) after:${Math.floor(after.getTime() / 1000)}`;
+  const { items } = await allPages(pageToken => gmail.users.messages.list({
+    userId: 'me',
+    q: query,
+    maxResults: 500,
+    pageToken
+  }), 'messages');
+  return items.map(message => message.id);
+}
+
+/**
+ * Messages added since a historyId that came from one of the senders.
+ * @returns {Promise<{ ids: string[], historyId: string }>}
+ * @throws a 404 when the historyId is older than the history Gmail keeps
+ */
+async function messagesAddedSince(gmail, senders, startHistoryId) {
+  const { items, last } = await allPages(pageToken => gmail.users.history.list({
+    userId: 'me',
+    startHistoryId,
+    historyTypes: ['messageAdded'],
+    maxResults: 500,
+    pageToken
+  }), 'history');
+
+  const added = new Map();
+  for (const { message } of items.flatMap(entry => entry.messagesAdded || [])) {
+    if (!(message.labelIds || []).some(label => OWN_MAIL_LABELS.includes(label))) {
+      added.set(message.id, message);
+    }
+  }
+
+  // History has no headers: read each new message's sender
+  const wanted = senders.map(sender => sender.toLowerCase());
+  const ids = [];
+  for (const id of added.keys()) {
+    try {
+      const { data } = await gmail.users.messages.get({
+        userId: 'me',
+        id,
+        format: 'metadata',
+        metadataHeaders: ['From']
+      });
+      const from = (data.payload?.headers || []).find(header => header.name.toLowerCase() === 'from')?.value?.toLowerCase() || '';
+      if (wanted.some(sender => from.includes(sender))) ids.push(id);
+    } catch (error) {
+      // Deleted since it arrived
+      if (!isNotFound(error)) throw error;
+    }
+  }
+
+  return { ids, historyId: last.historyId || startHistoryId };
+}
+
+module.exports = {
+  provider: 'GMAIL',
+
+  // Scopes asked for when another Gmail account is connected as a mailbox
+  scopes: [
+    'https://www.googleapis.com/auth/userinfo.email',
+    'https://www.googleapis.com/auth/gmail.readonly'
+  ],
+
+  isConfigured() {
+    return Boolean(process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET);
+  },
+
+  authUrl(state) {
+    return oauthClient().generateAuthUrl({
+      access_type: 'offline',
+      scope: this.scopes,
+      prompt: 'consent',
+      state
+    });
+  },
+
+  /**
+   * Finish the OAuth flow for a Gmail account connected as an extra mailbox.
+   * @returns {Promise<{ address: string, credentials: Object }>}
+   */
+  async exchangeCode(code) {
+    const auth = oauthClient();
+    const { tokens } = await auth.getToken(code);
+    auth.setCredentials(tokens);
+
+    const profile = await google.gmail({ version: 'v1', auth }).users.getProfile({ userId: 'me' });
+    return {
+      address: profile.data.emailAddress.toLowerCase(),
+      credentials: { accessToken: tokens.access_token, refreshToken: tokens.refresh_token }
+    };
+  },
+
+  // Google's "token has been expired or revoked" and friends
+  isAuthError(error) {
+    return error?.response?.data?.error === 'invalid_grant' || error?.code === 401 || error?.status === 401;
+  },
+
+  /**
+   * @param {Object} mailbox
+   * @param {Object} options - credentials { accessToken, refreshToken }, onCredentials(credentials)
+   */
+  async open(mailbox, { credentials, onCredentials }) {
+    if (!credentials?.accessToken) {
+      throw Object.assign(new Error('Gmail not connected'), { reauth: true });
+    }
+
+    const auth = oauthClient();
+    auth.setCredentials({
+      access_token: credentials.accessToken,
+      refresh_token: credentials.refreshToken
+    });
+
+    // Handle token refresh
+    auth.on('tokens', (tokens) => {
+      if (tokens.access_token) {
+        onCredentials({ ...credentials, accessToken: tokens.access_token });
+      }
+    });
+
+    const gmail = google.gmail({ version: 'v1', auth });
+
+    return {
+      gmail,
+
+      async listMessages({ senders, since, cursor }) {
+        if (cursor?.historyId) {
+          try {
+            const { ids, historyId } = await messagesAddedSince(gmail, senders, cursor.historyId);
+            return {
+              messages: ids.map(id => ({ id: messageIdFor(mailbox, id) })),
+              cursor: { historyId }
+            };
+          } catch (error) {
+            if (!isNotFound(error)) throw error;
+            logger.warn(`Gmail history for mailbox ${mailbox.id} has expired; searching since the last sync`);
+          }
+        }
+
+        // Backfill: the first sync, or one after the history expired. The
+        // historyId is taken first so nothing arriving during the search is missed.
+        const { data: profile } = await gmail.users.getProfile({ userId: 'me' });
+        const after = mailbox.lastSyncAt
+          ? new Date(new Date(mailbox.lastSyncAt).getTime() - RESYNC_OVERLAP_MS)
+          : since;
+        const ids = await searchMessages(gmail, senders, after);
+
+        return {
+          messages: ids.map(id => ({ id: messageIdFor(mailbox, id) })),
+          cursor: { historyId: profile.historyId }
+        };
+      },
+
+      /**
+       * Ask Gmail to publish inbox changes to a Pub/Sub topic. A watch lasts
+       * seven days; calling this again renews it.
+       * @returns {Promise<{ historyId: string, expiresAt: Date }>}
+       */
+      async watch(topicName) {
+        const { data } = await gmail.users.watch({
+          userId: 'me',
+          requestBody: { topicName, labelIds: ['INBOX'], labelFilterBehavior: 'include' }
+        });
+        return { historyId: data.historyId, expiresAt: new Date(Number(data.expiration)) };
+      },
+
+      async stopWatch() {
+        await gmail.users.stop({ userId: 'me' });
+      },
+
+      async fetchRaw(id) {
+        const fullMessage = await gmail.users.messages.get({
+          userId: 'me',
+          id: gmailIdOf(id),
+          format: 'raw'
+        });
+        return Buffer.from(fullMessage.data.raw, 'base64');
+      },
+
+      async close() {}
+    };
+  },
+
+  // Does an email id (a purchase's sourceEmailId) belong to this mailbox?
+  owns(mailbox, id) {
+    if (id.startsWith('gmail:')) return id.split(':')[1] === mailbox.id;
+    return mailbox.isPrimary && /^[0-9a-f]+$/i.test(id);
+  }
+};
@@ -0,0 +1,98 @@
+/**
+ * IMAP driver: any provider that offers IMAP with an app password (Fastmail,
+ * iCloud, Yahoo, a self-hosted server). The sync cursor is the folder's
+ * UIDVALIDITY and the last UID read, so each sync only fetches new mail.
+ * Message ids are "imap:<mailbox id>:<uidvalidity>:<uid>".
+ */
+
+const { ImapClient } = require('../imapClient');
+const { isPublicAddress, isLoopbackAddress } = require('../../../utils/hostPolicy');
+
+// Most messages a single sync reads; the rest are picked up by the next one
+const MAX_MESSAGES = 500;
+
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '::1'];
+
+// Public addresses only; outside production also a local test server
+function allowsAddress(address) {
+  return isPublicAddress(address) || (process.env.NODE_ENV !== 'production' && isLoopbackAddress(address));
+}
+
+function parseId(id) {
+  const [, mailboxId, uidValidity, uid] = id.split(':');
+  return { mailboxId, uidValidity: parseInt(uidValidity, 10), uid: parseInt(uid, 10) };
+}
+
+module.exports = {
+  provider: 'IMAP',
+
+  isConfigured() {
+    return true;
+  },
+
+  // Plain-text IMAP sends the password in the clear: only for a local test server
+  allowsSecurity(host, security) {
+    return security !== 'none'
+      || (process.env.NODE_ENV !== 'production' && LOCAL_HOSTS.includes(host))
+      || process.env.IMAP_ALLOW_INSECURE === 'true';
+  },
+
+  isAuthError(error) {
+    return error?.imapStatus === 'NO' && /auth|login|credentials|password/i.test(error.message);
+  },
+
+  async open(mailbox, { credentials }) {
+    const { host, port, security, username, folder = 'INBOX' } = mailbox.settings || {};
+    const client = new ImapClient({
+      host,
+      port,
+      security,
+      username,
+      password: credentials?.password,
+      allowAddress: allowsAddress
+    });
+
+    try {
+      await client.connect();
+    } catch (error) {
+      client.logout();
+      // LOGIN refused: the app password was revoked or changed
+      if (error.imapStatus === 'NO') error.reauth = true;
+      throw error;
+    }
+    const { uidValidity } = await client.select(folder);
+
+    return {
+      async listMessages({ senders, since, cursor }) {
+        // A new UIDVALIDITY means the folder was rebuilt and old UIDs mean nothing
+        const afterUid = cursor?.uidValidity === uidValidity ? cursor.lastUid : 0;
+        const uids = (await client.searchUids({ afterUid, since, from: senders })).slice(0, MAX_MESSAGES);
+
+        return {
+          messages: uids.map(uid => ({ id: `imap:${mailbox.id}:${uidValidity}:${uid}` })),
+          cursor: { uidValidity, lastUid: uids.length ? uids[uids.length - 1] : afterUid }
+        };
+      },
+
+      async fetchRaw(id) {
+        const message = parseId(id);
+        if (message.uidValidity !== uidValidity) {
+          throw new Error('The message is no longer in the mailbox (its folder was rebuilt)');
+        }
+        const raw = await client.fetchMessage(message.uid);
+        if (!raw) {
+          throw new Error('The message is no longer in the mailbox');
+        }
+        return raw;
+      },
+
+      close() {
+        return client.logout();
+      }
+    };
+  },
+
+  owns(mailbox, id) {
+    return id.startsWith('imap:') && parseId(id).mailboxId === mailbox.id;
+  }
+};
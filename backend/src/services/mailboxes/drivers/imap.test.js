@@ -0,0 +1,48 @@
+const imap = require('./imap');
+const { startImapServer, MESSAGE } = require('../../../../test/imapServer');
+
+describe('imap driver', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  it('allows unencrypted IMAP to a local server outside production only', () => {
+    process.env.NODE_ENV = 'test';
+    expect(imap.allowsSecurity('localhost', 'none')).toBe(true);
+    expect(imap.allowsSecurity('imap.example.com', 'none')).toBe(false);
+
+    process.env.NODE_ENV = 'production';
+    expect(imap.allowsSecurity('localhost', 'none')).toBe(false);
+    expect(imap.allowsSecurity('127.0.0.1', 'tls')).toBe(true);
+  });
+
+  it('does not connect to a loopback host in production', async () => {
+    process.env.NODE_ENV = 'production';
+    const mailbox = { id: 'mailbox-1', settings: { host: '127.0.0.1', port: 6379, security: 'tls', username: 'sam' } };
+
+    await expect(imap.open(mailbox, { credentials: { password: 'x' } })).rejects.toMatchObject({ code: 'HOST_NOT_ALLOWED' });
+  });
+
+  it('syncs new messages from a local server', async () => {
+    process.env.NODE_ENV = 'test';
+    const local = await startImapServer();
+    const mailbox = { id: 'mailbox-1', settings: { host: '127.0.0.1', port: local.port, security: 'none', username: 'sam' } };
+
+    try {
+      const session = await imap.open(mailbox, { credentials: { password: 'app-password' } });
+      const { messages, cursor } = await session.listMessages({ senders: ['auto-confirm@amazon.com'], since: new Date(), cursor: null });
+
+      expect(messages.map(message => message.id)).toEqual(['imap:mailbox-1:1700000000:7', 'imap:mailbox-1:1700000000:12']);
+      expect(cursor).toEqual({ uidValidity: 1700000000, lastUid: 12 });
+      expect(imap.owns(mailbox, messages[1].id)).toBe(true);
+      expect((await session.fetchRaw(messages[1].id)).equals(MESSAGE)).toBe(true);
+      await expect(session.fetchRaw('imap:mailbox-1:1:12')).rejects.toThrow('folder was rebuilt');
+
+      await session.close();
+    } finally {
+      await new Promise(resolve => local.server.close(resolve));
+    }
+  });
+});
@@ -0,0 +1,164 @@
+/**
+ * Microsoft driver: Outlook.com and Microsoft 365 mailboxes through Microsoft
+ * Graph, with OAuth tokens from the Microsoft identity platform. Messages are
+ * listed by received time, so the sync cursor is the newest time read.
+ * Message ids are "graph:<mailbox id>:<immutable Graph id>".
+ *
+ * Needs MICROSOFT_CLIENT_ID, MICROSOFT_CLIENT_SECRET and MICROSOFT_REDIRECT_URI
+ * (pointing at /api/email/mailboxes/microsoft/callback); MICROSOFT_TENANT
+ * defaults to "common" (work and personal accounts).
+ */
+
+const axios = require('axios');
+
+const GRAPH_URL = 'https://graph.microsoft.com/v1.0';
+const SCOPES = ['offline_access', 'User.Read', 'Mail.Read'];
+
+// Most messages a single sync reads; the rest are picked up by the next one
+const MAX_MESSAGES = 500;
+
+// Refresh the access token when it has less than this left
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+function authority() {
+  return `https://login.microsoftonline.com/${process.env.MICROSOFT_TENANT || 'common'}/oauth2/v2.0`;
+}
+
+// Token endpoint response -> stored credentials
+function toCredentials(data, previous = {}) {
+  return {
+    accessToken: data.access_token,
+    refreshToken: data.refresh_token || previous.refreshToken,
+    expiresAt: Date.now() + (data.expires_in || 3600) * 1000
+  };
+}
+
+async function requestToken(params) {
+  try {
+    const response = await axios.post(`${authority()}/token`, new URLSearchParams({
+      client_id: process.env.MICROSOFT_CLIENT_ID,
+      client_secret: process.env.MICROSOFT_CLIENT_SECRET,
+      redirect_uri: process.env.MICROSOFT_REDIRECT_URI,
+      scope: SCOPES.join(' '),
+      ...params
+    }).toString(), { headers: { 'Content-Type': 'application/x-www-form-urlencoded' } });
+    return response.data;
+  } catch (error) {
+    const data = error.response?.data;
+    const wrapped = new Error(`Microsoft sign-in failed: ${data?.error_description || data?.error || error.message}`);
+    wrapped.reauth = data?.error === 'invalid_grant';
+    throw wrapped;
+  }
+}
+
+function senderOf(message) {
+  return (message.from?.emailAddress?.address || '').toLowerCase();
+}
+
+function graphIdOf(id) {
+  return id.split(':').slice(2).join(':');
+}
+
+module.exports = {
+  provider: 'MICROSOFT',
+
+  isConfigured() {
+    return Boolean(process.env.MICROSOFT_CLIENT_ID && process.env.MICROSOFT_CLIENT_SECRET && process.env.MICROSOFT_REDIRECT_URI);
+  },
+
+  authUrl(state) {
+    const params = new URLSearchParams({
+      client_id: process.env.MICROSOFT_CLIENT_ID,
+      response_type: 'code',
+      redirect_uri: process.env.MICROSOFT_REDIRECT_URI,
+      response_mode: 'query',
+      scope: SCOPES.join(' '),
+      prompt: 'select_account',
+      state
+    });
+    return `${authority()}/authorize?${params}`;
+  },
+
+  /**
+   * Finish the OAuth flow.
+   * @returns {Promise<{ address: string, credentials: Object }>}
+   */
+  async exchangeCode(code) {
+    const credentials = toCredentials(await requestToken({ grant_type: 'authorization_code', code }));
+    const { data: me } = await axios.get(`${GRAPH_URL}/me`, {
+      headers: { Authorization: `Bearer ${credentials.accessToken}` }
+    });
+    return { address: (me.mail || me.userPrincipalName || '').toLowerCase(), credentials };
+  },
+
+  isAuthError(error) {
+    return Boolean(error?.reauth) || error?.response?.status === 401;
+  },
+
+  async open(mailbox, { credentials, onCredentials }) {
+    if (!credentials?.refreshToken) {
+      throw Object.assign(new Error('Microsoft account not connected'), { reauth: true });
+    }
+
+    let current = credentials;
+    if (!current.expiresAt || current.expiresAt - Date.now() < TOKEN_REFRESH_MARGIN_MS) {
+      current = toCredentials(await requestToken({ grant_type: 'refresh_token', refresh_token: current.refreshToken }), current);
+      await onCredentials(current);
+    }
+
+    const graph = axios.create({
+      baseURL: GRAPH_URL,
+      headers: {
+        Authorization: `Bearer ${current.accessToken}`,
+        // Ids that survive the message being moved to another folder
+        Prefer: 'IdType="ImmutableId"'
+      },
+      timeout: 30000
+    });
+
+    return {
+      async listMessages({ senders, since, cursor }) {
+        const receivedAfter = cursor?.receivedAfter || since.toISOString();
+        const wanted = senders.map(sender => sender.toLowerCase());
+
+        const messages = [];
+        let newest = receivedAfter;
+        let url = `/me/messages?${new URLSearchParams({
+          $filter: `receivedDateTime ge ${receivedAfter}`,
+          $orderby: 'receivedDateTime asc',
+          $select: 'id,from,receivedDateTime',
+          $top: '100'
+        })}`;
+
+        // Oldest first, so a sync that stops at the limit resumes where it left off
+        let read = 0;
+        while (url && read < MAX_MESSAGES) {
+          const { data } = await graph.get(url);
+          for (const message of data.value || []) {
+            read++;
+            newest = message.receivedDateTime;
+            if (wanted.some(sender => senderOf(message).includes(sender))) {
+              messages.push({ id: `graph:${mailbox.id}:${message.id}` });
+            }
+          }
+          url = data['@odata.nextLink'] || null;
+        }
+
+        return { messages, cursor: { receivedAfter: newest } };
+      },
+
+      async fetchRaw(id) {
+        const { data } = await graph.get(`/me/messages/${encodeURIComponent(graphIdOf(id))}/$value`, {
+          responseType: 'arraybuffer'
+        });
+        return Buffer.from(data);
+      },
+
+      async close() {}
+    };
+  },
+
+  owns(mailbox, id) {
+    return id.startsWith('graph:') && id.split(':')[1] === mailbox.id;
+  }
+};
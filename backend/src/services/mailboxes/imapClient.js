@@ -0,0 +1,243 @@
+/**
+ * Minimal IMAP4rev1 client: just what reading order emails needs (LOGIN,
+ * EXAMINE, UID SEARCH, UID FETCH of whole messages, LOGOUT), over implicit
+ * TLS, STARTTLS, or plain TCP for a local test server.
+ *
+ * Commands run one at a time. Responses are read line by line, with {n}
+ * literals read as raw bytes so message bodies arrive untouched.
+ *
+ * Only public addresses are reached unless allowAddress says otherwise
+ * (utils/hostPolicy.js): the host comes from the user.
+ */
+
+const net = require('net');
+const tls = require('tls');
+const { isPublicAddress, guardConnect } = require('../../utils/hostPolicy');
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// A quoted IMAP string; app passwords and addresses are plain ASCII
+function quote(value) {
+  const text = String(value);
+  if (/[\r\n\0]/.test(text)) {
+    throw new Error('IMAP strings cannot contain line breaks');
+  }
+  return `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+// IMAP SEARCH date: 15-Mar-2026
+function imapDate(date) {
+  return `${date.getUTCDate()}-${MONTHS[date.getUTCMonth()]}-${date.getUTCFullYear()}`;
+}
+
+class ImapClient {
+  /**
+   * @param {Object} options - host, port, security ('tls' | 'starttls' | 'none'),
+   *   username, password, timeoutMs, allowAddress ((ip) => boolean, default public addresses only)
+   */
+  constructor({ host, port, security = 'tls', username, password, timeoutMs = 30000, allowAddress = isPublicAddress }) {
+    this.options = { host, port: port || (security === 'tls' ? 993 : 143), security, username, password, timeoutMs, allowAddress };
+    this.socket = null;
+    this.buffer = Buffer.alloc(0);
+    this.literalRemaining = 0;
+    this.current = { line: '', literals: [] };
+    this.pending = null;
+    this.tagCounter = 0;
+    this.greeting = null;
+  }
+
+  async connect() {
+    const { host, port, security } = this.options;
+    const guard = guardConnect(host, this.options.allowAddress);
+
+    await new Promise((resolve, reject) => {
+      this.greeting = { resolve, reject };
+      const socket = security === 'tls'
+        ? tls.connect({ host, port, servername: host, ...guard })
+        : net.connect({ host, port, ...guard });
+      this.attach(socket);
+    });
+
+    if (security === 'starttls') {
+      await this.command('STARTTLS');
+      await this.upgrade();
+    }
+
+    await this.command(`LOGIN ${quote(this.options.username)} ${quote(this.options.password)}`);
+    return this;
+  }
+
+  attach(socket) {
+    this.socket = socket;
+    socket.setTimeout(this.options.timeoutMs);
+    socket.on('data', chunk => this.onData(chunk));
+    socket.on('timeout', () => socket.destroy(new Error(`IMAP server ${this.options.host} timed out`)));
+    socket.on('error', error => this.fail(error));
+    socket.on('close', () => this.fail(new Error('IMAP connection closed')));
+  }
+
+  // Switch the plain connection to TLS after STARTTLS
+  upgrade() {
+    const plain = this.socket;
+    plain.removeAllListeners('data');
+    plain.removeAllListeners('close');
+    plain.removeAllListeners('error');
+    plain.removeAllListeners('timeout');
+
+    return new Promise((resolve, reject) => {
+      const secure = tls.connect({ socket: plain, servername: this.options.host }, resolve);
+      secure.once('error', reject);
+      this.buffer = Buffer.alloc(0);
+      this.attach(secure);
+    });
+  }
+
+  fail(error) {
+    if (this.greeting) {
+      this.greeting.reject(error);
+      this.greeting = null;
+    }
+    if (this.pending) {
+      this.pending.reject(error);
+      this.pending = null;
+    }
+  }
+
+  onData(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    while (this.buffer.length) {
+      if (this.literalRemaining) {
+        if (this.buffer.length < this.literalRemaining) return;
+        this.current.literals.push(this.buffer.subarray(0, this.literalRemaining));
+        this.buffer = this.buffer.subarray(this.literalRemaining);
+        this.literalRemaining = 0;
+        continue;
+      }
+
+      const end = this.buffer.indexOf('\r\n');
+      if (end === -1) return;
+      const line = this.buffer.subarray(0, end).toString('utf8');
+      this.buffer = this.buffer.subarray(end + 2);
+      this.current.line += line;
+
+      // The line continues after a literal of n bytes
+      const literal = line.match(/\{(\d+)\}$/);
+      if (literal) {
+        this.literalRemaining = parseInt(literal[1], 10);
+        if (!this.literalRemaining) this.current.literals.push(Buffer.alloc(0));
+        continue;
+      }
+
+      const response = this.current;
+      this.current = { line: '', literals: [] };
+      this.onResponse(response);
+    }
+  }
+
+  onResponse(response) {
+    if (this.greeting) {
+      const { resolve, reject } = this.greeting;
+      this.greeting = null;
+      if (/^\* (OK|PREAUTH)/i.test(response.line)) resolve();
+      // Not repeated: whatever answered may not be an IMAP server at all
+      else reject(new Error('The server did not greet as an IMAP server'));
+      return;
+    }
+
+    if (!this.pending) return;
+
+    if (response.line.startsWith('* ')) {
+      this.pending.untagged.push({ ...response, line: response.line.slice(2) });
+      return;
+    }
+
+    if (response.line.startsWith(`${this.pending.tag} `)) {
+      const { tag, untagged, resolve, reject } = this.pending;
+      this.pending = null;
+      const [status, ...rest] = response.line.slice(tag.length + 1).split(' ');
+      const text = rest.join(' ');
+      if (status.toUpperCase() === 'OK') {
+        resolve({ untagged, text });
+      } else {
+        reject(Object.assign(new Error(`IMAP ${status}: ${text}`), { imapStatus: status.toUpperCase() }));
+      }
+    }
+  }
+
+  command(text) {
+    if (this.pending) {
+      return Promise.reject(new Error('An IMAP command is already running'));
+    }
+    if (!this.socket || this.socket.destroyed) {
+      return Promise.reject(new Error('Not connected to the IMAP server'));
+    }
+    const tag = `A${++this.tagCounter}`;
+    return new Promise((resolve, reject) => {
+      this.pending = { tag, untagged: [], resolve, reject };
+      this.socket.write(`${tag} ${text}\r\n`);
+    });
+  }
+
+  /**
+   * Open a folder read-only.
+   * @returns {Promise<{ uidValidity: number, exists: number }>}
+   */
+  async select(folder = 'INBOX') {
+    const { untagged } = await this.command(`EXAMINE ${quote(folder)}`);
+    let uidValidity = null;
+    let exists = 0;
+    for (const { line } of untagged) {
+      const validity = line.match(/\[UIDVALIDITY (\d+)\]/i);
+      if (validity) uidValidity = parseInt(validity[1], 10);
+      const count = line.match(/^(\d+) EXISTS/i);
+      if (count) exists = parseInt(count[1], 10);
+    }
+    return { uidValidity, exists };
+  }
+
+  /**
+   * UIDs of messages newer than a UID, received since a date, from any of the senders.
+   * @returns {Promise<number[]>} ascending
+   */
+  async searchUids({ afterUid = 0, since = null, from = [] } = {}) {
+    const criteria = [`UID ${afterUid + 1}:*`];
+    if (since) criteria.push(`SINCE ${imapDate(since)}`);
+    if (from.length) {
+      // OR takes two keys: OR FROM a OR FROM b FROM c
+      criteria.push(from.map((sender, i) =>
+        (i < from.length - 1 ? 'OR ' : '') + `FROM ${quote(sender)}`
+      ).join(' '));
+    }
+
+    const { untagged } = await this.command(`UID SEARCH ${criteria.join(' ')}`);
+    const uids = untagged
+      .filter(({ line }) => /^SEARCH\b/i.test(line))
+      .flatMap(({ line }) => line.split(' ').slice(1))
+      .map(uid => parseInt(uid, 10))
+      // "n:*" always matches the newest message, even when its UID is below n
+      .filter(uid => uid > afterUid);
+    return [...new Set(uids)].sort((a, b) => a - b);
+  }
+
+  // The full RFC 822 message, without marking it read
+  async fetchMessage(uid) {
+    const { untagged } = await this.command(`UID FETCH ${uid} (UID BODY.PEEK[])`);
+    const response = untagged.find(({ line, literals }) => /FETCH/i.test(line) && literals.length);
+    return response ? response.literals[0] : null;
+  }
+
+  async logout() {
+    try {
+      if (this.socket && !this.socket.destroyed) {
+        await this.command('LOGOUT');
+      }
+    } catch {
+      // The server may close before answering
+    } finally {
+      this.socket?.destroy();
+    }
+  }
+}
+
+module.exports = { ImapClient, imapDate };
@@ -0,0 +1,95 @@
+const { ImapClient, imapDate } = require('./imapClient');
+const { startImapServer, MESSAGE } = require('../../../test/imapServer');
+
+function clientFor(port, options = {}) {
+  return new ImapClient({
+    host: '127.0.0.1',
+    port,
+    security: 'none',
+    username: 'sam@example.com',
+    password: 'app-password',
+    timeoutMs: 2000,
+    allowAddress: () => true,
+    ...options
+  });
+}
+
+describe('ImapClient', () => {
+  let local;
+
+  afterEach(async () => {
+    if (local) await new Promise(resolve => local.server.close(resolve));
+    local = null;
+  });
+
+  it('signs in, opens the folder and reads message UIDs and bodies', async () => {
+    local = await startImapServer();
+    const client = clientFor(local.port);
+
+    await client.connect();
+    expect(await client.select('INBOX')).toEqual({ uidValidity: 1700000000, exists: 3 });
+
+    const uids = await client.searchUids({ afterUid: 5, since: new Date(Date.UTC(2026, 2, 15)), from: ['a@x.com', 'b@y.com'] });
+    expect(uids).toEqual([7, 12]);
+    expect(local.commands).toContain('A3 UID SEARCH UID 6:* SINCE 15-Mar-2026 OR FROM "a@x.com" FROM "b@y.com"');
+
+    // The literal comes back byte for byte, even when it looks like IMAP syntax
+    expect((await client.fetchMessage(12)).equals(MESSAGE)).toBe(true);
+
+    await client.logout();
+    expect(local.commands[0]).toBe('A1 LOGIN "sam@example.com" "app-password"');
+    expect(local.commands[local.commands.length - 1]).toBe('A5 LOGOUT');
+  });
+
+  it('drops UIDs at or below the last one read', async () => {
+    local = await startImapServer();
+    const client = clientFor(local.port);
+    await client.connect();
+
+    expect(await client.searchUids({ afterUid: 12 })).toEqual([]);
+    await client.logout();
+  });
+
+  it('rejects a refused login with the IMAP status', async () => {
+    local = await startImapServer({ password: 'other' });
+    const client = clientFor(local.port);
+
+    await expect(client.connect()).rejects.toMatchObject({ imapStatus: 'NO' });
+    await client.logout();
+  });
+
+  it('does not repeat what a non-IMAP server answered', async () => {
+    local = await startImapServer({ greeting: '-ERR redis_version:7.2.4 unknown command' });
+    const client = clientFor(local.port);
+
+    const error = await client.connect().catch(e => e);
+    expect(error.message).toBe('The server did not greet as an IMAP server');
+    expect(error.message).not.toContain('redis');
+    await client.logout();
+  });
+
+  it('refuses loopback and private addresses by default', async () => {
+    local = await startImapServer();
+
+    for (const host of ['127.0.0.1', '10.1.2.3', '169.254.169.254', 'localhost']) {
+      const client = clientFor(local.port, { host, allowAddress: undefined });
+      await expect(client.connect()).rejects.toMatchObject({ code: 'HOST_NOT_ALLOWED' });
+      await client.logout();
+    }
+    expect(local.commands).toEqual([]);
+  });
+
+  it('refuses quoted strings with line breaks', async () => {
+    local = await startImapServer();
+    const client = clientFor(local.port, { password: 'secret\r\nA2 LOGOUT' });
+
+    await expect(client.connect()).rejects.toThrow('IMAP strings cannot contain line breaks');
+    await client.logout();
+  });
+});
+
+describe('imapDate', () => {
+  it('formats dates the way SEARCH SINCE expects', () => {
+    expect(imapDate(new Date(Date.UTC(2026, 0, 5)))).toBe('5-Jan-2026');
+  });
+});
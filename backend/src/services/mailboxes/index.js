@@ -0,0 +1,372 @@
+/**
+ * Mailboxes
+ *
+ * The mailboxes a user's order emails are read from, one driver per provider:
+ *   GMAIL      Gmail API with OAuth (the Google account signed in with, plus any others)
+ *   IMAP       any IMAP server, with an app password
+ *   MICROSOFT  Outlook.com / Microsoft 365 through Microsoft Graph
+ *
+ * A driver's open(mailbox) returns a session with
+ *   listMessages({ senders, since, cursor }) -> { messages: [{ id }], cursor }
+ *   fetchRaw(id)                              -> Buffer (the RFC 822 message)
+ *   close()
+ * and owns(mailbox, id) says whether an email id (a purchase's sourceEmailId)
+ * came from that mailbox. Each mailbox keeps its own sync cursor, status and
+ * sync logs; credentials are stored encrypted.
+ */
+
+const jwt = require('jsonwebtoken');
+const { PrismaClient, Prisma } = require('@prisma/client');
+const logger = require('../../utils/logger');
+const { encryptJson, decryptJson } = require('../../utils/secrets');
+const gmail = require('./drivers/gmail');
+const imap = require('./drivers/imap');
+const microsoft = require('./drivers/microsoft');
+
+const prisma = new PrismaClient();
+
+const DRIVERS = { GMAIL: gmail, IMAP: imap, MICROSOFT: microsoft };
+
+// OAuth state for connecting a mailbox: who asked, valid for the sign-in round trip
+const STATE_PURPOSE = 'connect-mailbox';
+const STATE_TTL = '15m';
+
+// Gmail watches last seven days; renew them when less than two are left
+const WATCH_RENEW_MARGIN_MS = 2 * 24 * 60 * 60 * 1000;
+
+class Mailboxes {
+  driver(provider) {
+    const driver = DRIVERS[provider];
+    if (!driver) throw new Error(`Unknown mailbox provider: ${provider}`);
+    return driver;
+  }
+
+  // Providers the server has credentials for
+  providers() {
+    return Object.keys(DRIVERS).filter(provider => DRIVERS[provider].isConfigured());
+  }
+
+  // A mailbox as the API returns it (never the credentials)
+  present(mailbox) {
+    const { credentials, syncCursor, settings, ...rest } = mailbox;
+    const { host, port, security, username, folder } = settings || {};
+    return {
+      ...rest,
+      ...(mailbox.provider === 'IMAP' && { settings: { host, port, security, username, folder } })
+    };
+  }
+
+  async list(userId) {
+    await this.importLegacyGmail(userId);
+    return prisma.mailbox.findMany({
+      where: { userId },
+      orderBy: [{ isPrimary: 'desc' }, { createdAt: 'asc' }]
+    });
+  }
+
+  async get(userId, id) {
+    return prisma.mailbox.findFirst({ where: { id, userId } });
+  }
+
+  // The Gmail account signed in with; claim emails are sent from it
+  async primaryGmail(userId) {
+    const mailbox = await prisma.mailbox.findFirst({ where: { userId, provider: 'GMAIL', isPrimary: true } });
+    return mailbox || this.importLegacyGmail(userId);
+  }
+
+  // Users who connected Gmail before mailboxes existed have their tokens on the
+  // user; they are moved to the primary mailbox, which is the only copy kept
+  async importLegacyGmail(userId) {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { email: true, gmailConnected: true, gmailAccessToken: true, gmailRefreshToken: true }
+    });
+    if (!user?.gmailConnected || !user.gmailAccessToken) return null;
+
+    const existing = await prisma.mailbox.findFirst({ where: { userId, provider: 'GMAIL', isPrimary: true } });
+    if (existing) return existing;
+
+    logger.info(`Moving the connected Gmail account of user ${userId} to a mailbox`);
+    const mailbox = await this.connectGmail(userId, {
+      address: user.email,
+      accessToken: user.gmailAccessToken,
+      refreshToken: user.gmailRefreshToken,
+      isPrimary: true
+    });
+    await prisma.user.update({
+      where: { id: userId },
+      data: { gmailAccessToken: null, gmailRefreshToken: null }
+    });
+    return mailbox;
+  }
+
+  async save(userId, provider, address, { settings = null, credentials, isPrimary = false }) {
+    const data = {
+      settings: settings || Prisma.DbNull,
+      credentials: encryptJson(credentials),
+      status: 'ACTIVE',
+      lastError: null,
+      ...(isPrimary && { isPrimary })
+    };
+    const mailbox = await prisma.mailbox.upsert({
+      where: { userId_provider_address: { userId, provider, address } },
+      update: data,
+      create: { userId, provider, address, isPrimary, ...data }
+    });
+    logger.info(`Connected ${provider} mailbox ${mailbox.id} for user ${userId}`);
+    return mailbox;
+  }
+
+  async connectGmail(userId, { address, accessToken, refreshToken, isPrimary = false }) {
+    address = address.toLowerCase();
+
+    // Google only sends a refresh token on first consent; keep the one we have
+    let previous = null;
+    if (!refreshToken) {
+      const existing = await prisma.mailbox.findUnique({
+        where: { userId_provider_address: { userId, provider: 'GMAIL', address } }
+      });
+      previous = existing ? this.credentials(existing) : null;
+    }
+    const mailbox = await this.save(userId, 'GMAIL', address, {
+      credentials: { accessToken, refreshToken: refreshToken || previous?.refreshToken || null },
+      isPrimary
+    });
+
+    // Push notifications from now on; the scheduled renewal retries if this fails
+    this.watch(mailbox).catch(error =>
+      logger.warn(`Failed to start Gmail push notifications for mailbox ${mailbox.id}: ${error.message}`)
+    );
+    return mailbox;
+  }
+
+  /**
+   * Connect an IMAP mailbox after checking the server accepts the login.
+   * @throws {Error} with .code INSECURE_IMAP or IMAP_LOGIN_FAILED
+   */
+  async connectImap(userId, { address, host, port, security, username, password, folder = 'INBOX' }) {
+    if (!imap.allowsSecurity(host, security)) {
+      throw Object.assign(new Error('Unencrypted IMAP is only allowed for a local server'), { code: 'INSECURE_IMAP' });
+    }
+
+    const settings = { host, port, security, username: username || address, folder };
+    const candidate = { id: 'new', provider: 'IMAP', settings };
+    try {
+      const session = await imap.open(candidate, { credentials: { password } });
+      await session.close();
+    } catch (error) {
+      // What the host answered stays in the log: the user picked the host
+      logger.warn(`IMAP connection check to ${host}:${port || 'default'} failed for user ${userId}: ${error.message}`);
+      if (error.code === 'HOST_NOT_ALLOWED') {
+        throw Object.assign(new Error('The IMAP host must be a public address'), { code: 'IMAP_HOST_NOT_ALLOWED' });
+      }
+      const reason = error.imapStatus === 'NO' ? 'the username or app password was refused' : 'no IMAP server answered';
+      throw Object.assign(new Error(`Could not sign in to ${host}: ${reason}`), { code: 'IMAP_LOGIN_FAILED' });
+    }
+
+    return this.save(userId, 'IMAP', address.toLowerCase(), { settings, credentials: { password } });
+  }
+
+  // Finish connecting an OAuth mailbox (a Gmail account other than the one signed in with, or Microsoft)
+  async connectOAuth(userId, provider, code) {
+    const { address, credentials } = await this.driver(provider).exchangeCode(code);
+    if (provider === 'GMAIL') {
+      return this.connectGmail(userId, { address, ...credentials });
+    }
+    return this.save(userId, provider, address, { credentials });
+  }
+
+  // Where to send the user to connect an OAuth mailbox
+  authUrl(userId, provider) {
+    const state = jwt.sign({ userId, purpose: STATE_PURPOSE, provider }, process.env.JWT_SECRET, { expiresIn: STATE_TTL });
+    return this.driver(provider).authUrl(state);
+  }
+
+  // The user an OAuth callback's state belongs to, or null when it isn't a mailbox state
+  verifyState(state, provider) {
+    try {
+      const decoded = jwt.verify(state, process.env.JWT_SECRET);
+      return decoded.purpose === STATE_PURPOSE && decoded.provider === provider ? decoded.userId : null;
+    } catch {
+      return null;
+    }
+  }
+
+  // Returns false when the user has no such mailbox
+  async disconnect(userId, id) {
+    const mailbox = await this.get(userId, id);
+    if (!mailbox) return false;
+
+    if (mailbox.watchExpiresAt) {
+      await this.unwatch(mailbox);
+    }
+    const { count } = await prisma.mailbox.deleteMany({ where: { id, userId } });
+    return count > 0;
+  }
+
+  // Gmail push notifications are on when GMAIL_PUBSUB_TOPIC names the topic
+  // Gmail publishes to (projects/<project>/topics/<topic>)
+  pushEnabled() {
+    return Boolean(process.env.GMAIL_PUBSUB_TOPIC);
+  }
+
+  /**
+   * Start, or renew, push notifications for a Gmail mailbox.
+   * @returns {Promise<Object|null>} the updated mailbox, or null when push is off
+   */
+  async watch(mailbox) {
+    if (mailbox.provider !== 'GMAIL' || !this.pushEnabled()) return null;
+
+    const session = await this.open(mailbox);
+    try {
+      const { expiresAt } = await session.watch(process.env.GMAIL_PUBSUB_TOPIC);
+      logger.info(`Gmail push notifications for mailbox ${mailbox.id} renewed until ${expiresAt.toISOString()}`);
+      return prisma.mailbox.update({
+        where: { id: mailbox.id },
+        data: { watchExpiresAt: expiresAt }
+      });
+    } finally {
+      await session.close();
+    }
+  }
+
+  // Stop push notifications, unless another user connected the same Gmail
+  // account: Gmail keeps one watch per account
+  async unwatch(mailbox) {
+    const shared = await prisma.mailbox.count({
+      where: { provider: mailbox.provider, address: mailbox.address, id: { not: mailbox.id } }
+    });
+    if (shared > 0) return;
+
+    try {
+      const session = await this.open(mailbox);
+      await session.stopWatch();
+      await session.close();
+    } catch (error) {
+      logger.warn(`Failed to stop Gmail push notifications for mailbox ${mailbox.id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Renew every Gmail watch that is missing or expires within the margin.
+   * @returns {Promise<{ renewed: number, failed: number }>}
+   */
+  async renewWatches(marginMs = WATCH_RENEW_MARGIN_MS) {
+    if (!this.pushEnabled()) return { renewed: 0, failed: 0 };
+
+    const due = await prisma.mailbox.findMany({
+      where: {
+        provider: 'GMAIL',
+        status: { not: 'NEEDS_REAUTH' },
+        OR: [
+          { watchExpiresAt: null },
+          { watchExpiresAt: { lt: new Date(Date.now() + marginMs) } }
+        ]
+      }
+    });
+
+    let renewed = 0;
+    let failed = 0;
+    for (const mailbox of due) {
+      try {
+        await this.watch(mailbox);
+        renewed++;
+      } catch (error) {
+        failed++;
+        logger.error(`Failed to renew Gmail push notifications for mailbox ${mailbox.id}:`, error);
+        if (error.reauth || gmail.isAuthError(error)) {
+          await this.recordSync(mailbox, { error }).catch(() => {});
+        }
+      }
+    }
+    return { renewed, failed };
+  }
+
+  // The mailboxes a Gmail push notification for an address is about
+  async findWatched(address) {
+    return prisma.mailbox.findMany({
+      where: {
+        provider: 'GMAIL',
+        address: address.toLowerCase(),
+        status: { not: 'NEEDS_REAUTH' }
+      }
+    });
+  }
+
+  // Decrypted credentials, or null when they were encrypted with another key
+  credentials(mailbox) {
+    try {
+      return decryptJson(mailbox.credentials);
+    } catch (error) {
+      logger.warn(`Cannot decrypt credentials of mailbox ${mailbox.id}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Open a session on a mailbox; refreshed OAuth tokens are saved as they arrive.
+   * @returns {Promise<Object>} the driver's session
+   */
+  async open(mailbox) {
+    const credentials = this.credentials(mailbox);
+    if (!credentials) {
+      throw Object.assign(new Error('The stored credentials can no longer be read; reconnect the mailbox'), { reauth: true });
+    }
+    return this.driver(mailbox.provider).open(mailbox, {
+      credentials,
+      onCredentials: (updated) => prisma.mailbox.update({
+        where: { id: mailbox.id },
+        data: { credentials: encryptJson(updated) }
+      }).catch(error => logger.error(`Failed to save refreshed credentials for mailbox ${mailbox.id}:`, error))
+    });
+  }
+
+  /**
+   * Record a sync outcome on the mailbox; credential errors mean the user has to reconnect.
+   * @param {Object} outcome - cursor (the driver's), failedEmails ({ emailId: attempts } to
+   *   retry next time), or error when the sync itself failed
+   */
+  async recordSync(mailbox, { cursor = null, failedEmails = null, error = null } = {}) {
+    const needsReauth = error && (error.reauth || this.driver(mailbox.provider).isAuthError(error));
+    const hasFailed = failedEmails && Object.keys(failedEmails).length > 0;
+    return prisma.mailbox.update({
+      where: { id: mailbox.id },
+      data: error
+        ? { status: needsReauth ? 'NEEDS_REAUTH' : 'ERROR', lastError: error.message }
+        : {
+            status: 'ACTIVE',
+            lastError: null,
+            syncCursor: cursor || Prisma.DbNull,
+            failedEmails: hasFailed ? failedEmails : Prisma.DbNull,
+            lastSyncAt: new Date()
+          }
+    });
+  }
+
+  // The mailbox an email id (a purchase's sourceEmailId) came from, or null
+  async locate(userId, emailId) {
+    if (!emailId) return null;
+    const mailboxes = await this.list(userId);
+    return mailboxes.find(mailbox => this.driver(mailbox.provider).owns(mailbox, emailId)) || null;
+  }
+
+  /**
+   * Read one email again, e.g. to re-detect the card it was paid with.
+   * @returns {Promise<Buffer>}
+   * @throws when the mailbox it came from is no longer connected
+   */
+  async fetchRaw(userId, emailId) {
+    const mailbox = await this.locate(userId, emailId);
+    if (!mailbox) {
+      throw new Error('The mailbox this email came from is not connected');
+    }
+    const session = await this.open(mailbox);
+    try {
+      return await session.fetchRaw(emailId);
+    } finally {
+      await session.close();
+    }
+  }
+}
+
+module.exports = new Mailboxes();
@@ -0,0 +1,56 @@
+jest.mock('@prisma/client', () => require('../../../test/prismaMock'));
+
+const { prisma, resetPrisma } = require('@prisma/client');
+const { encryptJson } = require('../../utils/secrets');
+const mailboxes = require('./index');
+
+describe('mailboxes Gmail credentials', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    resetPrisma();
+    process.env.JWT_SECRET = 'test-secret';
+    delete process.env.GMAIL_PUBSUB_TOPIC;
+    prisma.mailbox.upsert.mockImplementation(async ({ create }) => ({ id: 'mailbox-1', ...create }));
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  function savedCredentials() {
+    const { update } = prisma.mailbox.upsert.mock.calls[0][0];
+    return mailboxes.credentials(update);
+  }
+
+  it('keeps the saved refresh token when Google sends none, whatever the address case', async () => {
+    prisma.mailbox.findUnique.mockImplementation(async ({ where }) =>
+      where.userId_provider_address.address === 'sam@gmail.com'
+        ? { id: 'mailbox-1', credentials: encryptJson({ accessToken: 'old', refreshToken: 'refresh-1' }) }
+        : null
+    );
+
+    await mailboxes.connectGmail('user-1', { address: 'Sam@Gmail.com', accessToken: 'new', isPrimary: true });
+
+    expect(prisma.mailbox.upsert.mock.calls[0][0].where.userId_provider_address.address).toBe('sam@gmail.com');
+    expect(savedCredentials()).toEqual({ accessToken: 'new', refreshToken: 'refresh-1' });
+  });
+
+  it('moves tokens saved on the user to the primary mailbox and clears them', async () => {
+    prisma.user.findUnique.mockResolvedValue({
+      email: 'sam@gmail.com',
+      gmailConnected: true,
+      gmailAccessToken: 'access-1',
+      gmailRefreshToken: 'refresh-1'
+    });
+
+    const mailbox = await mailboxes.primaryGmail('user-1');
+
+    expect(mailbox).toMatchObject({ provider: 'GMAIL', address: 'sam@gmail.com', isPrimary: true });
+    expect(savedCredentials()).toEqual({ accessToken: 'access-1', refreshToken: 'refresh-1' });
+    expect(prisma.user.update).toHaveBeenCalledWith({
+      where: { id: 'user-1' },
+      data: { gmailAccessToken: null, gmailRefreshToken: null }
+    });
+  });
+});
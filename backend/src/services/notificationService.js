@@ -1,22 +1,18 @@
-const sgMail = require('@sendgrid/mail');
 const { PrismaClient } = require('@prisma/client');
 const logger = require('../utils/logger');
+const mailTransport = require('./mailTransport');
 
 const prisma = new PrismaClient();
 
-if (process.env.SENDGRID_API_KEY) {
-  sgMail.setApiKey(process.env.SENDGRID_API_KEY);
-}
-
 class NotificationService {
   async sendEmail(to, subject, htmlContent, textContent = null) {
-    if (!process.env.SENDGRID_API_KEY) {
-      logger.warn('SendGrid not configured, skipping email');
+    if (!mailTransport.isConfigured('notifications')) {
+      logger.warn('No notification mail transport configured, skipping email');
       return false;
     }
 
     try {
-      await sgMail.send({
+      await mailTransport.send({
         to,
         from: {
           email: process.env.FROM_EMAIL || 'notifications@priceprotectionbot.com',
@@ -25,7 +21,7 @@ class NotificationService {
         subject,
         html: htmlContent,
         text: textContent || htmlContent.replace(/<[^>]*>/g, '')
-      });
+      }, { channel: 'notifications' });
 
       logger.info(`Email sent to ${to}: ${subject}`);
       return true;
@@ -0,0 +1,258 @@
+/**
+ * Order Extraction
+ *
+ * One pipeline reads an order out of an order email or uploaded receipt:
+ *   1. parser   - the retailer's patterns and labelled amounts (emailParser.parseOrderFields)
+ *   2. model    - an LLM reads the line items and fills what the parsers didn't find
+ *   3. fallback - guesses (the highest amount as a single item) for whatever is still missing
+ * Each field comes from the first step that found it and records that step
+ * and how far it is trusted (SOURCE_CONFIDENCE): details.provenance for order
+ * fields, item.provenance for line item fields.
+ *
+ * The parsers read order fields, not line items: item layouts differ too much
+ * between retailers and templates to read reliably with patterns. Line items
+ * come from the model, so without one (EXTRACTION_PROVIDER=none, no API key, or
+ * a failed reply) an order becomes the fallback's single item, marked as not
+ * itemized. A caller that already has the items can pass them as parsed.items.
+ *
+ * The model's reply has to be JSON matching schema.js; one that isn't is sent
+ * back to be repaired (EXTRACTION_REPAIR_ATTEMPTS, default 1). A reply that still
+ * can't be used, or a provider error, only skips the model step: the order is
+ * read from the parsers and the fallback instead of being dropped.
+ *
+ *   EXTRACTION_PROVIDER   anthropic | stub | none (default anthropic, used when ANTHROPIC_API_KEY is set)
+ *   EXTRACTION_MODEL      the provider's model
+ *   EXTRACTION_MAX_CHARS  email text sent to the model (default 24000; the start and end are kept)
+ */
+
+const logger = require('../../utils/logger');
+const { stripHtml } = require('../aiParser');
+const { normalizeVariant, extractVariantFromText } = require('../../utils/variantUtils');
+const { parseReply, coerce, validate } = require('./schema');
+const { extractionPrompt, repairPrompt } = require('./prompt');
+const anthropic = require('./providers/anthropic');
+const stub = require('./providers/stub');
+
+const PROVIDERS = { anthropic, stub };
+
+// How far a field is trusted, by the step it came from
+const SOURCE_CONFIDENCE = {
+  parser: 0.9,
+  model: 0.75,
+  fallback: 0.3
+};
+
+// A model reply that had to be repaired is trusted less
+const REPAIRED_PENALTY = 0.15;
+
+const ORDER_FIELDS = ['orderId', 'retailer', 'purchaseDate', 'category', 'subtotal', 'tax', 'shipping', 'discount', 'total', 'payments'];
+
+const MAX_TOKENS = 4096;
+
+function repairAttempts() {
+  const attempts = parseInt(process.env.EXTRACTION_REPAIR_ATTEMPTS);
+  return Number.isInteger(attempts) && attempts >= 0 ? attempts : 1;
+}
+
+function isPresent(value) {
+  return Array.isArray(value) ? value.length > 0 : value != null;
+}
+
+// A YYYY-MM-DD date from the model, unless it is in the future
+function modelDate(value) {
+  if (!value) return null;
+  const date = new Date(`${value}T12:00:00`);
+  return Number.isNaN(date.getTime()) || date > new Date() ? null : date;
+}
+
+// The reply as a usable result, or what is wrong with it
+function check(reply) {
+  let result;
+  try {
+    result = coerce(parseReply(reply));
+  } catch (error) {
+    return { result: null, errors: [`the reply is not valid JSON (${error.message})`] };
+  }
+  return { result, errors: validate(result) };
+}
+
+class OrderExtraction {
+  // The configured model provider, or null when the model step is off
+  provider() {
+    const name = (process.env.EXTRACTION_PROVIDER || 'anthropic').trim().toLowerCase();
+    if (name === 'none') return null;
+
+    const provider = PROVIDERS[name];
+    if (!provider) {
+      logger.warn(`Unknown extraction provider "${name}"; extracting without a model`);
+      return null;
+    }
+    return provider.isConfigured() ? provider : null;
+  }
+
+  /**
+   * Read an order from an email.
+   * @param {Object} email - simpleParser output (subject, from, date, text, html)
+   * @param {Object} steps
+   *   parsed   - what the parsers found: order fields, optionally items, and productUrl (the email's product link)
+   *   fallback - guesses: items (a single one), and any order fields
+   * @returns {Promise<Object|null>} { itemized, items: [{ productName, unitPrice, quantity, productUrl, variant, provenance }],
+   *   orderId, retailer, purchaseDate, category, subtotal, tax, shipping, discount, total, payments,
+   *   provenance: { field: { source, confidence } }, model: "provider:model" or null },
+   *   or null when no step found any items
+   */
+  async extract(email, { parsed = {}, fallback = {} } = {}) {
+    const details = { provenance: {}, model: null };
+    let items = null;
+
+    const take = (fields, source, confidence) => {
+      for (const field of ORDER_FIELDS) {
+        if (!isPresent(details[field]) && isPresent(fields[field])) {
+          details[field] = fields[field];
+          details.provenance[field] = { source, confidence };
+        }
+      }
+      if (!items && fields.items?.length) {
+        items = { list: fields.items, source, confidence };
+      }
+    };
+
+    take(parsed, 'parser', SOURCE_CONFIDENCE.parser);
+
+    if (!items || ORDER_FIELDS.some(field => !isPresent(details[field]))) {
+      const read = await this.readWithModel(email);
+      if (read) {
+        details.model = read.model;
+        take(read.fields, 'model', SOURCE_CONFIDENCE.model - (read.repaired ? REPAIRED_PENALTY : 0));
+      }
+    }
+
+    take(fallback, 'fallback', SOURCE_CONFIDENCE.fallback);
+
+    if (!items) return null;
+
+    details.itemized = items.source !== 'fallback';
+    details.items = items.list.map(item => this.itemWithProvenance(item, items, items.list.length === 1 ? parsed.productUrl : null));
+
+    for (const field of ORDER_FIELDS) {
+      if (!(field in details)) details[field] = field === 'payments' ? [] : null;
+    }
+    // No total in the email: what the items add up to
+    if (details.total == null) {
+      details.total = details.items.reduce((sum, item) => sum + item.unitPrice * (item.quantity || 1), 0);
+      details.provenance.total = { source: items.source, confidence: items.confidence };
+    }
+    // A lone card was charged the whole order
+    if (details.payments.length === 1 && details.payments[0].amount == null && details.total != null) {
+      details.payments = [{ ...details.payments[0], amount: details.total }];
+    }
+
+    return details;
+  }
+
+  // A line item with where each of its fields came from
+  itemWithProvenance(item, { source, confidence }, emailProductUrl) {
+    const provenance = {};
+    for (const field of ['productName', 'unitPrice', 'quantity', 'productUrl', 'variant']) {
+      if (isPresent(item[field])) provenance[field] = { source, confidence };
+    }
+
+    const filled = { ...item };
+    // A lone item without a link can still use the link found in the email
+    if (!filled.productUrl && emailProductUrl) {
+      filled.productUrl = emailProductUrl;
+      provenance.productUrl = { source: 'parser', confidence: SOURCE_CONFIDENCE.parser };
+    }
+    if (!filled.variant) {
+      filled.variant = extractVariantFromText('', filled.productName);
+      if (filled.variant) provenance.variant = { source: 'fallback', confidence: SOURCE_CONFIDENCE.fallback };
+    }
+
+    return { ...filled, provenance };
+  }
+
+  /**
+   * Ask the model for the order, repairing a reply that doesn't match the schema.
+   * @returns {Promise<{ fields: Object, model: string, repaired: boolean }|null>}
+   *   null when there is no provider, the email isn't an order, or no usable reply came back
+   */
+  async readWithModel(email) {
+    const provider = this.provider();
+    if (!provider) return null;
+
+    const model = `${provider.name}:${provider.model()}`;
+    const subject = email.subject || '';
+
+    try {
+      let reply = await provider.complete({
+        prompt: extractionPrompt({
+          from: email.from?.text,
+          subject,
+          date: email.date,
+          body: email.text || stripHtml(email.html || '')
+        }),
+        maxTokens: MAX_TOKENS
+      });
+      let { result, errors } = check(reply);
+
+      let repaired = false;
+      for (let attempt = 0; errors.length && attempt < repairAttempts(); attempt++) {
+        logger.warn(`Extraction reply from ${model} for "${subject}" can't be used (${errors.slice(0, 3).join('; ')}); asking for a repair`);
+        reply = await provider.complete({ prompt: repairPrompt(reply, errors), maxTokens: MAX_TOKENS });
+        ({ result, errors } = check(reply));
+        repaired = true;
+      }
+
+      if (errors.length) {
+        logger.warn(`Extraction reply from ${model} for "${subject}" still can't be used (${errors.slice(0, 3).join('; ')}); using the parsers alone`);
+        return null;
+      }
+
+      logger.info('Model extraction result', { subject, model, isPurchase: result.isPurchase, retailer: result.retailer || 'N/A', repaired });
+      if (!result.isPurchase) return null;
+
+      return { fields: this.modelFields(result), model, repaired };
+    } catch (error) {
+      logger.error('Model extraction failed', { error: error.message, subject, model });
+      return null;
+    }
+  }
+
+  // A validated model reply in extractOrderDetails' shape
+  modelFields(result) {
+    const items = result.items
+      .map(item => ({
+        productName: item.productName?.trim() || null,
+        unitPrice: item.price,
+        quantity: item.quantity || 1,
+        productUrl: /^https?:\/\//.test(item.productUrl || '') ? item.productUrl : null,
+        // Normalized so they compare cleanly with what the price monitor reads
+        variant: normalizeVariant(item.variant)
+      }))
+      .filter(item => item.unitPrice > 0);
+
+    const payments = (result.payments || [])
+      .filter(payment => payment.cardLast4)
+      .map(payment => ({
+        cardLast4: payment.cardLast4,
+        network: payment.network ? String(payment.network).toLowerCase() : null,
+        amount: payment.amount ?? null
+      }));
+
+    return {
+      items,
+      orderId: result.orderId || null,
+      retailer: result.retailer || null,
+      purchaseDate: modelDate(result.purchaseDate),
+      category: result.category || null,
+      subtotal: result.subtotal ?? null,
+      tax: result.tax ?? null,
+      shipping: result.shipping ?? null,
+      discount: result.discount ?? null,
+      total: result.totalPrice ?? null,
+      payments
+    };
+  }
+}
+
+module.exports = new OrderExtraction();
@@ -0,0 +1,125 @@
+jest.mock('@prisma/client', () => require('../../../test/prismaMock'));
+
+const emailParser = require('../emailParser');
+const stub = require('./providers/stub');
+
+const email = {
+  subject: 'Your Amazon.com order #112-4455667-7788990',
+  from: { text: 'auto-confirm@amazon.com' },
+  date: new Date('2026-03-03T15:00:00Z'),
+  html: '',
+  text: [
+    'Order #112-4455667-7788990',
+    'Order Date: March 3, 2026',
+    'Sony WH-1000XM5 Wireless Headphones, Black $348.00',
+    'Anker USB-C Cable $12.99',
+    'Item(s) Subtotal: $360.99',
+    'Estimated tax: $29.78',
+    'Order Total: $390.77'
+  ].join('\n')
+};
+
+const reply = {
+  isPurchase: true,
+  items: [
+    { productName: 'Sony WH-1000XM5 Wireless Headphones', price: 348, quantity: 1, productUrl: null, variant: { color: 'Black' } },
+    { productName: 'Anker USB-C Cable', price: 12.99, quantity: 1, productUrl: 'https://www.amazon.com/dp/B0C1234567' }
+  ],
+  retailer: 'Amazon',
+  orderId: '112-0000000-0000000',
+  purchaseDate: '2026-03-03',
+  subtotal: 999,
+  tax: 29.78,
+  shipping: 0,
+  discount: 0,
+  totalPrice: 390.77,
+  payments: [{ cardLast4: '4242', network: 'Visa', amount: 390.77 }],
+  category: 'electronics'
+};
+
+function extract() {
+  const { retailer, retailerConfig } = emailParser.retailerByName('amazon');
+  return emailParser.extractOrderDetails(email, retailer, retailerConfig);
+}
+
+describe('order extraction pipeline', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    process.env.EXTRACTION_PROVIDER = 'stub';
+    delete process.env.EXTRACTION_REPAIR_ATTEMPTS;
+  });
+
+  afterEach(() => {
+    stub.setReplies(null);
+    process.env = { ...env };
+  });
+
+  it('takes each field from the first step that found it', async () => {
+    stub.setReplies([reply]);
+
+    const details = await extract();
+
+    expect(details.model).toBe('stub:stub');
+    expect(details.itemized).toBe(true);
+    // The parsers found these; the model's different order number and subtotal lose
+    expect(details).toMatchObject({ orderId: '112-4455667-7788990', subtotal: 360.99, total: 390.77 });
+    expect(details.provenance.orderId).toEqual({ source: 'parser', confidence: 0.9 });
+    expect(details.provenance.subtotal).toEqual({ source: 'parser', confidence: 0.9 });
+    // Only the model read these
+    expect(details).toMatchObject({ category: 'electronics', shipping: 0, payments: [{ cardLast4: '4242', network: 'visa' }] });
+    expect(details.provenance.payments).toEqual({ source: 'model', confidence: 0.75 });
+
+    expect(details.items).toHaveLength(2);
+    expect(details.items[0]).toMatchObject({ productName: 'Sony WH-1000XM5 Wireless Headphones', unitPrice: 348, variant: { color: 'black' } });
+    expect(details.items[0].provenance.productName).toEqual({ source: 'model', confidence: 0.75 });
+    expect(details.items[1].provenance.productUrl).toEqual({ source: 'model', confidence: 0.75 });
+  });
+
+  it('trusts a repaired reply less', async () => {
+    stub.setReplies(['Here is the order: {"isPurchase": true, "items": [', reply]);
+
+    const details = await extract();
+
+    expect(stub.prompts).toHaveLength(2);
+    expect(details.items[0].provenance.unitPrice).toEqual({ source: 'model', confidence: 0.6 });
+    expect(details.provenance.category).toEqual({ source: 'model', confidence: 0.6 });
+  });
+
+  it('falls back to a single guessed item when the model reply stays unusable', async () => {
+    stub.setReplies(['not JSON']);
+
+    const details = await extract();
+
+    expect(stub.prompts).toHaveLength(2);
+    expect(details.model).toBeNull();
+    expect(details.itemized).toBe(false);
+    expect(details.items).toHaveLength(1);
+    expect(details.items[0]).toMatchObject({ unitPrice: 390.77, quantity: 1 });
+    expect(details.items[0].provenance.unitPrice).toEqual({ source: 'fallback', confidence: 0.3 });
+    // What the parsers found is kept
+    expect(details.provenance.orderId).toEqual({ source: 'parser', confidence: 0.9 });
+    expect(details.category).toBeNull();
+  });
+
+  it('reads the order without a model when extraction is off', async () => {
+    process.env.EXTRACTION_PROVIDER = 'none';
+    stub.setReplies([reply]);
+
+    const details = await extract();
+
+    expect(stub.prompts).toHaveLength(0);
+    expect(details).toMatchObject({ model: null, itemized: false, orderId: '112-4455667-7788990' });
+    expect(details.items[0].provenance.unitPrice.source).toBe('fallback');
+  });
+
+  it('uses the guess when the model says the email is not an order', async () => {
+    stub.setReplies([{ isPurchase: false, reason: 'A newsletter' }]);
+
+    const details = await extract();
+
+    // The parsers found no items, so the guess is all there is
+    expect(details.itemized).toBe(false);
+    expect(details.model).toBeNull();
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Prompts for the model step of order extraction.
+ */
+
+const { RESPONSE_SHAPE, NOT_PURCHASE_SHAPE } = require('./schema');
+
+// Long emails keep their start (the items) and end (totals and payment)
+const DEFAULT_MAX_CHARS = 24000;
+const TAIL_SHARE = 0.3;
+
+function maxChars() {
+  return parseInt(process.env.EXTRACTION_MAX_CHARS) || DEFAULT_MAX_CHARS;
+}
+
+function fitBody(body) {
+  const limit = maxChars();
+  if (body.length <= limit) return body;
+  const tail = Math.floor(limit * TAIL_SHARE);
+  return `${body.slice(0, limit - tail)}\n[...]\n${body.slice(body.length - tail)}`;
+}
+
+function extractionPrompt({ from, subject, date, body }) {
+  return `Analyze this email and determine if it's a purchase/order confirmation email.
+
+EMAIL DETAILS:
+From: ${from || ''}
+Subject: ${subject || ''}
+Date: ${date || ''}
+Body:
+${fitBody(body)}
+
+INSTRUCTIONS:
+1. Determine if this is a purchase confirmation, order receipt, or shipping notification for an actual product purchase
+2. If it IS a purchase email, extract the following information:
+   - Every line item purchased, one entry per item (NOT the email subject - find the real item names)
+   - The unit price and quantity of each item (price is for ONE unit, before order-level discounts)
+   - The retailer/store name
+   - Order ID if present
+   - The purchase date
+   - Product URL if available (link to the product page)
+   - The exact variant of each item: size, color, storage capacity and condition (new, refurbished/renewed, used, open box) when shown
+   - Order totals: subtotal, tax, shipping, order-level discounts (coupons, promotions) as a positive amount, and total
+   - How the order was paid: each card charged with its last 4 digits and amount (orders can be split across cards)
+3. Use null for anything the email doesn't show; don't guess
+
+If this IS a purchase/order email, respond with this JSON format:
+${RESPONSE_SHAPE}
+
+If this is NOT a purchase email (marketing, newsletter, account notification, etc.), respond with:
+${NOT_PURCHASE_SHAPE}
+
+IMPORTANT: Return ONLY valid JSON, no other text.`;
+}
+
+// Sent back with a reply that wasn't valid JSON or didn't match the shape
+function repairPrompt(reply, errors) {
+  return `Your previous reply to an order extraction request could not be used:
+${errors.map(error => `- ${error}`).join('\n')}
+
+PREVIOUS REPLY:
+${String(reply || '').slice(0, 8000)}
+
+Return the same information as ONLY valid JSON in this format:
+${RESPONSE_SHAPE}
+
+or, if the email was not a purchase:
+${NOT_PURCHASE_SHAPE}`;
+}
+
+module.exports = {
+  extractionPrompt,
+  repairPrompt
+};
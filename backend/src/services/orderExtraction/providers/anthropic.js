@@ -0,0 +1,41 @@
+/**
+ * Anthropic provider. Configured with ANTHROPIC_API_KEY; EXTRACTION_MODEL
+ * picks the model.
+ */
+
+const Anthropic = require('@anthropic-ai/sdk');
+
+const DEFAULT_MODEL = 'claude-haiku-4-5';
+
+let client = null;
+
+module.exports = {
+  name: 'anthropic',
+
+  isConfigured() {
+    return Boolean(process.env.ANTHROPIC_API_KEY);
+  },
+
+  model() {
+    return process.env.EXTRACTION_MODEL || DEFAULT_MODEL;
+  },
+
+  async complete({ prompt, maxTokens }) {
+    if (!client) {
+      // Reads ANTHROPIC_API_KEY itself
+      client = new Anthropic();
+    }
+
+    const response = await client.messages.create({
+      model: this.model(),
+      max_tokens: maxTokens,
+      temperature: 0,
+      messages: [{ role: 'user', content: prompt }]
+    });
+
+    return response.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+  }
+};
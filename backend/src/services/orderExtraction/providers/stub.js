@@ -0,0 +1,62 @@
+/**
+ * Stub provider: replies without calling any model, so tests and staging run
+ * the whole pipeline deterministically. Replies come, in order, from
+ *   - setReplies([...]) in the same process, or
+ *   - EXTRACTION_STUB_FILE, a JSON array of replies
+ * and the last one repeats. A reply is a string (sent as is, so malformed
+ * output can be replayed) or an object (sent as JSON). With neither, every
+ * email is "not a purchase" and the pattern parsers' results are used alone.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Prompts kept for inspection
+const MAX_PROMPTS = 20;
+
+const NOT_A_PURCHASE = { isPurchase: false, reason: 'Stub extraction provider has no reply for this email' };
+
+let replies = null;
+let calls = 0;
+
+function loadReplies() {
+  if (replies) return replies;
+  const file = process.env.EXTRACTION_STUB_FILE;
+  if (!file) return [];
+  replies = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+  if (!Array.isArray(replies)) {
+    throw new Error('EXTRACTION_STUB_FILE must contain a JSON array of replies');
+  }
+  return replies;
+}
+
+module.exports = {
+  name: 'stub',
+
+  isConfigured() {
+    return true;
+  },
+
+  model() {
+    return 'stub';
+  },
+
+  // Replace the replies (and start again from the first)
+  setReplies(list) {
+    replies = list;
+    calls = 0;
+    this.prompts.length = 0;
+  },
+
+  // The last prompts sent, newest last
+  prompts: [],
+
+  async complete({ prompt }) {
+    this.prompts.push(prompt);
+    if (this.prompts.length > MAX_PROMPTS) this.prompts.shift();
+    const list = loadReplies();
+    const reply = list.length ? list[Math.min(calls, list.length - 1)] : NOT_A_PURCHASE;
+    calls++;
+    return typeof reply === 'string' ? reply : JSON.stringify(reply);
+  }
+};
@@ -0,0 +1,181 @@
+/**
+ * The JSON a model returns for an order email, and the checks it has to pass
+ * before any of it is used. Numbers sent as strings ("$12.34") are coerced
+ * first; anything still wrong is listed so the repair step can send it back.
+ */
+
+const CATEGORIES = ['electronics', 'clothing', 'travel', 'food', 'services', 'home', 'other'];
+const NETWORKS = ['visa', 'mastercard', 'amex', 'discover'];
+const CONDITIONS = ['new', 'refurbished', 'used', 'open box'];
+const AMOUNT_FIELDS = ['subtotal', 'tax', 'shipping', 'discount', 'totalPrice'];
+
+// The shape shown to the model, in the prompt and again when asking for a repair
+const RESPONSE_SHAPE = `{
+  "isPurchase": true,
+  "items": [
+    {
+      "productName": "The actual product name from the email body",
+      "price": 123.45,
+      "quantity": 1,
+      "productUrl": "https://retailer.com/product/... or null if not found",
+      "variant": {
+        "size": "size or null",
+        "color": "color or null",
+        "storage": "storage capacity like 512GB or null",
+        "condition": "${CONDITIONS.join('|')}, or null"
+      }
+    }
+  ],
+  "retailer": "Store Name",
+  "orderId": "order number or null",
+  "purchaseDate": "YYYY-MM-DD",
+  "subtotal": 123.45,
+  "tax": 10.19,
+  "shipping": 0,
+  "discount": 0,
+  "totalPrice": 133.64,
+  "payments": [
+    { "cardLast4": "1234 or null", "network": "${NETWORKS.join('|')} or null", "amount": 133.64 }
+  ],
+  "category": "${CATEGORIES.join('|')}"
+}`;
+
+const NOT_PURCHASE_SHAPE = `{
+  "isPurchase": false,
+  "reason": "Brief explanation of why this isn't a purchase email"
+}`;
+
+/**
+ * The JSON object in a model's reply: the whole reply, or the part between
+ * the first "{" and the last "}" (replies sometimes come fenced or with a preamble).
+ * @returns {Object} the parsed object
+ * @throws {SyntaxError} when there is none
+ */
+function parseReply(text) {
+  const trimmed = String(text || '').trim();
+  try {
+    return JSON.parse(trimmed);
+  } catch (error) {
+    const start = trimmed.indexOf('{');
+    const end = trimmed.lastIndexOf('}');
+    if (start === -1 || end <= start) throw error;
+    return JSON.parse(trimmed.slice(start, end + 1));
+  }
+}
+
+// "$1,234.50" -> 1234.5; null stays null; anything else is left for validate() to report
+function coerceAmount(value) {
+  if (typeof value !== 'string') return value;
+  const cleaned = value.replace(/[$,\s]/g, '');
+  if (cleaned === '') return null;
+  const amount = Number(cleaned);
+  return Number.isFinite(amount) ? amount : value;
+}
+
+function coerce(result) {
+  if (!result || typeof result !== 'object' || Array.isArray(result)) return result;
+  const coerced = { ...result };
+
+  for (const field of AMOUNT_FIELDS) {
+    if (field in coerced) coerced[field] = coerceAmount(coerced[field]);
+  }
+  if (Array.isArray(coerced.items)) {
+    coerced.items = coerced.items.map(item => item && typeof item === 'object'
+      ? {
+        ...item,
+        price: coerceAmount(item.price),
+        quantity: typeof item.quantity === 'string' ? coerceAmount(item.quantity) : item.quantity
+      }
+      : item);
+  }
+  if (Array.isArray(coerced.payments)) {
+    coerced.payments = coerced.payments.map(payment => payment && typeof payment === 'object'
+      ? { ...payment, amount: coerceAmount(payment.amount), cardLast4: payment.cardLast4 == null ? null : String(payment.cardLast4) }
+      : payment);
+  }
+  for (const field of ['orderId', 'retailer', 'purchaseDate', 'category']) {
+    if (coerced[field] === '' || coerced[field] === 'N/A') coerced[field] = null;
+  }
+  return coerced;
+}
+
+const isAmount = value => value == null || (typeof value === 'number' && Number.isFinite(value) && value >= 0);
+const isText = value => value == null || typeof value === 'string';
+
+/**
+ * What is wrong with a (coerced) reply.
+ * @returns {string[]} one message per problem; empty when it can be used
+ */
+function validate(result) {
+  if (!result || typeof result !== 'object' || Array.isArray(result)) {
+    return ['the reply must be a JSON object'];
+  }
+  if (typeof result.isPurchase !== 'boolean') {
+    return ['"isPurchase" must be true or false'];
+  }
+  if (!result.isPurchase) return [];
+
+  const errors = [];
+
+  if (!Array.isArray(result.items) || result.items.length === 0) {
+    errors.push('"items" must be a non-empty array');
+  } else {
+    result.items.forEach((item, index) => {
+      const at = `items[${index}]`;
+      if (!item || typeof item !== 'object') {
+        errors.push(`${at} must be an object`);
+        return;
+      }
+      if (!isText(item.productName)) errors.push(`${at}.productName must be a string`);
+      if (typeof item.price !== 'number' || !Number.isFinite(item.price) || item.price < 0) {
+        errors.push(`${at}.price must be a number (the price of one unit)`);
+      }
+      if (item.quantity != null && (!Number.isInteger(item.quantity) || item.quantity < 1)) {
+        errors.push(`${at}.quantity must be a whole number of at least 1`);
+      }
+      if (!isText(item.productUrl)) errors.push(`${at}.productUrl must be a string or null`);
+      if (item.variant != null && (typeof item.variant !== 'object' || Array.isArray(item.variant))) {
+        errors.push(`${at}.variant must be an object or null`);
+      }
+    });
+  }
+
+  for (const field of AMOUNT_FIELDS) {
+    if (!isAmount(result[field])) errors.push(`"${field}" must be a non-negative number or null`);
+  }
+  for (const field of ['retailer', 'orderId']) {
+    if (!isText(result[field])) errors.push(`"${field}" must be a string or null`);
+  }
+  if (result.purchaseDate != null && !/^\d{4}-\d{2}-\d{2}$/.test(result.purchaseDate)) {
+    errors.push('"purchaseDate" must be YYYY-MM-DD or null');
+  }
+  if (result.category != null && !CATEGORIES.includes(result.category)) {
+    errors.push(`"category" must be one of ${CATEGORIES.join(', ')} or null`);
+  }
+  if (result.payments != null) {
+    if (!Array.isArray(result.payments)) {
+      errors.push('"payments" must be an array');
+    } else {
+      result.payments.forEach((payment, index) => {
+        if (!payment || typeof payment !== 'object') {
+          errors.push(`payments[${index}] must be an object`);
+          return;
+        }
+        if (payment.cardLast4 != null && !/^\d{4}$/.test(payment.cardLast4)) {
+          errors.push(`payments[${index}].cardLast4 must be 4 digits or null`);
+        }
+        if (!isAmount(payment.amount)) errors.push(`payments[${index}].amount must be a non-negative number or null`);
+      });
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  RESPONSE_SHAPE,
+  NOT_PURCHASE_SHAPE,
+  parseReply,
+  coerce,
+  validate
+};
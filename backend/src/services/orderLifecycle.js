@@ -0,0 +1,345 @@
+/**
+ * Order Lifecycle
+ *
+ * Retailers email again after the order confirmation: shipped, delivered,
+ * cancelled, return received, refund issued. The mailbox sync hands those
+ * emails here instead of reading them as new orders. Each one is recorded as
+ * an OrderEvent and linked to the order's purchases by retailerOrderId:
+ *   - CANCELLED moves the items to CANCELLED
+ *   - RETURNED and REFUNDED move them to RETURNED, or to PARTIALLY_REFUNDED
+ *     when the refund is less than what the items cost
+ *   - SHIPPED and DELIVERED are only recorded
+ * A cancelled, returned or refunded item is no longer monitored, and its open
+ * claims are SUSPENDED: the issuer would deny them.
+ *
+ * An event that arrives before its order (a backfill reads newest first) is
+ * kept and applied when the order is saved (applyPending).
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../utils/logger');
+const { stripHtml } = require('./aiParser');
+const { allocateDiscount } = require('../utils/orderUtils');
+
+const prisma = new PrismaClient();
+
+// First match wins, so the most decisive events come first
+const SUBJECT_PATTERNS = [
+  ['CANCELLED', [
+    /\b(has been|have been|was|were|successfully|order|item|items)\s+cancel+ed\b/i,
+    /^cancel+ed\b/i,
+    /\bcancel+ation\s+(confirmation|confirmed|complete)/i
+  ]],
+  ['RETURNED', [
+    /\breturn(ed items?)?\b.*\b(received|processed|complete|completed)\b/i,
+    /\bwe('ve| have) received your return/i
+  ]],
+  ['REFUNDED', [
+    /\brefund(ed)?\b(?!\s+request)/i
+  ]],
+  ['DELIVERED', [
+    /^delivered\b/i,
+    /\b(has been|have been|was|were)\s+delivered\b/i
+  ]],
+  ['SHIPPED', [
+    /\b(has|have)\s+shipped\b/i,
+    /^shipped\b/i,
+    /\bshipping confirmation\b/i,
+    /\bon (its|the) way\b/i,
+    /\bout for delivery\b/i
+  ]]
+];
+
+// Confirmations mention cancelling, returns and shipping in their bodies too, so
+// the body only counts when one of its opening sentences states the event as done
+const BODY_PATTERNS = [
+  ['CANCELLED', [
+    /\byour (order|item|items)\b.{0,60}\b(has been|have been|was|were)\s+cancel+ed\b/i,
+    /\bwe('ve| have)\s+cancel+ed\b/i
+  ]],
+  ['RETURNED', [
+    /\bwe('ve| have) received your return/i,
+    /\byour return\b.{0,40}\b(has been|was)\s+(received|processed|completed)\b/i
+  ]],
+  ['REFUNDED', [
+    /\bwe('ve| have)\s+(issued|processed)\s+(a|your)\s+refund\b/i,
+    /\byour refund\b.{0,40}\b(has been|was)\s+(issued|processed)\b/i
+  ]],
+  ['DELIVERED', [
+    /\byour (order|package|item|items|shipment)\b.{0,40}\b(has been|have been|was|were)\s+delivered\b/i
+  ]],
+  ['SHIPPED', [
+    /\byour (order|package|item|items|shipment)\b.{0,40}\b(has|have)\s+shipped\b/i,
+    /\byour (order|package|item|items|shipment)\b.{0,40}\b(is|are)\s+on (its|their|the) way\b/i
+  ]]
+];
+
+// How much of the body the news is expected in
+const BODY_HEAD_CHARS = 1000;
+
+// "We'll email you when your items have shipped" is a promise, not the event
+const CONDITIONAL = /\b(when|once|if|after|until|before)\b/i;
+
+const REFUND_AMOUNT_PATTERNS = [
+  /\b(?:total\s+refund|refund\s+total|amount\s+refunded)\b[^$\n]{0,30}\$\s?([\d,]+\.\d{2})/i,
+  /\brefund(?:ed)?\b[^$\n]{0,40}\$\s?([\d,]+\.\d{2})/i
+];
+
+// Purchase status each event moves items to; refunds can be partial
+const EVENT_STATUS = {
+  CANCELLED: 'CANCELLED',
+  RETURNED: 'RETURNED',
+  REFUNDED: 'RETURNED'
+};
+
+// A purchase only moves forward: partly refunded, then returned or cancelled
+const STATUS_RANK = { PARTIALLY_REFUNDED: 1, RETURNED: 2, CANCELLED: 2 };
+
+// Claims the issuer hasn't decided yet
+const OPEN_CLAIM_STATUSES = ['DRAFT', 'READY_TO_FILE', 'PENDING', 'EMAIL_SENT', 'FILED', 'PENDING_REVIEW', 'ADDITIONAL_INFO_NEEDED'];
+
+// Claims whose email has gone out; the user has to withdraw these with the issuer
+const SENT_CLAIM_STATUSES = ['EMAIL_SENT', 'FILED', 'PENDING_REVIEW', 'ADDITIONAL_INFO_NEEDED'];
+
+const EVENT_LABELS = {
+  CANCELLED: { title: 'Order Cancelled', verb: 'was cancelled' },
+  RETURNED: { title: 'Return Received', verb: 'was returned' },
+  REFUNDED: { title: 'Refund Issued', verb: 'was refunded' },
+  PARTIAL: { title: 'Partial Refund Issued', verb: 'was partly refunded' }
+};
+
+function round(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+// Lowercase letters and digits, for matching product names loosely
+function normalize(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// A store's key, as emailParser.retailerByName reads it: "Best Buy", "Bestbuy"
+// and "BEST-BUY" are the same retailer
+function retailerKey(name) {
+  return String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function firstMatch(patternsByType, text) {
+  for (const [type, patterns] of patternsByType) {
+    if (patterns.some(pattern => pattern.test(text))) return type;
+  }
+  return null;
+}
+
+function lineTotal(purchase) {
+  return purchase.purchasePrice * (purchase.quantity || 1);
+}
+
+class OrderLifecycle {
+  /**
+   * Which lifecycle event an email is, from its subject or else the start of its body.
+   * @returns {string|null} OrderEventType, or null for anything else (e.g. an order confirmation)
+   */
+  classify(parsedEmail) {
+    const bySubject = firstMatch(SUBJECT_PATTERNS, parsedEmail.subject || '');
+    if (bySubject) return bySubject;
+
+    const head = (parsedEmail.text || stripHtml(parsedEmail.html || '')).slice(0, BODY_HEAD_CHARS);
+    for (const sentence of head.split(/(?<=[.!?])\s+|\n+/)) {
+      if (CONDITIONAL.test(sentence)) continue;
+      const type = firstMatch(BODY_PATTERNS, sentence);
+      if (type) return type;
+    }
+    return null;
+  }
+
+  /**
+   * Record a lifecycle email and apply it to its order's purchases.
+   * @param {Object} source - type (from classify), retailerName, retailerConfig (RETAILER_PATTERNS entry)
+   * @returns {Promise<Object|null>} the OrderEvent, or null if it names no order or was already recorded
+   */
+  async recordEmail(userId, parsedEmail, emailId, { type, retailerName, retailerConfig }) {
+    const text = `${parsedEmail.subject || ''}\n${parsedEmail.text || stripHtml(parsedEmail.html || '')}`;
+
+    const retailerOrderId = text.match(retailerConfig.orderIdRegex)?.[1];
+    if (!retailerOrderId) {
+      logger.info(`${type} email ${emailId} from ${retailerName} names no order number; ignored`);
+      return null;
+    }
+
+    const amountMatch = type === 'CANCELLED' ? null : REFUND_AMOUNT_PATTERNS.map(pattern => text.match(pattern)).find(Boolean);
+
+    let event;
+    try {
+      event = await prisma.orderEvent.create({
+        data: {
+          userId,
+          retailer: retailerName,
+          retailerOrderId,
+          type,
+          amount: amountMatch ? parseFloat(amountMatch[1].replace(/,/g, '')) : null,
+          sourceEmailId: emailId,
+          subject: parsedEmail.subject || null,
+          excerpt: text.substring(0, 2000),
+          occurredAt: parsedEmail.date || new Date()
+        }
+      });
+    } catch (error) {
+      if (error.code === 'P2002') return null; // Already recorded by a concurrent sync
+      throw error;
+    }
+
+    logger.info(`Order ${retailerOrderId} from ${retailerName}: ${type.toLowerCase()} (email ${emailId})`);
+
+    const purchases = await this.orderPurchases(userId, retailerName, retailerOrderId);
+    if (purchases.length) {
+      await this.apply(event, purchases, text);
+    }
+    return event;
+  }
+
+  /**
+   * Apply events that arrived before this order was imported.
+   * @param {Object} order - just saved
+   * @returns {Promise<number>} events applied
+   */
+  async applyPending(order) {
+    if (!order.retailerOrderId) return 0;
+
+    const events = await prisma.orderEvent.findMany({
+      where: { userId: order.userId, retailerOrderId: order.retailerOrderId, applied: false },
+      orderBy: { occurredAt: 'asc' }
+    });
+    const pending = events.filter(event => retailerKey(event.retailer) === retailerKey(order.retailer));
+    if (!pending.length) return 0;
+
+    for (const event of pending) {
+      // Re-read each time: the one before may have changed them
+      const purchases = await this.orderPurchases(order.userId, order.retailer, order.retailerOrderId);
+      await this.apply(event, purchases, event.excerpt || '');
+    }
+    return pending.length;
+  }
+
+  // The purchases of an order, whichever source it was imported from
+  async orderPurchases(userId, retailerName, retailerOrderId) {
+    const purchases = await prisma.purchase.findMany({
+      where: { userId, retailerOrderId },
+      include: { claims: true },
+      orderBy: { lineIndex: 'asc' }
+    });
+    return purchases.filter(purchase => retailerKey(purchase.retailer) === retailerKey(retailerName));
+  }
+
+  // The line items an email names; none named means the whole order
+  affectedPurchases(purchases, text) {
+    if (purchases.length < 2) return purchases;
+    const body = normalize(text);
+    const named = purchases.filter(purchase => {
+      const name = normalize(purchase.productName).slice(0, 30).trim();
+      return name.length >= 8 && body.includes(name);
+    });
+    return named.length ? named : purchases;
+  }
+
+  /**
+   * Move the purchases an event is about to their new status, suspend their
+   * open claims and tell the user.
+   */
+  async apply(event, purchases, text) {
+    const orderId = purchases.find(purchase => purchase.orderId)?.orderId || null;
+    const affected = this.affectedPurchases(purchases, text);
+    const named = affected.length < purchases.length ? affected.map(purchase => purchase.productName) : null;
+
+    const changed = [];
+    let suspended = 0;
+    let alreadySent = 0;
+    let partial = false;
+
+    const target = EVENT_STATUS[event.type];
+    if (target) {
+      // A refund is shared across the items it covers like an order discount is
+      const refunds = event.amount != null
+        ? allocateDiscount(affected.map(purchase => ({ unitPrice: purchase.purchasePrice, quantity: purchase.quantity })), event.amount)
+        : affected.map(() => null);
+
+      for (const [index, purchase] of affected.entries()) {
+        let status = target;
+        let refundedAmount = purchase.refundedAmount;
+
+        if (event.type !== 'CANCELLED' && refunds[index] != null) {
+          refundedAmount = round((purchase.refundedAmount || 0) + refunds[index]);
+          // Refunds include tax, so one below the net price is for part of the item
+          if (refundedAmount < round(lineTotal(purchase)) - 0.01) status = 'PARTIALLY_REFUNDED';
+        }
+
+        if ((STATUS_RANK[status] || 0) < (STATUS_RANK[purchase.status] || 0)) continue;
+        if (status === purchase.status && status !== 'PARTIALLY_REFUNDED') continue;
+        if (status === 'PARTIALLY_REFUNDED') partial = true;
+
+        await prisma.purchase.update({
+          where: { id: purchase.id },
+          data: { status, refundedAmount }
+        });
+        changed.push(purchase);
+
+        for (const claim of purchase.claims.filter(claim => OPEN_CLAIM_STATUSES.includes(claim.status))) {
+          if (SENT_CLAIM_STATUSES.includes(claim.status)) alreadySent++;
+          await this.suspendClaim(claim, event);
+          suspended++;
+        }
+      }
+    }
+
+    await prisma.orderEvent.update({
+      where: { id: event.id },
+      data: { orderId, applied: true, ...(named && { items: named }) }
+    });
+
+    if (changed.length) {
+      await this.notify(event, changed, { partial, suspended, alreadySent, orderId });
+      logger.info(`Order ${event.retailerOrderId}: ${changed.length} purchase(s) ${event.type.toLowerCase()}, ${suspended} claim(s) suspended`);
+    }
+  }
+
+  async suspendClaim(claim, event) {
+    const statusHistory = Array.isArray(claim.statusHistory) ? [...claim.statusHistory] : [];
+    statusHistory.push({
+      status: 'SUSPENDED',
+      timestamp: new Date().toISOString(),
+      notes: `Order ${event.retailerOrderId} ${event.type.toLowerCase()} (${event.subject || 'retailer email'}); was ${claim.status}`
+    });
+    await prisma.claim.update({
+      where: { id: claim.id },
+      data: { status: 'SUSPENDED', statusHistory }
+    });
+  }
+
+  async notify(event, purchases, { partial, suspended, alreadySent, orderId }) {
+    const label = EVENT_LABELS[partial && event.type !== 'CANCELLED' ? 'PARTIAL' : event.type];
+    const items = purchases.length === 1 ? purchases[0].productName : `${purchases.length} items`;
+
+    let message = `${items} from your ${event.retailer} order #${event.retailerOrderId} ${label.verb}; `;
+    message += `we stopped monitoring ${purchases.length === 1 ? 'its price' : 'their prices'}.`;
+    if (suspended) {
+      message += ` ${suspended} open claim${suspended === 1 ? ' was' : 's were'} suspended`;
+      message += alreadySent ? ' — withdraw any claim already sent to the card issuer.' : '.';
+    }
+
+    await prisma.notification.create({
+      data: {
+        userId: event.userId,
+        type: suspended ? 'CLAIM_STATUS_UPDATE' : 'SYSTEM',
+        title: label.title,
+        message,
+        data: {
+          orderId,
+          orderEventId: event.id,
+          purchaseId: purchases[0].id,
+          purchaseIds: purchases.map(purchase => purchase.id)
+        }
+      }
+    });
+  }
+}
+
+module.exports = new OrderLifecycle();
@@ -0,0 +1,66 @@
+jest.mock('@prisma/client', () => require('../../test/prismaMock'));
+
+const { prisma, resetPrisma } = require('@prisma/client');
+const orderLifecycle = require('./orderLifecycle');
+
+describe('orderLifecycle.classify', () => {
+  it.each([
+    ['Your order #112-4455 has been cancelled', 'CANCELLED'],
+    ['Your Amazon.com order has shipped', 'SHIPPED'],
+    ['Delivered: Sony WH-1000XM5', 'DELIVERED'],
+    ['Your refund for order BBY01-806512', 'REFUNDED']
+  ])('reads "%s" from the subject', (subject, type) => {
+    expect(orderLifecycle.classify({ subject, text: '' })).toBe(type);
+  });
+
+  it.each([
+    ['Hi Sam, good news! Your order BBY01-806512 has shipped and should arrive Tuesday.', 'SHIPPED'],
+    ['Hello Sam,\nWe\'ve received your return for order 112-4455-6677889.', 'RETURNED'],
+    ['Your refund of $49.99 has been issued to your Visa ending in 4242.', 'REFUNDED'],
+    ['As you requested, your items from order 2000118 were cancelled.', 'CANCELLED']
+  ])('reads the body when the subject is generic', (text, type) => {
+    expect(orderLifecycle.classify({ subject: 'An update on your order', text })).toBe(type);
+  });
+
+  it('reads the body of an HTML-only email', () => {
+    const html = '<p>Hi Sam,</p><p>Your package was delivered at 2:14 PM.</p>';
+
+    expect(orderLifecycle.classify({ subject: 'Order update', html })).toBe('DELIVERED');
+  });
+
+  it('leaves order confirmations alone', () => {
+    const text = [
+      'Thanks for your order, Sam!',
+      'Order #BBY01-806512 placed on March 3.',
+      'We\'ll email you when your items have shipped.',
+      'Need to cancel? Orders can be cancelled within 30 minutes of being placed.',
+      'Returns: most items can be returned within 15 days. Once your return has been received, your refund will be issued in 3-5 days.'
+    ].join('\n');
+
+    expect(orderLifecycle.classify({ subject: 'Thanks for your order', text })).toBeNull();
+  });
+
+  it('ignores events mentioned deep in the body', () => {
+    const text = `${'Recommended for you. '.repeat(60)}Your order has shipped.`;
+
+    expect(orderLifecycle.classify({ subject: 'Deals picked for you', text })).toBeNull();
+  });
+});
+
+describe('orderLifecycle.orderPurchases', () => {
+  beforeEach(() => {
+    resetPrisma();
+  });
+
+  it('matches the retailer however its name was written', async () => {
+    prisma.purchase.findMany.mockResolvedValue([
+      { id: 'purchase-1', retailer: 'Best Buy' },
+      { id: 'purchase-2', retailer: 'BEST-BUY' },
+      { id: 'purchase-3', retailer: 'Best Buy Outlet' }
+    ]);
+
+    const purchases = await orderLifecycle.orderPurchases('user-1', 'Bestbuy', 'BBY01-806512');
+
+    expect(purchases.map(purchase => purchase.id)).toEqual(['purchase-1', 'purchase-2']);
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * Price Check Pool
+ *
+ * Runs price checks concurrently across retailers while limiting each retailer
+ * ("domain key") to a number of in-flight checks and a minimum gap between
+ * request starts. Collects throughput and per-domain error stats for each run.
+ *
+ * A pool is long-lived: runs that overlap (the scheduled cycle and the first
+ * checks of new purchases) share its limits instead of each getting their own,
+ * so together they never hit a retailer harder than one run would.
+ */
+
+const logger = require('../utils/logger');
+
+const DEFAULTS = {
+  concurrency: parseInt(process.env.PRICE_CHECK_CONCURRENCY) || 4,
+  domainConcurrency: parseInt(process.env.PRICE_CHECK_DOMAIN_CONCURRENCY) || 1,
+  domainIntervalMs: parseInt(process.env.PRICE_CHECK_DOMAIN_INTERVAL_MS) || 2000
+};
+
+class PriceCheckPool {
+  /**
+   * @param {Object} options
+   * @param {number} options.concurrency - Total checks in flight
+   * @param {number} options.domainConcurrency - Default checks in flight per domain
+   * @param {number} options.domainIntervalMs - Default minimum ms between request starts per domain
+   * @param {Function} options.limitsFor - (domainKey) => { concurrency, intervalMs } overrides
+   */
+  constructor(options = {}) {
+    this.concurrency = options.concurrency || DEFAULTS.concurrency;
+    this.domainConcurrency = options.domainConcurrency || DEFAULTS.domainConcurrency;
+    this.domainIntervalMs = options.domainIntervalMs ?? DEFAULTS.domainIntervalMs;
+    this.limitsFor = options.limitsFor || (() => ({}));
+
+    this.domains = new Map();
+    this.active = 0;
+    this.timer = null;
+  }
+
+  // A domain's queue and limits; limits are re-read whenever the domain was idle.
+  // Idle domains are kept so the gap after their last request still holds.
+  domain(key) {
+    let domain = this.domains.get(key);
+    if (!domain) {
+      domain = { queue: [], active: 0, lastStart: 0 };
+      this.domains.set(key, domain);
+    }
+    if (!domain.queue.length && !domain.active) {
+      const limits = this.limitsFor(key) || {};
+      domain.concurrency = limits.concurrency || this.domainConcurrency;
+      domain.intervalMs = limits.intervalMs ?? this.domainIntervalMs;
+    }
+    return domain;
+  }
+
+  /**
+   * Run `worker(item)` for every task.
+   * @param {Array<{ key: string, item: any }>} tasks - key is the domain the check hits
+   * @param {Function} worker - async (item) => result; throw or return { success: false } on failure
+   * @param {Function} onResult - optional (item, result) => void
+   * @param {Object} options - { priority: true } to go ahead of checks already waiting
+   * @returns {Promise<Object>} run stats
+   */
+  async run(tasks, worker, onResult = () => {}, { priority = false } = {}) {
+    const startedAt = Date.now();
+    const stats = new Map();
+
+    await new Promise((resolve) => {
+      if (!tasks.length) return resolve();
+      let remaining = tasks.length;
+
+      const finish = (key, began, failed) => {
+        const domainStats = stats.get(key);
+        domainStats.checked++;
+        domainStats.totalMs += Date.now() - began;
+        if (failed) domainStats.errors++;
+        if (--remaining === 0) resolve();
+      };
+
+      const queued = new Map();
+      for (const { key, item } of tasks) {
+        if (!stats.has(key)) stats.set(key, { checked: 0, errors: 0, totalMs: 0 });
+        if (!queued.has(key)) queued.set(key, []);
+        queued.get(key).push({ item, worker, onResult, finish });
+      }
+      for (const [key, entries] of queued) {
+        const domain = this.domain(key);
+        if (priority) domain.queue.unshift(...entries);
+        else domain.queue.push(...entries);
+      }
+
+      this.schedule();
+    });
+
+    const durationMs = Date.now() - startedAt;
+    const perDomain = {};
+    for (const [key, domainStats] of stats) {
+      perDomain[key] = {
+        checked: domainStats.checked,
+        errors: domainStats.errors,
+        errorRate: domainStats.checked ? Math.round((domainStats.errors / domainStats.checked) * 1000) / 10 : 0,
+        avgMs: domainStats.checked ? Math.round(domainStats.totalMs / domainStats.checked) : 0
+      };
+    }
+
+    return {
+      total: tasks.length,
+      durationMs,
+      checksPerMinute: durationMs ? Math.round((tasks.length / durationMs) * 60000 * 10) / 10 : 0,
+      domains: perDomain
+    };
+  }
+
+  // Start every check the limits allow now, and wake up for the next one that has to wait
+  schedule() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    let nextWake = Infinity;
+
+    for (const [key, domain] of this.domains) {
+      while (this.active < this.concurrency && domain.queue.length && domain.active < domain.concurrency) {
+        const wait = domain.lastStart + domain.intervalMs - Date.now();
+        if (wait > 0) {
+          nextWake = Math.min(nextWake, wait);
+          break;
+        }
+        this.start(key, domain, domain.queue.shift());
+      }
+    }
+
+    if (nextWake !== Infinity) {
+      this.timer = setTimeout(() => this.schedule(), nextWake);
+    }
+  }
+
+  start(key, domain, { item, worker, onResult, finish }) {
+    this.active++;
+    domain.active++;
+    domain.lastStart = Date.now();
+    const began = Date.now();
+    let failed = false;
+
+    Promise.resolve()
+      .then(() => worker(item))
+      .then(
+        (result) => {
+          if (result && result.success === false) failed = true;
+          onResult(item, result);
+        },
+        (error) => {
+          failed = true;
+          logger.error(`Price check worker error (${key}):`, error);
+          onResult(item, { success: false, error: error.message });
+        }
+      )
+      .finally(() => {
+        this.active--;
+        domain.active--;
+        finish(key, began, failed);
+        this.schedule();
+      });
+  }
+}
+
+module.exports = PriceCheckPool;
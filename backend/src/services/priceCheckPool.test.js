@@ -0,0 +1,79 @@
+const PriceCheckPool = require('./priceCheckPool');
+
+// A worker that records when each check starts and how many hit a domain at once
+function recorder() {
+  const started = [];
+  const inFlight = {};
+  const peak = {};
+  const worker = async ({ id, key }) => {
+    started.push(id);
+    inFlight[key] = (inFlight[key] || 0) + 1;
+    peak[key] = Math.max(peak[key] || 0, inFlight[key]);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    inFlight[key]--;
+    return { success: true };
+  };
+  return { started, peak, worker };
+}
+
+function tasks(key, ids) {
+  return ids.map(id => ({ key, item: { id, key } }));
+}
+
+describe('PriceCheckPool', () => {
+  it('keeps overlapping runs within one set of per-domain limits', async () => {
+    const pool = new PriceCheckPool({ concurrency: 4, domainConcurrency: 1, domainIntervalMs: 0 });
+    const { peak, worker } = recorder();
+
+    const [cycle, firstChecks] = await Promise.all([
+      pool.run(tasks('amazon', ['a1', 'a2', 'a3']), worker),
+      pool.run(tasks('amazon', ['n1', 'n2']), worker)
+    ]);
+
+    expect(peak.amazon).toBe(1);
+    expect(cycle.domains.amazon).toMatchObject({ checked: 3, errors: 0 });
+    expect(firstChecks.domains.amazon).toMatchObject({ checked: 2, errors: 0 });
+  });
+
+  it('starts priority checks ahead of ones already waiting', async () => {
+    const pool = new PriceCheckPool({ concurrency: 4, domainConcurrency: 1, domainIntervalMs: 0 });
+    const { started, worker } = recorder();
+
+    const cycle = pool.run(tasks('amazon', ['a1', 'a2', 'a3']), worker);
+    const firstChecks = pool.run(tasks('amazon', ['n1']), worker, undefined, { priority: true });
+    await Promise.all([cycle, firstChecks]);
+
+    expect(started).toEqual(['a1', 'n1', 'a2', 'a3']);
+  });
+
+  it('waits the domain interval between starts, also across runs', async () => {
+    const pool = new PriceCheckPool({ concurrency: 4, domainConcurrency: 2, domainIntervalMs: 30 });
+    const starts = [];
+    const worker = async () => { starts.push(Date.now()); return { success: true }; };
+
+    await pool.run(tasks('bestbuy', ['b1']), worker);
+    await pool.run(tasks('bestbuy', ['b2']), worker);
+
+    expect(starts[1] - starts[0]).toBeGreaterThanOrEqual(25);
+  });
+
+  it('counts thrown and failed checks as errors', async () => {
+    const pool = new PriceCheckPool({ domainIntervalMs: 0 });
+    const logger = require('../utils/logger');
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+    const results = [];
+
+    const stats = await pool.run(
+      tasks('target', ['t1', 't2', 't3']),
+      async ({ id }) => {
+        if (id === 't1') throw new Error('Navigation timeout');
+        return { success: id !== 't2' };
+      },
+      (item, result) => results.push([item.id, result.success])
+    );
+
+    expect(stats.domains.target).toMatchObject({ checked: 3, errors: 2, errorRate: 66.7 });
+    expect(results).toEqual(expect.arrayContaining([['t1', false], ['t2', false], ['t3', true]]));
+    logger.error.mockRestore();
+  });
+});
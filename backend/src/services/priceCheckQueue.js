@@ -0,0 +1,39 @@
+/**
+ * Price Check Queue
+ *
+ * Starts monitoring purchases as soon as they are added (manually, from a
+ * receipt, an import or the browser extension) instead of at the next
+ * scheduled cycle. With Redis they run as jobs on the first-price-checks queue,
+ * so they don't wait behind a cycle; without it they run in this process.
+ * Either way they go through the monitor's pool (services/priceCheckPool.js),
+ * sharing per-retailer limits and the browser with a cycle in the same process.
+ */
+
+const priceMonitor = require('./priceMonitor');
+const queues = require('../workers/queues');
+const logger = require('../utils/logger');
+
+class PriceCheckQueue {
+  /**
+   * Queue a first price check of these purchases. Never throws: a check that
+   * can't be queued still happens at the next cycle.
+   * @param {string[]} purchaseIds
+   */
+  async schedule(purchaseIds) {
+    if (!purchaseIds.length) return;
+
+    if (queues.isEnabled()) {
+      try {
+        await queues.enqueue('price-check-purchases', { purchaseIds });
+      } catch (error) {
+        logger.error(`Failed to queue price checks for ${purchaseIds.length} purchases:`, error);
+      }
+      return;
+    }
+
+    priceMonitor.checkPurchases(purchaseIds)
+      .catch(error => logger.error(`Price checks failed for ${purchaseIds.length} purchases:`, error));
+  }
+}
+
+module.exports = new PriceCheckQueue();
@@ -0,0 +1,129 @@
+/**
+ * Price reading confidence scoring.
+ *
+ * A single scrape can move a purchase to CLAIM_ELIGIBLE and trigger an auto-filed
+ * claim, so every reading is scored before it is trusted:
+ *   - how it was read (API and structured data beat CSS selectors)
+ *   - whether it agrees with recent PriceHistory
+ *   - how large the drop is relative to the purchase price
+ *
+ * Low-confidence drops must be confirmed by a second extraction method (or a
+ * later reading of the same price) before a claim can be created.
+ */
+
+// Base confidence per extraction method
+const METHOD_CONFIDENCE = {
+  api: 0.9,
+  jsonLd: 0.85,
+  embeddedState: 0.85,
+  microdata: 0.8,
+  openGraph: 0.7,
+  selectors: 0.65,
+  genericSelectors: 0.35,
+  text: 0.3
+};
+
+const CONFIDENCE_THRESHOLD = parseFloat(process.env.PRICE_CONFIDENCE_THRESHOLD) || 0.7;
+
+// Below this, seeing the same price again on a later check doesn't confirm it
+const REPEAT_CONFIRMATION_FLOOR = 0.4;
+
+// Two readings agree if they are within 2% (or 50 cents for cheap items)
+function readingsAgree(a, b) {
+  const tolerance = Math.max(0.5, Math.max(a, b) * 0.02);
+  return Math.abs(a - b) <= tolerance;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Score a reading for a purchase.
+ * @param {Object} reading  { price, method, availability, condition, currency }
+ * @param {Object} purchase { purchasePrice }
+ * @param {Array}  history  recent accepted PriceHistory rows (newest first)
+ * @returns {{ score: number, reasons: string[], dropPercent: number }}
+ */
+function scoreReading(reading, purchase, history = []) {
+  const reasons = [];
+  let score = METHOD_CONFIDENCE[reading.method] ?? 0.5;
+  reasons.push(`method ${reading.method} (${score})`);
+
+  const price = reading.price;
+  const dropPercent = purchase.purchasePrice > 0
+    ? ((purchase.purchasePrice - price) / purchase.purchasePrice) * 100
+    : 0;
+
+  // Size of the drop relative to what was paid
+  if (dropPercent >= 80) {
+    score -= 0.5;
+    reasons.push(`drop of ${dropPercent.toFixed(0)}% is implausible`);
+  } else if (dropPercent >= 50) {
+    score -= 0.3;
+    reasons.push(`drop of ${dropPercent.toFixed(0)}% is unusually large`);
+  } else if (dropPercent >= 30) {
+    score -= 0.1;
+    reasons.push(`drop of ${dropPercent.toFixed(0)}% is large`);
+  }
+
+  if (price < 1) {
+    score -= 0.3;
+    reasons.push('price under $1');
+  }
+
+  // Agreement with recent history
+  const recent = history.slice(0, 5).map(h => h.price);
+  if (recent.length) {
+    const typical = median(recent);
+    if (readingsAgree(price, typical)) {
+      score += 0.1;
+      reasons.push('matches recent readings');
+    } else if (price < typical * 0.5) {
+      score -= 0.2;
+      reasons.push(`less than half of recent median $${typical.toFixed(2)}`);
+    }
+  }
+
+  // Offer details that suggest this isn't the item that was bought
+  if (reading.availability && /OutOfStock|Discontinued|SoldOut/i.test(reading.availability)) {
+    score -= 0.2;
+    reasons.push(`availability ${reading.availability}`);
+  }
+  if (reading.condition && !/^New$/i.test(reading.condition)) {
+    score -= 0.2;
+    reasons.push(`condition ${reading.condition}`);
+  }
+  if (reading.currency && reading.currency !== 'USD') {
+    score -= 0.3;
+    reasons.push(`currency ${reading.currency}`);
+  }
+
+  return {
+    score: Math.max(0, Math.min(1, Math.round(score * 100) / 100)),
+    reasons,
+    dropPercent
+  };
+}
+
+/**
+ * Look for an independent reading that confirms `reading`.
+ * Candidates must come from a different extraction method and agree on price.
+ * @returns {Object|null} the confirming reading
+ */
+function findConfirmation(reading, candidates = []) {
+  return candidates.find(c =>
+    c && c.price && c.method !== reading.method && readingsAgree(c.price, reading.price)
+  ) || null;
+}
+
+module.exports = {
+  METHOD_CONFIDENCE,
+  CONFIDENCE_THRESHOLD,
+  REPEAT_CONFIRMATION_FLOOR,
+  readingsAgree,
+  scoreReading,
+  findConfirmation
+};
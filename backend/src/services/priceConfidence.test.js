@@ -0,0 +1,100 @@
+jest.mock('@prisma/client', () => require('../../test/prismaMock'));
+jest.mock('puppeteer', () => ({ launch: jest.fn(async () => { throw new Error('No browser in tests'); }) }));
+
+const { prisma, resetPrisma } = require('@prisma/client');
+const priceConfidence = require('./priceConfidence');
+const priceMonitor = require('./priceMonitor');
+
+const purchase = {
+  id: 'purchase-1',
+  userId: 'user-1',
+  productName: 'Sony WH-1000XM5',
+  productUrl: 'https://shop.example.com/sony-wh1000xm5',
+  purchasePrice: 348,
+  status: 'MONITORING',
+  variant: null,
+  user: { priceDropThreshold: 5 }
+};
+
+describe('priceConfidence.scoreReading', () => {
+  it('distrusts an 80% drop read by the generic selectors', () => {
+    const { score, reasons } = priceConfidence.scoreReading({ price: 19.99, method: 'genericSelectors' }, purchase);
+
+    expect(score).toBeLessThan(priceConfidence.CONFIDENCE_THRESHOLD);
+    expect(score).toBeLessThan(priceConfidence.REPEAT_CONFIRMATION_FLOOR);
+    expect(reasons).toContain('drop of 94% is implausible');
+  });
+
+  it('trusts a modest drop from the retailer API that matches recent readings', () => {
+    const history = [{ price: 299 }, { price: 299.99 }, { price: 298 }];
+
+    const { score } = priceConfidence.scoreReading({ price: 299, method: 'api', currency: 'USD' }, purchase, history);
+
+    expect(score).toBeGreaterThanOrEqual(priceConfidence.CONFIDENCE_THRESHOLD);
+  });
+
+  it('marks down used, out-of-stock and foreign-currency offers', () => {
+    const reading = { price: 320, method: 'jsonLd', condition: 'Used', availability: 'OutOfStock', currency: 'CAD' };
+
+    const { score, reasons } = priceConfidence.scoreReading(reading, purchase);
+
+    expect(score).toBeLessThan(priceConfidence.CONFIDENCE_THRESHOLD);
+    expect(reasons).toEqual(expect.arrayContaining(['condition Used', 'availability OutOfStock', 'currency CAD']));
+  });
+});
+
+describe('priceConfidence.findConfirmation', () => {
+  const reading = { price: 299, method: 'selectors' };
+
+  it('accepts an agreeing reading from a different method', () => {
+    const confirmation = priceConfidence.findConfirmation(reading, [
+      { price: 299, method: 'selectors' },
+      { price: 301.5, method: 'jsonLd' }
+    ]);
+
+    expect(confirmation).toEqual({ price: 301.5, method: 'jsonLd' });
+  });
+
+  it('rejects the same method and readings that disagree', () => {
+    expect(priceConfidence.findConfirmation(reading, [
+      { price: 299, method: 'selectors' },
+      { price: 279, method: 'api' },
+      null
+    ])).toBeNull();
+  });
+});
+
+describe('priceMonitor with low-confidence readings', () => {
+  beforeEach(() => {
+    resetPrisma();
+    jest.clearAllMocks();
+    prisma.purchase.findUnique.mockResolvedValue(purchase);
+    prisma.priceHistory.create.mockImplementation(async ({ data }) => ({ id: 'history-1', ...data }));
+  });
+
+  afterEach(() => {
+    priceMonitor.scrapePrice.mockRestore?.();
+  });
+
+  it('holds a "$1 off" style reading for confirmation instead of claiming', async () => {
+    jest.spyOn(priceMonitor, 'scrapePrice').mockResolvedValue({ price: 19.99, method: 'genericSelectors' });
+
+    const result = await priceMonitor.checkPriceForPurchase(purchase.id);
+
+    expect(result.success).toBe(true);
+    expect(prisma.priceHistory.create).toHaveBeenCalledWith({ data: expect.objectContaining({ price: 19.99, status: 'HELD' }) });
+    expect(prisma.purchase.update).toHaveBeenCalledWith({
+      where: { id: purchase.id },
+      data: { status: 'PRICE_NEEDS_CONFIRMATION' }
+    });
+    expect(prisma.priceHistory.create).not.toHaveBeenCalledWith({ data: expect.objectContaining({ status: 'ACCEPTED' }) });
+  });
+
+  it('takes a low-confidence reading confirmed by another method', async () => {
+    const reading = { price: 299, method: 'genericSelectors', alternates: [{ price: 299, method: 'jsonLd' }] };
+    const { score } = priceConfidence.scoreReading(reading, purchase);
+
+    expect(score).toBeLessThan(priceConfidence.CONFIDENCE_THRESHOLD);
+    expect(await priceMonitor.confirmReading(purchase, reading, score)).toBe('jsonLd');
+  });
+});
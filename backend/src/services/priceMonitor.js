@@ -1,98 +1,109 @@
 const puppeteer = require('puppeteer');
-const cheerio = require('cheerio');
-const axios = require('axios');
 const { PrismaClient } = require('@prisma/client');
 const logger = require('../utils/logger');
 const autoClaimFiler = require('./autoClaimFiler');
+const claimFilingLock = require('./claimFilingLock');
+const claimEligibility = require('./claimEligibility');
+const benefitLedger = require('./benefitLedger');
+const claimAmount = require('./claimAmount');
+const retailerAdjustments = require('./retailerAdjustments');
+const returnAdvisor = require('./returnAdvisor');
+const benefitCatalog = require('./benefitCatalog');
+const retailerAdapters = require('./retailerAdapters');
+const priceConfidence = require('./priceConfidence');
+const variantUtils = require('../utils/variantUtils');
+const jobLock = require('./jobLock');
+const PriceCheckPool = require('./priceCheckPool');
+const { parsePriceText } = require('./retailerAdapters/extractors');
 
 const prisma = new PrismaClient();
 
-// Price selectors for popular retailers
-const PRICE_SELECTORS = {
-  'amazon.com': [
-    '#priceblock_ourprice',
-    '#priceblock_dealprice',
-    '.a-price .a-offscreen',
-    '#corePrice_feature_div .a-price .a-offscreen',
-    '#apex_offerDisplay_desktop .a-price .a-offscreen',
-    'span[data-a-color="price"] .a-offscreen'
-  ],
-  'bestbuy.com': [
-    '.priceView-customer-price span',
-    '.priceView-hero-price span',
-    '[data-testid="customer-price"] span'
-  ],
-  'walmart.com': [
-    '[itemprop="price"]',
-    '.price-characteristic',
-    'span[data-automation="buybox-price"]'
-  ],
-  'target.com': [
-    '[data-test="product-price"]',
-    '.h-text-bs span',
-    '.styles__CurrentPriceFontSize-sc-1fx04p3-0'
-  ],
-  'costco.com': [
-    '#pull-right-price',
-    '.your-price .value'
-  ],
-  'newegg.com': [
-    '.price-current',
-    '.product-price .price-current'
-  ],
-  'homedepot.com': [
-    '.price__dollars',
-    '[data-testid="productPrice"] .price'
-  ],
-  'lowes.com': [
-    '.main-price',
-    '[data-selector="splp-item-price"]'
-  ]
-};
-
-// API-based price checking where available
-const PRICE_APIS = {
-  // Keepa API for Amazon (requires API key)
-  amazon: async (asin) => {
-    if (!process.env.KEEPA_API_KEY || !asin) return null;
-    try {
-      const response = await axios.get(
-        `https://api.keepa.com/product?key=${process.env.KEEPA_API_KEY}&domain=1&asin=${asin}`
-      );
-      const product = response.data.products?.[0];
-      if (product?.csv?.[0]) {
-        // Keepa stores prices in cents
-        const latestPrice = product.csv[0][product.csv[0].length - 1];
-        return latestPrice > 0 ? latestPrice / 100 : null;
-      }
-    } catch (err) {
-      logger.error('Keepa API error:', err);
-    }
-    return null;
-  }
-};
+// Puppeteer pages kept open between checks, and how many navigations before a
+// page is recycled (long-lived pages slowly leak memory)
+const PAGE_POOL_SIZE = parseInt(process.env.PRICE_CHECK_CONCURRENCY) || 4;
+const PAGE_MAX_USES = 50;
+
+// Lease for the price check cycle lock; renewed while the cycle runs
+const CYCLE_LOCK = 'price-check-cycle';
+const CYCLE_LOCK_TTL_MS = 15 * 60 * 1000;
 
 class PriceMonitor {
   constructor() {
     this.browser = null;
+    this.browserLaunch = null;
+    this.idlePages = [];
+    this.browserUsers = 0;
+    this.lastRun = null;
+
+    // One pool for the process, so the cycle and first checks of new purchases
+    // share each retailer's limits
+    this.pool = new PriceCheckPool({
+      limitsFor: (key) => retailerAdapters.getByName(key)?.rateLimit
+    });
   }
 
   async getBrowser() {
+    if (this.browser && !this.browser.isConnected()) {
+      this.browser = null;
+      this.idlePages = [];
+    }
     if (!this.browser) {
-      this.browser = await puppeteer.launch({
-        headless: 'new',
-        args: [
-          '--no-sandbox',
-          '--disable-setuid-sandbox',
-          '--disable-dev-shm-usage',
-          '--disable-gpu'
-        ],
-        executablePath: process.env.PUPPETEER_EXECUTABLE_PATH || undefined
-      });
+      // Concurrent checks share one launch
+      if (!this.browserLaunch) {
+        this.browserLaunch = puppeteer.launch({
+          headless: 'new',
+          args: [
+            '--no-sandbox',
+            '--disable-setuid-sandbox',
+            '--disable-dev-shm-usage',
+            '--disable-gpu'
+          ],
+          executablePath: process.env.PUPPETEER_EXECUTABLE_PATH || undefined
+        }).finally(() => { this.browserLaunch = null; });
+      }
+      this.browser = await this.browserLaunch;
     }
     return this.browser;
   }
 
+  // Pages are reused across checks; each is recycled after PAGE_MAX_USES
+  async acquirePage() {
+    while (this.idlePages.length) {
+      const page = this.idlePages.pop();
+      if (!page.isClosed()) return page;
+    }
+
+    const browser = await this.getBrowser();
+    const page = await browser.newPage();
+    page.useCount = 0;
+
+    // Set user agent
+    await page.setUserAgent(
+      'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+    );
+
+    // Block unnecessary resources
+    await page.setRequestInterception(true);
+    page.on('request', (req) => {
+      if (['image', 'font', 'media'].includes(req.resourceType())) {
+        req.abort();
+      } else {
+        req.continue();
+      }
+    });
+
+    return page;
+  }
+
+  async releasePage(page, healthy = true) {
+    page.useCount++;
+    if (!healthy || page.useCount >= PAGE_MAX_USES || this.idlePages.length >= PAGE_POOL_SIZE) {
+      await page.close().catch(() => {});
+      return;
+    }
+    this.idlePages.push(page);
+  }
+
   getDomainFromUrl(url) {
     try {
       const urlObj = new URL(url);
@@ -113,304 +124,658 @@ class PriceMonitor {
     }
 
     try {
-      const currentPrice = await this.scrapePrice(purchase.productUrl);
+      const pageReading = await this.scrapePrice(purchase.productUrl);
 
-      if (currentPrice === null) {
+      if (!pageReading) {
         return { success: false, error: 'Could not fetch price' };
       }
 
-      // Record price history
+      // Make sure the price is for the variant that was bought
+      const selection = this.selectVariantReading(pageReading, purchase.variant);
+      if (!selection.reading) {
+        await prisma.priceHistory.create({
+          data: {
+            ...this.historyFields(purchase, pageReading),
+            variantMatch: 'mismatch',
+            confidenceReasons: selection.mismatches,
+            status: 'REJECTED'
+          }
+        });
+        logger.warn(`Rejected price for ${purchaseId}: variant not found (${selection.mismatches.join('; ')})`);
+        return { success: false, error: 'Purchased variant not found on product page', variantMismatches: selection.mismatches };
+      }
+      const reading = selection.reading;
+
+      const history = await prisma.priceHistory.findMany({
+        where: { purchaseId, status: 'ACCEPTED' },
+        orderBy: { checkedAt: 'desc' },
+        take: 10
+      });
+
+      const { score, reasons } = priceConfidence.scoreReading(reading, purchase, history);
+      const priceDrop = purchase.purchasePrice - reading.price;
+      const meetsThreshold = priceDrop >= (purchase.user?.priceDropThreshold || 5);
+
+      // A low-confidence reading that would trigger a claim needs a second opinion
+      let confirmedBy = null;
+      if (priceDrop > 0 && meetsThreshold && score < priceConfidence.CONFIDENCE_THRESHOLD) {
+        confirmedBy = await this.confirmReading(purchase, reading, score);
+
+        if (!confirmedBy) {
+          return this.holdReading(purchase, reading, score, reasons);
+        }
+        logger.info(`Low-confidence price for ${purchaseId} confirmed by ${confirmedBy}`);
+      }
+
+      // Record price history, including how the price was read
       await prisma.priceHistory.create({
         data: {
-          purchaseId,
-          price: currentPrice,
-          source: this.getDomainFromUrl(purchase.productUrl) || 'web'
+          ...this.historyFields(purchase, reading),
+          confidence: score,
+          confidenceReasons: reasons,
+          confirmedBy,
+          status: 'ACCEPTED'
         }
       });
 
-      // Calculate price drop
-      const priceDrop = purchase.purchasePrice - currentPrice;
-      const priceDropPercent = (priceDrop / purchase.purchasePrice) * 100;
+      // Any earlier held reading is superseded by this one
+      await prisma.priceHistory.updateMany({
+        where: { purchaseId, status: 'HELD' },
+        data: { status: confirmedBy === 'repeat_reading' ? 'ACCEPTED' : 'REJECTED' }
+      });
 
-      // Update purchase with new price info
-      const updateData = {
-        currentPrice
+      const result = await this.applyPrice(purchase, reading.price, reading.method, reading.variantMatch);
+      return { ...result, confidence: score, confirmedBy };
+    } catch (error) {
+      logger.error(`Price check failed for purchase ${purchaseId}:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  historyFields(purchase, reading) {
+    return {
+      purchaseId: purchase.id,
+      price: reading.price,
+      source: this.getDomainFromUrl(purchase.productUrl) || 'web',
+      method: reading.method,
+      rawText: reading.rawText ? String(reading.rawText).slice(0, 200) : null,
+      currency: reading.currency,
+      availability: reading.availability,
+      condition: reading.condition,
+      seller: reading.seller,
+      variantMatch: reading.variantMatch || null
+    };
+  }
+
+  // Pick the reading for the purchased variant out of everything read from the
+  // page (primary, per-variant offers, other extractors). Returns
+  // { reading, match } or { reading: null, mismatches } when only other
+  // variants were found.
+  selectVariantReading(reading, purchaseVariant) {
+    const wanted = variantUtils.normalizeVariant(purchaseVariant);
+    const titleAttributes = variantUtils.extractVariantFromText('', reading.pageTitle) || {};
+
+    const candidates = [
+      reading,
+      ...(reading.variants || []),
+      ...(reading.alternates || []).flatMap(alt => [alt, ...(alt.variants || [])])
+    ];
+
+    const compared = candidates.map(candidate => {
+      const observed = {
+        ...titleAttributes,
+        ...(candidate.attributes || {}),
+        ...(candidate.condition ? { condition: candidate.condition } : {})
       };
+      return { candidate, ...variantUtils.compareVariants(wanted, observed) };
+    });
+
+    const usable = compared.filter(c => c.match !== 'mismatch');
+    if (!usable.length) {
+      return { reading: null, mismatches: compared[0].mismatches };
+    }
 
-      // Check if this is the new lowest price
-      if (!purchase.lowestPrice || currentPrice < purchase.lowestPrice) {
-        updateData.lowestPrice = currentPrice;
-        updateData.lowestPriceDate = new Date();
+    const best = usable.find(c => c.match === 'exact') || usable[0];
+    let match = best.match === 'exact' ? 'exact' : 'unverified';
+    if (!wanted && best.match === 'exact') {
+      // Without a recorded variant we can't tell which of several variants was bought
+      match = reading.variants?.length > 1 ? 'unverified' : 'none';
+    }
+
+    return {
+      match,
+      reading: {
+        ...best.candidate,
+        pageTitle: reading.pageTitle,
+        variantMatch: match,
+        // Only readings for a compatible variant can confirm this one
+        alternates: usable.filter(c => c !== best).map(c => c.candidate)
       }
+    };
+  }
 
-      // Determine if claim-eligible
-      const isWithinProtection = purchase.protectionEnds && purchase.protectionEnds > new Date();
-      const meetsThreshold = priceDrop >= (purchase.user?.priceDropThreshold || 5);
+  // An accepted reading at or below `price` that is known to be for the item
+  // that was bought. Claims are only filed against such a reading.
+  async findIdenticalItemReading(purchaseId, price) {
+    return prisma.priceHistory.findFirst({
+      where: {
+        purchaseId,
+        status: 'ACCEPTED',
+        source: { not: 'manual_simulation' },
+        price: { lte: price + 0.01 },
+        variantMatch: { in: variantUtils.IDENTICAL_ITEM_MATCHES }
+      },
+      orderBy: { checkedAt: 'desc' }
+    });
+  }
 
-      if (priceDrop > 0 && meetsThreshold) {
-        updateData.status = isWithinProtection ? 'CLAIM_ELIGIBLE' : 'PRICE_DROP_DETECTED';
+  // Try to confirm a suspicious reading with an independent source.
+  // Returns the confirming method name, or null.
+  async confirmReading(purchase, reading, score) {
+    const candidates = [...(reading.alternates || [])];
+
+    // A second extraction path: the API if the page was scraped, or the page if
+    // the price came from the API
+    const adapter = await retailerAdapters.resolve(purchase.productUrl);
+    if (adapter) {
+      const productUrl = adapter.normalizeUrl(purchase.productUrl);
+      if (reading.method !== 'api') {
+        const apiReading = await retailerAdapters.extractFromApi(adapter, productUrl);
+        if (apiReading) candidates.push(apiReading);
+      } else if (retailerAdapters.hasHtmlExtractors(adapter)) {
+        try {
+          const html = await this.fetchPageHtml(productUrl);
+          const htmlReading = retailerAdapters.extractFromHtml(adapter, html);
+          if (htmlReading) candidates.push(htmlReading, ...htmlReading.alternates);
+        } catch (error) {
+          logger.warn(`Confirmation scrape failed for ${purchase.id}: ${error.message}`);
+        }
+      }
+    }
 
-        // Send notification if significant drop
-        await prisma.notification.create({
-          data: {
-            userId: purchase.userId,
-            type: 'PRICE_DROP',
-            title: 'Price Drop Detected! 💰',
-            message: `${purchase.productName} dropped by ${priceDrop.toFixed(2)} (${priceDropPercent.toFixed(1)}%)${isWithinProtection ? ' - Eligible for claim!' : ''}`,
-            data: {
-              purchaseId,
-              priceDrop,
-              priceDropPercent,
-              newPrice: currentPrice,
-              isEligible: isWithinProtection
-            }
-          }
-        });
+    const confirmation = priceConfidence.findConfirmation(reading, candidates);
+    if (confirmation) return confirmation.method;
 
-        // AUTO-CLAIM: If card has autoClaimEnabled, automatically create and file claim
-        if (isWithinProtection && purchase.creditCard && purchase.creditCard.autoClaimEnabled) {
-          try {
-            logger.info(`Auto-claim triggered for purchase ${purchaseId}`);
-
-            // Check if a claim already exists for this purchase
-            const existingClaim = await prisma.claim.findFirst({
-              where: {
-                purchaseId: purchaseId,
-                status: { notIn: ['DENIED', 'EXPIRED'] }
-              }
-            });
-
-            if (!existingClaim) {
-              // Create the claim
-              const claim = await prisma.claim.create({
-                data: {
-                  userId: purchase.userId,
-                  purchaseId: purchaseId,
-                  creditCardId: purchase.creditCard.id,
-                  originalPrice: purchase.purchasePrice,
-                  newPrice: currentPrice,
-                  priceDifference: Math.min(priceDrop, purchase.creditCard.maxClaimAmount),
-                  status: 'DRAFT',
-                  autoFiled: true,
-                  statusHistory: [
-                    { status: 'DRAFT', timestamp: new Date().toISOString(), notes: 'Auto-created from price drop detection' }
-                  ]
-                }
-              });
-
-              // Auto-file the claim (tries portal first, then email)
-              const fileResult = await autoClaimFiler.autoFileClaim(claim.id);
-
-              if (fileResult.success) {
-                logger.info(`Auto-claim filed successfully for purchase ${purchaseId}: claim ${claim.id}`);
-                updateData.status = 'CLAIM_FILED';
-              } else {
-                logger.warn(`Auto-claim filing failed for purchase ${purchaseId}: ${fileResult.error || 'unknown error'}`);
-              }
-            } else {
-              logger.info(`Skipping auto-claim for purchase ${purchaseId}: claim already exists (${existingClaim.id})`);
-            }
-          } catch (claimError) {
-            logger.error(`Auto-claim error for purchase ${purchaseId}:`, claimError);
+    // The same price held from an earlier check counts as confirmation too,
+    // unless the reading is implausible enough that only another method or the
+    // user can vouch for it (a "$1 off" banner reads the same every time)
+    if (score < priceConfidence.REPEAT_CONFIRMATION_FLOOR) return null;
+    const held = await prisma.priceHistory.findFirst({
+      where: { purchaseId: purchase.id, status: 'HELD' },
+      orderBy: { checkedAt: 'desc' }
+    });
+    if (held && held.checkedAt < new Date(Date.now() - 60 * 60 * 1000) &&
+        priceConfidence.readingsAgree(held.price, reading.price)) {
+      return 'repeat_reading';
+    }
+
+    return null;
+  }
+
+  // Park an unconfirmed reading: record it, but don't touch prices or file claims
+  async holdReading(purchase, reading, score, reasons) {
+    const held = await prisma.priceHistory.create({
+      data: {
+        ...this.historyFields(purchase, reading),
+        confidence: score,
+        confidenceReasons: reasons,
+        status: 'HELD'
+      }
+    });
+
+    if (purchase.status !== 'PRICE_NEEDS_CONFIRMATION') {
+      await prisma.purchase.update({
+        where: { id: purchase.id },
+        data: { status: 'PRICE_NEEDS_CONFIRMATION' }
+      });
+
+      await prisma.notification.create({
+        data: {
+          userId: purchase.userId,
+          type: 'PRICE_DROP',
+          title: 'Possible Price Drop - Please Confirm',
+          message: `We read $${reading.price.toFixed(2)} for ${purchase.productName}, but couldn't verify it. Check the product page and confirm the price before we file a claim.`,
+          data: {
+            purchaseId: purchase.id,
+            priceHistoryId: held.id,
+            newPrice: reading.price,
+            confidence: score,
+            reasons
           }
         }
+      });
+    }
 
-        logger.info(`Price drop detected for ${purchaseId}: $${priceDrop.toFixed(2)} (${priceDropPercent.toFixed(1)}%)`);
-      }
+    logger.warn(`Holding unconfirmed price $${reading.price} for ${purchase.id} (confidence ${score}): ${reasons.join('; ')}`);
+
+    return {
+      success: true,
+      needsConfirmation: true,
+      previousPrice: purchase.currentPrice,
+      heldPrice: reading.price,
+      method: reading.method,
+      confidence: score,
+      reasons
+    };
+  }
+
+  // Resolve a held reading, e.g. after the user checked the product page
+  async resolveHeldReading(purchaseId, accept) {
+    const purchase = await prisma.purchase.findUnique({
+      where: { id: purchaseId },
+      include: { user: true, creditCard: true }
+    });
+
+    const held = await prisma.priceHistory.findFirst({
+      where: { purchaseId, status: 'HELD' },
+      orderBy: { checkedAt: 'desc' }
+    });
 
+    if (!purchase || !held) {
+      return { success: false, error: 'No price reading awaiting confirmation' };
+    }
+
+    await prisma.priceHistory.updateMany({
+      where: { purchaseId, status: 'HELD', id: { not: held.id } },
+      data: { status: 'REJECTED' }
+    });
+
+    if (!accept) {
+      await prisma.priceHistory.update({
+        where: { id: held.id },
+        data: { status: 'REJECTED' }
+      });
       await prisma.purchase.update({
         where: { id: purchaseId },
-        data: updateData
+        data: { status: 'MONITORING' }
       });
-
-      return {
-        success: true,
-        previousPrice: purchase.currentPrice,
-        currentPrice,
-        priceDrop,
-        priceDropPercent,
-        isEligible: isWithinProtection && meetsThreshold
-      };
-    } catch (error) {
-      logger.error(`Price check failed for purchase ${purchaseId}:`, error);
-      return { success: false, error: error.message };
+      return { success: true, rejected: true };
     }
+
+    await prisma.priceHistory.update({
+      where: { id: held.id },
+      data: { status: 'ACCEPTED', confirmedBy: 'user' }
+    });
+
+    return this.applyPrice(purchase, held.price, held.method, held.variantMatch);
   }
 
-  async scrapePrice(url) {
-    const domain = this.getDomainFromUrl(url);
-
-    // Try API first for supported retailers
-    if (domain === 'amazon.com') {
-      const asinMatch = url.match(/\/dp\/([A-Z0-9]{10})/i) || url.match(/\/gp\/product\/([A-Z0-9]{10})/i);
-      if (asinMatch) {
-        const apiPrice = await PRICE_APIS.amazon(asinMatch[1]);
-        if (apiPrice) return apiPrice;
-      }
+  // Apply an accepted price: update the purchase, notify and auto-claim
+  async applyPrice(purchase, currentPrice, method, variantMatch) {
+    const purchaseId = purchase.id;
+
+    // Calculate price drop
+    const priceDrop = purchase.purchasePrice - currentPrice;
+    const priceDropPercent = (priceDrop / purchase.purchasePrice) * 100;
+
+    // Update purchase with new price info
+    const updateData = {
+      currentPrice
+    };
+
+    // A confirmed reading with no qualifying drop returns to normal monitoring
+    if (purchase.status === 'PRICE_NEEDS_CONFIRMATION') {
+      updateData.status = 'MONITORING';
     }
 
-    // Fall back to scraping
-    const selectors = PRICE_SELECTORS[domain];
-    if (!selectors) {
-      // Try generic selectors
-      return this.scrapeWithGenericSelectors(url);
+    // Check if this is the new lowest price
+    if (!purchase.lowestPrice || currentPrice < purchase.lowestPrice) {
+      updateData.lowestPrice = currentPrice;
+      updateData.lowestPriceDate = new Date();
     }
 
-    try {
-      const browser = await this.getBrowser();
-      const page = await browser.newPage();
+    // Determine if claim-eligible
+    const isWithinProtection = purchase.protectionEnds && purchase.protectionEnds > new Date();
+    const meetsThreshold = priceDrop >= (purchase.user?.priceDropThreshold || 5);
+
+    if (priceDrop > 0 && meetsThreshold) {
+      // Check the item and the lower price against the card's benefit exclusions
+      const eligibility = await claimEligibility.evaluate(purchase, { price: currentPrice });
+      const excluded = eligibility.status === 'EXCLUDED';
+      updateData.eligibility = eligibility;
+
+      // The retailer may refund the drop itself, often sooner than the issuer
+      const adjustment = await retailerAdjustments.evaluate(purchase, { price: currentPrice });
+      updateData.retailerAdjustment = adjustment;
+      updateData.status = (isWithinProtection && !excluded) || adjustment.available ? 'CLAIM_ELIGIBLE' : 'PRICE_DROP_DETECTED';
+
+      // Issuers and retailers deny claims unless the cheaper item is identical to the one bought
+      const identicalItem = variantUtils.IDENTICAL_ITEM_MATCHES.includes(variantMatch);
+
+      // Returning and buying again can beat a claim: after protection ends, or
+      // when the drop is bigger than the card's cap
+      const recommendation = await returnAdvisor.recommend(purchase, { price: currentPrice, eligibility, adjustment, identicalItem });
+      updateData.returnRecommendation = recommendation;
+      if (!purchase.returnWindowEnds && recommendation.returnWindowEnds) {
+        updateData.returnWindowEnds = new Date(recommendation.returnWindowEnds);
+      }
+      const rebuyFirst = recommendation.action === 'RETURN_AND_REBUY';
 
-      // Set user agent
-      await page.setUserAgent(
-        'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-      );
+      // Draft the retailer request; while it is open the purchase has its claim,
+      // so the issuer is not asked for the same drop
+      let adjustmentDrafted = false;
+      if (adjustment.available && adjustment.autoDraft && identicalItem) {
+        try {
+          const { claim, created } = await retailerAdjustments.draft(purchase, adjustment);
+          adjustmentDrafted = created;
+          if (created) logger.info(`Drafted retailer price adjustment for purchase ${purchaseId}: claim ${claim.id}`);
+        } catch (draftError) {
+          logger.error(`Retailer adjustment draft error for purchase ${purchaseId}:`, draftError);
+        }
+      }
 
-      // Block unnecessary resources
-      await page.setRequestInterception(true);
-      page.on('request', (req) => {
-        if (['image', 'font', 'media'].includes(req.resourceType())) {
-          req.abort();
-        } else {
-          req.continue();
+      let notice = '';
+      if (rebuyFirst) {
+        notice = ` - ${recommendation.summary}`;
+      } else if (adjustment.available) {
+        notice = ` - Ask ${adjustment.retailer} for a $${adjustment.amount.toFixed(2)} price adjustment by ${new Date(adjustment.windowEnds).toLocaleDateString('en-US')}${adjustmentDrafted ? ' (request drafted)' : ''}`;
+      } else if (isWithinProtection) {
+        notice = excluded ? ` - Not claimable: ${claimEligibility.describe(eligibility)}` : ' - Eligible for claim!';
+      }
+
+      // Send notification if significant drop
+      await prisma.notification.create({
+        data: {
+          userId: purchase.userId,
+          type: 'PRICE_DROP',
+          title: 'Price Drop Detected! 💰',
+          message: `${purchase.productName} dropped by ${priceDrop.toFixed(2)} (${priceDropPercent.toFixed(1)}%)${notice}`,
+          data: {
+            purchaseId,
+            priceDrop,
+            priceDropPercent,
+            newPrice: currentPrice,
+            method,
+            variantMatch,
+            isEligible: isWithinProtection && !excluded,
+            eligibility: eligibility.status,
+            retailerAdjustment: adjustment.status,
+            recommendation: recommendation.action,
+            ...(adjustmentDrafted && { retailerAdjustmentDrafted: true })
+          }
         }
       });
+      if (!identicalItem && isWithinProtection && purchase.creditCard?.autoClaimEnabled) {
+        logger.info(`Skipping auto-claim for purchase ${purchaseId}: variant not verified (${variantMatch || 'unknown'})`);
+      }
 
-      await page.goto(url, {
-        waitUntil: 'networkidle2',
-        timeout: 30000
-      });
+      // ...or when the item or the lower price may fall under a benefit exclusion
+      if (!eligibility.eligible && isWithinProtection && purchase.creditCard?.autoClaimEnabled) {
+        logger.info(`Skipping auto-claim for purchase ${purchaseId}: ${eligibility.status} (${claimEligibility.describe(eligibility)})`);
+      }
+
+      // ...or when the retailer is being asked first
+      let retailerFirst = adjustmentDrafted;
+      if (!retailerFirst && adjustment.available && isWithinProtection && purchase.creditCard?.autoClaimEnabled) {
+        retailerFirst = retailerAdjustments.holdsIssuerClaim(adjustment, await benefitCatalog.forCard(purchase.creditCard));
+      }
+      if (retailerFirst && isWithinProtection && purchase.creditCard?.autoClaimEnabled) {
+        logger.info(`Skipping auto-claim for purchase ${purchaseId}: retailer price adjustment comes first`);
+      }
+
+      // ...or when returning and rebuying gets more back; the user decides while the return window is open
+      if (rebuyFirst && isWithinProtection && purchase.creditCard?.autoClaimEnabled) {
+        logger.info(`Skipping auto-claim for purchase ${purchaseId}: return and rebuy recommended`);
+      }
 
-      // Try each selector
-      let price = null;
-      for (const selector of selectors) {
+      // ...and when the card's claim limit is nearly used up, leave the claim to the
+      // catch-up job, which shares what is left between purchases by value
+      let headroomShort = false;
+      let breakdown = null;
+      if (identicalItem && eligibility.eligible && !retailerFirst && !rebuyFirst && isWithinProtection && purchase.creditCard?.autoClaimEnabled) {
+        breakdown = await claimAmount.calculate(purchase, currentPrice);
+        const ledger = await benefitLedger.forCard(purchase.creditCard);
+        headroomShort = ledger.projectedHeadroom != null && ledger.projectedHeadroom < breakdown.amount;
+        if (headroomShort) {
+          logger.info(`Skipping auto-claim for purchase ${purchaseId}: only $${ledger.projectedHeadroom.toFixed(2)} left of the card's claim limit`);
+        }
+      }
+
+      // AUTO-CLAIM: If card has autoClaimEnabled, automatically create and file claim
+      if (identicalItem && eligibility.eligible && !retailerFirst && !rebuyFirst && !headroomShort && isWithinProtection && purchase.creditCard && purchase.creditCard.autoClaimEnabled) {
         try {
-          const element = await page.$(selector);
-          if (element) {
-            const text = await page.evaluate(el => el.textContent, element);
-            price = this.parsePrice(text);
-            if (price) break;
+          logger.info(`Auto-claim triggered for purchase ${purchaseId}`);
+
+          // Creates at most one open claim even if the catch-up job or the API races us
+          const { claim, created, busy } = await claimFilingLock.createClaimOnce(purchaseId, {
+            userId: purchase.userId,
+            creditCardId: purchase.creditCard.id,
+            originalPrice: breakdown.originalPrice,
+            newPrice: currentPrice,
+            priceDifference: breakdown.amount,
+            amountBreakdown: breakdown,
+            status: 'DRAFT',
+            autoFiled: true,
+            eligibility,
+            statusHistory: [
+              { status: 'DRAFT', timestamp: new Date().toISOString(), notes: 'Auto-created from price drop detection' }
+            ]
+          });
+
+          if (created) {
+            // Auto-file the claim (tries portal first, then email)
+            const fileResult = await autoClaimFiler.autoFileClaim(claim.id);
+
+            if (fileResult.success) {
+              logger.info(`Auto-claim filed successfully for purchase ${purchaseId}: claim ${claim.id}`);
+              updateData.status = 'CLAIM_FILED';
+            } else {
+              logger.warn(`Auto-claim filing failed for purchase ${purchaseId}: ${fileResult.error || 'unknown error'}`);
+            }
+          } else if (busy) {
+            logger.info(`Skipping auto-claim for purchase ${purchaseId}: claim is being created elsewhere`);
+          } else {
+            logger.info(`Skipping auto-claim for purchase ${purchaseId}: claim already exists (${claim.id})`);
           }
-        } catch (e) {
-          continue;
+        } catch (claimError) {
+          logger.error(`Auto-claim error for purchase ${purchaseId}:`, claimError);
         }
       }
 
-      await page.close();
-      return price;
+      logger.info(`Price drop detected for ${purchaseId}: $${priceDrop.toFixed(2)} (${priceDropPercent.toFixed(1)}%) via ${method}`);
+    }
+
+    await prisma.purchase.update({
+      where: { id: purchaseId },
+      data: updateData
+    });
+
+    return {
+      success: true,
+      previousPrice: purchase.currentPrice,
+      currentPrice,
+      method,
+      variantMatch,
+      priceDrop,
+      priceDropPercent,
+      isEligible: isWithinProtection && meetsThreshold
+    };
+  }
+
+  // Returns a price reading { price, method, currency, availability, condition, seller, rawText }
+  // or null if no price could be read
+  async scrapePrice(url) {
+    const adapter = await retailerAdapters.resolve(url);
+
+    // No adapter for this retailer - structured data, then generic selectors
+    if (!adapter) {
+      return this.scrapeWithGenericSelectors(url);
+    }
+
+    if (!adapter.priceCheckEnabled) {
+      logger.info(`Price checking disabled for ${adapter.name}, skipping ${url}`);
+      return null;
+    }
+
+    const productUrl = adapter.normalizeUrl(url);
+
+    // Try API extractors first (no browser needed)
+    const apiResult = await retailerAdapters.extractFromApi(adapter, productUrl);
+    if (apiResult) return apiResult;
+
+    if (!retailerAdapters.hasHtmlExtractors(adapter)) {
+      return null;
+    }
+
+    try {
+      const html = await this.fetchPageHtml(productUrl);
+      const reading = retailerAdapters.extractFromHtml(adapter, html);
+      if (!reading) {
+        logger.warn(`No price found for ${productUrl} with adapter ${adapter.name}`);
+      }
+      return reading;
     } catch (error) {
       logger.error(`Scraping failed for ${url}:`, error);
       return null;
     }
   }
 
-  async scrapeWithGenericSelectors(url) {
-    try {
-      const browser = await this.getBrowser();
-      const page = await browser.newPage();
+  async fetchPageHtml(url) {
+    const page = await this.acquirePage();
+    let healthy = true;
 
-      await page.setUserAgent(
-        'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-      );
+    try {
+      await page.goto(url, {
+        waitUntil: 'networkidle2',
+        timeout: 30000
+      });
 
-      await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
-
-      const html = await page.content();
-      const $ = cheerio.load(html);
-
-      // Generic price selectors
-      const genericSelectors = [
-        '[itemprop="price"]',
-        '[class*="price"]',
-        '[class*="Price"]',
-        '[data-price]',
-        '.product-price',
-        '.sale-price',
-        '.current-price'
-      ];
-
-      let price = null;
-      for (const selector of genericSelectors) {
-        const element = $(selector).first();
-        if (element.length) {
-          const text = element.attr('content') || element.text();
-          price = this.parsePrice(text);
-          if (price && price > 0 && price < 50000) {
-            break;
-          }
-        }
-      }
+      return await page.content();
+    } catch (error) {
+      // Don't hand a page stuck mid-navigation to the next check
+      healthy = false;
+      throw error;
+    } finally {
+      await this.releasePage(page, healthy);
+    }
+  }
 
-      await page.close();
-      return price;
+  async scrapeWithGenericSelectors(url) {
+    try {
+      const html = await this.fetchPageHtml(url);
+      return retailerAdapters.extractGeneric(html);
     } catch (error) {
       logger.error(`Generic scraping failed for ${url}:`, error);
       return null;
     }
   }
 
-  parsePrice(text) {
-    if (!text) return null;
-
-    // Remove common currency symbols and clean up
-    const cleaned = text
-      .replace(/[£€¥₹]/g, '')
-      .replace(/\s/g, '')
-      .replace(/,/g, '');
-
-    // Match price pattern
-    const match = cleaned.match(/\$?([\d.]+)/);
-    if (match) {
-      const price = parseFloat(match[1]);
-      if (!isNaN(price) && price > 0) {
-        return price;
-      }
+  // Parse a price out of text, tagged with the extraction method that produced it
+  parsePrice(text, method = 'text') {
+    const price = parsePriceText(text);
+    return price ? { price, method, rawText: text == null ? null : String(text).trim() } : null;
+  }
+
+  async checkAllEligiblePurchases() {
+    // One cycle at a time, across every process that schedules it
+    const lockOwner = await jobLock.acquire(CYCLE_LOCK, CYCLE_LOCK_TTL_MS);
+    if (!lockOwner) {
+      logger.warn('Price check cycle already running elsewhere, skipping this run');
+      return { skipped: true };
     }
 
-    return null;
+    const renewLock = setInterval(() => {
+      jobLock.extend(CYCLE_LOCK, lockOwner, CYCLE_LOCK_TTL_MS).catch(err =>
+        logger.error('Failed to extend price check lock:', err)
+      );
+    }, CYCLE_LOCK_TTL_MS / 3);
+
+    try {
+      return await this.runPriceCheckCycle();
+    } finally {
+      clearInterval(renewLock);
+      await jobLock.release(CYCLE_LOCK, lockOwner);
+    }
   }
 
-  async checkAllEligiblePurchases() {
+  async runPriceCheckCycle() {
+    const now = new Date();
     const purchases = await prisma.purchase.findMany({
       where: {
-        status: { in: ['MONITORING', 'PRICE_DROP_DETECTED'] },
+        status: { in: ['MONITORING', 'PRICE_DROP_DETECTED', 'PRICE_NEEDS_CONFIRMATION'] },
         productUrl: { not: null },
-        protectionEnds: { gte: new Date() }
+        // After card protection ends a drop can still be worth returning and rebuying
+        OR: [
+          { protectionEnds: { gte: now } },
+          { returnWindowEnds: { gte: now } }
+        ]
       },
+      select: { id: true, productUrl: true },
       orderBy: { updatedAt: 'asc' },
       take: parseInt(process.env.MAX_PRICE_CHECKS_PER_DAY) || 1000
     });
 
     logger.info(`Starting price check for ${purchases.length} purchases`);
 
+    const report = await this.runChecks(purchases);
+    this.lastRun = report;
+
+    logger.info(`Price check completed: ${report.checked} checked, ${report.priceDrops} drops, ${report.errors} errors in ${(report.durationMs / 1000).toFixed(0)}s (${report.checksPerMinute}/min)`);
+    for (const [domain, domainStats] of Object.entries(report.domains)) {
+      logger.info(`  ${domain}: ${domainStats.checked} checked, ${domainStats.errorRate}% errors, avg ${domainStats.avgMs}ms`);
+    }
+
+    return report;
+  }
+
+  // First check of purchases that were just added (see services/priceCheckQueue.js)
+  async checkPurchases(purchaseIds) {
+    const purchases = await prisma.purchase.findMany({
+      where: { id: { in: purchaseIds }, productUrl: { not: null } },
+      select: { id: true, productUrl: true }
+    });
+    return this.runChecks(purchases, { priority: true });
+  }
+
+  // Check purchases through the shared rate-limited pool. New purchases go
+  // ahead of the cycle's backlog.
+  async runChecks(purchases, { priority = false } = {}) {
+    // Group checks by retailer so e.g. amazon.com and smile.amazon.com share limits
+    await retailerAdapters.ensureLoaded();
+    const tasks = purchases.map(purchase => {
+      const adapter = retailerAdapters.getForDomain(purchase.productUrl);
+      return {
+        key: adapter?.name || retailerAdapters.normalizeDomain(purchase.productUrl) || 'unknown',
+        item: purchase
+      };
+    });
+
     const results = {
       checked: 0,
       priceDrops: 0,
+      needsConfirmation: 0,
       errors: 0
     };
 
-    for (const purchase of purchases) {
-      try {
-        const result = await this.checkPriceForPurchase(purchase.id);
+    const stats = await this.withBrowser(() => this.pool.run(
+      tasks,
+      (purchase) => this.checkPriceForPurchase(purchase.id),
+      (purchase, result) => {
         results.checked++;
+        if (!result?.success) results.errors++;
+        if (result?.priceDrop > 0) results.priceDrops++;
+        if (result?.needsConfirmation) results.needsConfirmation++;
+      },
+      { priority }
+    ));
 
-        if (result.priceDrop > 0) {
-          results.priceDrops++;
-        }
+    return { ...results, ...stats, finishedAt: new Date().toISOString() };
+  }
 
-        // Rate limiting - wait between requests
-        await new Promise(resolve => setTimeout(resolve, 2000));
-      } catch (error) {
-        results.errors++;
-        logger.error(`Price check error for ${purchase.id}:`, error);
-      }
+  // Counts the runs using the browser and closes it when the last one finishes
+  async withBrowser(fn) {
+    this.browserUsers++;
+    try {
+      return await fn();
+    } finally {
+      if (--this.browserUsers === 0) await this.cleanup();
     }
-
-    logger.info(`Price check completed: ${results.checked} checked, ${results.priceDrops} drops, ${results.errors} errors`);
-
-    return results;
   }
 
   async cleanup() {
+    for (const page of this.idlePages.splice(0)) {
+      await page.close().catch(() => {});
+    }
     if (this.browser) {
       await this.browser.close();
       this.browser = null;
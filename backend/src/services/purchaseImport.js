@@ -0,0 +1,453 @@
+/**
+ * Purchase Import
+ *
+ * Backfills purchases from card statements (CSV or OFX/QFX) and retailer
+ * order-history exports (CSV). A CSV's columns are mapped to purchase fields
+ * first; the mapping is suggested from the header names and can be changed.
+ *
+ * Every import runs as a dry run first. Each row comes back as
+ *   NEW       - would become a purchase
+ *   DUPLICATE - already imported, or matches a purchase we have (same retailer,
+ *               same amount, dates within DATE_TOLERANCE_DAYS)
+ *   SKIPPED   - a payment, refund or zero amount
+ *   INVALID   - no readable date or amount
+ * and the real import creates the NEW rows (or the ones picked from them).
+ * Rows are linked to the user's card with the same last four digits as the
+ * row's card / account number, or to the card picked for the whole file.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../utils/logger');
+const { parseCsv, parseOfx, isOfx, parseAmount, parseDate } = require('../utils/statementParser');
+const returnAdvisor = require('./returnAdvisor');
+
+const prisma = new PrismaClient();
+
+// Statements post a few days after the order; charges at shipment can lag more
+const DATE_TOLERANCE_DAYS = 5;
+const MAX_ROWS = 2000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Purchase fields a CSV column can be mapped to, with header names that suggest them
+const FIELDS = {
+  date: { required: true, headers: [/^(transaction|trans\.?|order|purchase)?\s*date$/i, /^date/i, /posted|post date/i] },
+  amount: { required: true, headers: [/^amount$/i, /item total|total charged|^total$|line total/i, /amount|debit|charge|price|cost/i] },
+  description: { headers: [/description|details|payee|merchant name|memo/i] },
+  productName: { headers: [/^(title|product( name)?|item( name| description)?)$/i] },
+  retailer: { headers: [/^(retailer|store|merchant|vendor)$/i] },
+  orderId: { headers: [/order\s*(id|number|no\.?|#)/i] },
+  quantity: { headers: [/^(qty|quantity)$/i] },
+  category: { headers: [/category/i] },
+  productUrl: { headers: [/url|link/i] },
+  cardNumber: { headers: [/card\s*(no\.?|number|#)?$|account\s*(number|#)?$|card member|last\s*4/i] }
+};
+
+// Card statement descriptors ("AMZN Mktp US*2K4...", "BESTBUY 00012345") for the retailers we monitor
+const MERCHANT_PATTERNS = [
+  ['Amazon', /\bamazon|\bamzn\b/i],
+  ['Best Buy', /best\s*buy|\bbby\b/i],
+  ['Walmart', /wal-?mart|\bwm supercenter/i],
+  ['Target', /\btarget\b/i],
+  ['Costco', /costco/i],
+  ['Newegg', /newegg/i],
+  ['Home Depot', /home\s*depot/i],
+  ['Lowes', /\blowe'?s\b/i],
+  ['Apple', /apple\.com|apple store/i]
+];
+
+// OFX transaction types that are charges; payments and credits are skipped
+const OFX_CHARGE_TYPES = ['DEBIT', 'POS', 'PAYMENT_OUT', 'CHECK', 'FEE', 'OTHER', 'DIRECTDEBIT', 'XFER', 'ATM', 'SRVCHG'];
+
+function round(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+// "Best Buy", "Bestbuy" and "BEST-BUY" all compare equal
+function retailerKey(name) {
+  return String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function lastFourOf(value) {
+  const digits = String(value || '').replace(/\D/g, '');
+  return digits.length >= 4 ? digits.slice(-4) : null;
+}
+
+function knownMerchant(text) {
+  return MERCHANT_PATTERNS.find(([, pattern]) => pattern.test(text))?.[0] || null;
+}
+
+// Retailer from a statement descriptor: a known one, or the descriptor before its reference numbers
+function merchantFrom(description) {
+  const known = knownMerchant(description);
+  if (known) return known;
+  const name = description.split(/[*#]|\s{2,}|\d{3,}/)[0].replace(/[^\w&'. -]/g, '').trim();
+  return name
+    ? name.toLowerCase().replace(/(^|[\s&.-])[a-z]/g, letter => letter.toUpperCase())
+    : null;
+}
+
+class PurchaseImport {
+  // csv or ofx; null for anything else
+  formatOf(file, text = null) {
+    const extension = path.extname(file.originalname || '').toLowerCase();
+    if (['.ofx', '.qfx'].includes(extension)) return 'ofx';
+    if (['.csv', '.txt'].includes(extension) || /csv/i.test(file.mimetype || '')) {
+      return text && isOfx(text) ? 'ofx' : 'csv';
+    }
+    return text && isOfx(text) ? 'ofx' : null;
+  }
+
+  // The best-looking column for each field, each column used once
+  suggestMapping(headers) {
+    const mapping = {};
+    const used = new Set();
+    for (const [field, { headers: patterns }] of Object.entries(FIELDS)) {
+      for (const pattern of patterns) {
+        const header = headers.find(h => !used.has(h) && pattern.test(h));
+        if (header) {
+          mapping[field] = header;
+          used.add(header);
+          break;
+        }
+      }
+    }
+    return mapping;
+  }
+
+  /**
+   * Check a column mapping against the file's headers.
+   * @returns {string[]} problems (empty when the mapping can be used)
+   */
+  validateMapping(mapping, headers) {
+    if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) return ['mapping must map fields to column names'];
+    const errors = [];
+    for (const [field, header] of Object.entries(mapping)) {
+      if (!FIELDS[field]) errors.push(`Unknown field "${field}"; use ${Object.keys(FIELDS).join(', ')}`);
+      else if (header && !headers.includes(header)) errors.push(`No column named "${header}" for ${field}`);
+    }
+    for (const [field, { required }] of Object.entries(FIELDS)) {
+      if (required && !mapping[field]) errors.push(`Choose the column for ${field}`);
+    }
+    if (!mapping.description && !mapping.productName && !mapping.retailer) {
+      errors.push('Choose a column for the description, product name or retailer');
+    }
+    return errors;
+  }
+
+  // File rows as { line, date, amount, description, ..., cardNumber, fitId, type } before any matching
+  readRows(format, text, { mapping, dateOrder }) {
+    if (format === 'ofx') {
+      return parseOfx(text).transactions.map(t => ({
+        line: t.line,
+        date: t.date,
+        amount: t.amount,
+        description: [t.name, t.memo].filter(Boolean).join(' ').trim(),
+        cardNumber: t.accountId,
+        fitId: t.fitId,
+        type: t.type
+      }));
+    }
+
+    const { rows } = parseCsv(text);
+    const value = (row, field) => (mapping[field] ? row[mapping[field]] || '' : '');
+    return rows.map(row => ({
+      line: row.line,
+      date: parseDate(value(row, 'date'), dateOrder),
+      amount: parseAmount(value(row, 'amount')),
+      description: value(row, 'description'),
+      productName: value(row, 'productName'),
+      retailer: value(row, 'retailer'),
+      orderId: value(row, 'orderId'),
+      quantity: parseInt(value(row, 'quantity'), 10) || 1,
+      category: value(row, 'category'),
+      productUrl: /^https?:\/\//.test(value(row, 'productUrl')) ? value(row, 'productUrl') : null,
+      cardNumber: value(row, 'cardNumber')
+    }));
+  }
+
+  // Whether charges are the positive or the negative amounts: the more common sign
+  chargeSign(rows, amountSign) {
+    if (amountSign === 'positive') return 1;
+    if (amountSign === 'negative') return -1;
+    const negatives = rows.filter(row => row.amount < 0).length;
+    const positives = rows.filter(row => row.amount > 0).length;
+    return negatives > positives ? -1 : 1;
+  }
+
+  /**
+   * Dry run: what each row of the file would become.
+   * @param {string} userId
+   * @param {Object} file - multer file ({ originalname, mimetype, buffer })
+   * @param {Object} options
+   *   mapping     - { field: column } for CSV files; suggested from the headers when omitted
+   *   dateOrder   - 'MDY' (default) or 'DMY' for dates like 03/04/2026
+   *   amountSign  - 'auto' (default), 'positive' or 'negative': the sign charges have
+   *   creditCard  - the user's card for rows without a card number
+   *   retailer    - the store, for an order-history export from one retailer
+   * @returns {Promise<Object>} { status, reason?, format, headers, mapping, mappingErrors,
+   *   chargeSign, rows, summary } with status PREVIEW, NEEDS_MAPPING, UNSUPPORTED or TOO_MANY_ROWS
+   */
+  async preview(userId, file, { mapping, dateOrder = 'MDY', amountSign = 'auto', creditCard = null, retailer = null } = {}) {
+    const text = file.buffer.toString('utf8');
+    const format = this.formatOf(file, text);
+    if (!format) {
+      return { status: 'UNSUPPORTED', reason: 'Upload a CSV file or an OFX/QFX statement' };
+    }
+
+    let headers = [];
+    if (format === 'csv') {
+      headers = parseCsv(text).headers;
+      mapping = mapping || this.suggestMapping(headers);
+      const mappingErrors = this.validateMapping(mapping, headers);
+      if (mappingErrors.length) {
+        return { status: 'NEEDS_MAPPING', format, headers, mapping, mappingErrors, rows: [], summary: null };
+      }
+    } else {
+      mapping = null;
+    }
+
+    const fileRows = this.readRows(format, text, { mapping, dateOrder });
+    if (fileRows.length > MAX_ROWS) {
+      return { status: 'TOO_MANY_ROWS', reason: `Import up to ${MAX_ROWS} rows at a time; this file has ${fileRows.length}` };
+    }
+
+    const sign = this.chargeSign(fileRows, format === 'ofx' ? 'negative' : amountSign);
+    const cards = await prisma.creditCard.findMany({
+      where: { userId },
+      select: { id: true, nickname: true, issuer: true, lastFour: true, protectionDays: true }
+    });
+
+    // Same row seen more than once (two identical charges the same day) is two purchases
+    const occurrences = {};
+    const rows = fileRows.map(fileRow => {
+      const row = {
+        line: fileRow.line,
+        status: 'NEW',
+        reasons: [],
+        date: fileRow.date,
+        amount: null,
+        quantity: fileRow.quantity || 1,
+        description: fileRow.description || null,
+        // A retailer column ("Amazon.com" is Amazon), the file's store, or the statement descriptor
+        retailer: (fileRow.retailer && (knownMerchant(fileRow.retailer) || fileRow.retailer))
+          || retailer
+          || merchantFrom(fileRow.description || ''),
+        productName: fileRow.productName || fileRow.description || null,
+        orderId: fileRow.orderId || null,
+        category: fileRow.category || null,
+        productUrl: fileRow.productUrl || null,
+        cardLast4: lastFourOf(fileRow.cardNumber),
+        card: null,
+        match: null,
+        importKey: null
+      };
+
+      if (!row.date || fileRow.amount == null) {
+        row.status = 'INVALID';
+        row.reasons.push(!row.date ? 'No readable date' : 'No readable amount');
+        return row;
+      }
+      if (row.date > new Date()) {
+        row.status = 'INVALID';
+        row.reasons.push('Date is in the future');
+        return row;
+      }
+
+      const charge = round(fileRow.amount * sign);
+      row.amount = Math.abs(charge);
+      if (charge <= 0 || (fileRow.type && !OFX_CHARGE_TYPES.includes(fileRow.type))) {
+        row.status = 'SKIPPED';
+        row.reasons.push(charge === 0 ? 'Zero amount' : 'Payment or refund, not a purchase');
+        return row;
+      }
+      if (!row.retailer) {
+        row.status = 'INVALID';
+        row.reasons.push('No retailer; choose the store this file is from');
+        return row;
+      }
+
+      // Card by the row's number suffix, else the card picked for the file
+      if (row.cardLast4) {
+        const matches = cards.filter(card => card.lastFour === row.cardLast4);
+        if (matches.length === 1) row.card = matches[0];
+        else row.reasons.push(matches.length
+          ? `More than one card ends in ${row.cardLast4}; link it on the purchase`
+          : `No card ending in ${row.cardLast4}; add it to track price protection`);
+      } else if (creditCard) {
+        row.card = creditCard;
+      }
+
+      const identity = fileRow.fitId
+        ? `ofx:${row.cardLast4 || ''}:${fileRow.fitId}`
+        : [row.date.toISOString().slice(0, 10), row.amount.toFixed(2), row.description || row.productName, row.orderId, row.cardLast4].join('|');
+      occurrences[identity] = (occurrences[identity] || 0) + 1;
+      row.importKey = fileRow.fitId
+        ? identity
+        : `csv:${crypto.createHash('sha1').update(`${identity}|${occurrences[identity]}`).digest('hex')}`;
+
+      return row;
+    });
+
+    await this.markDuplicates(userId, rows);
+
+    const summary = { total: rows.length, NEW: 0, DUPLICATE: 0, SKIPPED: 0, INVALID: 0 };
+    for (const row of rows) summary[row.status]++;
+
+    return {
+      status: 'PREVIEW',
+      format,
+      headers,
+      mapping,
+      mappingErrors: [],
+      chargeSign: sign > 0 ? 'positive' : 'negative',
+      rows,
+      summary
+    };
+  }
+
+  // Rows imported before, or matching a purchase we already have (from email, a receipt or by hand)
+  async markDuplicates(userId, rows) {
+    const candidates = rows.filter(row => row.status === 'NEW');
+    if (!candidates.length) return;
+
+    const imported = await prisma.purchase.findMany({
+      where: { userId, sourceEmailId: { in: candidates.map(row => row.importKey) } },
+      select: { id: true, sourceEmailId: true, productName: true, purchaseDate: true }
+    });
+    const importedByKey = Object.fromEntries(imported.map(purchase => [purchase.sourceEmailId, purchase]));
+
+    const dates = candidates.map(row => row.date.getTime());
+    const existing = await prisma.purchase.findMany({
+      where: {
+        userId,
+        purchaseDate: {
+          gte: new Date(Math.min(...dates) - DATE_TOLERANCE_DAYS * DAY_MS),
+          lte: new Date(Math.max(...dates) + DATE_TOLERANCE_DAYS * DAY_MS)
+        }
+      },
+      select: {
+        id: true, orderId: true, productName: true, retailer: true, purchaseDate: true,
+        purchasePrice: true, unitPrice: true, quantity: true,
+        order: { select: { total: true } }
+      }
+    });
+
+    // Each existing purchase (or order, for a charge of the order total) absorbs one row
+    const used = new Set();
+    for (const row of candidates) {
+      const previous = importedByKey[row.importKey];
+      if (previous) {
+        row.status = 'DUPLICATE';
+        row.match = { purchaseId: previous.id, productName: previous.productName, purchaseDate: previous.purchaseDate, reason: 'Imported before' };
+        continue;
+      }
+
+      const found = existing.find(purchase => {
+        if (retailerKey(purchase.retailer) !== retailerKey(row.retailer)) return false;
+        if (Math.abs(new Date(purchase.purchaseDate) - row.date) > DATE_TOLERANCE_DAYS * DAY_MS) return false;
+        const quantity = purchase.quantity || 1;
+        const itemAmounts = [purchase.purchasePrice * quantity, purchase.unitPrice != null ? purchase.unitPrice * quantity : null];
+        if (!used.has(purchase.id) && itemAmounts.some(amount => amount != null && Math.abs(amount - row.amount) < 0.01)) {
+          used.add(purchase.id);
+          return true;
+        }
+        const orderKey = `order:${purchase.orderId}`;
+        if (purchase.orderId && !used.has(orderKey) && purchase.order?.total != null && Math.abs(purchase.order.total - row.amount) < 0.01) {
+          used.add(orderKey);
+          return true;
+        }
+        return false;
+      });
+
+      if (found) {
+        row.status = 'DUPLICATE';
+        row.match = { purchaseId: found.id, productName: found.productName, purchaseDate: found.purchaseDate, reason: `Matches ${found.retailer} purchase of ${found.productName}` };
+      }
+    }
+  }
+
+  /**
+   * Create purchases from the file's NEW rows.
+   * @param {Object} options - as preview(), plus `lines`: only import these rows (file line numbers)
+   * @returns {Promise<Object>} the preview, with status IMPORTED and `purchases` created;
+   *   or a preview status other than PREVIEW when nothing could be imported
+   */
+  async import(userId, file, options = {}) {
+    const preview = await this.preview(userId, file, options);
+    if (preview.status !== 'PREVIEW') return preview;
+
+    const lines = Array.isArray(options.lines) ? new Set(options.lines.map(Number)) : null;
+    const purchases = [];
+
+    for (const row of preview.rows) {
+      if (row.status !== 'NEW' || (lines && !lines.has(row.line))) continue;
+
+      const { card } = row;
+      let protectionEnds = null;
+      if (card?.protectionDays) {
+        protectionEnds = new Date(row.date);
+        protectionEnds.setDate(protectionEnds.getDate() + card.protectionDays);
+      }
+      const price = round(row.amount / row.quantity);
+
+      const purchase = await prisma.purchase.create({
+        data: {
+          userId,
+          productName: row.productName || `${row.retailer} Purchase`,
+          retailer: row.retailer,
+          purchasePrice: price,
+          currentPrice: price,
+          lowestPrice: price,
+          lowestPriceDate: row.date,
+          quantity: row.quantity,
+          purchaseDate: row.date,
+          retailerOrderId: row.orderId,
+          category: row.category,
+          productUrl: row.productUrl,
+          sourceType: 'CSV_IMPORT',
+          sourceEmailId: row.importKey,
+          paymentCardLast4: row.cardLast4 || card?.lastFour || null,
+          creditCardId: card?.id || null,
+          protectionEnds,
+          returnWindowEnds: await returnAdvisor.windowEndsFor({
+            retailer: row.retailer, productUrl: row.productUrl, category: row.category, purchaseDate: row.date
+          }),
+          status: 'MONITORING'
+        }
+      });
+
+      await prisma.priceHistory.create({
+        data: {
+          purchaseId: purchase.id,
+          price,
+          source: row.retailer
+        }
+      });
+
+      row.status = 'IMPORTED';
+      row.purchaseId = purchase.id;
+      purchases.push(purchase);
+    }
+
+    if (purchases.length) {
+      const missingUrls = purchases.filter(purchase => !purchase.productUrl).length;
+      await prisma.notification.create({
+        data: {
+          userId,
+          type: 'SYSTEM',
+          title: 'Purchases Imported',
+          message: `Imported ${purchases.length} purchase(s) from ${file.originalname || 'a statement'}${missingUrls ? ` - add product URLs for ${missingUrls} of them for price monitoring` : ''}`,
+          data: { purchaseIds: purchases.map(purchase => purchase.id) }
+        }
+      });
+      logger.info(`Imported ${purchases.length} purchase(s) for user ${userId} from ${preview.format.toUpperCase()} ${file.originalname}`);
+    }
+
+    preview.summary.IMPORTED = purchases.length;
+    return { ...preview, status: 'IMPORTED', purchases };
+  }
+}
+
+module.exports = new PurchaseImport();
@@ -0,0 +1,223 @@
+/**
+ * Receipt Import
+ *
+ * Creates purchases from an uploaded receipt or invoice: a PDF with a text
+ * layer (saved or printed from the retailer's site), or an order email saved
+ * as .eml or .html. The file is turned into what simpleParser gives for an
+ * order email, so it goes through the same AI / regex extraction as mailbox
+ * sync (emailParser.extractOrderDetails) and is saved the same way.
+ *
+ * The original file is kept as a Receipt: issuers ask for an itemized receipt,
+ * so it is attached when a claim for one of its purchases is filed. A receipt
+ * for an order that was already imported (same retailer order number) is just
+ * attached to that order's purchases.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { simpleParser } = require('mailparser');
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../utils/logger');
+const { extractPdfText } = require('../utils/pdfText');
+const { stripHtml } = require('./aiParser');
+const emailParser = require('./emailParser');
+
+const prisma = new PrismaClient();
+
+const KINDS = {
+  pdf: { extensions: ['.pdf'], contentTypes: ['application/pdf'] },
+  eml: { extensions: ['.eml'], contentTypes: ['message/rfc822'] },
+  html: { extensions: ['.html', '.htm'], contentTypes: ['text/html'] }
+};
+
+const CONTENT_TYPES = { pdf: 'application/pdf', eml: 'message/rfc822', html: 'text/html' };
+
+class ReceiptImport {
+  // pdf, eml or html; null for anything else
+  kindOf(file) {
+    const extension = path.extname(file.originalname || '').toLowerCase();
+    const contentType = (file.mimetype || '').toLowerCase();
+    for (const [kind, { extensions, contentTypes }] of Object.entries(KINDS)) {
+      if (extensions.includes(extension) || contentTypes.includes(contentType)) return kind;
+    }
+    return null;
+  }
+
+  // The file as simpleParser output, the shape the order extraction expects
+  async read(file, kind) {
+    if (kind === 'eml') {
+      return simpleParser(file.buffer);
+    }
+    if (kind === 'html') {
+      // A bare HTML document is an email body without headers
+      return simpleParser(Buffer.concat([
+        Buffer.from('Content-Type: text/html; charset=utf-8\r\n\r\n'),
+        file.buffer
+      ]));
+    }
+    const { text } = await extractPdfText(file.buffer);
+    return { subject: file.originalname, from: null, date: null, text, html: '' };
+  }
+
+  /**
+   * Create purchases from an uploaded receipt.
+   * @param {string} userId
+   * @param {Object} file - multer file ({ originalname, mimetype, size, buffer })
+   * @param {Object} hints - what the user told us, which wins over what is read:
+   *   retailer, purchaseDate (Date), creditCard (the user's card that paid)
+   * @returns {Promise<Object>} { status, reason?, receipt?, order?, purchases? } where status is
+   *   CREATED     - a new order and its purchases
+   *   ATTACHED    - the order was already imported; the receipt was added to its purchases
+   *   DUPLICATE   - this file was uploaded before
+   *   UNSUPPORTED - not a PDF, .eml or .html file
+   *   UNREADABLE  - no text could be read (a scanned PDF, for one)
+   *   NO_ORDER    - no order, store or date could be found in the text
+   */
+  async import(userId, file, { retailer: retailerHint, purchaseDate, creditCard } = {}) {
+    const kind = this.kindOf(file);
+    if (!kind) {
+      return { status: 'UNSUPPORTED', reason: 'Upload a PDF invoice or a receipt email saved as .eml or .html' };
+    }
+
+    const sha256 = crypto.createHash('sha256').update(file.buffer).digest('hex');
+    const existing = await prisma.receipt.findUnique({
+      where: { userId_sha256: { userId, sha256 } },
+      include: { purchases: true }
+    });
+    if (existing) {
+      return { status: 'DUPLICATE', reason: 'This receipt was already uploaded', receipt: existing, purchases: existing.purchases };
+    }
+
+    let parsed;
+    try {
+      parsed = await this.read(file, kind);
+    } catch (error) {
+      logger.warn(`Could not read uploaded ${kind} receipt ${file.originalname}: ${error.message}`);
+      return { status: 'UNREADABLE', reason: `Could not read this ${kind === 'pdf' ? 'PDF' : 'file'}: ${error.message}` };
+    }
+
+    const text = (parsed.text || stripHtml(parsed.html || '')).trim();
+    if (!text) {
+      return {
+        status: 'UNREADABLE',
+        reason: kind === 'pdf'
+          ? 'This PDF has no text layer (it looks like a scan or photo). Download the invoice from the retailer\'s order page instead.'
+          : 'This file has no text'
+      };
+    }
+
+    let identified = retailerHint
+      ? emailParser.retailerByName(retailerHint)
+      : emailParser.identifyRetailer(parsed, { strict: false }) || emailParser.retailerByName(null);
+
+    const details = await emailParser.extractOrderDetails(parsed, identified.retailer, identified.retailerConfig);
+    if (!details) {
+      return { status: 'NO_ORDER', reason: 'No prices were found in this receipt' };
+    }
+
+    // An unknown store can still be named by the AI extraction
+    if (!identified.retailer) {
+      if (!details.retailer) {
+        return { status: 'NO_ORDER', reason: 'Could not tell which store this receipt is from. Enter the retailer and upload it again.' };
+      }
+      identified = { ...emailParser.retailerByName(details.retailer), retailerConfig: identified.retailerConfig };
+    }
+
+    // An email's own date is the order date, as in mailbox sync
+    const orderDate = purchaseDate || (kind === 'eml' && parsed.date) || details.purchaseDate;
+    if (!orderDate) {
+      return { status: 'NO_ORDER', reason: 'Could not find the purchase date. Enter it and upload the receipt again.' };
+    }
+
+    const retailerName = identified.known
+      ? identified.retailer.charAt(0).toUpperCase() + identified.retailer.slice(1)
+      : identified.retailer;
+
+    const receipt = await prisma.receipt.create({
+      data: {
+        userId,
+        fileName: file.originalname || `receipt.${kind}`,
+        contentType: CONTENT_TYPES[kind],
+        size: file.size ?? file.buffer.length,
+        sha256,
+        content: file.buffer,
+        text
+      }
+    });
+
+    // Already imported (from the order email, say): keep the receipt as its evidence
+    if (details.orderId) {
+      const order = await prisma.order.findFirst({
+        where: {
+          userId,
+          retailerOrderId: details.orderId,
+          retailer: { equals: retailerName, mode: 'insensitive' }
+        },
+        include: { purchases: true }
+      });
+      if (order) {
+        await prisma.purchase.updateMany({
+          where: { orderId: order.id, receiptId: null },
+          data: { receiptId: receipt.id }
+        });
+        logger.info(`Attached uploaded receipt ${receipt.id} to existing order ${order.id}`);
+        const purchases = order.purchases.map(purchase => ({ ...purchase, receiptId: purchase.receiptId || receipt.id }));
+        return { status: 'ATTACHED', receipt, order, purchases };
+      }
+    }
+
+    try {
+      const { order, purchases } = await emailParser.saveOrder(userId, details, {
+        retailer: identified.retailer,
+        retailerName,
+        body: parsed.html || text,
+        orderDate,
+        sourceType: 'RECEIPT_UPLOAD',
+        sourceEmailId: `receipt:${receipt.id}`,
+        receiptId: receipt.id,
+        creditCard
+      });
+      return { status: 'CREATED', receipt, order, purchases };
+    } catch (error) {
+      // Don't keep a receipt nothing points to; the upload can be retried
+      await prisma.receipt.delete({ where: { id: receipt.id } }).catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * Response headers for downloading a receipt. Only PDFs open in the browser:
+   * an uploaded HTML email is the user's file, and served inline from the API
+   * origin any script in it would run there.
+   * @returns {Object} headers for res.set()
+   */
+  downloadHeaders(receipt) {
+    const fileName = receipt.fileName.replace(/[^\x20-\x7e]|["\\]/g, '_');
+    const headers = { 'Content-Type': receipt.contentType, 'X-Content-Type-Options': 'nosniff' };
+    if (receipt.contentType === CONTENT_TYPES.pdf) {
+      headers['Content-Disposition'] = `inline; filename="${fileName}"`;
+    } else {
+      // The sandbox also stops scripts if a browser renders it anyway
+      headers['Content-Disposition'] = `attachment; filename="${fileName}"`;
+      headers['Content-Security-Policy'] = 'sandbox';
+    }
+    return headers;
+  }
+
+  /**
+   * A purchase's receipt as a mail attachment.
+   * @returns {Promise<Object|null>} { filename, contentType, content }, or null when none was uploaded
+   */
+  async attachmentFor(purchase) {
+    if (!purchase?.receiptId) return null;
+    const receipt = await prisma.receipt.findUnique({ where: { id: purchase.receiptId } });
+    if (!receipt) return null;
+    return {
+      filename: `Receipt_${receipt.fileName.replace(/[^\w.-]+/g, '_')}`,
+      contentType: receipt.contentType,
+      content: Buffer.from(receipt.content)
+    };
+  }
+}
+
+module.exports = new ReceiptImport();
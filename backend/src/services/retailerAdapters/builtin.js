@@ -0,0 +1,274 @@
+/**
+ * Built-in retailer adapters.
+ *
+ * These ship with the code and act as the baseline. A RetailerConfig row for the
+ * same domain overrides whatever it specifies (selectors, extractors, URL rules,
+ * price adjustment and return policies), so a broken retailer can be fixed from
+ * the database without a deploy.
+ *
+ * Return policies are the retailers' standard terms; membership tiers and
+ * holiday extensions are left to RetailerConfig overrides.
+ */
+
+const axios = require('axios');
+const logger = require('../../utils/logger');
+
+// Keepa API for Amazon (requires API key)
+async function fetchKeepaPrice(url) {
+  const asinMatch = url.match(/\/dp\/([A-Z0-9]{10})/i) || url.match(/\/gp\/product\/([A-Z0-9]{10})/i);
+  const asin = asinMatch?.[1];
+  if (!process.env.KEEPA_API_KEY || !asin) return null;
+  try {
+    const response = await axios.get(
+      `https://api.keepa.com/product?key=${process.env.KEEPA_API_KEY}&domain=1&asin=${asin}`
+    );
+    const product = response.data.products?.[0];
+    if (product?.csv?.[0]) {
+      // Keepa stores prices in cents
+      const latestPrice = product.csv[0][product.csv[0].length - 1];
+      return latestPrice > 0 ? latestPrice / 100 : null;
+    }
+  } catch (err) {
+    logger.error('Keepa API error:', err);
+  }
+  return null;
+}
+
+// Prices retailers won't adjust to, as benefit exclusion rules (services/benefitCatalog/rules.js)
+const ADJUSTMENT_EXCLUSION_RULES = [
+  {
+    id: 'clearance',
+    fields: ['priceText'],
+    op: 'containsAny',
+    values: ['clearance', 'closeout', 'doorbuster', 'limited quantity', 'while supplies last'],
+    effect: 'exclude',
+    reason: 'Clearance and limited-quantity prices are not adjusted'
+  },
+  {
+    id: 'not-new',
+    fields: ['purchaseCondition', 'priceCondition'],
+    op: 'containsAny',
+    values: ['used', 'refurbished', 'renewed', 'open box', 'open-box', 'pre-owned'],
+    effect: 'exclude',
+    reason: 'Open-box, used and refurbished items are not adjusted'
+  },
+  {
+    id: 'marketplace',
+    fields: ['thirdPartySeller'],
+    op: 'is',
+    values: [true],
+    effect: 'exclude',
+    reason: 'Marketplace (third-party seller) prices are not adjusted'
+  }
+];
+
+const BUILTIN_ADAPTERS = [
+  {
+    name: 'amazon',
+    domains: ['amazon.com', 'smile.amazon.com'],
+    productIdPattern: '/(?:dp|gp/product)/([A-Z0-9]{10})',
+    canonicalUrlTemplate: 'https://www.amazon.com/dp/{id}',
+    rateLimit: { concurrency: 2, intervalMs: 3000 },
+    returnPolicy: { windowDays: 30 },
+    extractors: [
+      { type: 'api', fetch: fetchKeepaPrice },
+      { type: 'structuredData' },
+      {
+        type: 'selectors',
+        selectors: [
+          '#corePrice_feature_div .a-price .a-offscreen',
+          '#apex_offerDisplay_desktop .a-price .a-offscreen',
+          '#priceblock_ourprice',
+          '#priceblock_dealprice',
+          '.a-price .a-offscreen',
+          'span[data-a-color="price"] .a-offscreen'
+        ]
+      }
+    ],
+    fixtures: [
+      {
+        name: 'core price block',
+        url: 'https://www.amazon.com/Some-Product/dp/B0ABCDEFGH?ref=abc',
+        html: '<div id="corePrice_feature_div"><span class="a-price"><span class="a-offscreen">$249.99</span></span></div>',
+        expectedPrice: 249.99
+      }
+    ]
+  },
+  {
+    name: 'bestbuy',
+    domains: ['bestbuy.com'],
+    productIdPattern: '[?&]skuId=(\\d+)',
+    urlKeepParams: ['skuId'],
+    returnPolicy: {
+      windowDays: 15,
+      restockingFee: { percent: 15, appliesTo: ['drone', 'camera', 'projector', 'e-bike', 'scooter'] }
+    },
+    priceAdjustment: {
+      windowDays: 15,
+      channel: 'CHAT',
+      instructions: 'Chat with Best Buy customer service and ask for a price match on your own order',
+      exclusionRules: ADJUSTMENT_EXCLUSION_RULES
+    },
+    extractors: [
+      { type: 'structuredData' },
+      {
+        type: 'selectors',
+        selectors: [
+          '[data-testid="customer-price"] span',
+          '.priceView-customer-price span',
+          '.priceView-hero-price span'
+        ]
+      }
+    ],
+    fixtures: [
+      {
+        name: 'customer price',
+        url: 'https://www.bestbuy.com/site/some-tv/6501234.p?skuId=6501234&intl=nosplash',
+        html: '<div class="priceView-customer-price"><span>$499.99</span></div>',
+        expectedPrice: 499.99
+      }
+    ]
+  },
+  {
+    name: 'walmart',
+    domains: ['walmart.com'],
+    returnPolicy: { windowDays: 90, categoryWindows: { electronics: 30 } },
+    extractors: [
+      {
+        type: 'embeddedState',
+        selector: 'script#__NEXT_DATA__',
+        paths: ['props.pageProps.initialData.data.product.priceInfo.currentPrice.price']
+      },
+      { type: 'structuredData' },
+      {
+        type: 'selectors',
+        selectors: [
+          'span[data-automation="buybox-price"]',
+          '[itemprop="price"]',
+          '.price-characteristic'
+        ]
+      }
+    ],
+    fixtures: [
+      {
+        name: 'next data state',
+        url: 'https://www.walmart.com/ip/Some-Item/123456789?athbdg=L1600',
+        html: '<script id="__NEXT_DATA__" type="application/json">{"props":{"pageProps":{"initialData":{"data":{"product":{"priceInfo":{"currentPrice":{"price":88}}}}}}}}</script>',
+        expectedPrice: 88
+      }
+    ]
+  },
+  {
+    name: 'target',
+    domains: ['target.com'],
+    urlKeepParams: ['preselect'],
+    returnPolicy: { windowDays: 90, categoryWindows: { electronics: 30 } },
+    priceAdjustment: {
+      windowDays: 14,
+      channel: 'CHAT',
+      instructions: 'Chat with Target Guest Services and ask for a price adjustment on your order',
+      exclusionRules: ADJUSTMENT_EXCLUSION_RULES
+    },
+    extractors: [
+      { type: 'structuredData' },
+      {
+        type: 'selectors',
+        selectors: [
+          '[data-test="product-price"]',
+          '.styles__CurrentPriceFontSize-sc-1fx04p3-0',
+          '.h-text-bs span'
+        ]
+      }
+    ],
+    fixtures: [
+      {
+        name: 'product price',
+        url: 'https://www.target.com/p/some-item/-/A-12345678?preselect=87654321#lnk=sametab',
+        html: '<span data-test="product-price">$34.99</span>',
+        expectedPrice: 34.99
+      }
+    ]
+  },
+  {
+    name: 'costco',
+    domains: ['costco.com'],
+    returnPolicy: { windowDays: 365, categoryWindows: { electronics: 90 } },
+    priceAdjustment: {
+      windowDays: 30,
+      channel: 'ONLINE_FORM',
+      instructions: 'Send a price adjustment request through Costco.com Customer Service with your order number',
+      exclusionRules: ADJUSTMENT_EXCLUSION_RULES
+    },
+    extractors: [
+      { type: 'structuredData' },
+      { type: 'selectors', selectors: ['#pull-right-price', '.your-price .value'] }
+    ],
+    fixtures: [
+      {
+        name: 'your price',
+        url: 'https://www.costco.com/some-item.product.100123456.html',
+        html: '<div class="your-price"><span class="value">1,099.99</span></div>',
+        expectedPrice: 1099.99
+      }
+    ]
+  },
+  {
+    name: 'newegg',
+    domains: ['newegg.com'],
+    returnPolicy: { windowDays: 30, restockingFee: { percent: 15 } },
+    extractors: [
+      { type: 'structuredData' },
+      { type: 'selectors', selectors: ['.product-price .price-current', '.price-current'] }
+    ],
+    fixtures: [
+      {
+        name: 'current price',
+        url: 'https://www.newegg.com/some-gpu/p/N82E16814126000',
+        html: '<div class="product-price"><li class="price-current">$<strong>329</strong><sup>.99</sup></li></div>',
+        expectedPrice: 329.99
+      }
+    ]
+  },
+  {
+    name: 'homedepot',
+    domains: ['homedepot.com'],
+    returnPolicy: { windowDays: 90 },
+    priceAdjustment: {
+      windowDays: 30,
+      channel: 'CHAT',
+      instructions: 'Chat with Home Depot customer service (or visit a store with your receipt) and ask for a price adjustment',
+      exclusionRules: ADJUSTMENT_EXCLUSION_RULES
+    },
+    extractors: [
+      { type: 'structuredData' },
+      { type: 'selectors', selectors: ['[data-testid="productPrice"] .price', '.price__dollars'] }
+    ],
+    fixtures: [
+      {
+        name: 'product price',
+        url: 'https://www.homedepot.com/p/Some-Drill/312345678',
+        html: '<div data-testid="productPrice"><span class="price">$129.00</span></div>',
+        expectedPrice: 129
+      }
+    ]
+  },
+  {
+    name: 'lowes',
+    domains: ['lowes.com'],
+    returnPolicy: { windowDays: 90 },
+    extractors: [
+      { type: 'structuredData' },
+      { type: 'selectors', selectors: ['.main-price', '[data-selector="splp-item-price"]'] }
+    ],
+    fixtures: [
+      {
+        name: 'main price',
+        url: 'https://www.lowes.com/pd/Some-Mower/1000123456',
+        html: '<div class="main-price">$399.00</div>',
+        expectedPrice: 399
+      }
+    ]
+  }
+];
+
+module.exports = { BUILTIN_ADAPTERS };
@@ -0,0 +1,164 @@
+/**
+ * Price extractors used by retailer adapters.
+ *
+ * Each extractor spec is a plain object with a `type` and type-specific options,
+ * so the same specs can come from code (builtin.js) or from a RetailerConfig row.
+ * HTML extractors run against a cheerio document; API extractors run against the URL.
+ */
+
+const axios = require('axios');
+const logger = require('../../utils/logger');
+const { parsePriceText } = require('./priceText');
+const {
+  STRUCTURED_DATA_METHODS,
+  extractStructuredData
+} = require('./structuredData');
+
+// structuredData tries JSON-LD, microdata and OpenGraph in turn; the individual
+// types let an adapter pin one source
+const STRUCTURED_EXTRACTOR_TYPES = ['structuredData', ...STRUCTURED_DATA_METHODS];
+const HTML_EXTRACTOR_TYPES = [...STRUCTURED_EXTRACTOR_TYPES, 'embeddedState', 'selectors', 'genericSelectors'];
+
+// Resolve a dotted path ("a.b.0.c") against an object
+function getPath(obj, pathStr) {
+  return pathStr.split('.').reduce((acc, key) => (acc == null ? undefined : acc[key]), obj);
+}
+
+// ── Embedded state JSON (e.g. Next.js __NEXT_DATA__) ────────────────────────
+
+function extractEmbeddedState($, spec) {
+  const scriptText = $(spec.selector).first().contents().text();
+  if (!scriptText) return null;
+
+  let state;
+  try {
+    state = JSON.parse(scriptText);
+  } catch (e) {
+    return null;
+  }
+
+  for (const p of [].concat(spec.paths || [])) {
+    const value = getPath(state, p);
+    const price = parsePriceText(value);
+    if (price) return { price, rawText: String(value) };
+  }
+  return null;
+}
+
+// ── CSS selectors ───────────────────────────────────────────────────────────
+
+// Prices that sit next to the selling price but aren't it: strikethrough "was"
+// prices, list prices, per-unit prices and shipping costs
+const REFERENCE_PRICE_ANCESTORS = 's, del, strike, [class*="strike"], [class*="was"], [class*="Was"], ' +
+  '[class*="list-price"], [class*="listPrice"], [class*="original"], [class*="regular"], ' +
+  '[class*="unit-price"], [class*="unitPrice"], [class*="per-unit"], [class*="shipping"], [class*="Shipping"]';
+const REFERENCE_PRICE_TEXT = /\b(was|list|reg(ular)?|orig(inal)?|msrp|shipping|delivery)\b|\/\s*(oz|lb|ct|ea|each|count|unit|fl)\b|\bper\s+\w+/i;
+
+function isReferencePrice($, element, text) {
+  if (element.closest(REFERENCE_PRICE_ANCESTORS).length) return true;
+  if (/line-through/i.test(element.attr('style') || '')) return true;
+  return REFERENCE_PRICE_TEXT.test(text);
+}
+
+function extractSelectors($, spec) {
+  for (const selector of spec.selectors || []) {
+    try {
+      const element = $(selector).first();
+      if (!element.length) continue;
+      const text = element.attr('content') || element.text();
+      const price = parsePriceText(text);
+      if (price) return { price, rawText: text.trim(), selector };
+    } catch (e) {
+      // Invalid selector from config – try the next one
+      continue;
+    }
+  }
+  return null;
+}
+
+// Last resort for retailers without an adapter: scan common price selectors,
+// skipping reference prices and implausible values
+const GENERIC_PRICE_SELECTORS = [
+  '[itemprop="price"]',
+  '[data-price]',
+  '.product-price',
+  '.sale-price',
+  '.current-price',
+  '[class*="price"]',
+  '[class*="Price"]'
+];
+
+function extractGenericSelectors($) {
+  for (const selector of GENERIC_PRICE_SELECTORS) {
+    for (const node of $(selector).toArray()) {
+      const element = $(node);
+      const text = element.attr('content') || element.attr('data-price') || element.text();
+      if (!text || isReferencePrice($, element, text)) continue;
+      const price = parsePriceText(text);
+      if (price && price < 50000) {
+        return { price, rawText: text.trim(), selector };
+      }
+    }
+  }
+  return null;
+}
+
+// ── API (declarative JSON endpoint or code-defined fetcher) ─────────────────
+
+async function runApiExtractor(spec, url, adapter) {
+  // Code adapters may provide their own fetcher (e.g. Keepa for Amazon)
+  if (typeof spec.fetch === 'function') {
+    const price = await spec.fetch(url, adapter);
+    return price ? { price } : null;
+  }
+
+  // Declarative API: endpoint template with {id} taken from productIdPattern
+  if (!spec.endpoint) return null;
+  let productId = null;
+  if (adapter.productIdPattern) {
+    const match = url.match(new RegExp(adapter.productIdPattern, 'i'));
+    productId = match ? match[1] : null;
+    if (!productId) return null;
+  }
+
+  try {
+    const endpoint = spec.endpoint
+      .replace('{id}', encodeURIComponent(productId || ''))
+      .replace('{url}', encodeURIComponent(url));
+    const response = await axios.get(endpoint, { timeout: 15000 });
+    const value = spec.pricePath ? getPath(response.data, spec.pricePath) : response.data;
+    const price = parsePriceText(value);
+    return price ? { price, rawText: String(value) } : null;
+  } catch (err) {
+    logger.warn(`Price API failed for ${adapter.name}: ${err.message}`);
+    return null;
+  }
+}
+
+function runHtmlExtractor(spec, $) {
+  switch (spec.type) {
+    case 'structuredData':
+      return extractStructuredData($);
+    case 'jsonLd':
+    case 'microdata':
+    case 'openGraph':
+      return extractStructuredData($, [spec.type]);
+    case 'embeddedState':
+      return extractEmbeddedState($, spec);
+    case 'selectors':
+      return extractSelectors($, spec);
+    case 'genericSelectors':
+      return extractGenericSelectors($);
+    default:
+      return null;
+  }
+}
+
+module.exports = {
+  STRUCTURED_EXTRACTOR_TYPES,
+  HTML_EXTRACTOR_TYPES,
+  parsePriceText,
+  getPath,
+  runApiExtractor,
+  runHtmlExtractor
+};
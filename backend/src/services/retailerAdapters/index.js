@@ -0,0 +1,357 @@
+/**
+ * Retailer Adapter Registry
+ *
+ * An adapter describes how to price-check one retailer:
+ *   - name / domains            which hosts it handles
+ *   - extractors                ordered list of { type: 'api' | 'structuredData' | 'embeddedState' | 'selectors', ... }
+ *   - normalizeUrl(url)         canonical product URL (tracking params stripped)
+ *   - fixtures                  [{ name, url, html, expectedPrice }] to verify the extractors
+ *   - rateLimit                 optional { concurrency, intervalMs } for the price check pool
+ *   - priceAdjustment           optional policy for refunds the retailer makes itself
+ *                               (see services/retailerAdjustments.js)
+ *   - returnPolicy              optional return window and restocking fees
+ *                               (see services/returnAdvisor.js)
+ *
+ * Adapters come from code (builtin.js) and from the RetailerConfig table. A database
+ * row overrides the code adapter for the same domain field-by-field, and rows for
+ * unknown domains become new adapters, so ops can add or fix a retailer live.
+ */
+
+const cheerio = require('cheerio');
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../../utils/logger');
+const { BUILTIN_ADAPTERS } = require('./builtin');
+const {
+  STRUCTURED_EXTRACTOR_TYPES,
+  HTML_EXTRACTOR_TYPES,
+  runApiExtractor,
+  runHtmlExtractor
+} = require('./extractors');
+
+const prisma = new PrismaClient();
+
+// How long database-backed adapters are cached before re-reading RetailerConfig
+const CONFIG_TTL_MS = (parseInt(process.env.RETAILER_CONFIG_TTL_SECONDS) || 300) * 1000;
+
+// Query params that never identify a product
+const TRACKING_PARAMS = /^(utm_.*|ref|ref_|tag|psc|th|gclid|fbclid|msclkid|cid|affid|clickid|irgwc|intl|athbdg|lnk)$/i;
+
+function normalizeDomain(hostOrUrl) {
+  if (!hostOrUrl) return null;
+  let host = hostOrUrl;
+  try {
+    host = new URL(hostOrUrl).hostname;
+  } catch {
+    // Already a bare domain
+  }
+  return host.toLowerCase().replace(/^www\./, '');
+}
+
+// Default URL normalization: drop fragment and tracking params, keep only
+// `urlKeepParams` when the adapter declares them, or use a canonical template.
+function defaultNormalizeUrl(url, adapter) {
+  let urlObj;
+  try {
+    urlObj = new URL(url);
+  } catch {
+    return url;
+  }
+
+  if (adapter?.canonicalUrlTemplate && adapter.productIdPattern) {
+    const match = url.match(new RegExp(adapter.productIdPattern, 'i'));
+    if (match) {
+      return adapter.canonicalUrlTemplate.replace('{id}', match[1]);
+    }
+  }
+
+  urlObj.hash = '';
+  const keep = adapter?.urlKeepParams;
+  for (const key of [...urlObj.searchParams.keys()]) {
+    const drop = keep?.length ? !keep.includes(key) : TRACKING_PARAMS.test(key);
+    if (drop) urlObj.searchParams.delete(key);
+  }
+  return urlObj.toString();
+}
+
+// Turn a RetailerConfig row into an adapter (or adapter overrides)
+function adapterFromConfig(config) {
+  const extractors = Array.isArray(config.extractors) ? [...config.extractors] : null;
+  const selectors = [
+    ...(config.priceSelector ? [config.priceSelector] : []),
+    ...(config.priceSelectors || [])
+  ];
+
+  const adapter = {
+    name: config.name,
+    domains: [config.domain, ...(config.domains || [])].map(normalizeDomain),
+    priceCheckEnabled: config.priceCheckEnabled,
+    source: 'database',
+    configId: config.id
+  };
+
+  if (extractors) {
+    adapter.extractors = extractors;
+  } else if (selectors.length || config.apiEndpoint) {
+    adapter.extractors = [
+      ...(config.apiEndpoint ? [{ type: 'api', endpoint: config.apiEndpoint, pricePath: config.apiPricePath }] : []),
+      { type: 'structuredData' },
+      ...(selectors.length ? [{ type: 'selectors', selectors }] : [])
+    ];
+  }
+  if (config.productIdPattern) adapter.productIdPattern = config.productIdPattern;
+  if (config.canonicalUrlTemplate) adapter.canonicalUrlTemplate = config.canonicalUrlTemplate;
+  if (config.urlKeepParams?.length) adapter.urlKeepParams = config.urlKeepParams;
+  if (Array.isArray(config.fixtures)) adapter.fixtures = config.fixtures;
+  if (config.priceAdjustment && typeof config.priceAdjustment === 'object') {
+    adapter.priceAdjustment = config.priceAdjustment;
+  }
+  if (config.returnPolicy && typeof config.returnPolicy === 'object') {
+    adapter.returnPolicy = config.returnPolicy;
+  }
+  if (config.maxConcurrency || config.minIntervalMs != null) {
+    adapter.rateLimit = {
+      ...(config.maxConcurrency && { concurrency: config.maxConcurrency }),
+      ...(config.minIntervalMs != null && { intervalMs: config.minIntervalMs })
+    };
+  }
+
+  return adapter;
+}
+
+function finalizeAdapter(adapter) {
+  return {
+    priceCheckEnabled: true,
+    source: 'code',
+    extractors: [{ type: 'structuredData' }],
+    fixtures: [],
+    ...adapter,
+    normalizeUrl(url) {
+      return defaultNormalizeUrl(url, this);
+    }
+  };
+}
+
+class RetailerAdapterRegistry {
+  constructor() {
+    this.codeAdapters = new Map();
+    this.adapters = new Map();
+    this.loadedAt = 0;
+    this.loading = null;
+
+    for (const adapter of BUILTIN_ADAPTERS) {
+      this.register(adapter);
+    }
+  }
+
+  // Register a code adapter (database rows are layered on top at load time)
+  register(adapter) {
+    const finalized = finalizeAdapter(adapter);
+    this.codeAdapters.set(finalized.name, finalized);
+    this.adapters.set(finalized.name, finalized);
+    return finalized;
+  }
+
+  async loadFromDatabase() {
+    const merged = new Map(this.codeAdapters);
+
+    try {
+      const configs = await prisma.retailerConfig.findMany();
+      for (const config of configs) {
+        const override = adapterFromConfig(config);
+        const base = [...merged.values()].find(a =>
+          a.name === override.name || a.domains.some(d => override.domains.includes(d))
+        );
+
+        if (base) {
+          merged.delete(base.name);
+          merged.set(base.name, finalizeAdapter({
+            ...base,
+            ...override,
+            name: base.name,
+            domains: [...new Set([...base.domains, ...override.domains])],
+            // A policy row only needs the keys it changes (e.g. { windowDays: 30 })
+            priceAdjustment: override.priceAdjustment
+              ? { ...base.priceAdjustment, ...override.priceAdjustment }
+              : base.priceAdjustment,
+            returnPolicy: override.returnPolicy
+              ? { ...base.returnPolicy, ...override.returnPolicy }
+              : base.returnPolicy,
+            source: 'database'
+          }));
+        } else {
+          merged.set(override.name, finalizeAdapter(override));
+        }
+      }
+      logger.info(`Loaded ${configs.length} retailer config(s); ${merged.size} adapters active`);
+    } catch (err) {
+      // Keep serving code adapters if the table can't be read
+      logger.error('Failed to load RetailerConfig adapters:', err);
+    }
+
+    this.adapters = merged;
+    this.loadedAt = Date.now();
+    return this.list();
+  }
+
+  async ensureLoaded() {
+    if (Date.now() - this.loadedAt < CONFIG_TTL_MS) return;
+    if (!this.loading) {
+      this.loading = this.loadFromDatabase().finally(() => { this.loading = null; });
+    }
+    await this.loading;
+  }
+
+  // Force a re-read, e.g. after an admin edits a RetailerConfig row
+  async reload() {
+    this.loadedAt = 0;
+    return this.ensureLoaded().then(() => this.list());
+  }
+
+  normalizeDomain(hostOrUrl) {
+    return normalizeDomain(hostOrUrl);
+  }
+
+  getByName(name) {
+    return this.adapters.get(name) || null;
+  }
+
+  getForDomain(domain) {
+    const normalized = normalizeDomain(domain);
+    if (!normalized) return null;
+    for (const adapter of this.adapters.values()) {
+      if (adapter.domains.some(d => normalized === d || normalized.endsWith(`.${d}`))) {
+        return adapter;
+      }
+    }
+    return null;
+  }
+
+  async resolve(url) {
+    await this.ensureLoaded();
+    return this.getForDomain(url);
+  }
+
+  // A purchase's retailer: by product URL, else by retailer name ("Best Buy" -> bestbuy)
+  async forPurchase(purchase) {
+    if (purchase.productUrl) {
+      const adapter = await this.resolve(purchase.productUrl);
+      if (adapter) return adapter;
+    }
+    await this.ensureLoaded();
+    return this.getByName((purchase.retailer || '').toLowerCase().replace(/[^a-z0-9]/g, ''));
+  }
+
+  // Normalize a product URL with the matching adapter (or the default rules)
+  async normalizeUrl(url) {
+    const adapter = await this.resolve(url);
+    return adapter ? adapter.normalizeUrl(url) : defaultNormalizeUrl(url, null);
+  }
+
+  list() {
+    return [...this.adapters.values()].map(a => ({
+      name: a.name,
+      domains: a.domains,
+      source: a.source,
+      priceCheckEnabled: a.priceCheckEnabled,
+      extractors: a.extractors.map(e => e.type),
+      rateLimit: a.rateLimit || null,
+      priceAdjustment: a.priceAdjustment && a.priceAdjustment.enabled !== false
+        ? { windowDays: a.priceAdjustment.windowDays, channel: a.priceAdjustment.channel }
+        : null,
+      returnPolicy: a.returnPolicy
+        ? { windowDays: a.returnPolicy.windowDays, restockingFeePercent: a.returnPolicy.restockingFee?.percent || 0 }
+        : null,
+      fixtures: a.fixtures.length
+    }));
+  }
+
+  hasHtmlExtractors(adapter) {
+    return adapter.extractors.some(e => HTML_EXTRACTOR_TYPES.includes(e.type));
+  }
+
+  async extractFromApi(adapter, url) {
+    for (const spec of adapter.extractors.filter(e => e.type === 'api')) {
+      const result = await runApiExtractor(spec, url, adapter);
+      if (result?.price) return this.toReading(result, 'api', adapter.name);
+    }
+    return null;
+  }
+
+  // Structured data always runs before any CSS selectors, even when a config
+  // only lists selectors
+  htmlExtractors(adapter) {
+    const specs = adapter.extractors.filter(e => HTML_EXTRACTOR_TYPES.includes(e.type));
+    if (specs.some(e => STRUCTURED_EXTRACTOR_TYPES.includes(e.type))) return specs;
+    const firstSelector = specs.findIndex(e => e.type === 'selectors' || e.type === 'genericSelectors');
+    if (firstSelector === -1) return [...specs, { type: 'structuredData' }];
+    return [...specs.slice(0, firstSelector), { type: 'structuredData' }, ...specs.slice(firstSelector)];
+  }
+
+  // Returns { price, method, currency, availability, condition, seller, rawText, adapter }
+  // for the first extractor that finds a price. Readings from the remaining
+  // extractors are attached as `alternates` so a suspicious price can be
+  // cross-checked against a second method.
+  extractFromHtml(adapter, html) {
+    return this.runHtmlExtractors(this.htmlExtractors(adapter), html, adapter.name);
+  }
+
+  // For retailers without an adapter: structured data, then generic selectors
+  extractGeneric(html) {
+    return this.runHtmlExtractors([{ type: 'structuredData' }, { type: 'genericSelectors' }], html, null);
+  }
+
+  runHtmlExtractors(specs, html, adapterName) {
+    const $ = cheerio.load(html);
+    const readings = [];
+    for (const spec of specs) {
+      const result = runHtmlExtractor(spec, $);
+      if (result?.price) readings.push(this.toReading(result, spec.type, adapterName));
+    }
+    if (!readings.length) return null;
+    const [primary, ...alternates] = readings;
+    return { ...primary, alternates, pageTitle: this.pageTitle($) };
+  }
+
+  // Title of the product as shown on the page, used for variant matching
+  pageTitle($) {
+    const title = $('meta[property="og:title"]').attr('content') ||
+      $('h1').first().text() ||
+      $('title').first().text();
+    return title ? title.trim().replace(/\s+/g, ' ').slice(0, 300) : null;
+  }
+
+  toReading(result, type, adapterName) {
+    return {
+      currency: null,
+      availability: null,
+      condition: null,
+      seller: null,
+      rawText: null,
+      attributes: null,
+      ...result,
+      method: result.method || type,
+      adapter: adapterName
+    };
+  }
+
+  // Run an adapter's HTML extractors against its fixtures (or ad-hoc ones)
+  runFixtures(adapter, fixtures = adapter.fixtures) {
+    return fixtures.map(fixture => {
+      const result = this.extractFromHtml(adapter, fixture.html || '');
+      const actual = result?.price ?? null;
+      const normalizedUrl = fixture.url ? adapter.normalizeUrl(fixture.url) : null;
+      return {
+        name: fixture.name,
+        expectedPrice: fixture.expectedPrice,
+        actualPrice: actual,
+        method: result?.method || null,
+        normalizedUrl,
+        passed: fixture.expectedPrice === undefined
+          ? actual !== null
+          : actual !== null && Math.abs(actual - fixture.expectedPrice) < 0.005
+      };
+    });
+  }
+}
+
+module.exports = new RetailerAdapterRegistry();
@@ -0,0 +1,62 @@
+jest.mock('@prisma/client', () => require('../../../test/prismaMock'));
+
+const { prisma, resetPrisma } = require('@prisma/client');
+const retailerAdapters = require('./index');
+const { BUILTIN_ADAPTERS } = require('./builtin');
+
+describe('retailer adapter fixtures', () => {
+  it.each(BUILTIN_ADAPTERS.map(adapter => [adapter.name]))('%s reads the price from each of its fixtures', name => {
+    const adapter = retailerAdapters.getByName(name);
+    expect(adapter.fixtures.length).toBeGreaterThan(0);
+
+    for (const result of retailerAdapters.runFixtures(adapter)) {
+      expect(result).toMatchObject({ passed: true, actualPrice: result.expectedPrice });
+    }
+  });
+
+  it('reports a fixture whose price is not found', () => {
+    const [result] = retailerAdapters.runFixtures(retailerAdapters.getByName('amazon'), [
+      { name: 'no price', html: '<div>Currently unavailable</div>', expectedPrice: 10 }
+    ]);
+
+    expect(result).toMatchObject({ passed: false, actualPrice: null });
+  });
+});
+
+describe('retailer adapter URLs', () => {
+  it('finds the adapter for a subdomain', () => {
+    expect(retailerAdapters.getForDomain('https://smile.amazon.com/dp/B0ABCDEFGH')?.name).toBe('amazon');
+    expect(retailerAdapters.getForDomain('https://www.example.com/item')).toBeNull();
+  });
+
+  it('strips tracking parameters but keeps the ones that pick the product', () => {
+    const bestbuy = retailerAdapters.getByName('bestbuy');
+    expect(bestbuy.normalizeUrl('https://www.bestbuy.com/site/tv/123.p?skuId=6501234&utm_source=mail#reviews'))
+      .toBe('https://www.bestbuy.com/site/tv/123.p?skuId=6501234');
+  });
+});
+
+describe('RetailerConfig overrides', () => {
+  beforeEach(() => {
+    resetPrisma();
+  });
+
+  it('layers a database row over the code adapter for the same domain', async () => {
+    prisma.retailerConfig.findMany.mockResolvedValue([{
+      id: 'config-1',
+      name: 'Best Buy',
+      domain: 'bestbuy.com',
+      priceCheckEnabled: true,
+      priceSelectors: ['.new-price'],
+      returnPolicy: { windowDays: 30 },
+      fixtures: [{ name: 'redesign', html: '<span class="new-price">$199.99</span>', expectedPrice: 199.99 }]
+    }]);
+
+    await retailerAdapters.reload();
+    const adapter = retailerAdapters.getByName('bestbuy');
+
+    expect(adapter.source).toBe('database');
+    expect(adapter.returnPolicy).toMatchObject({ windowDays: 30, restockingFee: { percent: 15 } });
+    expect(retailerAdapters.runFixtures(adapter)).toEqual([expect.objectContaining({ passed: true })]);
+  });
+});
@@ -0,0 +1,21 @@
+// Parse a price out of free text, e.g. "$1,299.99" -> 1299.99
+function parsePriceText(text) {
+  if (text === null || text === undefined) return null;
+  if (typeof text === 'number') return text > 0 ? text : null;
+
+  const cleaned = String(text)
+    .replace(/[£€¥₹]/g, '')
+    .replace(/\s/g, '')
+    .replace(/,/g, '');
+
+  const match = cleaned.match(/\$?([\d.]+)/);
+  if (match) {
+    const price = parseFloat(match[1]);
+    if (!isNaN(price) && price > 0) {
+      return price;
+    }
+  }
+  return null;
+}
+
+module.exports = { parsePriceText };
@@ -0,0 +1,222 @@
+/**
+ * Structured-data offer extraction.
+ *
+ * Reads the price a retailer publishes for machines rather than the one drawn on
+ * the page: schema.org Product/Offer in JSON-LD and microdata, and the OpenGraph
+ * product:price tags. These are far less likely than a CSS selector to pick up a
+ * "was" price, a per-unit price or a shipping cost.
+ *
+ * Every extractor returns an offer reading or null:
+ *   { price, currency, availability, condition, seller, rawText, method, attributes }
+ * where `attributes` are the product's variant attributes (size, color, ...) when
+ * published. JSON-LD readings for pages listing several variants also carry a
+ * `variants` array with one reading per variant offer.
+ */
+
+const { parsePriceText } = require('./priceText');
+
+const STRUCTURED_DATA_METHODS = ['jsonLd', 'microdata', 'openGraph'];
+
+// "https://schema.org/InStock" -> "InStock", "NewCondition" -> "New"
+function schemaEnum(value, suffix) {
+  if (!value) return null;
+  const text = String(typeof value === 'object' ? value['@id'] || value.name || '' : value).trim();
+  if (!text) return null;
+  const raw = text.split(/[/#]/).pop();
+  const last = raw.charAt(0).toUpperCase() + raw.slice(1);
+  return suffix && last.endsWith(suffix) && last !== suffix ? last.slice(0, -suffix.length) : last;
+}
+
+function sellerName(seller) {
+  if (!seller) return null;
+  if (typeof seller === 'string') return seller;
+  return seller.name || seller.legalName || null;
+}
+
+function buildReading(fields, method) {
+  const price = parsePriceText(fields.price);
+  if (!price) return null;
+  return {
+    price,
+    currency: fields.currency ? String(fields.currency).toUpperCase() : null,
+    availability: schemaEnum(fields.availability),
+    condition: schemaEnum(fields.condition, 'Condition'),
+    seller: fields.seller || null,
+    rawText: String(fields.price),
+    method
+  };
+}
+
+// Variant attributes published on a schema.org Product node
+function productAttributes(node, get = key => node[key]) {
+  const attributes = {
+    size: get('size'),
+    color: get('color'),
+    condition: get('itemCondition')
+  };
+
+  for (const prop of [].concat(get('additionalProperty') || [])) {
+    if (prop && /storage|capacity/i.test(prop.name || '')) attributes.storage = prop.value;
+  }
+  const name = get('name');
+  if (!attributes.storage && name) {
+    const storage = String(name).match(/\b(\d+(?:\.\d+)?)\s?(GB|TB)\b/i);
+    if (storage) attributes.storage = `${storage[1]}${storage[2]}`;
+  }
+
+  for (const key of Object.keys(attributes)) {
+    if (!attributes[key]) delete attributes[key];
+    else if (typeof attributes[key] === 'object') attributes[key] = attributes[key].name || null;
+  }
+  if (attributes.condition) attributes.condition = schemaEnum(attributes.condition, 'Condition');
+  return { attributes, name: name ? String(name) : null };
+}
+
+// ── JSON-LD ─────────────────────────────────────────────────────────────────
+
+function offerFromJsonLd(offer) {
+  // AggregateOffer nests individual offers; prefer the first concrete one
+  if (offer.offers) {
+    for (const inner of [].concat(offer.offers)) {
+      const reading = offerFromJsonLd(inner);
+      if (reading) return reading;
+    }
+  }
+
+  const spec = [].concat(offer.priceSpecification || [])[0] || {};
+  return buildReading({
+    price: offer.price ?? spec.price ?? offer.lowPrice,
+    currency: offer.priceCurrency || spec.priceCurrency,
+    availability: offer.availability,
+    condition: offer.itemCondition,
+    seller: sellerName(offer.seller)
+  }, 'jsonLd');
+}
+
+function extractJsonLd($) {
+  const blocks = [];
+  $('script[type="application/ld+json"]').each((_, el) => {
+    try {
+      blocks.push(JSON.parse($(el).contents().text()));
+    } catch (e) {
+      // Malformed JSON-LD is common; skip it
+    }
+  });
+
+  const readings = [];
+  const queue = [...blocks];
+  while (queue.length) {
+    const node = queue.shift();
+    if (!node || typeof node !== 'object') continue;
+    if (Array.isArray(node)) {
+      queue.push(...node);
+      continue;
+    }
+    if (node['@graph']) queue.push(...[].concat(node['@graph']));
+
+    const types = [].concat(node['@type'] || []);
+    if ((types.includes('Product') || types.includes('ProductGroup')) && node.offers) {
+      for (const offer of [].concat(node.offers)) {
+        const reading = offerFromJsonLd(offer);
+        if (reading) {
+          if (!reading.condition && node.itemCondition) {
+            reading.condition = schemaEnum(node.itemCondition, 'Condition');
+          }
+          const { attributes, name } = productAttributes(node);
+          if (reading.condition) attributes.condition = reading.condition;
+          readings.push({ ...reading, attributes, name });
+          break;
+        }
+      }
+    }
+    if (node.hasVariant) queue.push(...[].concat(node.hasVariant));
+  }
+
+  if (!readings.length) return null;
+  const [primary] = readings;
+  return readings.length > 1 ? { ...primary, variants: readings } : primary;
+}
+
+// ── Microdata ───────────────────────────────────────────────────────────────
+
+function itempropValue($, scope, prop) {
+  // Only look at properties that belong to this scope, not a nested itemscope
+  const el = scope.find(`[itemprop="${prop}"]`).filter((_, node) =>
+    $(node).parent().closest('[itemscope]').is(scope)
+  ).first();
+  if (!el.length) return null;
+  return el.attr('content') || el.attr('href') || el.attr('value') || el.text().trim() || null;
+}
+
+function extractMicrodata($) {
+  const offers = $('[itemscope][itemtype*="schema.org/Offer"], [itemscope][itemtype*="schema.org/AggregateOffer"]');
+
+  for (const node of offers.toArray()) {
+    const offer = $(node);
+    const sellerScope = offer.find('[itemprop="seller"]').first();
+    const product = offer.closest('[itemscope][itemtype*="schema.org/Product"]');
+
+    const { attributes, name } = product.length
+      ? productAttributes(null, key => itempropValue($, product, key))
+      : { attributes: {}, name: null };
+
+    const reading = buildReading({
+      price: itempropValue($, offer, 'price') ?? itempropValue($, offer, 'lowPrice'),
+      currency: itempropValue($, offer, 'priceCurrency'),
+      availability: itempropValue($, offer, 'availability'),
+      condition: itempropValue($, offer, 'itemCondition') ||
+        (product.length ? itempropValue($, product, 'itemCondition') : null),
+      seller: sellerScope.length
+        ? (sellerScope.is('[itemscope]') ? itempropValue($, sellerScope, 'name') : sellerScope.text().trim()) || null
+        : null
+    }, 'microdata');
+    if (reading) {
+      if (reading.condition) attributes.condition = reading.condition;
+      return { ...reading, attributes, name };
+    }
+  }
+  return null;
+}
+
+// ── OpenGraph ───────────────────────────────────────────────────────────────
+
+function metaContent($, names) {
+  for (const name of names) {
+    const value = $(`meta[property="${name}"], meta[name="${name}"]`).first().attr('content');
+    if (value) return value;
+  }
+  return null;
+}
+
+function extractOpenGraph($) {
+  return buildReading({
+    price: metaContent($, ['product:price:amount', 'og:price:amount', 'product:sale_price:amount']),
+    currency: metaContent($, ['product:price:currency', 'og:price:currency', 'product:sale_price:currency']),
+    availability: metaContent($, ['product:availability', 'og:availability']),
+    condition: metaContent($, ['product:condition']),
+    seller: metaContent($, ['product:retailer_title', 'og:site_name'])
+  }, 'openGraph');
+}
+
+const EXTRACTORS = {
+  jsonLd: extractJsonLd,
+  microdata: extractMicrodata,
+  openGraph: extractOpenGraph
+};
+
+// Try each structured-data source in order of reliability
+function extractStructuredData($, methods = STRUCTURED_DATA_METHODS) {
+  for (const method of methods) {
+    const reading = EXTRACTORS[method]($);
+    if (reading) return reading;
+  }
+  return null;
+}
+
+module.exports = {
+  STRUCTURED_DATA_METHODS,
+  extractStructuredData,
+  extractJsonLd,
+  extractMicrodata,
+  extractOpenGraph
+};
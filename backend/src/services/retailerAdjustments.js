@@ -0,0 +1,231 @@
+/**
+ * Retailer Price Adjustments
+ *
+ * Many retailers refund a price drop themselves within their own window, which
+ * is usually faster than an issuer claim. A retailer's policy lives on its
+ * adapter (retailerAdapters/builtin.js, overridden by RetailerConfig.priceAdjustment):
+ *   {
+ *     windowDays:     14,                  // days from purchase
+ *     channel:        'CHAT' | 'ONLINE_FORM' | 'EMAIL' | 'PHONE' | 'IN_STORE',
+ *     url, email, phone, instructions,     // where and how to ask
+ *     exclusionRules: [...],               // benefitCatalog/rules.js format
+ *     autoDraft:      true,                // draft the request when a drop is found
+ *     enabled:        true
+ *   }
+ *
+ * A request is tracked as a RETAILER_ADJUSTMENT claim. A purchase has at most
+ * one claim that isn't denied or expired (claimFilingLock.createClaimOnce), so
+ * the same drop is never claimed from both the retailer and the issuer. Drafts
+ * nobody sent expire with the retailer's window, and the issuer claim can go ahead.
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../utils/logger');
+const retailerAdapters = require('./retailerAdapters');
+const claimFilingLock = require('./claimFilingLock');
+const claimEligibility = require('./claimEligibility');
+const { evaluateRules, validateRules } = require('./benefitCatalog/rules');
+
+const prisma = new PrismaClient();
+
+const CHANNELS = ['CHAT', 'ONLINE_FORM', 'EMAIL', 'PHONE', 'IN_STORE'];
+const UNSENT_STATUSES = ['DRAFT', 'READY_TO_FILE'];
+
+const CHANNEL_LABELS = {
+  CHAT: 'customer service chat',
+  ONLINE_FORM: 'the online request form',
+  EMAIL: 'email',
+  PHONE: 'phone',
+  IN_STORE: 'a store visit'
+};
+
+function round(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+class RetailerAdjustments {
+  /**
+   * Check a policy before it is saved.
+   * @returns {string[]} problems (empty when the policy is valid)
+   */
+  validatePolicy(policy) {
+    if (policy == null) return [];
+    if (typeof policy !== 'object' || Array.isArray(policy)) return ['priceAdjustment must be an object'];
+
+    const errors = [];
+    if (policy.windowDays !== undefined && !(Number.isInteger(policy.windowDays) && policy.windowDays > 0 && policy.windowDays <= 365)) {
+      errors.push('priceAdjustment.windowDays must be a whole number of days between 1 and 365');
+    }
+    if (policy.channel !== undefined && !CHANNELS.includes(policy.channel)) {
+      errors.push(`priceAdjustment.channel must be one of ${CHANNELS.join(', ')}`);
+    }
+    for (const field of ['autoDraft', 'enabled']) {
+      if (policy[field] !== undefined && typeof policy[field] !== 'boolean') {
+        errors.push(`priceAdjustment.${field} must be true or false`);
+      }
+    }
+    errors.push(...validateRules(policy.exclusionRules).map(error => `priceAdjustment.${error}`));
+    return errors;
+  }
+
+  async policyFor(purchase) {
+    const adapter = await retailerAdapters.forPurchase(purchase);
+    const policy = adapter?.priceAdjustment;
+    if (!policy || policy.enabled === false || !policy.windowDays) return null;
+    return { adapter: adapter.name, autoDraft: true, ...policy };
+  }
+
+  /**
+   * Can the retailer refund this drop itself?
+   * @param {Object} purchase
+   * @param {Object} options - { price, reading }; the reading defaults to the
+   *   latest accepted one at or below `price`
+   * @returns {Promise<Object>} { status: AVAILABLE | EXCLUDED | WINDOW_CLOSED | NOT_OFFERED,
+   *   available, retailer, windowEnds, channel, contact, instructions, reasons, amount, price, checkedAt }
+   */
+  async evaluate(purchase, { price, reading } = {}) {
+    const lowerPrice = price ?? purchase.lowestPrice ?? purchase.currentPrice;
+    const policy = await this.policyFor(purchase);
+    const checkedAt = new Date().toISOString();
+
+    if (!policy) {
+      return { status: 'NOT_OFFERED', available: false, retailer: purchase.retailer, reasons: [], price: lowerPrice ?? null, checkedAt };
+    }
+
+    const windowEnds = new Date(purchase.purchaseDate);
+    windowEnds.setDate(windowEnds.getDate() + policy.windowDays);
+
+    if (reading === undefined) {
+      reading = await claimEligibility.readingFor(purchase.id, lowerPrice);
+    }
+    const reasons = evaluateRules(policy.exclusionRules, claimEligibility.factsFor(purchase, reading));
+
+    const status = windowEnds < new Date()
+      ? 'WINDOW_CLOSED'
+      : reasons.some(r => r.effect === 'exclude') ? 'EXCLUDED' : 'AVAILABLE';
+
+    return {
+      status,
+      available: status === 'AVAILABLE',
+      retailer: purchase.retailer,
+      adapter: policy.adapter,
+      windowDays: policy.windowDays,
+      windowEnds: windowEnds.toISOString(),
+      channel: policy.channel || null,
+      contact: {
+        url: policy.url || null,
+        email: policy.email || null,
+        phone: policy.phone || null
+      },
+      instructions: policy.instructions || null,
+      autoDraft: policy.autoDraft !== false,
+      reasons,
+      // Retailers refund the full difference on every unit; card caps don't apply
+      amount: lowerPrice != null ? round(Math.max(0, purchase.purchasePrice - lowerPrice) * (purchase.quantity || 1)) : null,
+      price: lowerPrice ?? null,
+      priceHistoryId: reading?.id || null,
+      checkedAt
+    };
+  }
+
+  // What to say to the retailer
+  requestMessage(purchase, evaluation) {
+    const quantity = purchase.quantity || 1;
+    const purchased = new Date(purchase.purchaseDate).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+    return [
+      `Hello, I bought ${quantity > 1 ? `${quantity} x ` : ''}${purchase.productName}${purchase.retailerOrderId ? ` (order ${purchase.retailerOrderId})` : ''} on ${purchased} for $${purchase.purchasePrice.toFixed(2)}${quantity > 1 ? ' each' : ''}.`,
+      `It is now $${evaluation.price.toFixed(2)}${purchase.productUrl ? ` at ${purchase.productUrl}` : ' on your site'}.`,
+      `Under your price adjustment policy, could you please refund the $${evaluation.amount.toFixed(2)} difference to my original payment method?`,
+      'Thank you!'
+    ].join(' ');
+  }
+
+  // How to send a retailer adjustment claim's request
+  instructionsFor(claim) {
+    const request = claim.adjustmentRequest || {};
+    return {
+      type: 'RETAILER_ADJUSTMENT',
+      retailer: request.retailer || claim.purchase?.retailer,
+      claimAmount: claim.priceDifference,
+      method: (request.channel || 'CHAT').toLowerCase(),
+      portal: request.contact?.url || null,
+      phone: request.contact?.phone || null,
+      email: request.contact?.email || null,
+      windowEnds: request.windowEnds || null,
+      message: request.message || null,
+      steps: [
+        request.instructions || `Contact ${request.retailer || 'the retailer'} through ${CHANNEL_LABELS[request.channel] || 'customer service'}`,
+        'Send the request message below with your order number',
+        'Mark the request as submitted, then record whether it was approved or denied'
+      ]
+    };
+  }
+
+  /**
+   * Draft a retailer adjustment request as a claim.
+   * @returns {Promise<{ claim, created, busy? }>} as claimFilingLock.createClaimOnce
+   */
+  async draft(purchase, evaluation, { userId = purchase.userId, notes, include } = {}) {
+    const message = this.requestMessage(purchase, evaluation);
+    return claimFilingLock.createClaimOnce(purchase.id, {
+      userId,
+      type: 'RETAILER_ADJUSTMENT',
+      originalPrice: purchase.purchasePrice,
+      newPrice: evaluation.price,
+      priceDifference: evaluation.amount,
+      status: 'DRAFT',
+      adjustmentRequest: {
+        retailer: evaluation.retailer,
+        channel: evaluation.channel,
+        contact: evaluation.contact,
+        instructions: evaluation.instructions,
+        windowEnds: evaluation.windowEnds,
+        message
+      },
+      statusHistory: [{
+        status: 'DRAFT',
+        timestamp: new Date().toISOString(),
+        notes: notes || `Retailer price adjustment drafted; ${evaluation.retailer} adjusts prices until ${new Date(evaluation.windowEnds).toLocaleDateString('en-US')}`
+      }]
+    }, include ? { include } : {});
+  }
+
+  // Expire unsent retailer requests whose window has closed, so issuer claims can go ahead
+  async expireLapsed() {
+    const drafts = await prisma.claim.findMany({
+      where: { type: 'RETAILER_ADJUSTMENT', status: { in: UNSENT_STATUSES } }
+    });
+    const now = new Date();
+    let expired = 0;
+
+    for (const claim of drafts) {
+      const windowEnds = claim.adjustmentRequest?.windowEnds;
+      if (!windowEnds || new Date(windowEnds) >= now) continue;
+
+      const statusHistory = Array.isArray(claim.statusHistory) ? claim.statusHistory : [];
+      await prisma.claim.update({
+        where: { id: claim.id },
+        data: {
+          status: 'EXPIRED',
+          resolvedAt: now,
+          statusHistory: [...statusHistory, {
+            status: 'EXPIRED',
+            timestamp: now.toISOString(),
+            notes: 'The retailer\'s price adjustment window closed before the request was sent'
+          }]
+        }
+      });
+      expired++;
+    }
+
+    if (expired) logger.info(`Expired ${expired} unsent retailer price adjustment request(s)`);
+    return expired;
+  }
+
+  // The retailer must be tried first and still can be: issuer claims wait
+  holdsIssuerClaim(evaluation, benefit) {
+    return Boolean(benefit?.requiresRetailerFirst && evaluation?.available);
+  }
+}
+
+module.exports = new RetailerAdjustments();
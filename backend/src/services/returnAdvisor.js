@@ -0,0 +1,210 @@
+/**
+ * Return Advisor
+ *
+ * Price drops often come after the card's protection has ended but while the
+ * retailer still takes the item back, or are bigger than the card's per-item
+ * cap. Returning the item and buying it again at the lower price can then be
+ * worth more than a claim. A retailer's return policy lives on its adapter
+ * (retailerAdapters/builtin.js, overridden by RetailerConfig.returnPolicy):
+ *   {
+ *     windowDays:      30,                         // days from purchase
+ *     categoryWindows: { electronics: 15 },        // per purchase category
+ *     restockingFee:   { percent: 15, appliesTo: ['camera'] },  // appliesTo matches the
+ *                                                  // category or product name; omit for all items
+ *     returnShipping:  0                           // flat cost of sending it back
+ *   }
+ *
+ * recommend() compares what each route gets back for the same drop: a retailer
+ * price adjustment, an issuer claim (capped, see services/claimAmount.js), or
+ * a return and rebuy after restocking fees and return shipping.
+ */
+
+const logger = require('../utils/logger');
+const retailerAdapters = require('./retailerAdapters');
+const claimAmount = require('./claimAmount');
+
+// What a return and rebuy has to gain over the next best route to be worth the trip
+const REBUY_MIN_ADVANTAGE = 5;
+
+function round(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+function money(amount) {
+  return `$${amount.toFixed(2)}`;
+}
+
+function dateOf(date) {
+  return new Date(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+}
+
+class ReturnAdvisor {
+  /**
+   * Check a policy before it is saved.
+   * @returns {string[]} problems (empty when the policy is valid)
+   */
+  validatePolicy(policy) {
+    if (policy == null) return [];
+    if (typeof policy !== 'object' || Array.isArray(policy)) return ['returnPolicy must be an object'];
+
+    const errors = [];
+    const validDays = (days) => Number.isInteger(days) && days > 0 && days <= 365;
+    if (policy.windowDays !== undefined && !validDays(policy.windowDays)) {
+      errors.push('returnPolicy.windowDays must be a whole number of days between 1 and 365');
+    }
+    if (policy.categoryWindows !== undefined) {
+      if (!policy.categoryWindows || typeof policy.categoryWindows !== 'object' || Array.isArray(policy.categoryWindows)) {
+        errors.push('returnPolicy.categoryWindows must map categories to days');
+      } else {
+        for (const [category, days] of Object.entries(policy.categoryWindows)) {
+          if (!validDays(days)) errors.push(`returnPolicy.categoryWindows.${category} must be a whole number of days between 1 and 365`);
+        }
+      }
+    }
+    const fee = policy.restockingFee;
+    if (fee !== undefined && fee !== null) {
+      if (typeof fee !== 'object' || !(typeof fee.percent === 'number' && fee.percent >= 0 && fee.percent <= 100)) {
+        errors.push('returnPolicy.restockingFee.percent must be between 0 and 100');
+      } else if (fee.appliesTo !== undefined && !(Array.isArray(fee.appliesTo) && fee.appliesTo.every(v => typeof v === 'string'))) {
+        errors.push('returnPolicy.restockingFee.appliesTo must be a list of categories or product keywords');
+      }
+    }
+    if (policy.returnShipping !== undefined && !(typeof policy.returnShipping === 'number' && policy.returnShipping >= 0)) {
+      errors.push('returnPolicy.returnShipping must be a non-negative amount');
+    }
+    return errors;
+  }
+
+  async policyFor(purchase) {
+    const adapter = await retailerAdapters.forPurchase(purchase);
+    const policy = adapter?.returnPolicy;
+    return policy?.windowDays ? policy : null;
+  }
+
+  windowDaysFor(policy, purchase) {
+    const category = (purchase.category || '').toLowerCase();
+    return policy.categoryWindows?.[category] ?? policy.windowDays;
+  }
+
+  /**
+   * When the retailer stops taking the item back.
+   * @param {Object} purchase - needs purchaseDate, retailer (or productUrl) and category
+   * @returns {Promise<Date|null>} null when the retailer's policy is unknown
+   */
+  async windowEndsFor(purchase) {
+    try {
+      const policy = await this.policyFor(purchase);
+      if (!policy || !purchase.purchaseDate) return null;
+      const ends = new Date(purchase.purchaseDate);
+      ends.setDate(ends.getDate() + this.windowDaysFor(policy, purchase));
+      return ends;
+    } catch (error) {
+      logger.warn(`Could not work out the return window for ${purchase.retailer}: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Restocking fee for returning every unit
+  restockingFeeFor(policy, purchase) {
+    const fee = policy.restockingFee;
+    if (!fee?.percent) return 0;
+    if (fee.appliesTo?.length) {
+      const text = `${purchase.category || ''} ${purchase.productName || ''}`.toLowerCase();
+      if (!fee.appliesTo.some(keyword => text.includes(keyword.toLowerCase()))) return 0;
+    }
+    return round(purchase.purchasePrice * (purchase.quantity || 1) * fee.percent / 100);
+  }
+
+  /**
+   * Compare the routes to money back for a lower price.
+   * @param {Object} purchase - with `creditCard` (and `order`, when loaded)
+   * @param {Object} options
+   *   price         - the lower per-unit price
+   *   eligibility   - claimEligibility verdict for the card (an excluded claim isn't an option)
+   *   adjustment    - retailerAdjustments verdict
+   *   identicalItem - whether the lower price is for the identical item (a rebuy needs it)
+   * @returns {Promise<Object>} { action: RETURN_AND_REBUY | RETAILER_ADJUSTMENT | CLAIM | NONE,
+   *   summary, savings, returnWindowEnds, options: { returnAndRebuy, retailerAdjustment, claim }, checkedAt }
+   */
+  async recommend(purchase, { price, eligibility, adjustment, identicalItem = true } = {}) {
+    const now = new Date();
+    const quantity = purchase.quantity || 1;
+    const difference = round(Math.max(0, purchase.purchasePrice - price) * quantity);
+
+    // Return and rebuy: the whole difference, less restocking fees and return shipping
+    const policy = await this.policyFor(purchase);
+    const returnWindowEnds = purchase.returnWindowEnds
+      ? new Date(purchase.returnWindowEnds)
+      : await this.windowEndsFor(purchase);
+    const restockingFee = policy ? this.restockingFeeFor(policy, purchase) : 0;
+    const returnShipping = policy?.returnShipping || 0;
+    const returnAndRebuy = {
+      available: Boolean(policy && returnWindowEnds && returnWindowEnds > now && identicalItem),
+      amount: round(Math.max(0, difference - restockingFee - returnShipping)),
+      restockingFee,
+      returnShipping,
+      windowEnds: returnWindowEnds ? returnWindowEnds.toISOString() : null
+    };
+
+    const retailerAdjustment = {
+      available: Boolean(adjustment?.available),
+      amount: adjustment?.available ? adjustment.amount : 0,
+      windowEnds: adjustment?.windowEnds || null
+    };
+
+    // Issuer claim: what the card would pay, after its caps
+    const protectionActive = purchase.protectionEnds && new Date(purchase.protectionEnds) > now;
+    const claim = { available: false, amount: 0, capped: false, protectionEnds: purchase.protectionEnds || null };
+    if (purchase.creditCard && protectionActive && eligibility?.status !== 'EXCLUDED') {
+      const breakdown = await claimAmount.calculate(purchase, price);
+      claim.available = breakdown.amount > 0;
+      claim.amount = breakdown.amount;
+      claim.capped = Boolean(breakdown.cap?.applied);
+    }
+
+    // Least effort first: the retailer refunds in place, a claim needs paperwork,
+    // a rebuy needs a return trip and has to be clearly worth it
+    const best = [
+      retailerAdjustment.available && { action: 'RETAILER_ADJUSTMENT', amount: retailerAdjustment.amount },
+      claim.available && { action: 'CLAIM', amount: claim.amount }
+    ].filter(Boolean).reduce((top, option) => (!top || option.amount > top.amount ? option : top), null);
+
+    let action = best?.action || 'NONE';
+    let savings = best?.amount || 0;
+    let summary;
+
+    if (returnAndRebuy.available && returnAndRebuy.amount >= savings + REBUY_MIN_ADVANTAGE) {
+      action = 'RETURN_AND_REBUY';
+      savings = returnAndRebuy.amount;
+      const fees = restockingFee + returnShipping;
+      const rebuy = `return it by ${dateOf(returnWindowEnds)} and buy it again for ${money(savings)} back${fees > 0 ? ` after ${money(fees)} in return fees` : ''}`;
+      if (claim.capped) {
+        summary = `The card caps the claim at ${money(claim.amount)}; ${rebuy}`;
+      } else if (purchase.creditCard && !protectionActive) {
+        summary = `Price protection has ended, but ${purchase.retailer} still takes returns: ${rebuy}`;
+      } else if (best) {
+        summary = `${best.action === 'CLAIM' ? 'A claim' : 'A price adjustment'} gets ${money(best.amount)}; ${rebuy}`;
+      } else {
+        summary = `No claim is possible; ${rebuy}`;
+      }
+    } else if (action === 'RETAILER_ADJUSTMENT') {
+      summary = `Ask ${adjustment.retailer} for a ${money(savings)} price adjustment`;
+    } else if (action === 'CLAIM') {
+      summary = `File a ${money(savings)} price protection claim`;
+    } else {
+      summary = 'No way to recover this drop right now';
+    }
+
+    return {
+      action,
+      summary,
+      savings,
+      price,
+      returnWindowEnds: returnAndRebuy.windowEnds,
+      options: { returnAndRebuy, retailerAdjustment, claim },
+      checkedAt: now.toISOString()
+    };
+  }
+}
+
+module.exports = new ReturnAdvisor();
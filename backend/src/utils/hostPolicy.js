@@ -0,0 +1,99 @@
+/**
+ * Host Policy Utility
+ * Which addresses the server may connect to on a user's behalf (e.g. their
+ * IMAP server). Only public addresses: a user-supplied host must not reach
+ * the server itself or the private network it runs in (Redis, Postgres,
+ * cloud metadata). Hostnames are checked after they are resolved, at connect
+ * time, so a name can't be pointed somewhere else between check and connect.
+ */
+
+const dns = require('dns');
+const net = require('net');
+
+const LOOPBACK = new net.BlockList();
+LOOPBACK.addSubnet('127.0.0.0', 8, 'ipv4');
+LOOPBACK.addAddress('::1', 'ipv6');
+
+const NOT_PUBLIC = new net.BlockList();
+[
+  ['0.0.0.0', 8],       // "this" network
+  ['10.0.0.0', 8],      // private
+  ['100.64.0.0', 10],   // carrier-grade NAT
+  ['127.0.0.0', 8],     // loopback
+  ['169.254.0.0', 16],  // link-local, cloud metadata
+  ['172.16.0.0', 12],   // private
+  ['192.0.0.0', 24],    // IETF protocol assignments
+  ['192.168.0.0', 16],  // private
+  ['198.18.0.0', 15],   // benchmarking
+  ['224.0.0.0', 4],     // multicast
+  ['240.0.0.0', 4]      // reserved, broadcast
+].forEach(([address, prefix]) => NOT_PUBLIC.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],          // unspecified
+  ['::1', 128],         // loopback
+  ['fc00::', 7],        // unique local
+  ['fe80::', 10],       // link-local
+  ['ff00::', 8]         // multicast
+].forEach(([address, prefix]) => NOT_PUBLIC.addSubnet(address, prefix, 'ipv6'));
+
+// ::ffff:10.0.0.1 is 10.0.0.1
+function unmapped(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  return mapped ? mapped[1] : address;
+}
+
+function check(list, address) {
+  const ip = unmapped(address);
+  const family = net.isIP(ip);
+  if (!family) return false;
+  return list.check(ip, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+function isLoopbackAddress(address) {
+  return check(LOOPBACK, address);
+}
+
+function isPublicAddress(address) {
+  return net.isIP(unmapped(address)) > 0 && !check(NOT_PUBLIC, address);
+}
+
+function notAllowed(host) {
+  return Object.assign(new Error(`${host} is not a public address`), { code: 'HOST_NOT_ALLOWED' });
+}
+
+/**
+ * A dns.lookup for net/tls.connect that fails unless every address the host
+ * resolves to passes allowAddress.
+ * @param {Function} allowAddress - (ip) => boolean
+ */
+function guardedLookup(allowAddress) {
+  return (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+      if (error) return callback(error);
+      if (!addresses.length || addresses.some(({ address }) => !allowAddress(address))) {
+        return callback(notAllowed(hostname));
+      }
+      if (options.all) return callback(null, addresses);
+      return callback(null, addresses[0].address, addresses[0].family);
+    });
+  };
+}
+
+/**
+ * Connection options that only reach allowed addresses. An IP literal is
+ * checked here (net.connect doesn't look those up); a name when it resolves.
+ * @throws {Error} code HOST_NOT_ALLOWED for an IP literal that isn't allowed
+ */
+function guardConnect(host, allowAddress) {
+  if (net.isIP(host)) {
+    if (!allowAddress(host)) throw notAllowed(host);
+    return {};
+  }
+  return { lookup: guardedLookup(allowAddress) };
+}
+
+module.exports = {
+  isLoopbackAddress,
+  isPublicAddress,
+  guardConnect
+};
@@ -0,0 +1,33 @@
+const { isPublicAddress, isLoopbackAddress, guardConnect } = require('./hostPolicy');
+
+describe('hostPolicy', () => {
+  it.each([
+    '127.0.0.1', '10.0.0.5', '172.16.4.1', '192.168.1.10', '169.254.169.254', '100.64.0.1',
+    '0.0.0.0', '::1', '::', 'fd00::1', 'fe80::1', '::ffff:10.0.0.1', '::ffff:127.0.0.1', 'not-an-ip'
+  ])('treats %s as not public', address => {
+    expect(isPublicAddress(address)).toBe(false);
+  });
+
+  it.each(['93.184.216.34', '2606:2800:220:1::1', '::ffff:93.184.216.34'])('treats %s as public', address => {
+    expect(isPublicAddress(address)).toBe(true);
+  });
+
+  it('recognizes loopback addresses', () => {
+    expect(isLoopbackAddress('127.0.0.1')).toBe(true);
+    expect(isLoopbackAddress('::1')).toBe(true);
+    expect(isLoopbackAddress('10.0.0.1')).toBe(false);
+  });
+
+  it('checks IP literals before connecting', () => {
+    expect(() => guardConnect('10.0.0.1', isPublicAddress)).toThrow(expect.objectContaining({ code: 'HOST_NOT_ALLOWED' }));
+    expect(guardConnect('93.184.216.34', isPublicAddress)).toEqual({});
+  });
+
+  it('checks hostnames once they resolve', done => {
+    const { lookup } = guardConnect('localhost', isPublicAddress);
+    lookup('localhost', {}, error => {
+      expect(error.code).toBe('HOST_NOT_ALLOWED');
+      done();
+    });
+  });
+});
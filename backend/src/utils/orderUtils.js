@@ -0,0 +1,38 @@
+/**
+ * Order Utility
+ * Splits an order's totals across its line items, so each purchase carries
+ * the per-unit price actually paid for it (claim amounts: services/claimAmount.js)
+ */
+
+function round(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Share an order-level discount across line items in proportion to each
+ * line's subtotal (unit price x quantity). Rounding is settled on the largest
+ * line so the shares add up to the discount exactly.
+ * @param {Array<{ unitPrice, quantity }>} items
+ * @param {number} discount - positive amount
+ * @returns {number[]} discount share per item, for all of its units
+ */
+function allocateDiscount(items, discount) {
+  const lineTotals = items.map(item => item.unitPrice * (item.quantity || 1));
+  const subtotal = lineTotals.reduce((sum, total) => sum + total, 0);
+  if (!discount || discount <= 0 || subtotal <= 0) return items.map(() => 0);
+
+  const shares = lineTotals.map(total => round(discount * total / subtotal));
+  const largest = lineTotals.indexOf(Math.max(...lineTotals));
+  shares[largest] = round(shares[largest] + discount - shares.reduce((sum, share) => sum + share, 0));
+  return shares;
+}
+
+// What one unit actually cost once its share of order discounts is taken off
+function netUnitPrice(unitPrice, quantity = 1, discountShare = 0) {
+  return round(unitPrice - (discountShare || 0) / (quantity || 1));
+}
+
+module.exports = {
+  allocateDiscount,
+  netUnitPrice
+};
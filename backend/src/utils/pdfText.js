@@ -0,0 +1,369 @@
+/**
+ * PDF Text Utility
+ * Reads the text layer of a PDF invoice or receipt without OCR: the text-showing
+ * operators of each page's content streams, decoded through the font's ToUnicode
+ * map where it has one. Scanned receipts have no text layer and come back empty.
+ */
+
+const {
+  PDFDocument, PDFName, PDFDict, PDFArray, PDFRawStream, PDFStream, decodePDFRawStream
+} = require('pdf-lib');
+
+// Form XObjects can nest; deeper than this is almost certainly a loop
+const MAX_FORM_DEPTH = 5;
+
+// TJ offsets (thousandths of a unit of text space) wide enough to be a word gap
+const WORD_GAP = 200;
+
+// WinAnsiEncoding differs from Latin-1 in 0x80-0x9F; these are the ones receipts use
+const WIN_ANSI = {
+  0x80: '€', 0x85: '…', 0x91: '‘', 0x92: '’', 0x93: '“', 0x94: '”',
+  0x95: '•', 0x96: '–', 0x97: '—', 0x99: '™'
+};
+
+const DELIMITERS = '()<>[]{}/%';
+
+function isSpace(ch) {
+  return ch === ' ' || ch === '\n' || ch === '\r' || ch === '\t' || ch === '\f' || ch === '\0';
+}
+
+function streamBytes(stream) {
+  if (stream instanceof PDFRawStream) return decodePDFRawStream(stream).decode();
+  if (stream instanceof PDFStream && typeof stream.getUnencodedContents === 'function') {
+    return stream.getUnencodedContents();
+  }
+  return new Uint8Array();
+}
+
+function latin1(bytes) {
+  return Buffer.from(bytes).toString('latin1');
+}
+
+// UTF-16BE hex (as in a CMap destination) to a string
+function fromUtf16Hex(hex) {
+  if (hex.length <= 2) return String.fromCharCode(parseInt(hex, 16));
+  let text = '';
+  for (let i = 0; i + 4 <= hex.length; i += 4) {
+    text += String.fromCharCode(parseInt(hex.slice(i, i + 4), 16));
+  }
+  return text;
+}
+
+/**
+ * Parse a ToUnicode CMap.
+ * @returns {{ codeLength: number, map: Map<number, string> }}
+ */
+function parseCMap(source) {
+  const map = new Map();
+  const space = source.match(/begincodespacerange\s*<([0-9a-f]+)>/i);
+  const codeLength = space ? Math.max(1, space[1].length / 2) : 1;
+
+  for (const [, block] of source.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+    for (const [, code, unicode] of block.matchAll(/<([0-9a-f]+)>\s*<([0-9a-f]*)>/gi)) {
+      map.set(parseInt(code, 16), fromUtf16Hex(unicode));
+    }
+  }
+
+  for (const [, block] of source.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+    const entries = /<([0-9a-f]+)>\s*<([0-9a-f]+)>\s*(<[0-9a-f]*>|\[[^\]]*\])/gi;
+    for (const [, lowHex, highHex, target] of block.matchAll(entries)) {
+      const low = parseInt(lowHex, 16);
+      const high = parseInt(highHex, 16);
+      if (target.startsWith('[')) {
+        const targets = [...target.matchAll(/<([0-9a-f]*)>/gi)].map(m => fromUtf16Hex(m[1]));
+        targets.forEach((text, i) => { if (low + i <= high) map.set(low + i, text); });
+      } else {
+        // Each code in the range increments the last character of the destination
+        const start = fromUtf16Hex(target.slice(1, -1));
+        const prefix = start.slice(0, -1);
+        const last = start.charCodeAt(start.length - 1);
+        for (let code = low; code <= high && code - low < 0x10000; code++) {
+          map.set(code, prefix + String.fromCharCode(last + code - low));
+        }
+      }
+    }
+  }
+
+  return { codeLength, map };
+}
+
+// A font's byte-string decoder
+function fontDecoder(context, fontDict) {
+  let cmap = null;
+  const toUnicode = fontDict.lookup(PDFName.of('ToUnicode'));
+  if (toUnicode instanceof PDFStream) {
+    try {
+      cmap = parseCMap(latin1(streamBytes(toUnicode)));
+    } catch {
+      cmap = null;
+    }
+  }
+  const composite = fontDict.lookup(PDFName.of('Subtype')) === PDFName.of('Type0');
+
+  return (bytes) => {
+    if (cmap) {
+      let text = '';
+      for (let i = 0; i < bytes.length; i += cmap.codeLength) {
+        let code = 0;
+        for (let j = 0; j < cmap.codeLength; j++) code = (code << 8) | (bytes.charCodeAt(i + j) || 0);
+        text += cmap.map.get(code) ?? '';
+      }
+      return text;
+    }
+    // Composite fonts without a map use glyph ids, which aren't text
+    if (composite) return '';
+    let text = '';
+    for (let i = 0; i < bytes.length; i++) {
+      const code = bytes.charCodeAt(i);
+      text += WIN_ANSI[code] || bytes[i];
+    }
+    return text;
+  };
+}
+
+function fontsOf(context, resources, cache) {
+  const fonts = {};
+  const fontDict = resources?.lookup(PDFName.of('Font'));
+  if (!(fontDict instanceof PDFDict)) return fonts;
+  for (const [name, ref] of fontDict.entries()) {
+    const font = context.lookup(ref);
+    if (!(font instanceof PDFDict)) continue;
+    if (!cache.has(font)) cache.set(font, fontDecoder(context, font));
+    fonts[name.decodeText()] = cache.get(font);
+  }
+  return fonts;
+}
+
+// Split a content stream into operands and operators
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+  const n = source.length;
+
+  while (i < n) {
+    const ch = source[i];
+    if (isSpace(ch)) { i++; continue; }
+
+    if (ch === '%') {
+      while (i < n && source[i] !== '\n' && source[i] !== '\r') i++;
+    } else if (ch === '(') {
+      let depth = 1;
+      let text = '';
+      i++;
+      while (i < n && depth > 0) {
+        const c = source[i];
+        if (c === '\\') {
+          const next = source[i + 1];
+          const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+          if (escapes[next]) { text += escapes[next]; i += 2; }
+          else if (/[0-7]/.test(next)) {
+            const octal = source.slice(i + 1, i + 4).match(/^[0-7]{1,3}/)[0];
+            text += String.fromCharCode(parseInt(octal, 8) & 0xff);
+            i += 1 + octal.length;
+          } else if (next === '\r' || next === '\n') {
+            i += (next === '\r' && source[i + 2] === '\n') ? 3 : 2;
+          } else { text += next ?? ''; i += 2; }
+          continue;
+        }
+        if (c === '(') depth++;
+        if (c === ')' && --depth === 0) { i++; break; }
+        text += c;
+        i++;
+      }
+      tokens.push({ type: 'string', value: text });
+    } else if (ch === '<' && source[i + 1] === '<') {
+      tokens.push({ type: 'dict', value: '<<' });
+      i += 2;
+    } else if (ch === '>' && source[i + 1] === '>') {
+      tokens.push({ type: 'dict', value: '>>' });
+      i += 2;
+    } else if (ch === '<') {
+      const end = source.indexOf('>', i);
+      let hex = source.slice(i + 1, end === -1 ? n : end).replace(/[^0-9a-f]/gi, '');
+      if (hex.length % 2) hex += '0';
+      tokens.push({ type: 'string', value: latin1(Buffer.from(hex, 'hex')) });
+      i = end === -1 ? n : end + 1;
+    } else if (ch === '[' || ch === ']') {
+      tokens.push({ type: ch });
+      i++;
+    } else if (ch === '{' || ch === '}' || ch === ')' || ch === '>') {
+      i++;
+    } else {
+      const start = i;
+      i++;
+      while (i < n && !isSpace(source[i]) && !DELIMITERS.includes(source[i])) i++;
+      const word = source.slice(start, i);
+      if (word[0] === '/') {
+        tokens.push({ type: 'name', value: word.slice(1) });
+      } else if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) {
+        tokens.push({ type: 'number', value: parseFloat(word) });
+      } else {
+        tokens.push({ type: 'op', value: word });
+        // Inline image data is binary; skip to its end marker
+        if (word === 'ID') {
+          const end = source.slice(i).search(/\sEI(\s|$)/);
+          i = end === -1 ? n : i + end + 3;
+        }
+      }
+    }
+  }
+  return tokens;
+}
+
+class TextWriter {
+  constructor() {
+    this.lines = [];
+    this.line = '';
+    this.y = null;
+    this.nextY = null;
+  }
+
+  // Where the next text goes: moves only count once something is shown there
+  get position() {
+    return this.nextY ?? this.y ?? 0;
+  }
+
+  write(text) {
+    if (this.nextY !== null) {
+      if (this.y !== null && Math.abs(this.nextY - this.y) > 1) this.newline();
+      else this.space();
+      this.y = this.nextY;
+      this.nextY = null;
+    }
+    this.line += text;
+  }
+
+  space() {
+    if (this.line && !this.line.endsWith(' ')) this.line += ' ';
+  }
+
+  newline() {
+    if (this.line.trim()) this.lines.push(this.line);
+    this.line = '';
+  }
+
+  // Text placed at a new baseline starts a new line; on the same one it's a new column
+  moveTo(y) {
+    this.nextY = y;
+  }
+
+  toString() {
+    this.newline();
+    return this.lines
+      .map(line => line.replace(/[ \t]+/g, ' ').trim())
+      .filter(Boolean)
+      .join('\n');
+  }
+}
+
+function runContent(context, bytes, resources, writer, cache, depth) {
+  const fonts = fontsOf(context, resources, cache);
+  const tokens = tokenize(latin1(bytes));
+  let operands = [];
+  let array = null;
+  let decode = (bytes) => bytes;
+  let leading = 0;
+
+  const show = (value) => writer.write(decode(value));
+
+  for (const token of tokens) {
+    if (token.type === '[') { array = []; continue; }
+    if (token.type === ']') { operands.push(array || []); array = null; continue; }
+    if (array && token.type !== 'op') { array.push(token.value); continue; }
+    if (token.type !== 'op') { operands.push(token.value); continue; }
+
+    const args = operands;
+    operands = [];
+    switch (token.value) {
+      case 'BT':
+        break;
+      case 'Tf':
+        decode = fonts[args[0]] || ((bytes) => bytes);
+        break;
+      case 'TL':
+        leading = args[0] || 0;
+        break;
+      case 'Td':
+      case 'TD':
+        if (token.value === 'TD') leading = -(args[1] || 0);
+        if (args[1]) writer.moveTo(writer.position + args[1]);
+        else if (args[0] > 0) writer.space();
+        break;
+      case 'Tm':
+        writer.moveTo(args[5] || 0);
+        break;
+      case 'T*':
+        writer.moveTo(writer.position - (leading || 1));
+        break;
+      case 'Tj':
+        show(args[0] || '');
+        break;
+      case "'":
+        writer.moveTo(writer.position - (leading || 1));
+        show(args[0] || '');
+        break;
+      case '"':
+        writer.moveTo(writer.position - (leading || 1));
+        show(args[2] || '');
+        break;
+      case 'TJ':
+        for (const part of args[0] || []) {
+          if (typeof part === 'string') show(part);
+          else if (part < -WORD_GAP) writer.space();
+        }
+        break;
+      case 'Do': {
+        if (depth >= MAX_FORM_DEPTH) break;
+        const xObjects = resources?.lookup(PDFName.of('XObject'));
+        const form = xObjects instanceof PDFDict ? xObjects.lookup(PDFName.of(args[0])) : null;
+        if (form instanceof PDFStream && form.dict.lookup(PDFName.of('Subtype')) === PDFName.of('Form')) {
+          const formResources = form.dict.lookup(PDFName.of('Resources'));
+          runContent(context, streamBytes(form), formResources instanceof PDFDict ? formResources : resources,
+            writer, cache, depth + 1);
+          // The form's fonts were its own; pick the page's font back up at the next Tf
+        }
+        break;
+      }
+      default:
+        break;
+    }
+  }
+}
+
+/**
+ * Extract the text of a PDF.
+ * @param {Buffer|Uint8Array} buffer
+ * @returns {Promise<{ text: string, pages: number }>} text with one line per baseline,
+ *   pages separated by blank lines; empty text when the PDF has no text layer
+ */
+async function extractPdfText(buffer) {
+  const doc = await PDFDocument.load(buffer, { ignoreEncryption: true, updateMetadata: false });
+  const cache = new Map();
+  const pages = [];
+
+  for (const page of doc.getPages()) {
+    const writer = new TextWriter();
+    const resources = page.node.Resources();
+    const contents = page.node.Contents();
+    const streams = contents instanceof PDFArray
+      ? contents.asArray().map(ref => doc.context.lookup(ref))
+      : [contents];
+
+    for (const stream of streams) {
+      if (!(stream instanceof PDFStream)) continue;
+      try {
+        runContent(doc.context, streamBytes(stream), resources, writer, cache, 0);
+      } catch {
+        // Skip a stream we can't decode and keep what the others give
+      }
+    }
+    pages.push(writer.toString());
+  }
+
+  return { text: pages.filter(Boolean).join('\n\n'), pages: pages.length };
+}
+
+module.exports = {
+  extractPdfText,
+  parseCMap
+};
@@ -0,0 +1,106 @@
+const { PDFDocument, PDFName, StandardFonts } = require('pdf-lib');
+const { extractPdfText, parseCMap } = require('./pdfText');
+
+// A 1x1 PNG, standing in for a photographed receipt
+const SCAN = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==',
+  'base64'
+);
+
+// Two-byte glyph ids 0x0001.. for the characters of "Total $19.99", mapped back in the CMap
+const GLYPHS = 'Tot al$19.';
+const TO_UNICODE = `/CIDInit /ProcSet findresource begin
+12 dict begin
+begincmap
+1 begincodespacerange
+<0000> <FFFF>
+endcodespacerange
+${GLYPHS.length} beginbfchar
+${[...GLYPHS].map((ch, i) => `<${(i + 1).toString(16).padStart(4, '0')}> <${ch.charCodeAt(0).toString(16).padStart(4, '0')}>`).join('\n')}
+endbfchar
+endcmap
+CMapName currentdict /CMap defineresource pop
+end
+end`;
+
+function glyphHex(text) {
+  return [...text].map(ch => (GLYPHS.indexOf(ch) + 1).toString(16).padStart(4, '0')).join('');
+}
+
+async function textPdf() {
+  const doc = await PDFDocument.create();
+  const font = await doc.embedFont(StandardFonts.Helvetica);
+  const page = doc.addPage([400, 300]);
+  page.drawText('Order #112-4455', { x: 40, y: 250, size: 12, font });
+  page.drawText('Wireless Mouse', { x: 40, y: 220, size: 12, font });
+  page.drawText('$24.99', { x: 300, y: 220, size: 12, font });
+  page.drawText('Total – $27.49', { x: 40, y: 190, size: 12, font });
+  return Buffer.from(await doc.save());
+}
+
+// A subset font whose codes are glyph ids: only the ToUnicode map says what they are
+async function toUnicodePdf() {
+  const doc = await PDFDocument.create();
+  const page = doc.addPage([400, 300]);
+  const { context } = doc;
+
+  const font = context.register(context.obj({
+    Type: 'Font',
+    Subtype: 'Type0',
+    BaseFont: 'ABCDEF+Receipt',
+    Encoding: 'Identity-H',
+    ToUnicode: context.register(context.stream(TO_UNICODE))
+  }));
+  page.node.setFontDictionary(PDFName.of('F1'), font);
+
+  const content = `BT /F1 12 Tf 40 250 Td <${glyphHex('Total')}> Tj [<${glyphHex('$19.')}> -50 <${glyphHex('99')}>] TJ ET`;
+  page.node.addContentStream(context.register(context.stream(content)));
+  return Buffer.from(await doc.save());
+}
+
+async function scannedPdf() {
+  const doc = await PDFDocument.create();
+  const image = await doc.embedPng(SCAN);
+  const page = doc.addPage([400, 300]);
+  page.drawImage(image, { x: 0, y: 0, width: 400, height: 300 });
+  return Buffer.from(await doc.save());
+}
+
+describe('extractPdfText', () => {
+  it('reads a text PDF one line per baseline', async () => {
+    const { text, pages } = await extractPdfText(await textPdf());
+
+    expect(pages).toBe(1);
+    expect(text.split('\n')).toEqual([
+      'Order #112-4455',
+      'Wireless Mouse $24.99',
+      'Total – $27.49'
+    ]);
+  });
+
+  it('decodes glyph ids through the font\'s ToUnicode map', async () => {
+    const { text } = await extractPdfText(await toUnicodePdf());
+
+    expect(text).toBe('Total$19.99');
+  });
+
+  it('returns no text for a scanned receipt', async () => {
+    const { text, pages } = await extractPdfText(await scannedPdf());
+
+    expect(pages).toBe(1);
+    expect(text).toBe('');
+  });
+});
+
+describe('parseCMap', () => {
+  it('reads bfrange entries, including arrays', () => {
+    const { codeLength, map } = parseCMap(`begincodespacerange <00> <FF> endcodespacerange
+2 beginbfrange
+<41> <43> <0061>
+<50> <51> [<0058> <00590059>]
+endbfrange`);
+
+    expect(codeLength).toBe(1);
+    expect([0x41, 0x42, 0x43, 0x50, 0x51].map(code => map.get(code))).toEqual(['a', 'b', 'c', 'X', 'YY']);
+  });
+});
@@ -0,0 +1,45 @@
+/**
+ * Secrets Utility
+ * Encrypts credentials kept in the database (mailbox passwords and OAuth
+ * tokens) with AES-256-GCM. The key comes from SECRETS_ENCRYPTION_KEY, or is
+ * derived from JWT_SECRET when that isn't set.
+ */
+
+const crypto = require('crypto');
+
+const VERSION = 'v1';
+
+function key() {
+  const secret = process.env.SECRETS_ENCRYPTION_KEY || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('SECRETS_ENCRYPTION_KEY (or JWT_SECRET) must be set to store credentials');
+  }
+  return crypto.createHash('sha256').update(secret).digest();
+}
+
+// Any JSON value -> "v1:<iv>:<tag>:<ciphertext>" (base64url parts)
+function encryptJson(value) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key(), iv);
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+  return [VERSION, iv, cipher.getAuthTag(), ciphertext].map(part =>
+    typeof part === 'string' ? part : part.toString('base64url')
+  ).join(':');
+}
+
+function decryptJson(payload) {
+  if (!payload) return null;
+  const [version, iv, tag, ciphertext] = payload.split(':');
+  if (version !== VERSION) {
+    throw new Error(`Unknown secret format ${version}`);
+  }
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key(), Buffer.from(iv, 'base64url'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+  const plaintext = Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64url')), decipher.final()]);
+  return JSON.parse(plaintext.toString('utf8'));
+}
+
+module.exports = {
+  encryptJson,
+  decryptJson
+};
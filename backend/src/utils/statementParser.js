@@ -0,0 +1,226 @@
+/**
+ * Statement Parsing Utility
+ * Reads card statements and order-history exports: CSV (with a header row) and
+ * OFX/QFX (the SGML and XML flavours banks export), plus the loose amount and
+ * date formats they use.
+ */
+
+// Delimiters tried on the header line, most common first
+const CSV_DELIMITERS = [',', ';', '\t', '|'];
+
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  let best = ',';
+  let bestCount = 0;
+  for (const delimiter of CSV_DELIMITERS) {
+    // Count outside quotes only
+    const count = firstLine.replace(/"[^"]*"/g, '').split(delimiter).length - 1;
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+/**
+ * Parse CSV text (RFC 4180 quoting; comma, semicolon, tab or pipe separated).
+ * Blank lines and lines before the header row are dropped: the header is the
+ * first line with at least two non-empty cells.
+ * @returns {{ headers: string[], rows: Object[] }} rows keyed by header, each with its
+ *   1-based `line` in the file
+ */
+function parseCsv(text) {
+  const source = text.replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(source);
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (quoted) {
+      if (ch === '"' && source[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else {
+        if (ch === '\n') line++;
+        field += ch;
+      }
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && source[i + 1] === '\n') i++;
+      record.push(field);
+      records.push({ cells: record, line: recordLine });
+      record = [];
+      field = '';
+      line++;
+      recordLine = line;
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || record.length) {
+    record.push(field);
+    records.push({ cells: record, line: recordLine });
+  }
+
+  const nonEmpty = (cells) => cells.filter(cell => cell.trim() !== '').length;
+  const headerIndex = records.findIndex(r => nonEmpty(r.cells) >= 2);
+  if (headerIndex === -1) return { headers: [], rows: [] };
+
+  // Blank or repeated header names still need distinct keys
+  const seen = {};
+  const headers = records[headerIndex].cells.map((cell, i) => {
+    const name = cell.trim() || `Column ${i + 1}`;
+    seen[name] = (seen[name] || 0) + 1;
+    return seen[name] > 1 ? `${name} (${seen[name]})` : name;
+  });
+
+  const rows = records.slice(headerIndex + 1)
+    .filter(r => nonEmpty(r.cells) > 0)
+    .map(r => {
+      const row = { line: r.line };
+      headers.forEach((header, i) => { row[header] = (r.cells[i] ?? '').trim(); });
+      return row;
+    });
+
+  return { headers, rows };
+}
+
+// Value of an OFX element: <TAG>value (SGML, no closing tag) or <TAG>value</TAG> (XML)
+function ofxValue(block, tag) {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? match[1].trim() : null;
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Parse an OFX/QFX statement.
+ * @returns {{ accounts: Object[], transactions: Object[] }} transactions as
+ *   { fitId, type, date, amount, name, memo, accountId, line }
+ */
+function parseOfx(text) {
+  const accounts = [];
+  const transactions = [];
+
+  // Credit card and bank statements; each carries its own account number
+  const statements = text.split(/<(?:CCSTMTRS|STMTRS)>/i).slice(1);
+  for (const statement of statements) {
+    const accountId = ofxValue(statement, 'ACCTID');
+    accounts.push({ accountId, currency: ofxValue(statement, 'CURDEF') });
+
+    for (const block of statement.split(/<STMTTRN>/i).slice(1)) {
+      const body = block.split(/<\/STMTTRN>|<\/BANKTRANLIST>/i)[0];
+      const amount = parseAmount(ofxValue(body, 'TRNAMT'));
+      transactions.push({
+        fitId: ofxValue(body, 'FITID'),
+        type: (ofxValue(body, 'TRNTYPE') || '').toUpperCase(),
+        date: parseOfxDate(ofxValue(body, 'DTPOSTED') || ofxValue(body, 'DTUSER')),
+        amount,
+        name: decodeEntities(ofxValue(body, 'NAME') || ofxValue(body, 'PAYEE') || ''),
+        memo: decodeEntities(ofxValue(body, 'MEMO') || ''),
+        accountId,
+        line: transactions.length + 1
+      });
+    }
+  }
+
+  return { accounts, transactions };
+}
+
+function isOfx(text) {
+  return /OFXHEADER|<OFX>/i.test(text.slice(0, 2000));
+}
+
+// "$1,234.56", "-12.00", "(12.00)", "12.00-", "1.234,56 €" -> number, or null
+function parseAmount(value) {
+  if (value == null) return null;
+  let text = String(value).trim();
+  if (!text) return null;
+
+  let negative = false;
+  if (/^\(.*\)$/.test(text)) { negative = true; text = text.slice(1, -1); }
+  if (/-\s*$/.test(text) || /^[^\d]*-/.test(text)) negative = true;
+  text = text.replace(/[^\d.,]/g, '');
+
+  // A comma followed by exactly two digits at the end is a decimal comma
+  if (/,\d{2}$/.test(text) && !/\.\d{2}$/.test(text)) {
+    text = text.replace(/\./g, '').replace(',', '.');
+  } else {
+    text = text.replace(/,/g, '');
+  }
+  const amount = parseFloat(text);
+  if (!Number.isFinite(amount)) return null;
+  return negative ? -amount : amount;
+}
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Parse a statement date.
+ * @param {string} value - "2026-03-15", "03/15/2026", "15/03/26", "Mar 15, 2026", "15-Mar-2026"
+ * @param {string} order - 'MDY' or 'DMY', for dates written with slashes or dashes
+ * @returns {Date|null} noon local time, so the day survives time zone shifts
+ */
+function parseDate(value, order = 'MDY') {
+  if (!value) return null;
+  const text = String(value).trim();
+  const at = (year, month, day) => {
+    if (year < 100) year += 2000;
+    const date = new Date(year, month - 1, day, 12);
+    return date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+  };
+
+  let match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/);
+  if (match) return at(+match[1], +match[2], +match[3]);
+
+  match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2,4})/);
+  if (match) {
+    const [first, second, year] = [+match[1], +match[2], +match[3]];
+    return order === 'DMY' ? at(year, second, first) : at(year, first, second);
+  }
+
+  match = text.match(/^(\d{1,2})[-\s]([A-Za-z]{3})[A-Za-z]*[-\s,]+(\d{2,4})/);
+  if (match && MONTHS.includes(match[2].toLowerCase())) {
+    return at(+match[3], MONTHS.indexOf(match[2].toLowerCase()) + 1, +match[1]);
+  }
+
+  match = text.match(/^([A-Za-z]{3})[A-Za-z]*\.?\s+(\d{1,2}),?\s+(\d{4})/);
+  if (match && MONTHS.includes(match[1].toLowerCase())) {
+    return at(+match[3], MONTHS.indexOf(match[1].toLowerCase()) + 1, +match[2]);
+  }
+
+  match = text.match(/^(\d{4})(\d{2})(\d{2})$/);
+  if (match) return at(+match[1], +match[2], +match[3]);
+
+  return null;
+}
+
+// OFX dates are YYYYMMDD[HHMMSS[.XXX]][[gmt offset:tz]]; the day is what matters
+function parseOfxDate(value) {
+  const match = String(value || '').match(/^(\d{4})(\d{2})(\d{2})/);
+  return match ? parseDate(`${match[1]}-${match[2]}-${match[3]}`) : null;
+}
+
+module.exports = {
+  parseCsv,
+  parseOfx,
+  isOfx,
+  parseAmount,
+  parseDate
+};
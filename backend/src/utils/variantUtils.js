@@ -0,0 +1,136 @@
+/**
+ * Product Variant Utility
+ * Normalizes and compares the variant attributes (size, color, storage, condition)
+ * that distinguish items sold at the same product URL
+ */
+
+const VARIANT_KEYS = ['size', 'color', 'storage', 'condition'];
+
+// PriceHistory.variantMatch values that count as the identical item for a claim:
+// the variant was matched, or the purchase has no variant and the listing is new
+const IDENTICAL_ITEM_MATCHES = ['exact', 'none'];
+
+// Canonical conditions; anything not "New" is a different item for claim purposes
+const CONDITION_ALIASES = {
+  New: [/^new$/i, /^brand\s*new$/i, /newcondition/i],
+  Refurbished: [/refurb/i, /renewed/i, /reconditioned/i],
+  Used: [/^used/i, /pre-?owned/i, /second\s*hand/i, /usedcondition/i],
+  OpenBox: [/open[\s-]*box/i],
+  Damaged: [/damaged/i]
+};
+
+function normalizeCondition(value) {
+  if (!value) return null;
+  const text = String(value).trim();
+  for (const [condition, patterns] of Object.entries(CONDITION_ALIASES)) {
+    if (patterns.some(p => p.test(text))) return condition;
+  }
+  return text;
+}
+
+// "512 gb" -> "512GB", "1 TB" -> "1TB"
+function normalizeStorage(value) {
+  if (!value) return null;
+  const match = String(value).match(/(\d+(?:\.\d+)?)\s*(GB|TB|MB)/i);
+  return match ? `${match[1]}${match[2].toUpperCase()}` : String(value).trim().toUpperCase();
+}
+
+function normalizeText(value) {
+  if (value === null || value === undefined) return null;
+  const text = String(value).trim().replace(/\s+/g, ' ');
+  return text ? text.toLowerCase() : null;
+}
+
+/**
+ * Normalize a variant object. Returns null when no attribute is set.
+ * @param {Object} variant - { size, color, storage, condition }
+ */
+function normalizeVariant(variant) {
+  if (!variant || typeof variant !== 'object') return null;
+
+  const normalized = {
+    size: normalizeText(variant.size),
+    color: normalizeText(variant.color || variant.colour),
+    storage: normalizeStorage(variant.storage || variant.capacity),
+    condition: normalizeCondition(variant.condition)
+  };
+
+  for (const key of VARIANT_KEYS) {
+    if (!normalized[key]) delete normalized[key];
+  }
+  return Object.keys(normalized).length ? normalized : null;
+}
+
+/**
+ * Pull variant attributes out of free text (an order email or a product title).
+ * Labeled fields ("Color: Black") win over values inferred from the product name.
+ * @param {string} text - Email body or page text
+ * @param {string} productName - Product name, checked for storage and condition
+ */
+function extractVariantFromText(text = '', productName = '') {
+  const variant = {};
+  const body = String(text || '');
+  const name = String(productName || '');
+
+  const labeled = {
+    size: /\bSize\s*[:\-]\s*([^\n\r|<,;]{1,30})/i,
+    color: /\bColou?r\s*[:\-]\s*([^\n\r|<,;]{1,40})/i,
+    storage: /\b(?:Capacity|Storage|Memory)\s*[:\-]\s*(\d+(?:\.\d+)?\s*(?:GB|TB))/i,
+    condition: /\bCondition\s*[:\-]\s*([^\n\r|<,;]{1,30})/i
+  };
+  for (const [key, pattern] of Object.entries(labeled)) {
+    const match = body.match(pattern);
+    if (match) variant[key] = match[1].trim();
+  }
+
+  if (!variant.storage) {
+    const storage = name.match(/\b(\d+(?:\.\d+)?)\s?(GB|TB)\b/i);
+    if (storage) variant.storage = `${storage[1]}${storage[2]}`;
+  }
+
+  if (!variant.condition) {
+    const condition = name.match(/\b(renewed|refurbished|open[\s-]box|pre-?owned|used)\b/i);
+    if (condition) variant.condition = condition[1];
+  }
+
+  return normalizeVariant(variant);
+}
+
+/**
+ * Compare the variant that was bought with the one a price was read for.
+ * Condition defaults to New on the purchase side, since a price for a used or
+ * refurbished listing never matches a new item.
+ * @returns {{ match: 'exact'|'mismatch'|'unknown', mismatches: string[], missing: string[] }}
+ */
+function compareVariants(expected, observed) {
+  const want = { condition: 'New', ...(normalizeVariant(expected) || {}) };
+  const got = normalizeVariant(observed) || {};
+
+  const mismatches = [];
+  const missing = [];
+
+  for (const key of VARIANT_KEYS) {
+    if (!want[key]) continue;
+    if (!got[key]) {
+      // An unlabeled condition is almost always new; don't count it as unknown
+      if (key !== 'condition') missing.push(key);
+      continue;
+    }
+    if (got[key] !== want[key]) mismatches.push(`${key}: wanted ${want[key]}, found ${got[key]}`);
+  }
+
+  let match = 'exact';
+  if (mismatches.length) match = 'mismatch';
+  else if (missing.length) match = 'unknown';
+
+  return { match, mismatches, missing };
+}
+
+module.exports = {
+  VARIANT_KEYS,
+  IDENTICAL_ITEM_MATCHES,
+  normalizeVariant,
+  normalizeCondition,
+  extractVariantFromText,
+  compareVariants
+};
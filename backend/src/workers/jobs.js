@@ -0,0 +1,401 @@
+/**
+ * Scheduled and background job definitions.
+ *
+ * Each job names the queue it runs on, an optional cron schedule and a handler
+ * `(data, { dispatch }) => Promise`. Handlers throw to signal failure so the
+ * queue can retry them. `dispatch(jobName, data, { jobId })` fans work out to
+ * other jobs: the Bull runner (workers/queues.js) enqueues them, the node-cron
+ * fallback (workers/cron.js) runs them inline.
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const priceMonitor = require('../services/priceMonitor');
+const emailParser = require('../services/emailParser');
+const mailboxes = require('../services/mailboxes');
+const autoClaimFiler = require('../services/autoClaimFiler');
+const claimFilingLock = require('../services/claimFilingLock');
+const claimEligibility = require('../services/claimEligibility');
+const benefitLedger = require('../services/benefitLedger');
+const notificationService = require('../services/notificationService');
+const claimAmount = require('../services/claimAmount');
+const retailerAdjustments = require('../services/retailerAdjustments');
+const benefitCatalog = require('../services/benefitCatalog');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+const QUEUES = {
+  PRICE_CHECKS: 'price-checks',
+  FIRST_PRICE_CHECKS: 'first-price-checks',
+  EMAIL_SYNC: 'email-sync',
+  CLAIM_FILING: 'claim-filing',
+  REMINDERS: 'reminders'
+};
+
+// Hour-long bucket used in job IDs so a fan-out is enqueued once per run
+function hourSlot() {
+  return new Date().toISOString().slice(0, 13);
+}
+
+// Price monitoring - every 6 hours
+async function priceCheckCycle() {
+  logger.info('Starting scheduled price check...');
+  const result = await priceMonitor.checkAllEligiblePurchases();
+  logger.info(`Price check completed: ${JSON.stringify(result)}`);
+  return result;
+}
+
+// First check of purchases that were just added, queued by services/priceCheckQueue.js
+async function priceCheckPurchases({ purchaseIds = [] }) {
+  return priceMonitor.checkPurchases(purchaseIds);
+}
+
+// Email sync for connected users - every 4 hours, one job per user
+async function emailSyncAll(data, { dispatch }) {
+  // Sync emails for ALL users with a mailbox connected (including free tier)
+  const users = await prisma.user.findMany({
+    where: {
+      OR: [
+        { gmailConnected: true },
+        { mailboxes: { some: { status: { not: 'NEEDS_REAUTH' } } } }
+      ]
+    },
+    select: { id: true }
+  });
+
+  for (const user of users) {
+    await dispatch('email-sync-user', { userId: user.id }, { jobId: `email-sync-user:${user.id}:${hourSlot()}` });
+  }
+
+  logger.info(`Email sync dispatched for ${users.length} users`);
+  return { users: users.length };
+}
+
+// One sync log per mailbox
+async function emailSyncUser({ userId }) {
+  return emailParser.syncEmails(userId);
+}
+
+// Incremental sync of one mailbox, queued by a Gmail push notification
+async function emailSyncMailbox({ mailboxId }) {
+  const mailbox = await prisma.mailbox.findUnique({ where: { id: mailboxId } });
+  if (!mailbox || mailbox.status === 'NEEDS_REAUTH') {
+    return { skipped: true };
+  }
+  return emailParser.syncEmails(mailbox.userId, { mailboxId });
+}
+
+// Renew Gmail push notification watches before they expire (they last 7 days) - daily
+async function renewGmailWatches() {
+  const result = await mailboxes.renewWatches();
+  logger.info(`Gmail watches renewed: ${result.renewed}, failed: ${result.failed}`);
+  return result;
+}
+
+// Expire old purchases - daily at midnight. A purchase still inside its
+// return window stays monitored: a drop can be worth returning and rebuying
+async function expirePurchases() {
+  const now = new Date();
+  const expired = await prisma.purchase.updateMany({
+    where: {
+      protectionEnds: { lt: now },
+      OR: [
+        { returnWindowEnds: null },
+        { returnWindowEnds: { lt: now } }
+      ],
+      status: { in: ['MONITORING', 'PRICE_DROP_DETECTED', 'PRICE_NEEDS_CONFIRMATION', 'CLAIM_ELIGIBLE'] }
+    },
+    data: { status: 'EXPIRED' }
+  });
+
+  logger.info(`Marked ${expired.count} purchases as expired`);
+  return { expired: expired.count };
+}
+
+// Weekly summary emails - Sunday at 9am
+async function weeklySummaries() {
+  const users = await prisma.user.findMany({
+    where: {
+      subscriptionStatus: 'ACTIVE',
+      notificationEmail: { not: null }
+    },
+    select: { id: true }
+  });
+
+  for (const user of users) {
+    try {
+      await notificationService.sendWeeklySummary(user.id);
+    } catch (err) {
+      logger.error(`Weekly summary failed for user ${user.id}:`, err);
+    }
+  }
+
+  logger.info(`Weekly summaries sent to ${users.length} users`);
+  return { users: users.length };
+}
+
+// Expire old claims - daily
+async function expireClaims() {
+  const thirtyDaysAgo = new Date();
+  thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
+
+  const expired = await prisma.claim.updateMany({
+    where: {
+      status: { in: ['DRAFT', 'READY_TO_FILE'] },
+      createdAt: { lt: thirtyDaysAgo }
+    },
+    data: { status: 'EXPIRED' }
+  });
+
+  logger.info(`Marked ${expired.count} claims as expired`);
+  return { expired: expired.count };
+}
+
+// Cleanup old notifications - weekly
+async function cleanupNotifications() {
+  const thirtyDaysAgo = new Date();
+  thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
+
+  const deleted = await prisma.notification.deleteMany({
+    where: {
+      read: true,
+      createdAt: { lt: thirtyDaysAgo }
+    }
+  });
+
+  logger.info(`Deleted ${deleted.count} old notifications`);
+  return { deleted: deleted.count };
+}
+
+// Reminder for eligible claims about to expire - daily
+async function claimDeadlineReminders() {
+  const threeDaysFromNow = new Date();
+  threeDaysFromNow.setDate(threeDaysFromNow.getDate() + 3);
+
+  const expiringPurchases = await prisma.purchase.findMany({
+    where: {
+      status: 'CLAIM_ELIGIBLE',
+      protectionEnds: {
+        gte: new Date(),
+        lte: threeDaysFromNow
+      }
+    },
+    include: { user: true }
+  });
+
+  for (const purchase of expiringPurchases) {
+    // Check if we already notified about this
+    const existingNotification = await prisma.notification.findFirst({
+      where: {
+        userId: purchase.userId,
+        type: 'CLAIM_ELIGIBLE',
+        data: {
+          path: ['purchaseId'],
+          equals: purchase.id
+        },
+        createdAt: { gte: new Date(Date.now() - 24 * 60 * 60 * 1000) }
+      }
+    });
+
+    if (!existingNotification) {
+      await prisma.notification.create({
+        data: {
+          userId: purchase.userId,
+          type: 'CLAIM_ELIGIBLE',
+          title: '⚠️ Claim Deadline Approaching!',
+          message: `Your price protection for ${purchase.productName} expires in ${Math.ceil((purchase.protectionEnds - new Date()) / (1000 * 60 * 60 * 24))} days. File your claim now!`,
+          data: { purchaseId: purchase.id }
+        }
+      });
+    }
+  }
+
+  logger.info(`Sent reminders for ${expiringPurchases.length} expiring claims`);
+  return { reminded: expiringPurchases.length };
+}
+
+// Retry failed auto-files - every 2 hours
+// Picks up claims that were created but failed to send (e.g., DRAFT or READY_TO_FILE with autoFiled=true)
+async function retryStuckAutoFiles(data, { dispatch }) {
+  const stuckClaims = await prisma.claim.findMany({
+    where: {
+      autoFiled: true,
+      type: 'ISSUER',
+      status: { in: ['DRAFT', 'READY_TO_FILE'] },
+      // Only retry claims less than 7 days old
+      createdAt: { gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) }
+    },
+    include: {
+      purchase: { select: { protectionEnds: true, status: true } },
+      creditCard: { select: { autoClaimEnabled: true } }
+    },
+    // Most valuable first, so a nearly used-up claim limit goes to the biggest claims
+    orderBy: { priceDifference: 'desc' }
+  });
+
+  let retried = 0;
+  for (const claim of stuckClaims) {
+    // Only retry if card still has auto-claim enabled and protection isn't expired
+    if (!claim.creditCard?.autoClaimEnabled) continue;
+    if (claim.purchase?.protectionEnds && claim.purchase.protectionEnds < new Date()) continue;
+
+    logger.info(`Retrying auto-file for claim ${claim.id}...`);
+    await dispatch('file-claim', { claimId: claim.id }, { jobId: `file-claim:${claim.id}:${hourSlot()}` });
+    retried++;
+  }
+
+  logger.info(`Auto-file retry dispatched ${retried} of ${stuckClaims.length} stuck claims`);
+  return { retried };
+}
+
+// Auto-file eligible claims that have a card but were never filed - every 3 hours
+// This catches purchases where price dropped and claim was created but auto-file wasn't triggered
+async function claimCatchUp(data, { dispatch }) {
+  // Retailer requests never sent once the retailer's window closed no longer hold their purchase
+  const lapsedAdjustments = await retailerAdjustments.expireLapsed();
+
+  // Find purchases that are CLAIM_ELIGIBLE with a linked card but no claim yet
+  const eligiblePurchases = await prisma.purchase.findMany({
+    where: {
+      status: { in: ['CLAIM_ELIGIBLE', 'PRICE_DROP_DETECTED'] },
+      creditCardId: { not: null },
+      protectionEnds: { gt: new Date() },
+      // Must have a price drop
+      currentPrice: { not: null },
+      // ...and no open claim, which would already hold part of the card's limit
+      claims: { none: { status: { notIn: ['DENIED', 'EXPIRED'] } } }
+    },
+    include: {
+      creditCard: true,
+      user: { select: { id: true, priceDropThreshold: true } }
+    }
+  });
+
+  // Claimable purchases per card; the card's remaining claim limit is shared out below
+  const candidatesByCard = new Map();
+
+  for (const purchase of eligiblePurchases) {
+    if (!purchase.creditCard?.autoClaimEnabled) continue;
+
+    const priceDrop = purchase.purchasePrice - purchase.currentPrice;
+    if (priceDrop <= 0) continue;
+
+    const threshold = purchase.user?.priceDropThreshold || 5;
+    if (priceDrop < threshold) continue;
+
+    // Only file when the lower price was read for the identical item
+    const identicalReading = await priceMonitor.findIdenticalItemReading(purchase.id, purchase.currentPrice);
+    if (!identicalReading) continue;
+
+    // ...and when no benefit exclusion applies; anything needing review waits for the user
+    const eligibility = await claimEligibility.evaluate(purchase, { price: purchase.currentPrice, reading: identicalReading });
+    if (!eligibility.eligible) {
+      await prisma.purchase.update({ where: { id: purchase.id }, data: { eligibility } });
+      continue;
+    }
+
+    // ...and when returning and rebuying at this price was found to be worth more, while that is still possible
+    const advice = purchase.returnRecommendation;
+    if (advice?.action === 'RETURN_AND_REBUY' && advice.price === purchase.currentPrice && new Date(advice.returnWindowEnds) > new Date()) {
+      continue;
+    }
+
+    // Some cards only pay once the retailer has been asked, while it still can be
+    const benefit = await benefitCatalog.forCard(purchase.creditCard);
+    if (benefit?.requiresRetailerFirst) {
+      const adjustment = await retailerAdjustments.evaluate(purchase, { price: purchase.currentPrice, reading: identicalReading });
+      if (retailerAdjustments.holdsIssuerClaim(adjustment, benefit)) continue;
+    }
+
+    const breakdown = await claimAmount.calculate(purchase, purchase.currentPrice);
+    if (breakdown.amount <= 0) continue;
+
+    const candidates = candidatesByCard.get(purchase.creditCard.id) || [];
+    candidates.push({ purchase, eligibility, breakdown, value: breakdown.amount });
+    candidatesByCard.set(purchase.creditCard.id, candidates);
+  }
+
+  let claimsCreated = 0;
+  let overLimit = 0;
+
+  for (const candidates of candidatesByCard.values()) {
+    // When the headroom left after open drafts is short, the biggest claims get it
+    const ledger = await benefitLedger.forCard(candidates[0].purchase.creditCard);
+    const { allocated, skipped } = benefitLedger.allocate(ledger.projectedHeadroom, candidates);
+    overLimit += skipped.length;
+    if (skipped.length) {
+      logger.info(`Card ${ledger.cardId} claim limit reached: ${skipped.length} claim(s) not created`);
+    }
+
+    for (const { item: { purchase, eligibility, breakdown, value }, amount } of allocated) {
+      try {
+        // No-op when the purchase already has an open claim or one is being created
+        const { claim, created } = await claimFilingLock.createClaimOnce(purchase.id, {
+          userId: purchase.userId,
+          creditCardId: purchase.creditCard.id,
+          originalPrice: breakdown.originalPrice,
+          newPrice: purchase.currentPrice,
+          priceDifference: amount,
+          amountBreakdown: claimAmount.reduceTo(breakdown, amount, 'Reduced to the card\'s remaining claim limit'),
+          status: 'DRAFT',
+          autoFiled: true,
+          eligibility,
+          statusHistory: [
+            {
+              status: 'DRAFT',
+              timestamp: new Date().toISOString(),
+              notes: amount < value
+                ? `Auto-created by claim catch-up job, reduced to the card's remaining claim limit ($${amount.toFixed(2)})`
+                : 'Auto-created by claim catch-up job'
+            }
+          ]
+        });
+        if (!created) continue;
+
+        await dispatch('file-claim', { claimId: claim.id }, { jobId: `file-claim:${claim.id}` });
+        claimsCreated++;
+      } catch (err) {
+        logger.error(`Catch-up claim creation failed for purchase ${purchase.id}:`, err);
+      }
+    }
+  }
+
+  logger.info(`Claim catch-up completed: ${claimsCreated} claims created out of ${eligiblePurchases.length} eligible, ${overLimit} over the claim limit, ${lapsedAdjustments} retailer requests expired`);
+  return { claimsCreated, overLimit, lapsedAdjustments };
+}
+
+// File one claim; throws on failure so the queue retries with backoff.
+// A claim that is being filed elsewhere, whose last send is in doubt, or that an
+// exclusion or the claim limit blocks is not retried: the outcome would be the same, and an
+// in-doubt send or a review verdict needs a person.
+async function fileClaim({ claimId }) {
+  const result = await autoClaimFiler.autoFileClaim(claimId);
+  if (result.inProgress || result.needsReview || result.ineligible || result.capReached) {
+    logger.warn(`Auto-file skipped for claim ${claimId}: ${result.error}`);
+    return { claimId, skipped: result.error };
+  }
+  if (!result.success) {
+    throw new Error(`Auto-file failed for claim ${claimId}: ${result.error || 'unknown error'}`);
+  }
+  logger.info(`Auto-file succeeded for claim ${claimId}`);
+  return { claimId, messageId: result.messageId };
+}
+
+const JOBS = {
+  'price-check-cycle': { queue: QUEUES.PRICE_CHECKS, schedule: '0 */6 * * *', handler: priceCheckCycle },
+  'price-check-purchases': { queue: QUEUES.FIRST_PRICE_CHECKS, handler: priceCheckPurchases },
+  'email-sync-all': { queue: QUEUES.EMAIL_SYNC, schedule: '0 */4 * * *', handler: emailSyncAll },
+  'email-sync-user': { queue: QUEUES.EMAIL_SYNC, handler: emailSyncUser },
+  'email-sync-mailbox': { queue: QUEUES.EMAIL_SYNC, handler: emailSyncMailbox },
+  'gmail-watch-renew': { queue: QUEUES.EMAIL_SYNC, schedule: '15 3 * * *', handler: renewGmailWatches },
+  'expire-purchases': { queue: QUEUES.REMINDERS, schedule: '0 0 * * *', handler: expirePurchases },
+  'weekly-summary': { queue: QUEUES.REMINDERS, schedule: '0 9 * * 0', handler: weeklySummaries },
+  'expire-claims': { queue: QUEUES.REMINDERS, schedule: '0 1 * * *', handler: expireClaims },
+  'cleanup-notifications': { queue: QUEUES.REMINDERS, schedule: '0 2 * * 1', handler: cleanupNotifications },
+  'claim-deadline-reminders': { queue: QUEUES.REMINDERS, schedule: '0 10 * * *', handler: claimDeadlineReminders },
+  'retry-auto-files': { queue: QUEUES.CLAIM_FILING, schedule: '0 */2 * * *', handler: retryStuckAutoFiles },
+  'claim-catch-up': { queue: QUEUES.CLAIM_FILING, schedule: '30 */3 * * *', handler: claimCatchUp },
+  'file-claim': { queue: QUEUES.CLAIM_FILING, handler: fileClaim }
+};
+
+module.exports = { QUEUES, JOBS };
@@ -0,0 +1,57 @@
+/**
+ * Background worker entrypoint (`npm run worker`).
+ *
+ * Runs price checks, email syncs, claim filing and reminders from Bull queues,
+ * and registers their repeatable schedules. Without REDIS_URL it falls back to
+ * the in-process node-cron schedule.
+ */
+require('dotenv').config();
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../utils/logger');
+const priceMonitor = require('../services/priceMonitor');
+const queues = require('./queues');
+const { QUEUES } = require('./jobs');
+const { registerSchedules } = require('./scheduler');
+const { setupCronJobs } = require('./cron');
+
+const prisma = new PrismaClient();
+
+const CONCURRENCY = {
+  [QUEUES.PRICE_CHECKS]: 1, // The cycle parallelizes internally (services/priceCheckPool.js)
+  [QUEUES.FIRST_PRICE_CHECKS]: parseInt(process.env.FIRST_PRICE_CHECK_CONCURRENCY) || 2,
+  [QUEUES.EMAIL_SYNC]: parseInt(process.env.EMAIL_SYNC_CONCURRENCY) || 2,
+  [QUEUES.CLAIM_FILING]: parseInt(process.env.CLAIM_FILING_CONCURRENCY) || 1,
+  [QUEUES.REMINDERS]: 1
+};
+
+async function start() {
+  if (!queues.isEnabled()) {
+    logger.warn('REDIS_URL not set - running jobs on the in-process cron schedule');
+    setupCronJobs();
+    return;
+  }
+
+  queues.registerProcessors(CONCURRENCY);
+  await registerSchedules();
+  logger.info('Worker started and processing job queues');
+}
+
+async function shutdown(signal) {
+  logger.info(`Worker received ${signal}, shutting down...`);
+  try {
+    await queues.closeQueues();
+    await priceMonitor.cleanup();
+    await prisma.$disconnect();
+  } catch (error) {
+    logger.error('Error during worker shutdown:', error);
+  }
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+start().catch((error) => {
+  logger.error('Worker failed to start:', error);
+  process.exit(1);
+});
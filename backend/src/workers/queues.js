@@ -0,0 +1,140 @@
+/**
+ * Bull queues for background jobs (see workers/jobs.js for the job list).
+ *
+ * Every job is retried with exponential backoff. When a job has used up its
+ * attempts it is copied to the dead-letter queue with its data and last error,
+ * where it stays until an admin retries or discards it.
+ */
+
+const Queue = require('bull');
+const logger = require('../utils/logger');
+const { QUEUES, JOBS } = require('./jobs');
+
+const DEAD_LETTER_QUEUE = 'dead-letter';
+
+const DEFAULT_JOB_OPTIONS = {
+  attempts: parseInt(process.env.JOB_ATTEMPTS) || 3,
+  backoff: { type: 'exponential', delay: parseInt(process.env.JOB_BACKOFF_MS) || 60 * 1000 },
+  removeOnComplete: 100,
+  removeOnFail: 500
+};
+
+// Per-queue overrides: a price check cycle runs for a long time and is rerun on
+// schedule anyway, so one retry is plenty
+const QUEUE_JOB_OPTIONS = {
+  [QUEUES.PRICE_CHECKS]: { attempts: 2, timeout: 5 * 60 * 60 * 1000 }
+};
+
+let queues = null;
+let deadLetterQueue = null;
+
+function isEnabled() {
+  return Boolean(process.env.REDIS_URL);
+}
+
+function getQueues() {
+  if (!isEnabled()) {
+    throw new Error('REDIS_URL is not configured');
+  }
+  if (!queues) {
+    queues = {};
+    for (const name of Object.values(QUEUES)) {
+      queues[name] = new Queue(name, process.env.REDIS_URL, {
+        defaultJobOptions: { ...DEFAULT_JOB_OPTIONS, ...(QUEUE_JOB_OPTIONS[name] || {}) }
+      });
+    }
+    deadLetterQueue = new Queue(DEAD_LETTER_QUEUE, process.env.REDIS_URL, {
+      defaultJobOptions: { removeOnComplete: true }
+    });
+  }
+  return queues;
+}
+
+function getDeadLetterQueue() {
+  getQueues();
+  return deadLetterQueue;
+}
+
+/**
+ * Add a job by name to the queue it belongs to.
+ * Passing a jobId makes the enqueue idempotent: Bull ignores a second add with
+ * the same id while the first job is still stored.
+ */
+async function enqueue(jobName, data = {}, options = {}) {
+  const job = JOBS[jobName];
+  if (!job) throw new Error(`Unknown job: ${jobName}`);
+  return getQueues()[job.queue].add(jobName, data, options);
+}
+
+async function moveToDeadLetter(queueName, job, error) {
+  await getDeadLetterQueue().add({
+    queue: queueName,
+    name: job.name,
+    data: job.data,
+    jobId: job.id,
+    attemptsMade: job.attemptsMade,
+    failedReason: error?.message || job.failedReason,
+    failedAt: new Date().toISOString()
+  });
+  logger.error(`Job ${queueName}/${job.name} (${job.id}) moved to dead-letter queue: ${error?.message}`);
+}
+
+/**
+ * Attach processors for every job. Called by the worker process only.
+ * @param {Object} concurrency - { [queueName]: number }
+ */
+function registerProcessors(concurrency = {}) {
+  const allQueues = getQueues();
+
+  const dispatch = (jobName, data, options) => enqueue(jobName, data, options);
+
+  for (const [jobName, job] of Object.entries(JOBS)) {
+    allQueues[job.queue].process(jobName, concurrency[job.queue] || 1, async (bullJob) => {
+      logger.info(`Running job ${job.queue}/${jobName} (${bullJob.id})`);
+      return job.handler(bullJob.data || {}, { dispatch });
+    });
+  }
+
+  for (const [queueName, queue] of Object.entries(allQueues)) {
+    queue.on('failed', (bullJob, error) => {
+      const attempts = bullJob.opts.attempts || 1;
+      if (bullJob.attemptsMade >= attempts) {
+        moveToDeadLetter(queueName, bullJob, error).catch(err =>
+          logger.error('Failed to move job to dead-letter queue:', err)
+        );
+      } else {
+        logger.warn(`Job ${queueName}/${bullJob.name} failed (attempt ${bullJob.attemptsMade}/${attempts}), will retry: ${error.message}`);
+      }
+    });
+    queue.on('error', (error) => logger.error(`Queue ${queueName} error:`, error));
+  }
+}
+
+// Re-enqueue a dead-lettered job with fresh attempts and remove it from the DLQ
+async function retryDeadLetter(deadJobId) {
+  const deadJob = await getDeadLetterQueue().getJob(deadJobId);
+  if (!deadJob) return null;
+
+  const { name, data } = deadJob.data;
+  const job = await enqueue(name, data);
+  await deadJob.remove();
+  return job;
+}
+
+async function closeQueues() {
+  if (!queues) return;
+  await Promise.all([...Object.values(queues), deadLetterQueue].map(q => q.close()));
+  queues = null;
+  deadLetterQueue = null;
+}
+
+module.exports = {
+  DEAD_LETTER_QUEUE,
+  isEnabled,
+  getQueues,
+  getDeadLetterQueue,
+  enqueue,
+  registerProcessors,
+  retryDeadLetter,
+  closeQueues
+};
@@ -0,0 +1,57 @@
+/**
+ * Registers the repeatable Bull jobs from workers/jobs.js.
+ *
+ * Bull keys a repeatable job by name + cron, and each tick becomes a delayed
+ * job with a deterministic id, so any number of workers calling this still
+ * enqueue each run once. Reconciliation (dropping schedules that changed or
+ * were removed) runs under a job lock so two workers starting together don't
+ * race on it.
+ */
+
+const logger = require('../utils/logger');
+const jobLock = require('../services/jobLock');
+const { JOBS } = require('./jobs');
+const { getQueues } = require('./queues');
+
+const SCHEDULER_LOCK = 'job-scheduler';
+const SCHEDULER_LOCK_TTL_MS = 60 * 1000;
+const TIMEZONE = process.env.JOB_TIMEZONE || 'UTC';
+
+async function registerSchedules() {
+  const owner = await jobLock.acquire(SCHEDULER_LOCK, SCHEDULER_LOCK_TTL_MS);
+  if (!owner) {
+    logger.info('Another worker is registering job schedules, skipping');
+    return;
+  }
+
+  try {
+    const queues = getQueues();
+
+    for (const [queueName, queue] of Object.entries(queues)) {
+      const wanted = Object.entries(JOBS)
+        .filter(([, job]) => job.queue === queueName && job.schedule);
+
+      // Drop repeatable jobs whose schedule changed or that no longer exist
+      const existing = await queue.getRepeatableJobs();
+      for (const repeatable of existing) {
+        const keep = wanted.some(([name, job]) => repeatable.name === name && repeatable.cron === job.schedule);
+        if (!keep) {
+          await queue.removeRepeatableByKey(repeatable.key);
+          logger.info(`Removed stale schedule ${queueName}/${repeatable.name} (${repeatable.cron})`);
+        }
+      }
+
+      for (const [name, job] of wanted) {
+        await queue.add(name, {}, {
+          repeat: { cron: job.schedule, tz: TIMEZONE },
+          jobId: name
+        });
+        logger.info(`Scheduled ${queueName}/${name} at "${job.schedule}" ${TIMEZONE}`);
+      }
+    }
+  } finally {
+    await jobLock.release(SCHEDULER_LOCK, owner);
+  }
+}
+
+module.exports = { registerSchedules };
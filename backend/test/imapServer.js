@@ -0,0 +1,53 @@
+const net = require('net');
+
+const MESSAGE = Buffer.from('From: auto-confirm@amazon.com\r\nSubject: Your order\r\n\r\nLine one\r\n{5}\r\nä ö ü\r\n', 'utf8');
+
+/**
+ * A local IMAP server for tests of the IMAP client and driver. It records each
+ * command line and answers LOGIN, EXAMINE, UID SEARCH, UID FETCH and LOGOUT;
+ * every message it has is MESSAGE.
+ */
+function startImapServer({ greeting = '* OK IMAP4rev1 ready', password = 'app-password' } = {}) {
+  const commands = [];
+  const server = net.createServer(socket => {
+    socket.write(`${greeting}\r\n`);
+    let buffer = '';
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+      let end;
+      while ((end = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        commands.push(line);
+        const [tag, ...rest] = line.split(' ');
+        const command = rest.join(' ');
+
+        if (/^LOGIN /.test(command)) {
+          socket.write(command.endsWith(`"${password}"`)
+            ? `${tag} OK LOGIN completed\r\n`
+            : `${tag} NO [AUTHENTICATIONFAILED] Invalid credentials\r\n`);
+        } else if (/^EXAMINE /.test(command)) {
+          socket.write('* 3 EXISTS\r\n* OK [UIDVALIDITY 1700000000] UIDs valid\r\n');
+          socket.write(`${tag} OK [READ-ONLY] EXAMINE completed\r\n`);
+        } else if (/^UID SEARCH /.test(command)) {
+          socket.write(`* SEARCH 12 7 12\r\n${tag} OK SEARCH completed\r\n`);
+        } else if (/^UID FETCH /.test(command)) {
+          socket.write(`* 2 FETCH (UID 12 BODY[] {${MESSAGE.length}}\r\n`);
+          socket.write(MESSAGE);
+          socket.write(`)\r\n${tag} OK FETCH completed\r\n`);
+        } else if (command === 'LOGOUT') {
+          socket.write(`* BYE\r\n${tag} OK LOGOUT completed\r\n`);
+          socket.end();
+        } else {
+          socket.write(`${tag} BAD Unknown command\r\n`);
+        }
+      }
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, commands, port: server.address().port }));
+  });
+}
+
+module.exports = { startImapServer, MESSAGE };
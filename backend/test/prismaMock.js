@@ -0,0 +1,64 @@
+/**
+ * PrismaClient stand-in for unit tests. Every model method is a jest.fn()
+ * made on first use and shared by each `new PrismaClient()` in the test file,
+ * so a test sets up the rows a service reads and checks what it wrote:
+ *
+ *   jest.mock('@prisma/client', () => require('../../test/prismaMock'));
+ *   const { prisma } = require('@prisma/client');
+ *   prisma.claim.findUnique.mockResolvedValue({ id: 'claim-1', ... });
+ *
+ * Unset methods resolve to what an empty database returns: [] for findMany,
+ * 0 for count, { count: 0 } for updateMany/deleteMany, null otherwise.
+ */
+
+const EMPTY_RESULTS = {
+  findMany: () => [],
+  count: () => 0,
+  updateMany: () => ({ count: 0 }),
+  deleteMany: () => ({ count: 0 }),
+  createMany: () => ({ count: 0 })
+};
+
+const models = new Map();
+
+function model(name) {
+  if (!models.has(name)) {
+    const methods = new Map();
+    models.set(name, new Proxy({}, {
+      get(_, method) {
+        if (typeof method !== 'string') return undefined;
+        if (!methods.has(method)) {
+          const empty = EMPTY_RESULTS[method] || (() => null);
+          methods.set(method, jest.fn(async () => empty()));
+        }
+        return methods.get(method);
+      }
+    }));
+  }
+  return models.get(name);
+}
+
+const prisma = new Proxy({}, {
+  get(_, name) {
+    if (typeof name !== 'string' || name === 'then') return undefined;
+    if (name === '$transaction') {
+      return async (work) => (typeof work === 'function' ? work(prisma) : Promise.all(work));
+    }
+    if (name.startsWith('$')) return async () => {};
+    return model(name);
+  }
+});
+
+// Forget every model's mocks (call from beforeEach)
+function resetPrisma() {
+  models.clear();
+}
+
+module.exports = {
+  PrismaClient: function PrismaClient() {
+    return prisma;
+  },
+  Prisma: { DbNull: 'DbNull', JsonNull: 'JsonNull' },
+  prisma,
+  resetPrisma
+};
@@ -0,0 +1,2 @@
+// Keep test output to jest's own; LOG_LEVEL=debug shows the service logs
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
@@ -15,6 +15,7 @@ import Dashboard from './pages/Dashboard';
 import Purchases from './pages/Purchases';
 import PurchaseDetail from './pages/PurchaseDetail';
 import AddPurchase from './pages/AddPurchase';
+import ImportPurchases from './pages/ImportPurchases';
 import Claims from './pages/Claims';
 import ClaimDetail from './pages/ClaimDetail';
 import Cards from './pages/Cards';
@@ -67,6 +68,7 @@ function App() {
         <Route path="/dashboard" element={<Dashboard />} />
         <Route path="/purchases" element={<Purchases />} />
         <Route path="/purchases/new" element={<AddPurchase />} />
+        <Route path="/purchases/import" element={<ImportPurchases />} />
         <Route path="/purchases/:id" element={<PurchaseDetail />} />
         <Route path="/claims" element={<Claims />} />
         <Route path="/claims/:id" element={<ClaimDetail />} />
@@ -0,0 +1,57 @@
+import React from 'react';
+import { format } from 'date-fns';
+
+const verdicts = {
+  ELIGIBLE: { label: 'Eligible', badge: 'badge-green', text: 'No benefit exclusions apply.' },
+  NEEDS_REVIEW: { label: 'Needs review', badge: 'badge-yellow', text: 'This claim may fall under an exclusion. Check the reasons before filing.' },
+  EXCLUDED: { label: 'Excluded', badge: 'badge-red', text: "Your card's price protection terms exclude this claim." }
+};
+
+// Result of the benefit exclusion check (backend services/claimEligibility.js)
+export default function EligibilityVerdict({ eligibility, onRecheck, rechecking }) {
+  const verdict = eligibility && verdicts[eligibility.status];
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between">
+        <span className="text-gray-600">Verdict</span>
+        <span className={`badge ${verdict ? verdict.badge : 'badge-gray'}`}>
+          {verdict ? verdict.label : 'Not checked'}
+        </span>
+      </div>
+
+      {verdict && <p className="text-sm text-gray-600">{verdict.text}</p>}
+
+      {eligibility?.reasons?.length > 0 && (
+        <ul className="text-sm space-y-2">
+          {eligibility.reasons.map((reason) => (
+            <li
+              key={reason.rule}
+              className={`p-2 rounded ${reason.effect === 'exclude' ? 'bg-red-50 text-red-700' : 'bg-yellow-50 text-yellow-800'}`}
+            >
+              {reason.reason}
+              {reason.value != null && reason.value !== true && (
+                <span className="block text-xs opacity-75 mt-0.5">Matched: {String(reason.value)}</span>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {eligibility?.reviewedByUser && (
+        <p className="text-xs text-gray-500">You reviewed these reasons and chose to file anyway.</p>
+      )}
+
+      <div className="flex items-center justify-between text-xs text-gray-500">
+        <span>
+          {eligibility?.checkedAt ? `Checked ${format(new Date(eligibility.checkedAt), 'MMM d, h:mm a')}` : ''}
+        </span>
+        {onRecheck && (
+          <button onClick={onRecheck} disabled={rechecking} className="text-primary-600 hover:underline">
+            {rechecking ? 'Checking...' : 'Check again'}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
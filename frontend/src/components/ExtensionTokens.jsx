@@ -0,0 +1,123 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { PuzzlePieceIcon, ClipboardDocumentIcon } from '@heroicons/react/24/outline';
+import { formatDistanceToNow } from 'date-fns';
+import { extensionAPI } from '../services/api';
+import toast from 'react-hot-toast';
+
+// API tokens for the browser extension, which adds purchases at checkout
+export default function ExtensionTokens() {
+  const queryClient = useQueryClient();
+  const [name, setName] = useState('');
+  const [newToken, setNewToken] = useState(null);
+
+  const { data } = useQuery({
+    queryKey: ['extension-tokens'],
+    queryFn: () => extensionAPI.getTokens()
+  });
+
+  const createMutation = useMutation({
+    mutationFn: (tokenName) => extensionAPI.createToken({ name: tokenName }),
+    onSuccess: (result) => {
+      setNewToken(result.data.token);
+      setName('');
+      queryClient.invalidateQueries({ queryKey: ['extension-tokens'] });
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || 'Failed to create token');
+    }
+  });
+
+  const revokeMutation = useMutation({
+    mutationFn: (id) => extensionAPI.revokeToken(id),
+    onSuccess: () => {
+      toast.success('Token revoked');
+      queryClient.invalidateQueries({ queryKey: ['extension-tokens'] });
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || 'Failed to revoke token');
+    }
+  });
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    if (name.trim()) createMutation.mutate(name.trim());
+  };
+
+  const copyToken = () => {
+    navigator.clipboard.writeText(newToken);
+    toast.success('Token copied');
+  };
+
+  const tokens = (data?.data?.tokens || []).filter(token => !token.revokedAt);
+
+  return (
+    <div className="card p-6 mb-6">
+      <div className="flex items-center mb-4">
+        <PuzzlePieceIcon className="h-6 w-6 text-gray-600 mr-3" />
+        <h2 className="text-lg font-semibold text-gray-900">Browser Extension</h2>
+      </div>
+      <p className="text-gray-600 mb-4">
+        The extension adds a purchase as soon as you check out, instead of waiting for the order email.
+        Create a token for each browser you install it in.
+      </p>
+
+      {newToken && (
+        <div className="p-4 bg-green-50 rounded-lg mb-4">
+          <p className="text-sm font-medium text-green-800 mb-2">
+            Paste this token into the extension now. It won't be shown again.
+          </p>
+          <div className="flex items-center gap-2">
+            <code className="flex-1 text-sm bg-white border border-green-200 rounded px-3 py-2 break-all">{newToken}</code>
+            <button onClick={copyToken} className="btn-secondary" title="Copy token">
+              <ClipboardDocumentIcon className="h-5 w-5" />
+            </button>
+          </div>
+        </div>
+      )}
+
+      {tokens.length > 0 && (
+        <ul className="divide-y divide-gray-200 mb-4">
+          {tokens.map(token => (
+            <li key={token.id} className="flex items-center justify-between py-3">
+              <div>
+                <p className="font-medium text-gray-900">{token.name}</p>
+                <p className="text-sm text-gray-500">
+                  {token.prefix}… ·{' '}
+                  {token.lastUsedAt
+                    ? `last used ${formatDistanceToNow(new Date(token.lastUsedAt), { addSuffix: true })}`
+                    : 'never used'}
+                  {!token.active && ' · expired'}
+                </p>
+              </div>
+              <button
+                onClick={() => revokeMutation.mutate(token.id)}
+                disabled={revokeMutation.isPending}
+                className="text-red-600 text-sm hover:underline"
+              >
+                Revoke
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form onSubmit={handleCreate} className="flex items-center gap-3">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="e.g. Chrome on my laptop"
+          className="input flex-1"
+        />
+        <button
+          type="submit"
+          disabled={!name.trim() || createMutation.isPending}
+          className="btn-primary"
+        >
+          Create Token
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,320 @@
+import React, { useEffect, useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { EnvelopeIcon, ArrowPathIcon, PlusIcon } from '@heroicons/react/24/outline';
+import { formatDistanceToNow } from 'date-fns';
+import { useAuth } from '../context/AuthContext';
+import { emailAPI } from '../services/api';
+import toast from 'react-hot-toast';
+
+const PROVIDER_LABELS = {
+  GMAIL: 'Gmail',
+  IMAP: 'IMAP',
+  MICROSOFT: 'Microsoft 365'
+};
+
+const STATUS_BADGES = {
+  ACTIVE: { className: 'badge-green', label: 'Active' },
+  ERROR: { className: 'badge-yellow', label: 'Sync error' },
+  NEEDS_REAUTH: { className: 'badge-red', label: 'Reconnect' }
+};
+
+const EMPTY_IMAP = {
+  address: '',
+  host: '',
+  port: '',
+  security: 'tls',
+  username: '',
+  password: '',
+  folder: 'INBOX'
+};
+
+// The mailboxes order emails are read from: Gmail, Microsoft 365, or any IMAP server
+export default function Mailboxes() {
+  const { user, updateUser, hasSubscription } = useAuth();
+  const queryClient = useQueryClient();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [showImap, setShowImap] = useState(false);
+  const [imap, setImap] = useState(EMPTY_IMAP);
+
+  const { data: emailStatus } = useQuery({
+    queryKey: ['email-status'],
+    queryFn: () => emailAPI.getStatus()
+  });
+
+  const { data: mailboxData } = useQuery({
+    queryKey: ['mailboxes'],
+    queryFn: () => emailAPI.getMailboxes()
+  });
+
+  // Back from a provider's sign-in page
+  useEffect(() => {
+    const result = searchParams.get('mailbox');
+    if (!result) return;
+    if (result === 'connected') toast.success('Mailbox connected');
+    else toast.error('The mailbox was not connected');
+    searchParams.delete('mailbox');
+    setSearchParams(searchParams, { replace: true });
+  }, [searchParams, setSearchParams]);
+
+  const refresh = () => {
+    queryClient.invalidateQueries({ queryKey: ['mailboxes'] });
+    queryClient.invalidateQueries({ queryKey: ['email-status'] });
+  };
+
+  const syncMutation = useMutation({
+    mutationFn: (mailboxId) => emailAPI.sync(mailboxId),
+    onSuccess: () => {
+      toast.success('Email sync started!');
+      refresh();
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || 'Failed to start sync');
+    }
+  });
+
+  const removeMutation = useMutation({
+    mutationFn: (mailbox) => emailAPI.removeMailbox(mailbox.id),
+    onSuccess: (result, mailbox) => {
+      if (mailbox.provider === 'GMAIL' && mailbox.isPrimary) {
+        updateUser({ gmailConnected: false });
+      }
+      toast.success('Mailbox disconnected');
+      refresh();
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || 'Failed to disconnect');
+    }
+  });
+
+  const connectMutation = useMutation({
+    mutationFn: (provider) => emailAPI.mailboxConnectUrl(provider),
+    onSuccess: (result) => {
+      window.location.href = result.data.url;
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || 'Failed to connect');
+    }
+  });
+
+  const imapMutation = useMutation({
+    mutationFn: (data) => emailAPI.connectImap(data),
+    onSuccess: () => {
+      toast.success('Mailbox connected');
+      setImap(EMPTY_IMAP);
+      setShowImap(false);
+      refresh();
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || 'Failed to connect');
+    }
+  });
+
+  const handleImapSubmit = (e) => {
+    e.preventDefault();
+    imapMutation.mutate({
+      ...imap,
+      port: imap.port ? parseInt(imap.port) : null,
+      username: imap.username || undefined
+    });
+  };
+
+  const mailboxes = mailboxData?.data?.mailboxes || [];
+  const providers = mailboxData?.data?.providers || [];
+  const lastSync = emailStatus?.data?.lastSync;
+
+  return (
+    <div className="card p-6 mb-6">
+      <div className="flex items-center mb-4">
+        <EnvelopeIcon className="h-6 w-6 text-gray-600 mr-3" />
+        <h2 className="text-lg font-semibold text-gray-900">Email Integration</h2>
+      </div>
+      <p className="text-gray-600 mb-4">
+        Connect the mailboxes your order confirmations arrive in to detect purchases automatically.
+      </p>
+
+      {mailboxes.length > 0 && (
+        <ul className="divide-y divide-gray-200 mb-4">
+          {mailboxes.map(mailbox => {
+            const badge = STATUS_BADGES[mailbox.status] || STATUS_BADGES.ACTIVE;
+            return (
+              <li key={mailbox.id} className="flex items-center justify-between py-3">
+                <div>
+                  <p className="font-medium text-gray-900">
+                    {mailbox.address}
+                    <span className={`${badge.className} ml-2`}>{badge.label}</span>
+                  </p>
+                  <p className="text-sm text-gray-500">
+                    {PROVIDER_LABELS[mailbox.provider]}
+                    {mailbox.isPrimary && ' · sign-in account'}
+                    {' · '}
+                    {mailbox.lastSyncAt
+                      ? `synced ${formatDistanceToNow(new Date(mailbox.lastSyncAt), { addSuffix: true })}`
+                      : 'not synced yet'}
+                  </p>
+                  {mailbox.lastError && mailbox.status !== 'ACTIVE' && (
+                    <p className="text-xs text-red-600 mt-1">{mailbox.lastError}</p>
+                  )}
+                </div>
+                <div className="flex items-center gap-4">
+                  {hasSubscription && mailbox.status !== 'NEEDS_REAUTH' && (
+                    <button
+                      onClick={() => syncMutation.mutate(mailbox.id)}
+                      disabled={syncMutation.isPending}
+                      className="text-primary-600 text-sm hover:underline"
+                    >
+                      Sync
+                    </button>
+                  )}
+                  <button
+                    onClick={() => removeMutation.mutate(mailbox)}
+                    disabled={removeMutation.isPending}
+                    className="text-red-600 text-sm hover:underline"
+                  >
+                    Disconnect
+                  </button>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {lastSync && (
+        <div className="text-sm text-gray-600 mb-4">
+          Last sync: {new Date(lastSync.date).toLocaleString()} -
+          {' '}{lastSync.purchasesFound} purchases found
+          {lastSync.claimRepliesFound > 0 && `, ${lastSync.claimRepliesFound} claim replies`}
+        </div>
+      )}
+
+      <div className="flex flex-wrap items-center gap-3">
+        {hasSubscription && mailboxes.length > 0 && (
+          <button
+            onClick={() => syncMutation.mutate()}
+            disabled={syncMutation.isPending}
+            className="btn-secondary flex items-center"
+          >
+            <ArrowPathIcon className={`h-4 w-4 mr-2 ${syncMutation.isPending ? 'animate-spin' : ''}`} />
+            Sync Emails Now
+          </button>
+        )}
+        {user?.gmailConnected ? (
+          providers.includes('GMAIL') && (
+            <button onClick={() => connectMutation.mutate('gmail')} className="btn-secondary flex items-center">
+              <PlusIcon className="h-4 w-4 mr-2" />
+              Another Gmail
+            </button>
+          )
+        ) : (
+          <a href="/api/auth/google" className="btn-primary inline-flex items-center">
+            Connect Gmail
+          </a>
+        )}
+        {providers.includes('MICROSOFT') && (
+          <button onClick={() => connectMutation.mutate('microsoft')} className="btn-secondary flex items-center">
+            <PlusIcon className="h-4 w-4 mr-2" />
+            Microsoft 365
+          </button>
+        )}
+        <button onClick={() => setShowImap(!showImap)} className="btn-secondary flex items-center">
+          <PlusIcon className="h-4 w-4 mr-2" />
+          IMAP
+        </button>
+      </div>
+
+      {showImap && (
+        <form onSubmit={handleImapSubmit} className="mt-4 p-4 bg-gray-50 rounded-lg space-y-4">
+          <p className="text-sm text-gray-600">
+            Use an app password from your provider (Fastmail, iCloud, Yahoo and others), not your account password.
+          </p>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div>
+              <label className="label">Email address</label>
+              <input
+                type="email"
+                value={imap.address}
+                onChange={(e) => setImap({ ...imap, address: e.target.value })}
+                className="input"
+                placeholder="you@fastmail.com"
+                required
+              />
+            </div>
+            <div>
+              <label className="label">Username</label>
+              <input
+                type="text"
+                value={imap.username}
+                onChange={(e) => setImap({ ...imap, username: e.target.value })}
+                className="input"
+                placeholder="Same as the address"
+              />
+            </div>
+            <div>
+              <label className="label">IMAP server</label>
+              <input
+                type="text"
+                value={imap.host}
+                onChange={(e) => setImap({ ...imap, host: e.target.value })}
+                className="input"
+                placeholder="imap.fastmail.com"
+                required
+              />
+            </div>
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className="label">Security</label>
+                <select
+                  value={imap.security}
+                  onChange={(e) => setImap({ ...imap, security: e.target.value })}
+                  className="input"
+                >
+                  <option value="tls">SSL/TLS</option>
+                  <option value="starttls">STARTTLS</option>
+                  <option value="none">None (local only)</option>
+                </select>
+              </div>
+              <div>
+                <label className="label">Port</label>
+                <input
+                  type="number"
+                  value={imap.port}
+                  onChange={(e) => setImap({ ...imap, port: e.target.value })}
+                  className="input"
+                  placeholder={imap.security === 'tls' ? '993' : '143'}
+                />
+              </div>
+            </div>
+            <div>
+              <label className="label">App password</label>
+              <input
+                type="password"
+                value={imap.password}
+                onChange={(e) => setImap({ ...imap, password: e.target.value })}
+                className="input"
+                required
+              />
+            </div>
+            <div>
+              <label className="label">Folder</label>
+              <input
+                type="text"
+                value={imap.folder}
+                onChange={(e) => setImap({ ...imap, folder: e.target.value })}
+                className="input"
+              />
+            </div>
+          </div>
+          <div className="flex justify-end gap-3">
+            <button type="button" onClick={() => setShowImap(false)} className="btn-secondary">
+              Cancel
+            </button>
+            <button type="submit" disabled={imapMutation.isPending} className="btn-primary">
+              {imapMutation.isPending ? 'Connecting...' : 'Connect Mailbox'}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
@@ -1,7 +1,7 @@
 import React, { useState } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
 import { useQuery, useMutation } from '@tanstack/react-query';
-import { ArrowLeftIcon } from '@heroicons/react/24/outline';
+import { ArrowLeftIcon, DocumentArrowUpIcon } from '@heroicons/react/24/outline';
 import { purchasesAPI, cardsAPI } from '../services/api';
 import toast from 'react-hot-toast';
 
@@ -20,6 +20,9 @@ export default function AddPurchase() {
     imageUrl: ''
   });
 
+  // Receipt upload: the file, plus optional details the receipt may not show
+  const [receipt, setReceipt] = useState({ file: null, retailer: '', purchaseDate: '', creditCardId: '' });
+
   const { data: cards } = useQuery({
     queryKey: ['cards'],
     queryFn: () => cardsAPI.getAll()
@@ -36,6 +39,35 @@ export default function AddPurchase() {
     }
   });
 
+  const uploadMutation = useMutation({
+    mutationFn: (formData) => purchasesAPI.uploadReceipt(formData),
+    onSuccess: (result) => {
+      const { status, purchases } = result.data;
+      if (status === 'ATTACHED') {
+        toast.success('Receipt attached to the order you already have');
+      } else {
+        toast.success(purchases.length === 1 ? 'Purchase added from receipt!' : `${purchases.length} purchases added from receipt!`);
+      }
+      navigate(purchases.length === 1 ? `/purchases/${purchases[0].id}` : '/purchases');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || 'Failed to read receipt');
+    }
+  });
+
+  const handleUpload = (e) => {
+    e.preventDefault();
+    if (!receipt.file) return;
+
+    const formData = new FormData();
+    formData.append('receipt', receipt.file);
+    if (receipt.retailer) formData.append('retailer', receipt.retailer);
+    if (receipt.purchaseDate) formData.append('purchaseDate', receipt.purchaseDate);
+    if (receipt.creditCardId) formData.append('creditCardId', receipt.creditCardId);
+
+    uploadMutation.mutate(formData);
+  };
+
   const handleSubmit = (e) => {
     e.preventDefault();
 
@@ -72,6 +104,76 @@ export default function AddPurchase() {
         Back to purchases
       </Link>
 
+      <div className="card p-6 mb-6">
+        <div className="flex items-center mb-2">
+          <DocumentArrowUpIcon className="h-6 w-6 text-primary-600 mr-2" />
+          <h2 className="text-lg font-semibold text-gray-900">Upload a Receipt</h2>
+        </div>
+        <p className="text-sm text-gray-500 mb-4">
+          A PDF invoice or an order email saved as .eml or .html. Every item on it is added, and the
+          receipt is kept to send with claims. Scanned or photographed receipts can't be read.
+        </p>
+
+        <form onSubmit={handleUpload} className="space-y-4">
+          <input
+            type="file"
+            accept=".pdf,.eml,.html,.htm,application/pdf,message/rfc822,text/html"
+            onChange={(e) => setReceipt({ ...receipt, file: e.target.files?.[0] || null })}
+            className="block w-full text-sm text-gray-700 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:bg-primary-50 file:text-primary-700 hover:file:bg-primary-100"
+          />
+
+          <div className="grid grid-cols-3 gap-4">
+            <div>
+              <label className="label">Retailer</label>
+              <select
+                value={receipt.retailer}
+                onChange={(e) => setReceipt({ ...receipt, retailer: e.target.value })}
+                className="input"
+              >
+                <option value="">From receipt</option>
+                {retailers.filter(r => r !== 'Other').map(r => (
+                  <option key={r} value={r}>{r}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="label">Purchase Date</label>
+              <input
+                type="date"
+                value={receipt.purchaseDate}
+                onChange={(e) => setReceipt({ ...receipt, purchaseDate: e.target.value })}
+                className="input"
+              />
+            </div>
+            <div>
+              <label className="label">Credit Card</label>
+              <select
+                value={receipt.creditCardId}
+                onChange={(e) => setReceipt({ ...receipt, creditCardId: e.target.value })}
+                className="input"
+              >
+                <option value="">From receipt</option>
+                {cards?.data?.map(card => (
+                  <option key={card.id} value={card.id}>
+                    {card.nickname} (•••• {card.lastFour})
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div className="flex justify-end">
+            <button
+              type="submit"
+              disabled={!receipt.file || uploadMutation.isPending}
+              className="btn-primary"
+            >
+              {uploadMutation.isPending ? 'Reading receipt...' : 'Upload Receipt'}
+            </button>
+          </div>
+        </form>
+      </div>
+
       <div className="card p-6">
         <h1 className="text-2xl font-bold text-gray-900 mb-6">Add Purchase</h1>
 
@@ -8,6 +8,7 @@ import {
   CheckCircleIcon
 } from '@heroicons/react/24/outline';
 import { cardsAPI } from '../services/api';
+import { format } from 'date-fns';
 import toast from 'react-hot-toast';
 
 export default function Cards() {
@@ -31,6 +32,24 @@ export default function Cards() {
     }
   });
 
+  const { data: productsData } = useQuery({
+    queryKey: ['card-products'],
+    queryFn: () => cardsAPI.getProducts(),
+    staleTime: 60 * 60 * 1000
+  });
+  const products = productsData?.data || [];
+
+  const updateMutation = useMutation({
+    mutationFn: ({ id, data }) => cardsAPI.update(id, data),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['cards']);
+      toast.success('Card updated');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || 'Failed to update card');
+    }
+  });
+
   const cards = data?.data || [];
 
   return (
@@ -120,6 +139,9 @@ export default function Cards() {
                     <p className="text-sm text-gray-500">
                       {card.issuer} â¢â¢â¢â¢ {card.lastFour}
                     </p>
+                    {card.productConfirmed && card.product && (
+                      <p className="text-xs text-gray-500">{card.product.name}</p>
+                    )}
                   </div>
                 </div>
                 <button
@@ -134,6 +156,15 @@ export default function Cards() {
                 </button>
               </div>
 
+              {!card.productConfirmed && (
+                <CardProductPrompt
+                  card={card}
+                  products={products}
+                  disabled={updateMutation.isPending}
+                  onSelect={(productId) => updateMutation.mutate({ id: card.id, data: { productId } })}
+                />
+              )}
+
               <div className="mt-4 pt-4 border-t grid grid-cols-2 gap-4 text-sm">
                 <div>
                   <p className="text-gray-500">Protection</p>
@@ -153,6 +184,8 @@ export default function Cards() {
                 </div>
               </div>
 
+              {card.ledger && <ClaimLimit ledger={card.ledger} />}
+
               {/* Auto-claim indicator */}
               <div className="mt-4 pt-4 border-t flex items-center justify-between">
                 <span className="text-sm text-gray-500">Auto-Claim</span>
@@ -177,19 +210,158 @@ export default function Cards() {
   );
 }
 
+// What is left of the card's annual/account claim limits this cap year
+function ClaimLimit({ ledger }) {
+  const { totals, caps, headroom, projectedHeadroom, period } = ledger;
+  const cap = Math.min(...[caps.perYear, caps.perAccount].filter(c => c != null));
+  const periodLabel = period.type === 'CARD_MEMBER_YEAR'
+    ? `card-member year to ${format(new Date(period.end), 'MMM d')}`
+    : `${format(new Date(period.start), 'yyyy')}`;
+
+  return (
+    <div className="mt-4 pt-4 border-t text-sm">
+      <div className="flex items-center justify-between">
+        <span className="text-gray-500">Claim limit ({periodLabel})</span>
+        <span className="font-medium">
+          {headroom == null ? 'No annual limit' : `$${headroom.toFixed(2)} left of $${cap.toFixed(2)}`}
+        </span>
+      </div>
+      {headroom != null && (
+        <div className="mt-2 h-2 rounded-full bg-gray-100 overflow-hidden">
+          <div
+            className={`h-2 ${headroom <= 0 ? 'bg-red-500' : 'bg-green-500'}`}
+            style={{ width: `${Math.min(100, cap > 0 ? ((cap - headroom) / cap) * 100 : 100)}%` }}
+          />
+        </div>
+      )}
+      <p className="text-xs text-gray-500 mt-2">
+        Pending ${totals.pending.toFixed(2)} · Approved ${totals.approved.toFixed(2)} · Paid ${totals.paid.toFixed(2)}
+      </p>
+      {projectedHeadroom != null && totals.openClaims > 0 && (
+        <p className={`text-xs mt-1 ${projectedHeadroom <= 0 ? 'text-red-600' : 'text-gray-500'}`}>
+          ${projectedHeadroom.toFixed(2)} left after {totals.openClaims} unfiled claim{totals.openClaims === 1 ? '' : 's'}
+        </p>
+      )}
+    </div>
+  );
+}
+
+// Asks the user which card product this is; a product suggested from email
+// only counts once confirmed here
+function CardProductPrompt({ card, products, disabled, onSelect }) {
+  const [choice, setChoice] = useState('');
+  const related = products.filter(p => p.issuerName === card.issuer || (card.network && p.network === card.network));
+  const options = related.length ? related : products;
+
+  return (
+    <div className="mt-4 p-3 rounded-lg bg-yellow-50 text-sm">
+      {card.product ? (
+        <>
+          <p className="text-yellow-800">
+            Looks like a <span className="font-medium">{card.product.name}</span>. Is that right?
+          </p>
+          <button
+            onClick={() => onSelect(card.product.id)}
+            disabled={disabled}
+            className="btn-primary text-xs mt-2"
+          >
+            Confirm
+          </button>
+        </>
+      ) : (
+        <p className="text-yellow-800">Which card is this? Benefit terms depend on the card product.</p>
+      )}
+      <div className="flex gap-2 mt-2">
+        <select value={choice} onChange={(e) => setChoice(e.target.value)} className="input text-xs">
+          <option value="">{card.product ? 'Choose a different card' : 'Select card product'}</option>
+          {options.map(p => (
+            <option key={p.id} value={p.id}>{p.name}</option>
+          ))}
+          <option value="none">Not listed</option>
+        </select>
+        <button
+          onClick={() => onSelect(choice === 'none' ? null : choice)}
+          disabled={disabled || !choice}
+          className="btn-secondary text-xs"
+        >
+          Save
+        </button>
+      </div>
+    </div>
+  );
+}
+
 function AddCardForm({ onClose, onSuccess }) {
   const [formData, setFormData] = useState({
     nickname: '',
     issuer: '',
+    productId: '',
     lastFour: '',
     cardType: 'VISA',
     protectionDays: 60,
     maxClaimAmount: 500,
+    maxAnnualClaims: '',
+    maxAccountClaims: '',
+    capPeriod: 'CALENDAR_YEAR',
+    memberSince: '',
     claimMethod: 'ONLINE_PORTAL',
     claimPortalUrl: '',
     claimPhoneNumber: ''
   });
 
+  const { data: issuersData } = useQuery({
+    queryKey: ['card-issuers'],
+    queryFn: () => cardsAPI.getIssuers(),
+    staleTime: 60 * 60 * 1000
+  });
+  const catalog = issuersData?.data || [];
+
+  const { data: productsData } = useQuery({
+    queryKey: ['card-products'],
+    queryFn: () => cardsAPI.getProducts(),
+    staleTime: 60 * 60 * 1000
+  });
+  const issuerProducts = (productsData?.data || []).filter(p => p.issuerName === formData.issuer);
+  const selectedProduct = issuerProducts.find(p => p.id === formData.productId);
+
+  // Prefill the protection terms from the benefit catalog when an issuer is picked
+  const handleIssuerChange = (issuer) => {
+    const entry = catalog.find(e => e.name === issuer);
+    setFormData({
+      ...formData,
+      issuer,
+      productId: '',
+      ...(entry && {
+        protectionDays: entry.protectionDays,
+        maxClaimAmount: entry.maxClaimPerItem,
+        maxAnnualClaims: entry.maxClaimPerYear ?? '',
+        maxAccountClaims: entry.maxClaimPerAccount ?? '',
+        capPeriod: entry.capPeriod || 'CALENDAR_YEAR',
+        claimMethod: entry.claimMethod,
+        claimPortalUrl: entry.claimPortalUrl || '',
+        claimPhoneNumber: entry.claimPhoneNumber || ''
+      })
+    });
+  };
+
+  // A product's own terms override the issuer's
+  const handleProductChange = (productId) => {
+    const product = issuerProducts.find(p => p.id === productId);
+    setFormData({
+      ...formData,
+      productId,
+      nickname: formData.nickname || product?.name || '',
+      ...(product?.benefit && {
+        protectionDays: product.benefit.protectionDays,
+        maxClaimAmount: product.benefit.maxClaimPerItem,
+        maxAnnualClaims: product.benefit.maxClaimPerYear ?? '',
+        maxAccountClaims: product.benefit.maxClaimPerAccount ?? '',
+        capPeriod: product.benefit.capPeriod || 'CALENDAR_YEAR',
+        claimMethod: product.benefit.claimMethod
+      })
+    });
+  };
+
   const createMutation = useMutation({
     mutationFn: (data) => cardsAPI.create(data),
     onSuccess: () => {
@@ -207,12 +379,16 @@ function AddCardForm({ onClose, onSuccess }) {
       ...formData,
       protectionDays: parseInt(formData.protectionDays),
       maxClaimAmount: parseFloat(formData.maxClaimAmount),
+      maxAnnualClaims: formData.maxAnnualClaims === '' ? undefined : parseFloat(formData.maxAnnualClaims),
+      maxAccountClaims: formData.maxAccountClaims === '' ? undefined : parseFloat(formData.maxAccountClaims),
+      memberSince: formData.capPeriod === 'CARD_MEMBER_YEAR' && formData.memberSince ? formData.memberSince : undefined,
+      productId: formData.productId || undefined,
       claimPortalUrl: formData.claimPortalUrl || undefined,
       claimPhoneNumber: formData.claimPhoneNumber || undefined
     });
   };
 
-  const issuers = ['Chase', 'Citi', 'American Express', 'Discover', 'Capital One', 'Bank of America', 'Other'];
+  const issuers = [...catalog.map(entry => entry.name), 'Other'];
 
   return (
     <div className="card p-6 mb-6">
@@ -235,7 +411,7 @@ function AddCardForm({ onClose, onSuccess }) {
             <label className="label">Issuer *</label>
             <select
               value={formData.issuer}
-              onChange={(e) => setFormData({ ...formData, issuer: e.target.value })}
+              onChange={(e) => handleIssuerChange(e.target.value)}
               className="input"
               required
             >
@@ -247,6 +423,25 @@ function AddCardForm({ onClose, onSuccess }) {
           </div>
         </div>
 
+        {issuerProducts.length > 0 && (
+          <div>
+            <label className="label">Card Product</label>
+            <select
+              value={formData.productId}
+              onChange={(e) => handleProductChange(e.target.value)}
+              className="input"
+            >
+              <option value="">Not listed / not sure</option>
+              {issuerProducts.map(p => (
+                <option key={p.id} value={p.id}>{p.name}</option>
+              ))}
+            </select>
+            {selectedProduct?.benefit && !selectedProduct.benefit.offersPriceProtection && (
+              <p className="text-xs text-yellow-700 mt-1">This card doesn't include price protection.</p>
+            )}
+          </div>
+        )}
+
         <div className="grid md:grid-cols-2 gap-4">
           <div>
             <label className="label">Last 4 Digits *</label>
@@ -286,7 +481,7 @@ function AddCardForm({ onClose, onSuccess }) {
               value={formData.protectionDays}
               onChange={(e) => setFormData({ ...formData, protectionDays: e.target.value })}
               className="input"
-              min={1}
+              min={0}
               max={365}
             />
             <p className="text-xs text-gray-500 mt-1">Days after purchase for price protection</p>
@@ -305,6 +500,60 @@ function AddCardForm({ onClose, onSuccess }) {
           </div>
         </div>
 
+        <div className="grid md:grid-cols-2 gap-4">
+          <div>
+            <label className="label">Annual Limit ($)</label>
+            <input
+              type="number"
+              value={formData.maxAnnualClaims}
+              onChange={(e) => setFormData({ ...formData, maxAnnualClaims: e.target.value })}
+              className="input"
+              min={0}
+              step="0.01"
+              placeholder="No limit"
+            />
+            <p className="text-xs text-gray-500 mt-1">Total claims per year on this card</p>
+          </div>
+          <div>
+            <label className="label">Account Limit ($)</label>
+            <input
+              type="number"
+              value={formData.maxAccountClaims}
+              onChange={(e) => setFormData({ ...formData, maxAccountClaims: e.target.value })}
+              className="input"
+              min={0}
+              step="0.01"
+              placeholder="No limit"
+            />
+            <p className="text-xs text-gray-500 mt-1">Shared by all your cards from this issuer</p>
+          </div>
+        </div>
+
+        <div className="grid md:grid-cols-2 gap-4">
+          <div>
+            <label className="label">Limits Reset</label>
+            <select
+              value={formData.capPeriod}
+              onChange={(e) => setFormData({ ...formData, capPeriod: e.target.value })}
+              className="input"
+            >
+              <option value="CALENDAR_YEAR">Every calendar year</option>
+              <option value="CARD_MEMBER_YEAR">On the card anniversary</option>
+            </select>
+          </div>
+          {formData.capPeriod === 'CARD_MEMBER_YEAR' && (
+            <div>
+              <label className="label">Card Member Since</label>
+              <input
+                type="date"
+                value={formData.memberSince}
+                onChange={(e) => setFormData({ ...formData, memberSince: e.target.value })}
+                className="input"
+              />
+            </div>
+          )}
+        </div>
+
         <div>
           <label className="label">Claim Method</label>
           <select
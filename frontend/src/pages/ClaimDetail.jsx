@@ -16,6 +16,7 @@ import {
 import { claimsAPI } from '../services/api';
 import { format } from 'date-fns';
 import toast from 'react-hot-toast';
+import EligibilityVerdict from '../components/EligibilityVerdict';
 
 const statusColors = {
   DRAFT: 'bg-gray-100 text-gray-700',
@@ -29,6 +30,7 @@ const statusColors = {
   DENIED: 'bg-red-100 text-red-700',
   EXPIRED: 'bg-gray-100 text-gray-500',
   MONEY_RECEIVED: 'bg-emerald-100 text-emerald-700',
+  SUSPENDED: 'bg-gray-100 text-gray-500',
 };
 
 export default function ClaimDetail() {
@@ -87,7 +89,7 @@ export default function ClaimDetail() {
   });
 
   const autoFileMutation = useMutation({
-    mutationFn: () => claimsAPI.autoFile(id),
+    mutationFn: (options) => claimsAPI.autoFile(id, options),
     onSuccess: (result) => {
       queryClient.invalidateQueries(['claim', id]);
       queryClient.invalidateQueries(['claims']);
@@ -100,7 +102,19 @@ export default function ClaimDetail() {
         toast.error(result.data.error || 'Auto-file failed. Please file manually.');
       }
     },
-    onError: (error) => {
+    onError: (error, options) => {
+      queryClient.invalidateQueries(['claim', id]);
+
+      // A benefit exclusion may apply - the user decides whether to file anyway
+      if (error.response?.data?.code === 'BENEFIT_REVIEW_REQUIRED') {
+        const confirmed = window.confirm(
+          `${error.response.data.error}.\n\nThe issuer may deny the claim. File it anyway?`
+        );
+        if (confirmed) {
+          autoFileMutation.mutate({ ...options, exclusionsReviewed: true });
+        }
+        return;
+      }
       toast.error(error.response?.data?.error || 'Failed to auto-file claim');
     }
   });
@@ -128,6 +142,8 @@ export default function ClaimDetail() {
   const inst = instructions?.data;
   const proof = proofData?.data;
   const isFiled = ['EMAIL_SENT', 'FILED', 'PENDING_REVIEW', 'APPROVED', 'MONEY_RECEIVED'].includes(claim.status);
+  // Retailer price adjustments are asked of the retailer by the user, not filed with the issuer
+  const isRetailer = claim.type === 'RETAILER_ADJUSTMENT';
 
   // Build proof file URLs with auth token
   const token = localStorage.getItem('token');
@@ -135,6 +151,7 @@ export default function ClaimDetail() {
   const proofPdfUrl = proof?.hasClaimPdf ? `${baseUrl}/claims/${id}/proof/pdf?token=${token}` : null;
   const proofPriceUrl = proof?.hasPriceScreenshot ? `${baseUrl}/claims/${id}/proof/price-screenshot?token=${token}` : null;
   const proofEmailUrl = proof?.hasEmailProof ? `${baseUrl}/claims/${id}/proof/email-screenshot?token=${token}` : null;
+  const receiptUrl = claim.purchase?.receiptId ? `${baseUrl}/claims/${id}/proof/receipt?token=${token}` : null;
 
   return (
     <div>
@@ -153,13 +170,18 @@ export default function ClaimDetail() {
             <div className="flex items-start justify-between">
               <div>
                 <h1 className="text-2xl font-bold text-gray-900">
-                  ${claim.priceDifference.toFixed(2)} Claim
+                  ${claim.priceDifference.toFixed(2)} {isRetailer ? 'Price Adjustment' : 'Claim'}
                 </h1>
                 <p className="text-gray-600 mt-1">
                   {claim.purchase?.productName}
                 </p>
               </div>
               <div className="flex items-center gap-2">
+                {isRetailer && (
+                  <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-700">
+                    Retailer
+                  </span>
+                )}
                 {claim.autoFiled && (
                   <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-purple-100 text-purple-700">
                     <RocketLaunchIcon className="h-3.5 w-3.5 mr-1" />
@@ -174,7 +196,9 @@ export default function ClaimDetail() {
 
             <div className="mt-6 grid grid-cols-2 gap-4">
               <div className="bg-gray-50 p-4 rounded-lg">
-                <p className="text-sm text-gray-600">Original Price</p>
+                <p className="text-sm text-gray-600">
+                  Original Price{claim.amountBreakdown?.quantity > 1 ? ' (per unit)' : ''}
+                </p>
                 <p className="text-xl font-bold">${claim.originalPrice.toFixed(2)}</p>
               </div>
               <div className="bg-green-50 p-4 rounded-lg">
@@ -183,12 +207,46 @@ export default function ClaimDetail() {
               </div>
             </div>
 
+            {/* How the amount was worked out (backend services/claimAmount.js) */}
+            {claim.amountBreakdown?.lines?.length > 0 && (
+              <div className="mt-4">
+                <h3 className="text-sm font-medium text-gray-700 mb-2">Claim Amount Breakdown</h3>
+                <dl className="text-sm space-y-1">
+                  {claim.amountBreakdown.lines.map((line, index) => (
+                    <div key={index} className="flex justify-between">
+                      <dt className="text-gray-600">{line.label}</dt>
+                      <dd className={line.amount < 0 ? 'text-red-600' : 'text-gray-900'}>
+                        {line.amount < 0 ? '-' : ''}${Math.abs(line.amount).toFixed(2)}
+                      </dd>
+                    </div>
+                  ))}
+                  <div className="flex justify-between pt-2 border-t font-medium">
+                    <dt className="text-gray-900">Claim amount</dt>
+                    <dd className="text-gray-900">${claim.amountBreakdown.amount.toFixed(2)}</dd>
+                  </div>
+                </dl>
+                {claim.amountBreakdown.notes?.map((note) => (
+                  <p key={note} className="text-xs text-gray-500 mt-1">{note}</p>
+                ))}
+              </div>
+            )}
+
             {claim.claimNumber && (
               <div className="mt-4 p-4 bg-blue-50 rounded-lg">
                 <p className="text-sm text-blue-700">Claim Number</p>
                 <p className="font-mono font-medium text-blue-900">{claim.claimNumber}</p>
               </div>
             )}
+
+            {claim.status === 'SUSPENDED' && (
+              <div className="mt-4 p-4 bg-gray-50 rounded-lg">
+                <p className="text-sm font-medium text-gray-900">Claim suspended</p>
+                <p className="text-sm text-gray-600 mt-1">
+                  The purchase was cancelled, returned or refunded, so the card issuer would deny this claim.
+                  {claim.claimEmailSentAt && ' It was already sent: contact the issuer to withdraw it.'}
+                </p>
+              </div>
+            )}
           </div>
 
           {/* ── Proof of Filing Section ── */}
@@ -263,6 +321,21 @@ export default function ClaimDetail() {
                   </a>
                 )}
 
+                {proof.hasReceipt && (
+                  <a
+                    href={receiptUrl}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="flex items-center gap-3 p-3 bg-white border border-gray-200 rounded-lg hover:border-indigo-300 hover:bg-indigo-50 transition-colors"
+                  >
+                    <DocumentTextIcon className="h-8 w-8 text-gray-500 flex-shrink-0" />
+                    <div>
+                      <p className="text-sm font-medium text-gray-900">Receipt</p>
+                      <p className="text-xs text-gray-500">View upload</p>
+                    </div>
+                  </a>
+                )}
+
                 {proof.hasEmailProof && (
                   <a
                     href={proofEmailUrl}
@@ -318,8 +391,95 @@ export default function ClaimDetail() {
             </div>
           )}
 
+          {/* Issuer replies picked up by the email sync */}
+          {claim.replies?.length > 0 && (
+            <div className="card p-6">
+              <h2 className="text-lg font-semibold text-gray-900 mb-4">Issuer Replies</h2>
+              <div className="space-y-3">
+                {claim.replies.map((reply) => (
+                  <details key={reply.id} className="bg-gray-50 rounded-lg">
+                    <summary className="cursor-pointer px-4 py-3 text-sm">
+                      <span className="font-medium text-gray-900">{reply.type.replace(/_/g, ' ')}</span>
+                      <span className="text-gray-500 ml-2">
+                        {reply.fromAddress} · {format(new Date(reply.receivedAt), 'MMM d, yyyy h:mm a')}
+                      </span>
+                    </summary>
+                    {reply.excerpt && (
+                      <pre className="px-4 pb-4 text-xs text-gray-600 whitespace-pre-wrap font-mono">
+                        {reply.excerpt}
+                      </pre>
+                    )}
+                  </details>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {/* Retailer request (only for unsent requests) */}
+          {inst && isRetailer && ['DRAFT', 'READY_TO_FILE'].includes(claim.status) && (
+            <div className="card p-6">
+              <h2 className="text-lg font-semibold text-gray-900 mb-4">
+                How to Request Your Price Adjustment
+              </h2>
+
+              <div className="mb-4 p-4 bg-gray-50 rounded-lg">
+                <p className="text-sm text-gray-600">Retailer</p>
+                <p className="font-medium">{inst.retailer}</p>
+                <p className="text-sm text-gray-600 mt-1">Ask via {inst.method.replace(/_/g, ' ')}</p>
+                {inst.phone && (
+                  <p className="text-sm text-gray-600 mt-1">Phone: {inst.phone}</p>
+                )}
+                {inst.email && (
+                  <p className="text-sm text-gray-600 mt-1">Email: {inst.email}</p>
+                )}
+                {inst.portal && (
+                  <a
+                    href={inst.portal}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="text-sm text-primary-600 hover:underline mt-1 block"
+                  >
+                    Contact {inst.retailer}
+                  </a>
+                )}
+              </div>
+
+              <div className="mb-4">
+                <h3 className="font-medium text-gray-900 mb-2">Steps:</h3>
+                <ol className="list-decimal list-inside space-y-2 text-gray-700">
+                  {inst.steps?.map((step, idx) => (
+                    <li key={idx}>{step}</li>
+                  ))}
+                </ol>
+              </div>
+
+              {inst.message && (
+                <div className="mb-4">
+                  <div className="flex items-center justify-between mb-2">
+                    <h3 className="font-medium text-gray-900">Request Message:</h3>
+                    <button
+                      onClick={() => navigator.clipboard.writeText(inst.message).then(() => toast.success('Message copied'))}
+                      className="text-sm text-primary-600 hover:underline"
+                    >
+                      Copy
+                    </button>
+                  </div>
+                  <p className="p-4 bg-gray-50 rounded-lg text-sm text-gray-700 whitespace-pre-wrap">{inst.message}</p>
+                </div>
+              )}
+
+              {inst.windowEnds && (
+                <div className="p-4 rounded-lg bg-yellow-50">
+                  <p className="font-medium text-yellow-700">
+                    Ask before {format(new Date(inst.windowEnds), 'MMM d, yyyy')}, when the retailer's window closes
+                  </p>
+                </div>
+              )}
+            </div>
+          )}
+
           {/* Filing Instructions (only for unfiled claims) */}
-          {inst && ['DRAFT', 'READY_TO_FILE'].includes(claim.status) && (
+          {inst && !isRetailer && ['DRAFT', 'READY_TO_FILE'].includes(claim.status) && (
             <div className="card p-6">
               <h2 className="text-lg font-semibold text-gray-900 mb-4">
                 How to File Your Claim
@@ -358,7 +518,11 @@ export default function ClaimDetail() {
                   {inst.requiredDocuments?.map((doc, idx) => (
                     <li key={idx} className="flex items-center text-gray-700">
                       <CheckCircleIcon className="h-4 w-4 text-green-500 mr-2" />
-                      {doc === 'receipt' && 'Original purchase receipt'}
+                      {doc === 'receipt' && (receiptUrl ? (
+                        <a href={receiptUrl} target="_blank" rel="noopener noreferrer" className="text-primary-600 hover:underline">
+                          Original purchase receipt (uploaded)
+                        </a>
+                      ) : 'Original purchase receipt')}
                       {doc === 'price_screenshot' && 'Screenshot of lower price'}
                       {doc === 'credit_card_statement' && 'Credit card statement'}
                       {doc === 'item_details' && 'Product details/specifications'}
@@ -399,13 +563,21 @@ export default function ClaimDetail() {
 
         {/* Sidebar */}
         <div className="space-y-6">
+          {/* Benefit exclusions checked before filing */}
+          {claim.eligibility && (
+            <div className="card p-6">
+              <h2 className="text-lg font-semibold text-gray-900 mb-4">Claim Eligibility</h2>
+              <EligibilityVerdict eligibility={claim.eligibility} />
+            </div>
+          )}
+
           {/* Actions */}
           <div className="card p-6">
             <h2 className="text-lg font-semibold text-gray-900 mb-4">Actions</h2>
 
             <div className="space-y-3">
               {/* Primary Action: Auto-File */}
-              {['DRAFT', 'READY_TO_FILE'].includes(claim.status) && (
+              {!isRetailer && ['DRAFT', 'READY_TO_FILE'].includes(claim.status) && (
                 <button
                   onClick={() => autoFileMutation.mutate()}
                   disabled={autoFileMutation.isPending}
@@ -425,13 +597,13 @@ export default function ClaimDetail() {
                 </button>
               )}
 
-              {['DRAFT', 'READY_TO_FILE'].includes(claim.status) && (
+              {!isRetailer && ['DRAFT', 'READY_TO_FILE'].includes(claim.status) && (
                 <p className="text-xs text-gray-500 text-center">
                   We'll email your claim with all documentation to the card issuer
                 </p>
               )}
 
-              {claim.status === 'DRAFT' && (
+              {!isRetailer && claim.status === 'DRAFT' && (
                 <button
                   onClick={() => generateDocsMutation.mutate()}
                   disabled={generateDocsMutation.isPending}
@@ -445,13 +617,13 @@ export default function ClaimDetail() {
               {['DRAFT', 'READY_TO_FILE'].includes(claim.status) && (
                 <button
                   onClick={() => {
-                    const claimNumber = prompt('Enter claim confirmation number (optional):');
+                    const claimNumber = prompt(isRetailer ? 'Enter the retailer\'s case or chat reference (optional):' : 'Enter claim confirmation number (optional):');
                     fileMutation.mutate(claimNumber);
                   }}
                   disabled={fileMutation.isPending}
-                  className="w-full btn-secondary"
+                  className={isRetailer ? 'w-full btn-success' : 'w-full btn-secondary'}
                 >
-                  Mark as Filed Manually
+                  {isRetailer ? 'Mark as Requested' : 'Mark as Filed Manually'}
                 </button>
               )}
 
@@ -502,12 +674,14 @@ export default function ClaimDetail() {
                 <dt className="text-sm text-gray-500">Retailer</dt>
                 <dd className="text-sm font-medium">{claim.purchase?.retailer}</dd>
               </div>
-              <div>
-                <dt className="text-sm text-gray-500">Credit Card</dt>
-                <dd className="text-sm font-medium">
-                  {claim.creditCard?.nickname} ({claim.creditCard?.issuer} ending {claim.creditCard?.lastFour})
-                </dd>
-              </div>
+              {claim.creditCard && (
+                <div>
+                  <dt className="text-sm text-gray-500">Credit Card</dt>
+                  <dd className="text-sm font-medium">
+                    {claim.creditCard.nickname} ({claim.creditCard.issuer} ending {claim.creditCard.lastFour})
+                  </dd>
+                </div>
+              )}
               <div>
                 <dt className="text-sm text-gray-500">Created</dt>
                 <dd className="text-sm font-medium">
@@ -19,7 +19,8 @@ const statusColors = {
   APPROVED: 'badge-green',
   DENIED: 'badge-red',
   EXPIRED: 'badge-gray',
-  MONEY_RECEIVED: 'badge-green'
+  MONEY_RECEIVED: 'badge-green',
+  SUSPENDED: 'badge-gray'
 };
 
 const statusLabels = {
@@ -33,7 +34,8 @@ const statusLabels = {
   APPROVED: 'Approved',
   DENIED: 'Denied',
   EXPIRED: 'Expired',
-  MONEY_RECEIVED: 'Money Received'
+  MONEY_RECEIVED: 'Money Received',
+  SUSPENDED: 'Suspended'
 };
 
 export default function Claims() {
@@ -168,7 +170,9 @@ export default function Claims() {
                     <p className="text-sm text-gray-500">{claim.purchase?.retailer}</p>
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-                    {claim.creditCard?.nickname || '-'}
+                    {claim.type === 'RETAILER_ADJUSTMENT'
+                      ? <span className="badge badge-blue">Retailer</span>
+                      : claim.creditCard?.nickname || '-'}
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
                     ${claim.originalPrice.toFixed(2)}
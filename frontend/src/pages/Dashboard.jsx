@@ -18,6 +18,7 @@ import toast from 'react-hot-toast';
 
 export default function Dashboard() {
   const { user, hasSubscription } = useAuth();
+  const mailboxConnected = user?.gmailConnected || user?._count?.mailboxes > 0;
   const queryClient = useQueryClient();
   const [syncing, setSyncing] = useState(false);
 
@@ -97,7 +98,7 @@ export default function Dashboard() {
           <p className="text-gray-600 mt-1">Here's what's happening with your purchases.</p>
         </div>
         <div className="flex gap-3">
-          {user?.gmailConnected && (
+          {mailboxConnected && (
             <button
               onClick={handleSync}
               disabled={syncing}
@@ -234,14 +235,14 @@ export default function Dashboard() {
 
         {/* Quick Actions */}
         <div className="space-y-6">
-          {/* Gmail Status */}
+          {/* Email Status */}
           <div className="card p-6">
             <h2 className="text-lg font-semibold text-gray-900 mb-4">Email Integration</h2>
-            {user?.gmailConnected ? (
+            {mailboxConnected ? (
               <div>
                 <div className="flex items-center text-green-600 mb-3">
                   <div className="w-3 h-3 bg-green-500 rounded-full mr-3"></div>
-                  <span>Gmail connected - automatically detecting purchases</span>
+                  <span>Email connected - automatically detecting purchases</span>
                 </div>
                 <button
                   onClick={handleSync}
@@ -255,10 +256,10 @@ export default function Dashboard() {
             ) : (
               <div>
                 <p className="text-gray-600 mb-3">
-                  Connect your Gmail to automatically detect purchases from your emails.
+                  Connect Gmail, Microsoft 365 or any IMAP mailbox to automatically detect purchases from your emails.
                 </p>
                 <Link to="/settings" className="btn-secondary">
-                  Connect Gmail
+                  Connect Email
                 </Link>
               </div>
             )}
@@ -0,0 +1,305 @@
+import React, { useState } from 'react';
+import { useNavigate, Link } from 'react-router-dom';
+import { useQuery, useMutation } from '@tanstack/react-query';
+import { ArrowLeftIcon, TableCellsIcon } from '@heroicons/react/24/outline';
+import { purchasesAPI, cardsAPI } from '../services/api';
+import { format } from 'date-fns';
+import toast from 'react-hot-toast';
+
+// Purchase fields a CSV column can be mapped to
+const FIELDS = [
+  { key: 'date', label: 'Date', required: true },
+  { key: 'amount', label: 'Amount', required: true },
+  { key: 'description', label: 'Description' },
+  { key: 'productName', label: 'Product Name' },
+  { key: 'retailer', label: 'Retailer' },
+  { key: 'orderId', label: 'Order Number' },
+  { key: 'quantity', label: 'Quantity' },
+  { key: 'category', label: 'Category' },
+  { key: 'productUrl', label: 'Product URL' },
+  { key: 'cardNumber', label: 'Card Number' }
+];
+
+const statusColors = {
+  NEW: 'badge-green',
+  DUPLICATE: 'badge-blue',
+  SKIPPED: 'badge-gray',
+  INVALID: 'badge-red'
+};
+
+const retailers = [
+  'Amazon', 'Best Buy', 'Walmart', 'Target', 'Costco',
+  'Home Depot', 'Lowes', 'Newegg', 'Apple'
+];
+
+export default function ImportPurchases() {
+  const navigate = useNavigate();
+
+  const [file, setFile] = useState(null);
+  const [options, setOptions] = useState({ creditCardId: '', retailer: '', dateOrder: 'MDY', amountSign: 'auto' });
+  const [mapping, setMapping] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [selected, setSelected] = useState([]);
+
+  const { data: cards } = useQuery({
+    queryKey: ['cards'],
+    queryFn: () => cardsAPI.getAll()
+  });
+
+  // The file and options as the multipart form both endpoints take
+  const buildForm = (columns, lines) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    if (columns) formData.append('mapping', JSON.stringify(columns));
+    for (const [key, value] of Object.entries(options)) {
+      if (value) formData.append(key, value);
+    }
+    if (lines) formData.append('lines', JSON.stringify(lines));
+    return formData;
+  };
+
+  const previewMutation = useMutation({
+    mutationFn: (formData) => purchasesAPI.previewImport(formData),
+    onSuccess: (result) => {
+      setPreview(result.data);
+      setMapping(result.data.mapping);
+      setSelected(result.data.rows.filter(row => row.status === 'NEW').map(row => row.line));
+    },
+    onError: (error) => {
+      setPreview(null);
+      toast.error(error.response?.data?.error || 'Failed to read file');
+    }
+  });
+
+  const importMutation = useMutation({
+    mutationFn: (formData) => purchasesAPI.importPurchases(formData),
+    onSuccess: (result) => {
+      const count = result.data.purchases.length;
+      toast.success(count === 1 ? '1 purchase imported!' : `${count} purchases imported!`);
+      navigate('/purchases');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || 'Failed to import purchases');
+    }
+  });
+
+  const handlePreview = (e) => {
+    e.preventDefault();
+    if (!file) return;
+    previewMutation.mutate(buildForm(mapping));
+  };
+
+  const handleMappingChange = (field, column) => {
+    const next = { ...mapping };
+    if (column) next[field] = column;
+    else delete next[field];
+    setMapping(next);
+    previewMutation.mutate(buildForm(next));
+  };
+
+  const handleImport = () => {
+    importMutation.mutate(buildForm(mapping, selected));
+  };
+
+  const toggleLine = (line) => {
+    setSelected(selected.includes(line) ? selected.filter(l => l !== line) : [...selected, line]);
+  };
+
+  const summary = preview?.summary;
+
+  return (
+    <div className="max-w-5xl mx-auto">
+      <Link
+        to="/purchases"
+        className="inline-flex items-center text-gray-600 hover:text-gray-900 mb-6"
+      >
+        <ArrowLeftIcon className="h-4 w-4 mr-2" />
+        Back to purchases
+      </Link>
+
+      <div className="card p-6 mb-6">
+        <div className="flex items-center mb-2">
+          <TableCellsIcon className="h-6 w-6 text-primary-600 mr-2" />
+          <h1 className="text-lg font-semibold text-gray-900">Import Purchases</h1>
+        </div>
+        <p className="text-sm text-gray-500 mb-4">
+          A card statement (CSV, OFX or QFX) or a retailer's order-history export (CSV). Nothing is
+          added until you review the preview; rows matching purchases you already have are left out.
+        </p>
+
+        <form onSubmit={handlePreview} className="space-y-4">
+          <input
+            type="file"
+            accept=".csv,.ofx,.qfx,.txt,text/csv"
+            onChange={(e) => {
+              setFile(e.target.files?.[0] || null);
+              setMapping(null);
+              setPreview(null);
+            }}
+            className="block w-full text-sm text-gray-700 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:bg-primary-50 file:text-primary-700 hover:file:bg-primary-100"
+          />
+
+          <div className="grid grid-cols-4 gap-4">
+            <div>
+              <label className="label">Credit Card</label>
+              <select
+                value={options.creditCardId}
+                onChange={(e) => setOptions({ ...options, creditCardId: e.target.value })}
+                className="input"
+              >
+                <option value="">Match by card number</option>
+                {cards?.data?.map(card => (
+                  <option key={card.id} value={card.id}>
+                    {card.nickname} ({card.issuer} ****{card.lastFour})
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="label">Retailer</label>
+              <select
+                value={options.retailer}
+                onChange={(e) => setOptions({ ...options, retailer: e.target.value })}
+                className="input"
+              >
+                <option value="">From each row</option>
+                {retailers.map(r => (
+                  <option key={r} value={r}>{r}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="label">Date Format</label>
+              <select
+                value={options.dateOrder}
+                onChange={(e) => setOptions({ ...options, dateOrder: e.target.value })}
+                className="input"
+              >
+                <option value="MDY">MM/DD/YYYY</option>
+                <option value="DMY">DD/MM/YYYY</option>
+              </select>
+            </div>
+            <div>
+              <label className="label">Charges Are</label>
+              <select
+                value={options.amountSign}
+                onChange={(e) => setOptions({ ...options, amountSign: e.target.value })}
+                className="input"
+              >
+                <option value="auto">Detect</option>
+                <option value="negative">Negative amounts</option>
+                <option value="positive">Positive amounts</option>
+              </select>
+            </div>
+          </div>
+
+          <button
+            type="submit"
+            disabled={!file || previewMutation.isPending}
+            className="btn-secondary"
+          >
+            {previewMutation.isPending ? 'Reading...' : 'Preview Import'}
+          </button>
+        </form>
+      </div>
+
+      {preview?.format === 'csv' && (
+        <div className="card p-6 mb-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-1">Columns</h2>
+          <p className="text-sm text-gray-500 mb-4">
+            Pick the column for each field. A description, product name or retailer column is needed too.
+          </p>
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+            {FIELDS.map(field => (
+              <div key={field.key}>
+                <label className="label">{field.label}{field.required && ' *'}</label>
+                <select
+                  value={mapping?.[field.key] || ''}
+                  onChange={(e) => handleMappingChange(field.key, e.target.value)}
+                  className="input"
+                >
+                  <option value="">Not in file</option>
+                  {preview.headers.map(header => (
+                    <option key={header} value={header}>{header}</option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
+          {preview.mappingErrors?.length > 0 && (
+            <ul className="mt-4 text-sm text-red-600 list-disc list-inside">
+              {preview.mappingErrors.map(error => <li key={error}>{error}</li>)}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {summary && (
+        <div className="card overflow-hidden">
+          <div className="px-6 py-4 flex items-center justify-between border-b border-gray-200">
+            <p className="text-sm text-gray-600">
+              {summary.total} rows: {summary.NEW} new, {summary.DUPLICATE} already tracked,
+              {' '}{summary.SKIPPED} skipped, {summary.INVALID} unreadable
+            </p>
+            <button
+              onClick={handleImport}
+              disabled={!selected.length || importMutation.isPending}
+              className="btn-primary"
+            >
+              {importMutation.isPending ? 'Importing...' : `Import ${selected.length} Purchase${selected.length === 1 ? '' : 's'}`}
+            </button>
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3" />
+                  {['Date', 'Retailer', 'Item', 'Amount', 'Card', 'Status'].map(heading => (
+                    <th key={heading} className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      {heading}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {preview.rows.map(row => (
+                  <tr key={row.line} className={row.status === 'NEW' ? '' : 'text-gray-400'}>
+                    <td className="px-4 py-3">
+                      {row.status === 'NEW' && (
+                        <input
+                          type="checkbox"
+                          checked={selected.includes(row.line)}
+                          onChange={() => toggleLine(row.line)}
+                          className="h-4 w-4 text-primary-600 rounded"
+                        />
+                      )}
+                    </td>
+                    <td className="px-4 py-3 text-sm whitespace-nowrap">
+                      {row.date ? format(new Date(row.date), 'MMM d, yyyy') : '-'}
+                    </td>
+                    <td className="px-4 py-3 text-sm">{row.retailer || '-'}</td>
+                    <td className="px-4 py-3 text-sm max-w-xs truncate">{row.productName || '-'}</td>
+                    <td className="px-4 py-3 text-sm whitespace-nowrap">
+                      {row.amount != null ? `$${row.amount.toFixed(2)}` : '-'}
+                    </td>
+                    <td className="px-4 py-3 text-sm whitespace-nowrap">
+                      {row.card ? `****${row.card.lastFour}` : row.cardLast4 ? `****${row.cardLast4}?` : '-'}
+                    </td>
+                    <td className="px-4 py-3 text-sm">
+                      <span className={statusColors[row.status]}>{row.status}</span>
+                      {row.match && <p className="text-xs mt-1">{row.match.reason}</p>}
+                      {row.reasons.map(reason => (
+                        <p key={reason} className="text-xs mt-1">{reason}</p>
+                      ))}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
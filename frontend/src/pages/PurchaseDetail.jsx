@@ -12,6 +12,15 @@ import { format } from 'date-fns';
 import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer } from 'recharts';
 import toast from 'react-hot-toast';
 import { useAuth } from '../context/AuthContext';
+import EligibilityVerdict from '../components/EligibilityVerdict';
+
+const ORDER_EVENT_LABELS = {
+  SHIPPED: 'Shipped',
+  DELIVERED: 'Delivered',
+  CANCELLED: 'Cancelled',
+  RETURNED: 'Return received',
+  REFUNDED: 'Refunded'
+};
 
 export default function PurchaseDetail() {
   const { id } = useParams();
@@ -28,7 +37,9 @@ export default function PurchaseDetail() {
     mutationFn: () => purchasesAPI.checkPrice(id),
     onSuccess: (result) => {
       queryClient.invalidateQueries(['purchase', id]);
-      if (result.data.priceDrop > 0) {
+      if (result.data.needsConfirmation) {
+        toast(`Possible drop to $${result.data.heldPrice.toFixed(2)} - please confirm`);
+      } else if (result.data.priceDrop > 0) {
         toast.success(`Price dropped by $${result.data.priceDrop.toFixed(2)}!`);
       } else {
         toast.success('Price checked - no changes');
@@ -39,17 +50,100 @@ export default function PurchaseDetail() {
     }
   });
 
+  const confirmPriceMutation = useMutation({
+    mutationFn: (accept) => purchasesAPI.confirmPrice(id, accept),
+    onSuccess: (result) => {
+      queryClient.invalidateQueries(['purchase', id]);
+      toast.success(result.data.rejected ? 'Price reading discarded' : 'Price confirmed');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || 'Failed to confirm price');
+    }
+  });
+
+  const eligibilityMutation = useMutation({
+    mutationFn: () => purchasesAPI.getEligibility(id),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['purchase', id]);
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || 'Failed to check eligibility');
+    }
+  });
+
   const createClaimMutation = useMutation({
-    mutationFn: () => claimsAPI.create(id),
+    mutationFn: (options) => claimsAPI.create(id, options),
     onSuccess: (result) => {
-      toast.success('Claim created!');
+      toast.success(result.data.type === 'RETAILER_ADJUSTMENT' ? 'Price adjustment request drafted!' : 'Claim created!');
       navigate(`/claims/${result.data.id}`);
     },
-    onError: (error) => {
+    onError: (error, options) => {
+      const code = error.response?.data?.code;
+
+      // The card wants the retailer asked first - unless it already said no
+      if (code === 'RETAILER_FIRST') {
+        const declined = window.confirm(
+          `${error.response.data.error}.\n\nHas the retailer already declined a price adjustment?`
+        );
+        if (declined) {
+          createClaimMutation.mutate({ ...options, retailerDeclined: true });
+        } else {
+          createClaimMutation.mutate({ ...options, type: 'RETAILER_ADJUSTMENT' });
+        }
+        return;
+      }
+
+      // The lower price wasn't verified for the exact variant - let the user vouch for it
+      if (code === 'VARIANT_UNVERIFIED') {
+        const confirmed = window.confirm(
+          `${error.response.data.error}.\n\nIssuers deny claims for a different size, color, storage or condition. ` +
+          'Is the lower price for the identical item?'
+        );
+        if (confirmed) {
+          createClaimMutation.mutate({ ...options, identicalItemConfirmed: true });
+        }
+        return;
+      }
+
+      // A benefit exclusion may apply - the user decides whether to file anyway
+      if (code === 'BENEFIT_REVIEW_REQUIRED') {
+        queryClient.invalidateQueries(['purchase', id]);
+        const confirmed = window.confirm(
+          `${error.response.data.error}.\n\nThe issuer may deny the claim. Create it anyway?`
+        );
+        if (confirmed) {
+          createClaimMutation.mutate({ ...options, exclusionsReviewed: true });
+        }
+        return;
+      }
+
+      if (['BENEFIT_EXCLUDED', 'RETAILER_ADJUSTMENT_EXCLUDED', 'RETAILER_WINDOW_CLOSED'].includes(code)) {
+        queryClient.invalidateQueries(['purchase', id]);
+      }
       toast.error(error.response?.data?.error || 'Failed to create claim');
     }
   });
 
+  const recommendationMutation = useMutation({
+    mutationFn: () => purchasesAPI.getRecommendation(id),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['purchase', id]);
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || 'Failed to compare options');
+    }
+  });
+
+  const retailerAdjustmentMutation = useMutation({
+    mutationFn: () => purchasesAPI.getRetailerAdjustment(id),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['purchase', id]);
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || 'Failed to check the retailer\'s policy');
+    }
+  });
+
   const deleteMutation = useMutation({
     mutationFn: () => purchasesAPI.delete(id),
     onSuccess: () => {
@@ -81,11 +175,23 @@ export default function PurchaseDetail() {
     );
   }
 
-  const savings = purchase.purchasePrice - (purchase.lowestPrice || purchase.purchasePrice);
+  // Prices are per unit; a claim covers every unit bought
+  const savings = (purchase.purchasePrice - (purchase.lowestPrice || purchase.purchasePrice)) * purchase.quantity;
+  const order = purchase.order;
   const isEligible = ['PRICE_DROP_DETECTED', 'CLAIM_ELIGIBLE'].includes(purchase.status);
   const protectionActive = purchase.protectionEnds && new Date(purchase.protectionEnds) > new Date();
+  const excluded = purchase.eligibility?.status === 'EXCLUDED';
+  const adjustment = purchase.retailerAdjustment;
+  const recommendation = purchase.returnRecommendation;
+  const returnWindowOpen = purchase.returnWindowEnds && new Date(purchase.returnWindowEnds) > new Date();
+  const openClaim = purchase.claims?.find(c => !['DENIED', 'EXPIRED', 'SUSPENDED'].includes(c.status));
 
-  const priceHistoryData = purchase.priceHistory?.map(p => ({
+  const heldReading = purchase.status === 'PRICE_NEEDS_CONFIRMATION'
+    ? purchase.priceHistory?.find(p => p.status === 'HELD')
+    : null;
+
+  // Held and rejected readings were never applied to the purchase
+  const priceHistoryData = purchase.priceHistory?.filter(p => !p.status || p.status === 'ACCEPTED').map(p => ({
     date: format(new Date(p.checkedAt), 'MM/dd'),
     price: p.price
   })) || [];
@@ -134,6 +240,41 @@ export default function PurchaseDetail() {
             </div>
           </div>
 
+          {/* Unconfirmed price reading */}
+          {heldReading && (
+            <div className="card p-6 border border-yellow-200 bg-yellow-50">
+              <h2 className="text-lg font-semibold text-gray-900 mb-2">Please Confirm This Price</h2>
+              <p className="text-sm text-gray-700">
+                We read <span className="font-medium">${heldReading.price.toFixed(2)}</span> on the product page
+                {heldReading.method ? ` (via ${heldReading.method})` : ''}, but couldn't verify it with a second source.
+                Check the product page before we treat this as a price drop.
+              </p>
+              {heldReading.confidenceReasons?.length > 0 && (
+                <ul className="text-xs text-gray-500 mt-2 list-disc list-inside">
+                  {heldReading.confidenceReasons.map((reason) => (
+                    <li key={reason}>{reason}</li>
+                  ))}
+                </ul>
+              )}
+              <div className="flex gap-3 mt-4">
+                <button
+                  onClick={() => confirmPriceMutation.mutate(true)}
+                  disabled={confirmPriceMutation.isPending}
+                  className="btn-primary"
+                >
+                  Price is correct
+                </button>
+                <button
+                  onClick={() => confirmPriceMutation.mutate(false)}
+                  disabled={confirmPriceMutation.isPending}
+                  className="btn-secondary"
+                >
+                  Price is wrong
+                </button>
+              </div>
+            </div>
+          )}
+
           {/* Price History Chart */}
           {priceHistoryData.length > 1 && (
             <div className="card p-6">
@@ -179,15 +320,100 @@ export default function PurchaseDetail() {
                   {purchase.category || '-'}
                 </dd>
               </div>
+              {purchase.variant && (
+                <div>
+                  <dt className="text-sm text-gray-500">Variant</dt>
+                  <dd className="text-sm font-medium text-gray-900">
+                    {Object.entries(purchase.variant)
+                      .map(([key, value]) => `${key.charAt(0).toUpperCase() + key.slice(1)}: ${value}`)
+                      .join(', ')}
+                  </dd>
+                </div>
+              )}
               <div>
                 <dt className="text-sm text-gray-500">Source</dt>
                 <dd className="text-sm font-medium text-gray-900">
-                  {purchase.sourceType === 'EMAIL' ? 'Email Import' : 'Manual Entry'}
+                  {{ EMAIL: 'Email Import', RECEIPT_UPLOAD: 'Receipt Upload' }[purchase.sourceType] || 'Manual Entry'}
                 </dd>
               </div>
+              {purchase.receiptId && (
+                <div>
+                  <dt className="text-sm text-gray-500">Receipt</dt>
+                  <dd className="text-sm font-medium">
+                    <a
+                      href={`${import.meta.env.VITE_API_URL || '/api'}/purchases/${purchase.id}/receipt?token=${localStorage.getItem('token')}`}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="text-primary-600 hover:underline"
+                    >
+                      View receipt
+                    </a>
+                  </dd>
+                </div>
+              )}
             </dl>
           </div>
 
+          {/* Order */}
+          {order && (
+            <div className="card p-6">
+              <h2 className="text-lg font-semibold text-gray-900 mb-4">
+                Order {order.retailerOrderId ? `#${order.retailerOrderId}` : ''}
+              </h2>
+              <div className="space-y-2">
+                {order.purchases.map((item) => (
+                  <div key={item.id} className="flex items-center justify-between text-sm">
+                    {item.id === purchase.id ? (
+                      <span className="font-medium text-gray-900">{item.productName}</span>
+                    ) : (
+                      <Link to={`/purchases/${item.id}`} className="text-primary-600 hover:underline">
+                        {item.productName}
+                      </Link>
+                    )}
+                    <span className="text-gray-600 whitespace-nowrap ml-4">
+                      {item.quantity > 1 && `${item.quantity} × `}${item.purchasePrice.toFixed(2)}
+                    </span>
+                  </div>
+                ))}
+              </div>
+              <dl className="mt-4 pt-4 border-t space-y-1 text-sm">
+                {[
+                  ['Subtotal', order.subtotal],
+                  ['Discounts', order.discount && -order.discount],
+                  ['Shipping', order.shipping],
+                  ['Tax', order.tax],
+                  ['Total', order.total]
+                ].filter(([, amount]) => amount != null && amount !== 0).map(([label, amount]) => (
+                  <div key={label} className="flex justify-between">
+                    <dt className="text-gray-500">{label}</dt>
+                    <dd className="text-gray-900">{amount < 0 ? '-' : ''}${Math.abs(amount).toFixed(2)}</dd>
+                  </div>
+                ))}
+              </dl>
+              {order.payments?.length > 1 && (
+                <p className="mt-3 text-xs text-gray-500">
+                  Paid with {order.payments
+                    .map(p => `card ending ${p.cardLast4}${p.amount != null ? ` ($${p.amount.toFixed(2)})` : ''}`)
+                    .join(' and ')}
+                </p>
+              )}
+              {order.events?.length > 0 && (
+                <div className="mt-4 pt-4 border-t space-y-1 text-sm">
+                  {order.events.map((event) => (
+                    <div key={event.id} className="flex justify-between">
+                      <span className="text-gray-700">
+                        {ORDER_EVENT_LABELS[event.type]}
+                        {event.items?.length > 0 && ` (${event.items.length} item${event.items.length === 1 ? '' : 's'})`}
+                        {event.amount != null && ` · $${event.amount.toFixed(2)}`}
+                      </span>
+                      <span className="text-gray-500">{format(new Date(event.occurredAt), 'MMM d, yyyy')}</span>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+
           {/* Claims */}
           {purchase.claims?.length > 0 && (
             <div className="card p-6">
@@ -210,6 +436,7 @@ export default function PurchaseDetail() {
                     <span className={`badge ${
                       claim.status === 'APPROVED' ? 'badge-green' :
                       claim.status === 'DENIED' ? 'badge-red' :
+                      claim.status === 'SUSPENDED' ? 'badge-gray' :
                       'badge-blue'
                     }`}>
                       {claim.status}
@@ -228,8 +455,30 @@ export default function PurchaseDetail() {
             <h2 className="text-lg font-semibold text-gray-900 mb-4">Pricing</h2>
 
             <div className="space-y-3">
+              {purchase.quantity > 1 && (
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Quantity</span>
+                  <span className="font-medium">{purchase.quantity}</span>
+                </div>
+              )}
+              {purchase.discountShare > 0 && (
+                <>
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">Listed Price</span>
+                    <span className="font-medium">${purchase.unitPrice.toFixed(2)}</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">
+                      Share of Order Discount{purchase.quantity > 1 ? ' (all units)' : ''}
+                    </span>
+                    <span className="font-medium">-${purchase.discountShare.toFixed(2)}</span>
+                  </div>
+                </>
+              )}
               <div className="flex justify-between">
-                <span className="text-gray-600">Purchase Price</span>
+                <span className="text-gray-600">
+                  Purchase Price{purchase.quantity > 1 || purchase.discountShare > 0 ? ' (paid per unit)' : ''}
+                </span>
                 <span className="font-medium">${purchase.purchasePrice.toFixed(2)}</span>
               </div>
               <div className="flex justify-between">
@@ -265,7 +514,7 @@ export default function PurchaseDetail() {
               </button>
 
               {/* Create Claim button - available to all users */}
-              {isEligible && protectionActive && (
+              {isEligible && protectionActive && !excluded && (
                 <button
                   onClick={() => createClaimMutation.mutate()}
                   disabled={createClaimMutation.isPending}
@@ -314,8 +563,141 @@ export default function PurchaseDetail() {
                 </Link>
               </div>
             )}
+
+            {purchase.returnWindowEnds && (
+              <div className="flex items-center justify-between mt-3">
+                <span className="text-gray-600">Return By</span>
+                <span className={`font-medium ${returnWindowOpen ? 'text-green-600' : 'text-gray-500'}`}>
+                  {format(new Date(purchase.returnWindowEnds), 'MMM d, yyyy')}
+                </span>
+              </div>
+            )}
           </div>
 
+          {/* Best way to get the drop back */}
+          {savings > 0 && (
+            <div className={`card p-6 ${recommendation?.action === 'RETURN_AND_REBUY' ? 'border border-yellow-200 bg-yellow-50' : ''}`}>
+              <div className="flex items-center justify-between mb-4">
+                <h2 className="text-lg font-semibold text-gray-900">Recommendation</h2>
+                <button
+                  onClick={() => recommendationMutation.mutate()}
+                  disabled={recommendationMutation.isPending}
+                  className="text-sm text-primary-600 hover:underline"
+                >
+                  {recommendationMutation.isPending ? 'Comparing...' : recommendation ? 'Recheck' : 'Compare'}
+                </button>
+              </div>
+
+              {!recommendation ? (
+                <p className="text-sm text-gray-500">
+                  Compare a claim, a retailer price adjustment and returning the item to buy it again.
+                </p>
+              ) : (
+                <div className="space-y-3 text-sm">
+                  <p className="font-medium text-gray-900">{recommendation.summary}</p>
+                  <dl className="space-y-1">
+                    {[
+                      ['Retailer price adjustment', recommendation.options.retailerAdjustment],
+                      ['Card claim', recommendation.options.claim],
+                      ['Return and rebuy', recommendation.options.returnAndRebuy]
+                    ].map(([label, option]) => (
+                      <div key={label} className="flex justify-between">
+                        <dt className="text-gray-600">{label}</dt>
+                        <dd className={option.available ? 'text-gray-900' : 'text-gray-400'}>
+                          {option.available ? `$${option.amount.toFixed(2)}` : 'Not available'}
+                          {label === 'Card claim' && option.capped && ' (capped)'}
+                        </dd>
+                      </div>
+                    ))}
+                  </dl>
+                  {recommendation.options.returnAndRebuy.restockingFee > 0 && (
+                    <p className="text-gray-500">
+                      Includes a ${recommendation.options.returnAndRebuy.restockingFee.toFixed(2)} restocking fee.
+                    </p>
+                  )}
+                  <p className="text-xs text-gray-400">
+                    At ${recommendation.price.toFixed(2)}, checked {format(new Date(recommendation.checkedAt), 'MMM d, h:mm a')}
+                  </p>
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Retailer price adjustment */}
+          {(savings > 0 || adjustment) && (
+            <div className="card p-6">
+              <div className="flex items-center justify-between mb-4">
+                <h2 className="text-lg font-semibold text-gray-900">Retailer Price Adjustment</h2>
+                <button
+                  onClick={() => retailerAdjustmentMutation.mutate()}
+                  disabled={retailerAdjustmentMutation.isPending}
+                  className="text-sm text-primary-600 hover:underline"
+                >
+                  {retailerAdjustmentMutation.isPending ? 'Checking...' : 'Recheck'}
+                </button>
+              </div>
+
+              {!adjustment ? (
+                <p className="text-sm text-gray-500">Check whether {purchase.retailer} will refund the drop itself.</p>
+              ) : adjustment.status === 'NOT_OFFERED' ? (
+                <p className="text-sm text-gray-500">{purchase.retailer} has no price adjustment policy on file.</p>
+              ) : (
+                <div className="space-y-3 text-sm">
+                  <div className="flex items-center justify-between">
+                    <span className="text-gray-600">Window</span>
+                    <span className={`font-medium ${adjustment.status === 'WINDOW_CLOSED' ? 'text-red-600' : 'text-green-600'}`}>
+                      {adjustment.windowDays} days, until {format(new Date(adjustment.windowEnds), 'MMM d, yyyy')}
+                    </span>
+                  </div>
+                  {adjustment.channel && (
+                    <div className="flex items-center justify-between">
+                      <span className="text-gray-600">Ask via</span>
+                      <span className="font-medium">{adjustment.channel.replace(/_/g, ' ').toLowerCase()}</span>
+                    </div>
+                  )}
+                  {adjustment.available && adjustment.amount > 0 && (
+                    <div className="flex items-center justify-between">
+                      <span className="text-gray-600">Refund</span>
+                      <span className="font-medium text-green-600">${adjustment.amount.toFixed(2)}</span>
+                    </div>
+                  )}
+                  {adjustment.status === 'EXCLUDED' && (
+                    <ul className="text-red-600 list-disc list-inside">
+                      {adjustment.reasons.filter(r => r.effect === 'exclude').map(r => (
+                        <li key={r.rule}>{r.reason}</li>
+                      ))}
+                    </ul>
+                  )}
+                  {adjustment.available && (
+                    <p className="text-gray-500">Usually quicker than a card claim. Only one of the two can be claimed for this drop.</p>
+                  )}
+                </div>
+              )}
+
+              {adjustment?.available && isEligible && !openClaim && (
+                <button
+                  onClick={() => createClaimMutation.mutate({ type: 'RETAILER_ADJUSTMENT' })}
+                  disabled={createClaimMutation.isPending}
+                  className="w-full btn-primary mt-4"
+                >
+                  Request Price Adjustment
+                </button>
+              )}
+            </div>
+          )}
+
+          {/* Benefit exclusions */}
+          {purchase.creditCard && (savings > 0 || purchase.eligibility) && (
+            <div className="card p-6">
+              <h2 className="text-lg font-semibold text-gray-900 mb-4">Claim Eligibility</h2>
+              <EligibilityVerdict
+                eligibility={purchase.eligibility}
+                onRecheck={() => eligibilityMutation.mutate()}
+                rechecking={eligibilityMutation.isPending}
+              />
+            </div>
+          )}
+
           {/* Actions */}
           <div className="card p-6">
             <h2 className="text-lg font-semibold text-gray-900 mb-4">Actions</h2>
@@ -7,7 +7,8 @@ import {
   FunnelIcon,
   MagnifyingGlassIcon,
   CreditCardIcon,
-  ExclamationTriangleIcon
+  ExclamationTriangleIcon,
+  ArrowUpTrayIcon
 } from '@heroicons/react/24/outline';
 import { purchasesAPI, cardsAPI } from '../services/api';
 import { format } from 'date-fns';
@@ -16,21 +17,29 @@ import toast from 'react-hot-toast';
 const statusColors = {
   MONITORING: 'badge-blue',
   PRICE_DROP_DETECTED: 'badge-yellow',
+  PRICE_NEEDS_CONFIRMATION: 'badge-yellow',
   CLAIM_ELIGIBLE: 'badge-green',
   CLAIM_FILED: 'badge-blue',
   CLAIM_APPROVED: 'badge-green',
   CLAIM_DENIED: 'badge-red',
-  EXPIRED: 'badge-gray'
+  EXPIRED: 'badge-gray',
+  CANCELLED: 'badge-gray',
+  RETURNED: 'badge-gray',
+  PARTIALLY_REFUNDED: 'badge-yellow'
 };
 
 const statusLabels = {
   MONITORING: 'Monitoring',
   PRICE_DROP_DETECTED: 'Price Drop!',
+  PRICE_NEEDS_CONFIRMATION: 'Confirm Price',
   CLAIM_ELIGIBLE: 'Claim Eligible',
   CLAIM_FILED: 'Claim Filed',
   CLAIM_APPROVED: 'Approved',
   CLAIM_DENIED: 'Denied',
-  EXPIRED: 'Expired'
+  EXPIRED: 'Expired',
+  CANCELLED: 'Cancelled',
+  RETURNED: 'Returned',
+  PARTIALLY_REFUNDED: 'Partly Refunded'
 };
 
 export default function Purchases() {
@@ -82,10 +91,16 @@ export default function Purchases() {
           <h1 className="text-2xl font-bold text-gray-900">Purchases</h1>
           <p className="text-gray-600 mt-1">Track and monitor your purchases for price drops.</p>
         </div>
-        <Link to="/purchases/new" className="btn-primary">
-          <PlusIcon className="h-5 w-5 mr-2" />
-          Add Purchase
-        </Link>
+        <div className="flex items-center gap-3">
+          <Link to="/purchases/import" className="btn-secondary">
+            <ArrowUpTrayIcon className="h-5 w-5 mr-2" />
+            Import
+          </Link>
+          <Link to="/purchases/new" className="btn-primary">
+            <PlusIcon className="h-5 w-5 mr-2" />
+            Add Purchase
+          </Link>
+        </div>
       </div>
 
       {/* Filters */}
@@ -116,9 +131,12 @@ export default function Purchases() {
               <option value="all">All Status</option>
               <option value="MONITORING">Monitoring</option>
               <option value="PRICE_DROP_DETECTED">Price Drops</option>
+              <option value="PRICE_NEEDS_CONFIRMATION">Needs Confirmation</option>
               <option value="CLAIM_ELIGIBLE">Claim Eligible</option>
               <option value="CLAIM_FILED">Claims Filed</option>
               <option value="EXPIRED">Expired</option>
+              <option value="RETURNED">Returned</option>
+              <option value="CANCELLED">Cancelled</option>
             </select>
           </div>
         </div>
@@ -182,7 +200,7 @@ export default function Purchases() {
             </thead>
             <tbody className="bg-white divide-y divide-gray-200">
               {filteredPurchases.map((purchase) => {
-                const savings = purchase.purchasePrice - (purchase.lowestPrice || purchase.purchasePrice);
+                const savings = (purchase.purchasePrice - (purchase.lowestPrice || purchase.purchasePrice)) * purchase.quantity;
                 const needsCard = !purchase.creditCardId && !['EXPIRED', 'CLAIM_FILED', 'CLAIM_APPROVED'].includes(purchase.status);
                 return (
                   <tr key={purchase.id} className={`hover:bg-gray-50 ${needsCard ? 'bg-amber-50/30' : ''}`}>
@@ -203,7 +221,11 @@ export default function Purchases() {
                           <div className="text-sm font-medium text-gray-900 hover:text-primary-600 max-w-xs truncate">
                             {purchase.productName}
                           </div>
-                          <div className="text-sm text-gray-500">{purchase.retailer}</div>
+                          <div className="text-sm text-gray-500">
+                            {purchase.retailer}
+                            {purchase.quantity > 1 && ` · Qty ${purchase.quantity}`}
+                            {purchase.order?._count?.purchases > 1 && ` · 1 of ${purchase.order._count.purchases} items`}
+                          </div>
                         </div>
                       </Link>
                     </td>
@@ -1,19 +1,18 @@
 import React, { useState } from 'react';
 import { Link } from 'react-router-dom';
-import { useMutation, useQueryClient, useQuery } from '@tanstack/react-query';
+import { useMutation } from '@tanstack/react-query';
 import { useAuth } from '../context/AuthContext';
-import { authAPI, emailAPI } from '../services/api';
+import { authAPI } from '../services/api';
+import ExtensionTokens from '../components/ExtensionTokens';
+import Mailboxes from '../components/Mailboxes';
 import toast from 'react-hot-toast';
 import {
-  EnvelopeIcon,
   CreditCardIcon,
-  BellIcon,
-  ArrowPathIcon
+  BellIcon
 } from '@heroicons/react/24/outline';
 
 export default function Settings() {
   const { user, updateUser, hasSubscription } = useAuth();
-  const queryClient = useQueryClient();
 
   const [settings, setSettings] = useState({
     name: user?.name || '',
@@ -22,11 +21,6 @@ export default function Settings() {
     autoFileClaimsEnabled: user?.autoFileClaimsEnabled || false
   });
 
-  const { data: emailStatus } = useQuery({
-    queryKey: ['email-status'],
-    queryFn: () => emailAPI.getStatus()
-  });
-
   const updateMutation = useMutation({
     mutationFn: (data) => authAPI.updateSettings(data),
     onSuccess: (result) => {
@@ -38,29 +32,6 @@ export default function Settings() {
     }
   });
 
-  const disconnectGmailMutation = useMutation({
-    mutationFn: () => authAPI.disconnectGmail(),
-    onSuccess: () => {
-      updateUser({ gmailConnected: false });
-      queryClient.invalidateQueries(['email-status']);
-      toast.success('Gmail disconnected');
-    },
-    onError: (error) => {
-      toast.error(error.response?.data?.error || 'Failed to disconnect');
-    }
-  });
-
-  const syncEmailMutation = useMutation({
-    mutationFn: () => emailAPI.sync(),
-    onSuccess: () => {
-      toast.success('Email sync started!');
-      queryClient.invalidateQueries(['email-status']);
-    },
-    onError: (error) => {
-      toast.error(error.response?.data?.error || 'Failed to start sync');
-    }
-  });
-
   const handleSubmit = (e) => {
     e.preventDefault();
     updateMutation.mutate({
@@ -96,64 +67,10 @@ export default function Settings() {
       )}
 
       {/* Email Integration */}
-      <div className="card p-6 mb-6">
-        <div className="flex items-center mb-4">
-          <EnvelopeIcon className="h-6 w-6 text-gray-600 mr-3" />
-          <h2 className="text-lg font-semibold text-gray-900">Email Integration</h2>
-        </div>
-
-        {user?.gmailConnected ? (
-          <div className="space-y-4">
-            <div className="flex items-center justify-between p-4 bg-green-50 rounded-lg">
-              <div>
-                <p className="font-medium text-green-800">Gmail Connected</p>
-                <p className="text-sm text-green-600">{user.email}</p>
-              </div>
-              <button
-                onClick={() => disconnectGmailMutation.mutate()}
-                disabled={disconnectGmailMutation.isPending}
-                className="text-red-600 text-sm hover:underline"
-              >
-                Disconnect
-              </button>
-            </div>
-
-            {emailStatus?.data?.lastSync && (
-              <div className="text-sm text-gray-600">
-                Last sync: {new Date(emailStatus.data.lastSync.date).toLocaleString()} -
-                {' '}{emailStatus.data.lastSync.purchasesFound} purchases found
-              </div>
-            )}
+      <Mailboxes />
 
-            {hasSubscription && (
-              <button
-                onClick={() => syncEmailMutation.mutate()}
-                disabled={syncEmailMutation.isPending}
-                className="btn-secondary flex items-center"
-              >
-                <ArrowPathIcon className={`h-4 w-4 mr-2 ${syncEmailMutation.isPending ? 'animate-spin' : ''}`} />
-                Sync Emails Now
-              </button>
-            )}
-          </div>
-        ) : (
-          <div>
-            <p className="text-gray-600 mb-4">
-              Connect your Gmail to automatically detect purchases from order confirmation emails.
-            </p>
-            <a
-              href="/api/auth/google"
-              className="btn-primary inline-flex items-center"
-            >
-              <svg className="h-5 w-5 mr-2" viewBox="0 0 24 24">
-                <path fill="#fff" d="M22.56 12.25c0-.78-.07-1.53-.2-2.25H12v4.26h5.92c-.26 1.37-1.04 2.53-2.21 3.31v2.77h3.57c2.08-1.92 3.28-4.74 3.28-8.09z"/>
-                <path fill="#fff" d="M12 23c2.97 0 5.46-.98 7.28-2.66l-3.57-2.77c-.98.66-2.23 1.06-3.71 1.06-2.86 0-5.29-1.93-6.16-4.53H2.18v2.84C3.99 20.53 7.7 23 12 23z"/>
-              </svg>
-              Connect Gmail
-            </a>
-          </div>
-        )}
-      </div>
+      {/* Browser Extension */}
+      <ExtensionTokens />
 
       {/* Profile Settings */}
       <form onSubmit={handleSubmit} className="card p-6 mb-6">
@@ -50,10 +50,17 @@ export const purchasesAPI = {
   getAll: (params) => api.get('/purchases', { params }),
   getOne: (id) => api.get(`/purchases/${id}`),
   create: (data) => api.post('/purchases', data),
+  uploadReceipt: (formData) => api.post('/purchases/receipts', formData),
+  previewImport: (formData) => api.post('/purchases/import/preview', formData),
+  importPurchases: (formData) => api.post('/purchases/import', formData),
   update: (id, data) => api.patch(`/purchases/${id}`, data),
   delete: (id) => api.delete(`/purchases/${id}`),
   checkPrice: (id) => api.post(`/purchases/${id}/check-price`),
+  confirmPrice: (id, accept) => api.post(`/purchases/${id}/confirm-price`, { accept }),
   getPriceHistory: (id) => api.get(`/purchases/${id}/price-history`),
+  getEligibility: (id) => api.get(`/purchases/${id}/eligibility`),
+  getRetailerAdjustment: (id) => api.get(`/purchases/${id}/retailer-adjustment`),
+  getRecommendation: (id) => api.get(`/purchases/${id}/recommendation`),
   getStats: () => api.get('/purchases/stats/dashboard'),
   linkCard: (id, creditCardId) => api.patch(`/purchases/${id}`, { creditCardId })
 };
@@ -61,10 +68,10 @@ export const purchasesAPI = {
 export const claimsAPI = {
   getAll: (params) => api.get('/claims', { params }),
   getOne: (id) => api.get(`/claims/${id}`),
-  create: (purchaseId) => api.post('/claims', { purchaseId }),
+  create: (purchaseId, options = {}) => api.post('/claims', { purchaseId, ...options }),
   generateDocs: (id) => api.post(`/claims/${id}/generate-docs`),
   file: (id, claimNumber) => api.post(`/claims/${id}/file`, { claimNumber }),
-  autoFile: (id) => api.post(`/claims/${id}/auto-file`),
+  autoFile: (id, options = {}) => api.post(`/claims/${id}/auto-file`, options),
   updateStatus: (id, data) => api.patch(`/claims/${id}/status`, data),
   delete: (id) => api.delete(`/claims/${id}`),
   getInstructions: (id) => api.get(`/claims/${id}/instructions`),
@@ -75,6 +82,7 @@ export const claimsAPI = {
 export const cardsAPI = {
   getAll: () => api.get('/cards'),
   getIssuers: () => api.get('/cards/issuers'),
+  getProducts: () => api.get('/cards/products'),
   create: (data) => api.post('/cards', data),
   update: (id, data) => api.patch(`/cards/${id}`, data),
   delete: (id) => api.delete(`/cards/${id}`),
@@ -94,10 +102,20 @@ export const subscriptionAPI = {
 
 export const emailAPI = {
   getStatus: () => api.get('/email/status'),
-  sync: () => api.post('/email/sync'),
+  sync: (mailboxId) => api.post('/email/sync', mailboxId ? { mailboxId } : {}),
   getSyncStatus: (syncId) => api.get(`/email/sync/${syncId}`),
   getSyncHistory: () => api.get('/email/sync-history'),
-  getRetailers: () => api.get('/email/retailers')
+  getRetailers: () => api.get('/email/retailers'),
+  getMailboxes: () => api.get('/email/mailboxes'),
+  connectImap: (data) => api.post('/email/mailboxes/imap', data),
+  mailboxConnectUrl: (provider) => api.get(`/email/mailboxes/${provider}/connect`),
+  removeMailbox: (id) => api.delete(`/email/mailboxes/${id}`)
+};
+
+export const extensionAPI = {
+  getTokens: () => api.get('/extension/tokens'),
+  createToken: (data) => api.post('/extension/tokens', data),
+  revokeToken: (id) => api.delete(`/extension/tokens/${id}`)
 };
 
 export const notificationsAPI = {